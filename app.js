@@ -9,17 +9,63 @@ class NavRaksha {
         this.watchId = null;
         this.map = null;
         this.userMarker = null;
-        this.safeZoneCircle = null;
-        this.safeZoneCenter = null;
-        this.safeZoneRadius = 200;
+        this.safeZones = [];
+        this.zoneStore = new SafeZoneStore();
+        this.zoneLayers = new Map();
+        this.currentZone = null;
+        this.editingZone = null;
+        this.polygonDraft = null;
+        this.settings = new Settings();
+        this.geofence = new GeofenceMonitor(this.getGeofenceOptions());
+        this.eventLog = new EventLog();
         this.isListening = false;
         this.recognition = null;
-        this.lastMotionTime = Date.now();
-        this.motionThreshold = 15;
-        this.inactivityTimeout = null;
-        this.queuedEvents = [];
+        this.voiceSettings = VoiceKeywords.load();
+        this.voiceRestartTimeout = null;
+        this.fallDetector = new FallDetector(this.getFallDetectorOptions());
+        this.safetyCheck = null;
+        this.editingProfile = false;
+        this.checkInStore = new CheckInStore();
+        this.checkIns = [];
+        this.checkInTimer = null;
+        this.checkingCheckIns = false;
+        this.checkInSyncRegistered = false;
+        this.locationSyncRegistered = false;
+        this.outbox = new EventOutbox();
+        this.outboxRetryTimeout = null;
         this.userId = null;
         this.userData = null;
+        this.medicalCard = null;
+        this.vault = new Vault();
+        this.hiddenAt = null;
+        this.emergencyContacts = [];
+        this.editingContactId = null;
+        this.escalationPoll = null;
+        this.geofenceAlertTimeout = null;
+        this.sosCountdown = null;
+        this.sosCountdownTrigger = null;
+        this.lastSOS = null;
+        this.dashboardEntries = null;
+        this.lastSOSAt = null;
+        this.emergencySession = null;
+        this.locationHistory = new LocationHistory(this.vault);
+        this.trailLayer = null;
+        this.tilePackStore = new TilePackStore();
+        this.tilePacks = [];
+        this.tilePackDownload = null;
+        this.advisoryStore = new AdvisoryFeedStore();
+        this.advisoryFeeds = [];
+        this.advisoryLayer = null;
+        this.drawnAdvisories = '';
+        this.advisoryMonitor = new GeofenceMonitor(this.getGeofenceOptions(), (advisory, lat, lng) => Advisories.boundaryDistance(advisory, lat, lng));
+        this.shownAdvisoryId = null;
+        this.helpPointStore = new HelpPointStore();
+        this.helpPoints = null;
+        this.helpLayer = null;
+        this.helpMarkers = new Map();
+        this.helpOrigin = null;
+        this.waitingWorker = null;
+        this.updateRequested = false;
         
         this.init();
     }
@@ -29,22 +75,30 @@ class NavRaksha {
      */
     async init() {
         console.log('🛡️ NavRaksha initializing...');
+
+        this.applyLanguage();
         
         // Initialize components
         this.initializeEventListeners();
         this.initializeGeolocation();
         this.initializeMap();
+        this.initializeTilePacks();
+        this.initializeAdvisories();
+        this.initializeHelpPoints();
         this.initializeSpeechRecognition();
         this.initializeMotionDetection();
         this.initializeNetworkStatus();
         this.initializeChart();
         this.loadStoredData();
+        this.initializeCheckIns();
         
         // Register service worker for PWA
         if ('serviceWorker' in navigator) {
             try {
-                await navigator.serviceWorker.register('./service-worker.js');
+                const registration = await navigator.serviceWorker.register('./service-worker.js');
                 console.log('✅ Service Worker registered');
+                this.watchForUpdates(registration);
+                this.initializePush(registration);
             } catch (error) {
                 console.error('❌ Service Worker registration failed:', error);
             }
@@ -53,6 +107,135 @@ class NavRaksha {
         console.log('✅ NavRaksha initialized successfully');
     }
 
+    /**
+     * Offer a reload when a new version has installed and is waiting to take over
+     */
+    watchForUpdates(registration) {
+        const offerUpdate = (worker) => {
+            // With no controller this is the first install, not an update
+            if (!navigator.serviceWorker.controller) return;
+
+            this.waitingWorker = worker;
+            document.getElementById('update-banner').classList.add('show');
+            console.log('🌐 Update available');
+        };
+
+        if (registration.waiting) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offerUpdate(worker);
+            });
+        });
+
+        // Reload once the new version controls the page, but only if it was asked for here;
+        // another tab accepting the update shouldn't reload this one mid-use
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) window.location.reload();
+        });
+
+        // Long-running sessions check for new versions too
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }
+
+    /**
+     * Switch to the waiting version and reload into it
+     */
+    applyUpdate() {
+        this.updateRequested = true;
+        document.getElementById('update-banner').classList.remove('show');
+
+        if (this.waitingWorker && this.waitingWorker.state === 'installed') {
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            // Already activated from another tab
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Safety alerts toggle: reflects this device's push subscription and keeps it registered
+     */
+    async initializePush(registration) {
+        this.swRegistration = registration;
+
+        // Notification taps on an open window arrive as links to show
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'OPEN_LINK') this.openLink(message.url);
+        });
+
+        const toggle = document.getElementById('push-alerts');
+        if (!PushNotifications.isSupported() || !registration.pushManager) {
+            toggle.disabled = true;
+            this.showPushStatus('push.unsupported');
+            return;
+        }
+        toggle.addEventListener('change', () => this.setPushAlerts(toggle.checked));
+
+        const subscription = await PushNotifications.getSubscription(registration);
+        toggle.checked = Boolean(subscription) && Notification.permission === 'granted';
+        if (Notification.permission === 'denied') this.showPushStatus('push.denied');
+
+        // Registering again on each start recovers from a reset backend or a changed server key
+        if (toggle.checked) this.registerPush();
+    }
+
+    showPushStatus(key) {
+        I18n.localize(document.getElementById('push-status'), key);
+    }
+
+    /**
+     * Re-register the existing subscription, e.g. to link it to a new user ID
+     */
+    async registerPush() {
+        try {
+            await PushNotifications.subscribe(this.swRegistration, await this.getPushIdentity());
+            console.log('🔔 Push subscription registered');
+        } catch (error) {
+            console.warn('⚠️ Push subscription not registered:', error.message);
+        }
+    }
+
+    /**
+     * The identity key that links the push subscription to the user ID, once there is one
+     */
+    async getPushIdentity() {
+        return this.userId ? IdentityKey.loadOrCreate() : null;
+    }
+
+    async setPushAlerts(enabled) {
+        const toggle = document.getElementById('push-alerts');
+        toggle.disabled = true;
+
+        try {
+            if (enabled) {
+                await PushNotifications.subscribe(this.swRegistration, await this.getPushIdentity());
+                this.showPushStatus('push.enabled');
+            } else {
+                await PushNotifications.unsubscribe(this.swRegistration);
+                this.showPushStatus('push.disabled');
+            }
+        } catch (error) {
+            console.error('❌ Failed to change safety alerts:', error);
+            toggle.checked = !enabled;
+            this.showPushStatus(error.code === 'denied' ? 'push.denied' : 'push.failed');
+        } finally {
+            toggle.disabled = false;
+        }
+    }
+
+    /**
+     * Show the part of the app a notification links to
+     */
+    openLink(url) {
+        const { hash } = new URL(url, window.location.origin);
+        const target = hash.length > 1 && document.getElementById(hash.slice(1));
+        if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        if (hash === '#checkins-widget') this.checkDueCheckIns();
+    }
+
     /**
      * Initialize event listeners for UI interactions
      */
@@ -60,42 +243,225 @@ class NavRaksha {
         // Registration form
         const registrationForm = document.getElementById('registration-form');
         registrationForm.addEventListener('submit', (e) => this.handleRegistration(e));
+        document.getElementById('registration-cancel').addEventListener('click', () => this.cancelProfileEdit());
+
+        // Profile management
+        document.getElementById('edit-profile').addEventListener('click', () => this.editProfile());
+        document.getElementById('export-data').addEventListener('click', () => this.exportUserData());
+        document.getElementById('erase-data').addEventListener('click', () => this.eraseAllData());
+
+        // Digital ID
+        document.getElementById('reissue-id').addEventListener('click', () => this.reissueDigitalId());
+        document.getElementById('rotate-id-key').addEventListener('click', () => this.rotateIdentityKey());
+
+        // Lock screen
+        document.getElementById('lock-button').addEventListener('click', () => this.vault.lock());
+        document.getElementById('unlock-form').addEventListener('submit', (e) => this.unlockFromForm(e));
+        document.getElementById('pin-setup-form').addEventListener('submit', (e) => this.setupPinFromForm(e));
+        document.getElementById('lock-sos').addEventListener('click', () => this.triggerSOS({ trigger: 'button' }));
+        this.vault.addEventListener('unlock', () => this.handleVaultUnlocked());
+        this.vault.addEventListener('lock', () => this.handleVaultLocked());
+        document.addEventListener('visibilitychange', () => {
+            // Lock after being in the background for a while; measured on return since hidden timers are throttled
+            if (document.hidden) {
+                this.hiddenAt = Date.now();
+            } else if (this.hiddenAt && Date.now() - this.hiddenAt > VAULT_OPTIONS.autoLockAfter) {
+                this.vault.lock();
+            }
+        });
+
+        // Emergency contacts
+        document.getElementById('contact-form').addEventListener('submit', (e) => this.saveContactFromForm(e));
+        document.getElementById('contact-cancel').addEventListener('click', () => this.resetContactForm());
+        document.getElementById('contact-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const contact = this.emergencyContacts.find(candidate => candidate.id === button.dataset.contactId);
+            if (button.dataset.action === 'edit') {
+                this.editContact(contact);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteContact(contact);
+            }
+        });
+
+        // Update prompt
+        document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-dismiss').addEventListener('click', () => {
+            document.getElementById('update-banner').classList.remove('show');
+        });
+
+        // Offline map tile packs
+        document.getElementById('tile-pack-form').addEventListener('submit', (e) => this.downloadTilePackFromForm(e));
+        document.getElementById('tile-pack-cancel').addEventListener('click', () => this.tilePackDownload.abort());
+        ['tile-pack-min-zoom', 'tile-pack-max-zoom'].forEach((id) => {
+            document.getElementById(id).addEventListener('input', () => this.updateTilePackEstimate());
+        });
+        document.getElementById('tile-pack-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const pack = this.tilePacks.find(candidate => candidate.id === button.dataset.packId);
+            if (button.dataset.action === 'show') {
+                this.map.fitBounds([[pack.bounds.south, pack.bounds.west], [pack.bounds.north, pack.bounds.east]]);
+            } else if (button.dataset.action === 'update') {
+                this.downloadTilePack(pack);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteTilePack(pack);
+            }
+        });
+
+        // Authority advisories
+        document.getElementById('advisory-form').addEventListener('submit', (e) => this.loadAdvisoryFeedFromForm(e));
+        document.getElementById('advisory-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importAdvisoryFeed(file);
+        });
+        document.getElementById('show-advisories').addEventListener('change', (e) => {
+            this.settings.set({ showAdvisories: e.target.checked });
+        });
+        document.getElementById('advisory-feed-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const feed = this.advisoryFeeds.find(candidate => candidate.id === button.dataset.feedId);
+            if (button.dataset.action === 'show') {
+                this.map.fitBounds(feed.advisories.flatMap(advisory => advisory.polygons.map(([outer]) => outer)).flat());
+            } else if (button.dataset.action === 'refresh') {
+                this.refreshAdvisoryFeed(feed);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteAdvisoryFeed(feed);
+            }
+        });
+        document.getElementById('advisory-alert-close').addEventListener('click', () => this.closeAdvisoryAlert());
+
+        // Nearest help
+        document.getElementById('help-type').addEventListener('change', () => this.updateNearestHelp());
+        document.getElementById('help-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importHelpPoints(file);
+        });
+        document.getElementById('help-reset').addEventListener('click', () => this.resetHelpPoints());
+        document.getElementById('help-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="show"]');
+            if (button) this.showHelpPoint(button.dataset.pointId);
+        });
+
+        // Voice SOS settings
+        document.getElementById('voice-settings-form').addEventListener('submit', (e) => this.saveVoiceSettings(e));
+
+        // Scheduled check-ins
+        document.getElementById('checkin-form').addEventListener('submit', (e) => this.saveCheckInFromForm(e));
+        document.getElementById('checkin-type').addEventListener('change', (e) => {
+            const isDeadline = e.target.value === 'deadline';
+            document.getElementById('checkin-interval-group').style.display = isDeadline ? 'none' : '';
+            document.getElementById('checkin-deadline-group').style.display = isDeadline ? '' : 'none';
+            document.getElementById('checkin-deadline').required = isDeadline;
+        });
+        document.getElementById('checkin-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'confirm') {
+                this.confirmCheckIn(button.dataset.checkinId);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteCheckIn(button.dataset.checkinId);
+            }
+        });
 
         // SOS button
         const sosButton = document.getElementById('sos-button');
-        sosButton.addEventListener('click', () => this.triggerSOS());
+        sosButton.addEventListener('click', () => this.triggerSOS({ trigger: 'button' }));
 
         // Voice button
         const voiceButton = document.getElementById('voice-button');
         voiceButton.addEventListener('click', () => this.toggleVoiceRecognition());
 
         // Map controls
-        document.getElementById('set-safe-zone').addEventListener('click', () => this.setSafeZone());
-        document.getElementById('clear-safe-zone').addEventListener('click', () => this.clearSafeZone());
+        document.getElementById('set-safe-zone').addEventListener('click', () => this.addCircleZone());
+        document.getElementById('draw-polygon-zone').addEventListener('click', () => this.togglePolygonDrawing());
+        document.getElementById('finish-polygon-zone').addEventListener('click', () => this.finishPolygonZone());
+        document.getElementById('clear-safe-zone').addEventListener('click', () => this.clearSafeZones());
         
         const radiusSlider = document.getElementById('radius-slider');
         radiusSlider.addEventListener('input', (e) => {
-            this.safeZoneRadius = parseInt(e.target.value);
-            document.getElementById('radius-value').textContent = `${this.safeZoneRadius}m`;
-            if (this.safeZoneCircle) {
-                this.safeZoneCircle.setRadius(this.safeZoneRadius);
+            document.getElementById('radius-value').textContent = I18n.t('unit.metres', { value: e.target.value });
+        });
+        radiusSlider.addEventListener('change', (e) => {
+            this.settings.set({ safeZoneRadius: parseInt(e.target.value) });
+        });
+
+        // Safe zone list and editor
+        document.getElementById('zone-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const zone = this.safeZones.find(candidate => candidate.id === button.dataset.zoneId);
+            if (button.dataset.action === 'edit') {
+                this.openZoneEditor(zone);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSafeZone(zone);
             }
         });
+        document.getElementById('zone-form').addEventListener('submit', (e) => this.saveZoneFromForm(e));
+        // Location history trail and export
+        document.getElementById('history-range').addEventListener('change', (e) => {
+            document.getElementById('history-custom').style.display = e.target.value === 'custom' ? '' : 'none';
+            this.refreshTrail();
+        });
+        document.getElementById('history-from').addEventListener('change', () => this.refreshTrail());
+        document.getElementById('history-to').addEventListener('change', () => this.refreshTrail());
+        document.getElementById('show-trail').addEventListener('change', () => this.refreshTrail());
+        document.getElementById('export-track').addEventListener('click', () => this.exportTrack());
+
+        document.getElementById('forward-geofence').addEventListener('change', (e) => {
+            this.settings.set({ forwardGeofenceEvents: e.target.checked });
+        });
+        document.getElementById('zone-cancel').addEventListener('click', () => this.closeZoneEditor());
 
         // Modal controls
-        document.getElementById('safe-yes').addEventListener('click', () => this.dismissSafetyCheck());
-        document.getElementById('safe-no').addEventListener('click', () => this.triggerSOS());
+        document.getElementById('safe-yes').addEventListener('click', () => this.confirmSafetyCheck());
+        document.getElementById('safe-no').addEventListener('click', () => {
+            const trigger = this.safetyCheck && this.safetyCheck.checkInId ? 'checkin_help' : 'fall';
+            this.dismissSafetyCheck();
+            this.triggerSOS({ immediate: true, trigger });
+        });
         document.getElementById('sos-ok').addEventListener('click', () => this.closeSosModal());
+        document.getElementById('sos-retract').addEventListener('click', () => this.retractSOS());
+        document.getElementById('sos-cancel').addEventListener('click', () => this.cancelSOS());
+        document.getElementById('sos-send-now').addEventListener('click', () => this.triggerSOS({ immediate: true }));
+        document.getElementById('end-session').addEventListener('click', () => this.endEmergencySession());
         document.getElementById('alert-close').addEventListener('click', () => this.closeGeofenceAlert());
 
+        // Settings
+        this.settings.addEventListener('change', (e) => this.applySettings(e.detail));
+        document.getElementById('settings-form').addEventListener('submit', (e) => this.saveSettingsFromForm(e));
+        document.getElementById('reset-settings').addEventListener('click', () => this.resetSettings());
+        document.getElementById('export-settings').addEventListener('click', () => this.exportSettings());
+        document.getElementById('import-settings').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importSettings(file);
+        });
+
         // Accessibility toggle
         document.getElementById('contrast-toggle').addEventListener('click', () => this.toggleHighContrast());
 
+        // Language
+        document.getElementById('language-select').addEventListener('change', (e) => {
+            this.settings.set({ language: e.target.value || null });
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.key === 's') {
                 e.preventDefault();
-                this.triggerSOS();
+                this.triggerSOS({ trigger: 'keyboard' });
+            }
+            if (e.key === 'Escape' && this.sosCountdown) {
+                this.cancelSOS();
             }
             if (e.ctrlKey && e.key === 'v') {
                 e.preventDefault();
@@ -111,591 +477,2930 @@ class NavRaksha {
         event.preventDefault();
         
         const formData = new FormData(event.target);
+
+        // The first registration sets the PIN that encrypts the profile
+        if (!Vault.isConfigured()) {
+            if (formData.get('pin') !== formData.get('pinConfirm')) {
+                alert(I18n.t('lock.pinMismatch'));
+                return;
+            }
+
+            try {
+                await this.vault.setup(formData.get('pin'));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+        } else if (!this.vault.isUnlocked()) {
+            this.updateLockState();
+            return;
+        }
+
+        const previous = this.editingProfile ? this.userData : null;
         this.userData = {
             name: formData.get('name'),
             email: formData.get('email'),
             phone: formData.get('phone'),
-            emergencyContact: formData.get('emergencyContact'),
             bloodGroup: formData.get('bloodGroup'),
             allergies: formData.get('allergies'),
-            registrationTime: new Date().toISOString()
+            registrationTime: previous ? previous.registrationTime : new Date().toISOString()
         };
+        if (previous) {
+            this.userData.updatedTime = new Date().toISOString();
+        }
 
-        // Generate blockchain-style ID (UUID + hash)
-        this.userId = this.generateBlockchainId(this.userData);
-        
-        // Store data locally
-        localStorage.setItem('navraksha_user_data', JSON.stringify(this.userData));
-        localStorage.setItem('navraksha_user_id', this.userId);
-
-        // Generate and display QR code
+        // Store data locally: the profile under the PIN, the medical card under the device key
+        try {
+            await Profile.save(this.vault, this.userData);
+        } catch (error) {
+            console.error('❌ Failed to save profile:', error);
+            alert(I18n.t('profile.saveFailed'));
+            return;
+        }
+        this.medicalCard = Profile.toMedicalCard(this.userData);
+        this.saveCheckInEscalation();
+        this.editingProfile = false;
+        event.target.reset();
+        this.updateLockState();
+
+        // Sign a credential with the device key (its fingerprint becomes the user ID) and show the QR code.
+        // Edited card details no longer match the stored credential, so it is re-issued.
         await this.displayDigitalId();
         
-        console.log('✅ User registered with ID:', this.userId);
+        console.log(previous ? '✅ Profile updated for ID:' : '✅ User registered with ID:', this.userId);
     }
 
     /**
-     * Generate a blockchain-style unique ID
+     * Show the registration form until there is a profile, then the profile summary
      */
-    generateBlockchainId(userData) {
-        const timestamp = Date.now();
-        const randomBytes = new Uint8Array(16);
-        crypto.getRandomValues(randomBytes);
-        
-        const dataString = JSON.stringify(userData) + timestamp;
-        const hash = this.simpleHash(dataString);
-        
-        return `NR-${hash.substring(0, 8)}-${timestamp.toString(36).toUpperCase()}`;
+    renderProfile() {
+        const registered = Boolean(this.medicalCard);
+        const editing = registered && this.editingProfile;
+
+        document.getElementById('registration-form').style.display = registered && !editing ? 'none' : '';
+        document.getElementById('registration-cancel').style.display = editing ? '' : 'none';
+        I18n.localize(document.getElementById('registration-submit'), editing ? 'register.save' : 'register.submit');
+        document.getElementById('profile-summary').style.display = registered && !editing ? '' : 'none';
+
+        if (!registered) return;
+
+        // Email is only in the encrypted profile; the rest is on the medical card too
+        const profile = this.userData || this.medicalCard;
+        document.getElementById('profile-name').textContent = profile.name;
+        document.getElementById('profile-email').textContent = profile.email || '—';
+        document.getElementById('profile-phone').textContent = profile.phone || '—';
+        document.getElementById('profile-blood').textContent = profile.bloodGroup || I18n.t('common.unknown');
+        document.getElementById('profile-allergies').textContent = profile.allergies || I18n.t('common.noneRecorded');
     }
 
     /**
-     * Simple hash function for ID generation
+     * Fill the registration form with the current profile for editing
      */
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    editProfile() {
+        if (!this.userData) {
+            this.updateLockState();
+            return;
         }
-        return Math.abs(hash).toString(16);
+
+        const form = document.getElementById('registration-form');
+        ['name', 'email', 'phone', 'bloodGroup', 'allergies'].forEach((field) => {
+            form.elements[field].value = this.userData[field] || '';
+        });
+
+        this.editingProfile = true;
+        this.renderProfile();
+        form.elements.name.focus();
+    }
+
+    cancelProfileEdit() {
+        this.editingProfile = false;
+        document.getElementById('registration-form').reset();
+        this.renderProfile();
     }
 
     /**
-     * Display digital ID with QR code
+     * Download everything stored about the user as one JSON file
      */
-    async displayDigitalId() {
-        const digitalIdSection = document.getElementById('digital-id');
-        const qrCodeContainer = document.getElementById('qr-code');
-        
-        // Generate QR code
-        const qrData = JSON.stringify({
-            id: this.userId,
-            name: this.userData.name,
-            emergency: this.userData.emergencyContact,
-            blood: this.userData.bloodGroup,
-            allergies: this.userData.allergies
-        });
-        
+    async exportUserData() {
+        if (!this.vault.isUnlocked()) {
+            this.updateLockState();
+            return;
+        }
+
+        let bundle;
         try {
-            await QRCode.toCanvas(qrCodeContainer, qrData, {
-                width: 150,
-                margin: 2,
-                color: {
-                    dark: '#dc2626',
-                    light: '#ffffff'
-                }
+            bundle = await UserData.collect({
+                vault: this.vault,
+                locationHistory: this.locationHistory,
+                eventLog: this.eventLog,
+                outbox: this.outbox,
+                zoneStore: this.zoneStore,
+                checkInStore: this.checkInStore
             });
         } catch (error) {
-            console.error('QR Code generation failed:', error);
-            qrCodeContainer.innerHTML = '<div style="width:150px;height:150px;background:#f3f4f6;display:flex;align-items:center;justify-content:center;border-radius:8px;">QR Code</div>';
+            console.error('❌ Failed to export data:', error);
+            alert(I18n.t('profile.exportFailed'));
+            return;
         }
 
-        // Update ID details
-        document.getElementById('user-id').textContent = this.userId;
-        document.getElementById('user-name').textContent = this.userData.name;
-        document.getElementById('generation-time').textContent = new Date().toLocaleString();
-        
-        digitalIdSection.style.display = 'block';
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `navraksha-data-${bundle.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        console.log('📤 Exported user data');
     }
 
     /**
-     * Initialize geolocation tracking
+     * Delete everything the app stores on this device and start over
      */
-    initializeGeolocation() {
-        if (!navigator.geolocation) {
-            console.error('❌ Geolocation not supported');
+    async eraseAllData() {
+        const warning = I18n.t(this.emergencySession ? 'profile.eraseConfirmSession' : 'profile.eraseConfirm');
+        if (!confirm(warning)) {
             return;
         }
 
-        const options = {
-            enableHighAccuracy: true,
-            timeout: 10000,
-            maximumAge: 60000
-        };
+        // Stop everything that writes to storage before deleting it
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+        this.stopVoiceRecognition();
+        clearTimeout(this.checkInTimer);
+        this.vault.lock();
+
+        // Unsubscribe while the device secret the backend checks is still stored
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration && registration.pushManager) {
+            await PushNotifications.unsubscribe(registration)
+                .catch(error => console.warn('⚠️ Push subscription not removed:', error.message));
+        }
 
-        // Get initial position
-        navigator.geolocation.getCurrentPosition(
-            (position) => this.handleLocationUpdate(position),
-            (error) => this.handleLocationError(error),
-            options
-        );
+        try {
+            await UserData.erase();
+        } catch (error) {
+            console.error('❌ Failed to erase data:', error);
+            alert(I18n.t('profile.eraseFailed'));
+            return;
+        }
 
-        // Start watching position
-        this.watchId = navigator.geolocation.watchPosition(
-            (position) => this.handleLocationUpdate(position),
-            (error) => this.handleLocationError(error),
-            options
-        );
+        if (registration && registration.active) {
+            registration.active.postMessage({ type: 'DATA_ERASED' });
+        }
 
-        console.log('📍 Geolocation tracking started');
+        console.log('🗑️ All user data erased');
+        window.location.replace('/');
     }
 
     /**
-     * Handle location updates
+     * Load the medical card and emergency contacts (device key, no PIN needed), then show the lock screen if needed
      */
-    handleLocationUpdate(position) {
-        this.currentPosition = position;
-        
-        // Update GPS status
-        const gpsStatus = document.getElementById('gps-status').querySelector('.status-dot');
-        gpsStatus.classList.remove('offline');
-        gpsStatus.classList.add('online');
+    async loadEmergencyData() {
+        const legacyProfile = Profile.loadLegacy();
 
-        // Update location info
-        const locationInfo = document.getElementById('location-info');
-        locationInfo.textContent = `Lat: ${position.coords.latitude.toFixed(6)}, Lng: ${position.coords.longitude.toFixed(6)}`;
+        try {
+            this.medicalCard = await Profile.loadMedicalCard();
+            if (!this.medicalCard && legacyProfile) {
+                this.medicalCard = Profile.toMedicalCard(legacyProfile);
+                await Profile.saveMedicalCard(this.medicalCard);
+            }
 
-        // Update map
-        if (this.map) {
-            this.updateMapPosition(position);
+            // Convert the single contact from older registrations
+            this.emergencyContacts = await EmergencyContacts.migrateLegacy(legacyProfile) || await EmergencyContacts.load();
+        } catch (error) {
+            console.error('❌ Failed to load emergency data:', error);
         }
 
-        // Check geofence
-        this.checkGeofence(position);
-
-        // Queue location update if offline
-        if (!navigator.onLine) {
-            this.queueEvent('location_update', {
-                latitude: position.coords.latitude,
-                longitude: position.coords.longitude,
-                timestamp: Date.now()
-            });
+        this.renderContacts();
+        if (this.userId && this.medicalCard) {
+            this.displayDigitalId();
         }
 
-        console.log('📍 Location updated:', position.coords.latitude, position.coords.longitude);
+        this.updateLockState();
     }
 
     /**
-     * Handle location errors
+     * Show the lock screen while the vault is locked, or the PIN setup for data from before encryption
      */
-    handleLocationError(error) {
-        console.error('❌ Location error:', error.message);
-        
-        const gpsStatus = document.getElementById('gps-status').querySelector('.status-dot');
-        gpsStatus.classList.remove('online');
-        gpsStatus.classList.add('offline');
-
-        const locationInfo = document.getElementById('location-info');
-        locationInfo.textContent = `Error: ${error.message}`;
-    }
+    updateLockState() {
+        const configured = Vault.isConfigured();
+        const needsSetup = !configured && Profile.loadLegacy() !== null;
+        const locked = needsSetup || (configured && !this.vault.isUnlocked());
+
+        document.getElementById('lock-screen').style.display = locked ? 'flex' : 'none';
+        document.getElementById('unlock-form').style.display = configured ? '' : 'none';
+        document.getElementById('pin-setup-form').style.display = needsSetup ? '' : 'none';
+        document.getElementById('lock-button').style.display = configured && !locked ? '' : 'none';
+
+        // Registration asks for a PIN only until one exists
+        const pinFields = document.getElementById('registration-pin-fields');
+        pinFields.style.display = configured ? 'none' : '';
+        pinFields.querySelectorAll('input').forEach((input) => {
+            input.required = !configured;
+        });
 
-    /**
-     * Initialize the map
-     */
-    initializeMap() {
-        // Initialize Leaflet map
-        this.map = L.map('map').setView([28.6139, 77.2090], 13); // Default to Delhi
+        const card = this.medicalCard;
+        document.getElementById('lock-medical-card').style.display = card ? '' : 'none';
+        if (card) {
+            document.getElementById('card-name').textContent = card.name;
+            document.getElementById('card-blood').textContent = card.bloodGroup || I18n.t('common.unknown');
+            document.getElementById('card-allergies').textContent = card.allergies || I18n.t('common.noneRecorded');
+
+            const phone = this.getPrimaryContactPhone();
+            const contactLink = document.getElementById('card-contact');
+            contactLink.textContent = phone || I18n.t('common.none');
+            if (phone) {
+                contactLink.href = `tel:${phone}`;
+            } else {
+                contactLink.removeAttribute('href');
+            }
+        }
 
-        // Add OpenStreetMap tiles
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors'
-        }).addTo(this.map);
+        this.renderProfile();
 
-        console.log('🗺️ Map initialized');
+        if (locked) {
+            document.getElementById(needsSetup ? 'setup-pin' : 'unlock-pin').focus();
+        }
     }
 
-    /**
-     * Update map position with user location
-     */
-    updateMapPosition(position) {
-        const lat = position.coords.latitude;
-        const lng = position.coords.longitude;
+    async unlockFromForm(event) {
+        event.preventDefault();
 
-        // Update or create user marker
-        if (this.userMarker) {
-            this.userMarker.setLatLng([lat, lng]);
-        } else {
-            this.userMarker = L.marker([lat, lng], {
-                icon: L.divIcon({
-                    className: 'user-marker',
-                    html: '📍',
-                    iconSize: [30, 30],
-                    iconAnchor: [15, 15]
-                })
-            }).addTo(this.map);
+        const errorElement = document.getElementById('lock-error');
+        const pinInput = document.getElementById('unlock-pin');
+        errorElement.textContent = '';
+
+        try {
+            await this.vault.unlock(pinInput.value);
+        } catch (error) {
+            errorElement.textContent = error instanceof VaultError ? error.message : I18n.t('lock.unlockFailed');
+            console.error('❌ Unlock failed:', error);
         }
 
-        // Center map on user location
-        this.map.setView([lat, lng], this.map.getZoom());
+        pinInput.value = '';
     }
 
     /**
-     * Set safe zone around current location
+     * Choose a PIN for data stored in plain text by older versions, and encrypt it
      */
-    setSafeZone() {
-        if (!this.currentPosition) {
-            alert('Location not available. Please wait for GPS to acquire your position.');
-            return;
-        }
-
-        const lat = this.currentPosition.coords.latitude;
-        const lng = this.currentPosition.coords.longitude;
+    async setupPinFromForm(event) {
+        event.preventDefault();
 
-        this.safeZoneCenter = [lat, lng];
+        const formData = new FormData(event.target);
+        const errorElement = document.getElementById('lock-error');
+        errorElement.textContent = '';
 
-        // Remove existing safe zone
-        if (this.safeZoneCircle) {
-            this.map.removeLayer(this.safeZoneCircle);
+        if (formData.get('pin') !== formData.get('pinConfirm')) {
+            errorElement.textContent = I18n.t('lock.pinMismatch');
+            return;
         }
 
-        // Create new safe zone circle
-        this.safeZoneCircle = L.circle([lat, lng], {
-            color: '#059669',
-            fillColor: '#059669',
-            fillOpacity: 0.2,
-            radius: this.safeZoneRadius
-        }).addTo(this.map);
+        try {
+            await this.vault.setup(formData.get('pin'));
+        } catch (error) {
+            errorElement.textContent = error.message;
+            return;
+        }
 
-        // Update status
-        document.getElementById('safe-zone-status').textContent = `Active (${this.safeZoneRadius}m)`;
-        
-        console.log('✅ Safe zone set:', lat, lng, this.safeZoneRadius);
+        event.target.reset();
     }
 
     /**
-     * Clear safe zone
+     * Decrypt the profile and history, migrating anything still in plain text
      */
-    clearSafeZone() {
-        if (this.safeZoneCircle) {
-            this.map.removeLayer(this.safeZoneCircle);
-            this.safeZoneCircle = null;
-            this.safeZoneCenter = null;
-        }
-
-        document.getElementById('safe-zone-status').textContent = 'Not set';
-        console.log('🗑️ Safe zone cleared');
+    async handleVaultUnlocked() {
+        try {
+            const legacyProfile = Profile.loadLegacy();
+            if (legacyProfile) {
+                await Profile.save(this.vault, legacyProfile);
+                Profile.removeLegacy();
+                console.log('🔐 Profile encrypted');
+            }
+
+            // Registration may already have set a newer profile
+            const profile = await Profile.load(this.vault);
+            if (profile) {
+                this.userData = profile;
+            }
+
+            const encrypted = await this.locationHistory.encryptLegacy();
+            if (encrypted > 0) {
+                console.log(`🔐 Encrypted ${encrypted} location history point(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load encrypted data:', error);
+        }
+
+        this.updateLockState();
+        this.refreshTrail();
+        console.log('🔓 Unlocked');
+    }
+
+    handleVaultLocked() {
+        this.userData = null;
+
+        this.updateLockState();
+        this.refreshTrail();
+        console.log('🔒 Locked');
+    }
+
+    /**
+     * Display digital ID with QR code
+     */
+    async displayDigitalId() {
+        const digitalIdSection = document.getElementById('digital-id');
+        const qrCodeContainer = document.getElementById('qr-code');
+
+        let credential;
+        try {
+            credential = await this.ensureCredential();
+        } catch (error) {
+            console.error('❌ Failed to issue digital ID:', error);
+            return;
+        }
+        
+        // Generate QR code from the signed credential
+        const canvas = document.createElement('canvas');
+        try {
+            await QRCode.toCanvas(canvas, credential.token, {
+                errorCorrectionLevel: 'M',
+                width: 200,
+                margin: 2,
+                color: {
+                    dark: '#dc2626',
+                    light: '#ffffff'
+                }
+            });
+            qrCodeContainer.replaceChildren(canvas);
+        } catch (error) {
+            console.error('QR Code generation failed:', error);
+            qrCodeContainer.innerHTML = `<div style="width:150px;height:150px;background:#f3f4f6;display:flex;align-items:center;justify-content:center;border-radius:8px;">${I18n.t('id.qrUnavailable')}</div>`;
+        }
+
+        // Update ID details
+        document.getElementById('user-id').textContent = credential.id;
+        document.getElementById('user-name').textContent = credential.name;
+        document.getElementById('generation-time').textContent = I18n.formatDateTime(credential.issuedAt);
+        document.getElementById('credential-expiry').textContent = I18n.formatDate(credential.expiresAt);
+        
+        digitalIdSection.style.display = 'block';
+    }
+
+    /**
+     * Signed credential for the QR code, re-issued when missing, close to expiry,
+     * signed by another key, or out of date with the medical card
+     */
+    async ensureCredential() {
+        const identity = await IdentityKey.loadOrCreate();
+        const claims = this.getCredentialClaims();
+        let token = null;
+        try {
+            token = await Profile.loadCredential();
+        } catch (error) {
+            console.error('❌ Failed to load digital ID:', error);
+        }
+
+        if (token) {
+            try {
+                const credential = await Credential.verify(token, Date.now() + 24 * 60 * 60 * 1000);
+                const current = credential.id === identity.id &&
+                    Object.keys(claims).every(field => credential[field] === claims[field]);
+
+                if (current) {
+                    this.setUserId(credential.id);
+                    return { ...credential, token };
+                }
+            } catch (error) {
+                console.log(`🪪 Re-issuing digital ID (${error.code || error.message})`);
+            }
+        }
+
+        return this.issueCredential(identity);
+    }
+
+    getCredentialClaims() {
+        return {
+            name: this.medicalCard.name,
+            bloodGroup: this.medicalCard.bloodGroup,
+            allergies: this.medicalCard.allergies,
+            emergency: this.getPrimaryContactPhone()
+        };
+    }
+
+    /**
+     * Sign and store a new credential, checking it verifies before it is shown
+     */
+    async issueCredential(identity) {
+        const token = await Credential.issue(identity, this.getCredentialClaims());
+        const credential = await Credential.verify(token);
+
+        await Profile.saveCredential(token);
+        this.setUserId(credential.id);
+
+        console.log('🪪 Digital ID issued:', credential.id);
+        return { ...credential, token };
+    }
+
+    setUserId(userId) {
+        this.userId = userId;
+        localStorage.setItem('navraksha_user_id', userId);
+
+        // SOS acknowledgements are pushed to the devices linked to the user ID
+        if (this.swRegistration && document.getElementById('push-alerts').checked) this.registerPush();
+    }
+
+    /**
+     * Re-issue the credential with the current key, e.g. to extend its validity
+     */
+    async reissueDigitalId() {
+        try {
+            await this.issueCredential(await IdentityKey.loadOrCreate());
+        } catch (error) {
+            console.error('❌ Failed to re-issue digital ID:', error);
+            alert(I18n.t('id.reissueFailed'));
+            return;
+        }
+        await this.displayDigitalId();
+    }
+
+    /**
+     * Replace the signing key. The ID is derived from the key, so this also changes the ID.
+     */
+    async rotateIdentityKey() {
+        if (!confirm(I18n.t('id.rotateConfirm'))) {
+            return;
+        }
+
+        try {
+            await this.issueCredential(await IdentityKey.generate());
+        } catch (error) {
+            console.error('❌ Failed to rotate identity key:', error);
+            alert(I18n.t('id.rotateFailed'));
+            return;
+        }
+        await this.displayDigitalId();
+    }
+
+    /**
+     * Phone number of the first-tier contact, for the QR code
+     */
+    getPrimaryContactPhone() {
+        const primary = this.emergencyContacts.find(contact => contact.phone);
+        return primary ? primary.phone : '';
+    }
+
+    /**
+     * List emergency contacts grouped by tier
+     */
+    renderContacts() {
+        const list = document.getElementById('contact-list');
+        list.replaceChildren();
+
+        this.emergencyContacts.forEach((contact) => {
+            const item = document.createElement('li');
+            item.className = 'contact-item';
+
+            const label = document.createElement('span');
+            label.className = 'contact-label';
+            const details = [contact.relationship, contact.phone, contact.email].filter(Boolean).join(' · ');
+            const tier = I18n.t('contacts.tierName', { tier: contact.priority });
+            label.textContent = `${tier} · ${contact.name}${details ? ` · ${details}` : ''}`;
+            item.appendChild(label);
+
+            [['edit', I18n.t('common.edit')], ['delete', I18n.t('common.delete')]].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'contact-action';
+                button.dataset.action = action;
+                button.dataset.contactId = contact.id;
+                button.textContent = text;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Add or update a contact from the contact form
+     */
+    saveContactFromForm(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const fields = {
+            name: formData.get('name').trim(),
+            relationship: formData.get('relationship').trim(),
+            phone: formData.get('phone').trim(),
+            email: formData.get('email').trim(),
+            priority: parseInt(formData.get('priority')) || 1
+        };
+
+        const problem = EmergencyContacts.validate(fields);
+        if (problem) {
+            alert(I18n.t(problem));
+            return;
+        }
+
+        if (this.editingContactId) {
+            this.emergencyContacts = this.emergencyContacts.map(contact =>
+                contact.id === this.editingContactId ? { ...contact, ...fields } : contact
+            );
+        } else {
+            this.emergencyContacts.push(EmergencyContacts.create(fields));
+        }
+
+        this.emergencyContacts = EmergencyContacts.sort(this.emergencyContacts);
+        EmergencyContacts.save(this.emergencyContacts)
+            .catch(error => console.error('❌ Failed to save emergency contacts:', error));
+        this.saveCheckInEscalation();
+
+        this.resetContactForm();
+        this.renderContacts();
+        if (this.userId && this.medicalCard) {
+            this.displayDigitalId();
+        }
+
+        console.log('✅ Emergency contact saved:', fields.name);
+    }
+
+    /**
+     * Load a contact into the form for editing
+     */
+    editContact(contact) {
+        if (!contact) return;
+
+        this.editingContactId = contact.id;
+        document.getElementById('contact-name').value = contact.name;
+        document.getElementById('contact-relationship').value = contact.relationship;
+        document.getElementById('contact-phone').value = contact.phone;
+        document.getElementById('contact-email').value = contact.email;
+        document.getElementById('contact-priority').value = contact.priority;
+        I18n.localize(document.getElementById('contact-submit'), 'contacts.save');
+        document.getElementById('contact-cancel').style.display = '';
+        document.getElementById('contact-name').focus();
+    }
+
+    /**
+     * Clear the contact form back to "add" mode
+     */
+    resetContactForm() {
+        this.editingContactId = null;
+        document.getElementById('contact-form').reset();
+        I18n.localize(document.getElementById('contact-submit'), 'contacts.add');
+        document.getElementById('contact-cancel').style.display = 'none';
+    }
+
+    /**
+     * Remove a contact
+     */
+    deleteContact(contact) {
+        if (!contact || !confirm(I18n.t('contacts.removeConfirm', { name: contact.name }))) return;
+
+        this.emergencyContacts = this.emergencyContacts.filter(candidate => candidate.id !== contact.id);
+        EmergencyContacts.save(this.emergencyContacts)
+            .catch(error => console.error('❌ Failed to save emergency contacts:', error));
+        this.saveCheckInEscalation();
+
+        if (this.editingContactId === contact.id) {
+            this.resetContactForm();
+        }
+        this.renderContacts();
+
+        console.log('🗑️ Emergency contact removed:', contact.name);
+    }
+
+    /**
+     * Initialize geolocation tracking
+     */
+    initializeGeolocation() {
+        if (!navigator.geolocation) {
+            console.error('❌ Geolocation not supported');
+            return;
+        }
+
+        const options = {
+            enableHighAccuracy: true,
+            timeout: this.settings.get('geolocationTimeout') * 1000,
+            maximumAge: this.settings.get('geolocationMaximumAge') * 1000
+        };
+
+        // Get initial position
+        navigator.geolocation.getCurrentPosition(
+            (position) => this.handleLocationUpdate(position),
+            (error) => this.handleLocationError(error),
+            options
+        );
+
+        // Start watching position
+        this.watchId = navigator.geolocation.watchPosition(
+            (position) => this.handleLocationUpdate(position),
+            (error) => this.handleLocationError(error),
+            options
+        );
+
+        console.log('📍 Geolocation tracking started');
+    }
+
+    /**
+     * Handle location updates
+     */
+    handleLocationUpdate(position) {
+        this.currentPosition = position;
+
+        if (Date.now() - (this.checkInEscalationSavedAt || 0) >= CHECK_IN_ESCALATION_REFRESH) {
+            this.saveCheckInEscalation();
+        }
+        
+        // Update GPS status
+        const gpsStatus = document.getElementById('gps-status').querySelector('.status-dot');
+        gpsStatus.classList.remove('offline');
+        gpsStatus.classList.add('online');
+
+        // Update location info
+        const locationInfo = document.getElementById('location-info');
+        I18n.localize(locationInfo, 'dashboard.coordinates', {
+            latitude: position.coords.latitude.toFixed(6),
+            longitude: position.coords.longitude.toFixed(6)
+        });
+
+        // Update map
+        if (this.map) {
+            this.updateMapPosition(position);
+        }
+
+        // Check geofence
+        this.checkGeofence(position);
+        this.checkAdvisories(position);
+
+        // Re-rank nearby help once the user has moved a little
+        if (!this.helpOrigin || this.calculateDistance(
+            this.helpOrigin.latitude, this.helpOrigin.longitude, position.coords.latitude, position.coords.longitude
+        ) >= HELP_POINTS_REFRESH_DISTANCE) {
+            this.updateNearestHelp();
+        }
+
+        // Keep a rolling history for the trail and exports
+        this.recordHistory(position);
+
+        // Stream breadcrumbs while an emergency is active
+        if (this.emergencySession) {
+            this.recordBreadcrumb(position);
+        }
+
+        // Queue location update if offline
+        if (!navigator.onLine) {
+            this.queueEvent('location_update', {
+                userId: this.userId,
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy,
+                timestamp: Date.now()
+            });
+        }
+
+        console.log('📍 Location updated:', position.coords.latitude, position.coords.longitude);
+    }
+
+    /**
+     * Handle location errors
+     */
+    handleLocationError(error) {
+        console.error('❌ Location error:', error.message);
+        
+        const gpsStatus = document.getElementById('gps-status').querySelector('.status-dot');
+        gpsStatus.classList.remove('online');
+        gpsStatus.classList.add('offline');
+
+        const locationInfo = document.getElementById('location-info');
+        I18n.localize(locationInfo, 'dashboard.locationError', { message: error.message });
+    }
+
+    /**
+     * Initialize the map
+     */
+    initializeMap() {
+        // Initialize Leaflet map
+        this.map = L.map('map').setView([28.6139, 77.2090], 13); // Default to Delhi
+
+        // Add OpenStreetMap tiles
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(this.map);
+
+        // Map clicks place polygon corners while a zone is being drawn
+        this.map.on('click', (e) => this.addPolygonPoint(e.latlng));
+
+        console.log('🗺️ Map initialized');
+    }
+
+    /**
+     * Offline maps: drop expired packs and keep the download estimate in step with the map
+     */
+    async initializeTilePacks() {
+        const zoom = Math.min(this.map.getZoom(), TILE_PACK_OPTIONS.maxZoom);
+        document.getElementById('tile-pack-min-zoom').value = zoom;
+        document.getElementById('tile-pack-max-zoom').value = Math.min(zoom + 3, TILE_PACK_OPTIONS.maxZoom);
+        this.map.on('moveend', () => this.updateTilePackEstimate());
+        this.updateTilePackEstimate();
+
+        // Expired maps are kept while offline; they go once there is a connection to replace them
+        window.addEventListener('online', () => this.pruneTilePacks());
+        await this.pruneTilePacks();
+    }
+
+    async pruneTilePacks() {
+        try {
+            const expired = await this.tilePackStore.pruneExpired();
+            expired.forEach(pack => console.log('🗑️ Offline map expired:', pack.name));
+        } catch (error) {
+            console.error('❌ Failed to remove expired offline maps:', error);
+        }
+        await this.loadTilePacks();
+    }
+
+    /**
+     * The visible map area and the zoom range chosen for download
+     */
+    getTilePackArea() {
+        const bounds = this.map.getBounds();
+        return {
+            bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+            minZoom: parseInt(document.getElementById('tile-pack-min-zoom').value),
+            maxZoom: parseInt(document.getElementById('tile-pack-max-zoom').value)
+        };
+    }
+
+    updateTilePackEstimate() {
+        const estimate = document.getElementById('tile-pack-estimate');
+        const area = this.getTilePackArea();
+
+        try {
+            TilePacks.validate(area);
+        } catch (error) {
+            I18n.localize(estimate, `tiles.error.${error.code}`, { max: I18n.formatNumber(TILE_PACK_OPTIONS.maxTiles) });
+            return;
+        }
+
+        const { tiles, bytes } = TilePacks.estimate(area);
+        I18n.localize(estimate, 'tiles.estimate', { count: tiles, tiles: I18n.formatNumber(tiles), size: this.formatSize(bytes) });
+    }
+
+    formatSize(bytes) {
+        return I18n.t('unit.megabytes', { value: I18n.formatNumber(bytes / (1024 * 1024), { maximumFractionDigits: 1 }) });
+    }
+
+    async downloadTilePackFromForm(event) {
+        event.preventDefault();
+
+        const name = document.getElementById('tile-pack-name').value.trim();
+        if (!name) return;
+
+        const pack = await this.downloadTilePack({ name, ...this.getTilePackArea() });
+        if (pack) document.getElementById('tile-pack-name').value = '';
+    }
+
+    /**
+     * Download a tile pack, or refresh one already saved, with a progress bar and Cancel.
+     * Resolves to the saved pack, or null if the download failed or was cancelled.
+     */
+    async downloadTilePack(area) {
+        if (this.tilePackDownload) return null;
+
+        const controller = new AbortController();
+        const progress = document.getElementById('tile-pack-progress');
+        this.tilePackDownload = controller;
+        this.showTilePackDownload(true);
+        progress.value = 0;
+
+        try {
+            const pack = await this.tilePackStore.download(area, {
+                signal: controller.signal,
+                onProgress: (done, total) => { progress.value = done / total; }
+            });
+
+            // Ask the browser not to clear the tiles when storage runs low
+            if (navigator.storage && navigator.storage.persist) {
+                await navigator.storage.persist();
+            }
+
+            console.log(`🗺️ Offline map saved: ${pack.name} (${pack.tiles} tiles, ${pack.bytes} bytes)`);
+            if (pack.failed > 0) {
+                alert(I18n.t('tiles.partial', { name: pack.name, count: pack.failed }));
+            }
+            return pack;
+        } catch (error) {
+            if (!(error instanceof TilePackError)) {
+                console.error('❌ Offline map download failed:', error);
+                alert(I18n.t('tiles.error.failed'));
+            } else if (error.code !== 'aborted') {
+                alert(I18n.t(`tiles.error.${error.code}`, { max: I18n.formatNumber(TILE_PACK_OPTIONS.maxTiles) }));
+            }
+            return null;
+        } finally {
+            this.tilePackDownload = null;
+            this.showTilePackDownload(false);
+            await this.loadTilePacks();
+        }
+    }
+
+    showTilePackDownload(downloading) {
+        document.getElementById('tile-pack-download').disabled = downloading;
+        document.getElementById('tile-pack-cancel').style.display = downloading ? 'inline-flex' : 'none';
+        document.getElementById('tile-pack-progress').style.display = downloading ? 'block' : 'none';
+        document.querySelectorAll('#tile-pack-list .tile-pack-action').forEach((button) => {
+            button.disabled = downloading;
+        });
+    }
+
+    async loadTilePacks() {
+        try {
+            this.tilePacks = await this.tilePackStore.getAll();
+        } catch (error) {
+            console.error('❌ Failed to load offline maps:', error);
+        }
+        this.renderTilePacks();
+    }
+
+    /**
+     * Delete an offline map and the tiles no other pack uses
+     */
+    async deleteTilePack(pack) {
+        if (!pack || !confirm(I18n.t('tiles.deleteConfirm', { name: pack.name }))) return;
+
+        try {
+            await this.tilePackStore.remove(pack);
+            console.log('🗑️ Offline map deleted:', pack.name);
+        } catch (error) {
+            console.error('❌ Failed to delete offline map:', error);
+        }
+        await this.loadTilePacks();
+    }
+
+    renderTilePacks() {
+        const list = document.getElementById('tile-pack-list');
+        list.replaceChildren();
+
+        this.tilePacks.forEach((pack) => {
+            const item = document.createElement('li');
+            item.className = 'tile-pack-item';
+
+            const label = document.createElement('span');
+            label.className = 'tile-pack-label';
+            const zoom = I18n.t('tiles.zoomRange', { min: pack.minZoom, max: pack.maxZoom });
+            const expires = I18n.t(pack.stale ? 'tiles.stale' : 'tiles.expires', { date: I18n.formatDate(pack.expiresAt) });
+            label.textContent = `${pack.name} · ${zoom} · ${this.formatSize(pack.bytes)} · ${expires}`;
+            item.appendChild(label);
+
+            [['show', I18n.t('tiles.show')], ['update', I18n.t('tiles.update')], ['delete', I18n.t('common.delete')]].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'tile-pack-action';
+                button.dataset.action = action;
+                button.dataset.packId = pack.id;
+                button.textContent = text;
+                button.disabled = Boolean(this.tilePackDownload);
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Advisory overlay: draw the stored feeds, then refresh the ones loaded from a URL
+     */
+    async initializeAdvisories() {
+        this.advisoryLayer = L.layerGroup();
+        await this.loadAdvisoryFeeds();
+
+        const refresh = async () => {
+            try {
+                const updated = await this.advisoryStore.refreshStale();
+                if (updated.length > 0) await this.loadAdvisoryFeeds();
+            } catch (error) {
+                console.error('❌ Failed to refresh advisories:', error);
+            }
+        };
+        if (navigator.onLine) refresh();
+        window.addEventListener('online', refresh);
+    }
+
+    async loadAdvisoryFeeds() {
+        try {
+            this.advisoryFeeds = await this.advisoryStore.getAll();
+        } catch (error) {
+            console.error('❌ Failed to load advisories:', error);
+        }
+
+        this.drawnAdvisories = '';
+        this.renderAdvisories();
+        this.renderAdvisoryFeeds();
+        if (this.currentPosition) this.checkAdvisories(this.currentPosition);
+        console.log(`🚧 ${this.advisoryFeeds.length} advisory feed(s) loaded`);
+    }
+
+    /**
+     * Advisories in force now, from every feed
+     */
+    getActiveAdvisories() {
+        const now = Date.now();
+        return this.advisoryFeeds.flatMap(feed => feed.advisories).filter(advisory => Advisories.isActive(advisory, now));
+    }
+
+    /**
+     * Draw the advisories in force, styled by severity. Skipped when the same ones are already drawn.
+     */
+    renderAdvisories(advisories = this.getActiveAdvisories()) {
+        const drawn = advisories.map(advisory => advisory.id).join();
+        if (drawn === this.drawnAdvisories) return;
+        this.drawnAdvisories = drawn;
+
+        this.advisoryLayer.clearLayers();
+        advisories.forEach((advisory) => {
+            const { color, fillOpacity } = ADVISORY_SEVERITIES[advisory.severity];
+            L.polygon(advisory.polygons, { color, fillColor: color, fillOpacity, weight: 2 })
+                .bindPopup(() => this.createAdvisoryPopup(advisory))
+                .addTo(this.advisoryLayer);
+        });
+
+        this.showAdvisoryLayer(this.settings.get('showAdvisories'));
+    }
+
+    showAdvisoryLayer(visible) {
+        if (!this.advisoryLayer || !this.map) return;
+
+        if (visible) {
+            this.advisoryLayer.addTo(this.map);
+        } else {
+            this.advisoryLayer.remove();
+        }
+    }
+
+    /**
+     * One-line summary of an advisory: its severity, category and end time
+     */
+    describeAdvisory(advisory) {
+        const parts = [I18n.t(ADVISORY_SEVERITIES[advisory.severity].label)];
+        if (advisory.category) parts.push(advisory.category);
+        if (advisory.validUntil) parts.push(I18n.t('advisories.until', { date: I18n.formatDateTime(advisory.validUntil) }));
+        return parts.join(' · ');
+    }
+
+    createAdvisoryPopup(advisory) {
+        const popup = document.createElement('div');
+        popup.className = 'advisory-popup';
+
+        const name = document.createElement('strong');
+        name.textContent = advisory.name || I18n.t('advisories.unnamed');
+        popup.appendChild(name);
+
+        [this.describeAdvisory(advisory), advisory.description].filter(Boolean).forEach((text) => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            popup.appendChild(line);
+        });
+
+        return popup;
+    }
+
+    /**
+     * Warn on entering an advisory area. Independent of the safe zones: a user can be in
+     * their safe zone and an advisory area at once, and each gets its own alert.
+     */
+    checkAdvisories(position) {
+        const advisories = this.getActiveAdvisories();
+        this.renderAdvisories(advisories);
+
+        const events = this.advisoryMonitor.update(advisories, {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp || Date.now()
+        });
+
+        events.forEach((event) => {
+            const advisory = advisories.find(candidate => candidate.id === event.zoneId);
+            console.log(`🚧 Advisory ${event.type}:`, event.zoneName);
+            // The event log isn't encrypted, so the position stays out of it
+            const { location, ...details } = event;
+            this.eventLog.record(`advisory_${event.type}`, { ...details, severity: advisory.severity });
+
+            if (event.type === 'enter') {
+                this.triggerAdvisoryAlert(advisory);
+            } else if (event.zoneId === this.shownAdvisoryId) {
+                this.closeAdvisoryAlert();
+            }
+        });
+    }
+
+    /**
+     * Show the advisory warning; it stays until closed or until the user leaves the area
+     */
+    triggerAdvisoryAlert(advisory) {
+        const alert = document.getElementById('advisory-alert');
+        Object.keys(ADVISORY_SEVERITIES).forEach(severity => alert.classList.toggle(`severity-${severity}`, severity === advisory.severity));
+
+        I18n.localize(document.getElementById('advisory-alert-title'), 'advisories.entered', {
+            name: advisory.name || I18n.t('advisories.unnamed')
+        });
+        document.getElementById('advisory-alert-details').textContent =
+            [this.describeAdvisory(advisory), advisory.description].filter(Boolean).join(' — ');
+
+        alert.classList.add('show');
+        this.shownAdvisoryId = advisory.id;
+        this.playAlertSound();
+    }
+
+    closeAdvisoryAlert() {
+        document.getElementById('advisory-alert').classList.remove('show');
+        this.shownAdvisoryId = null;
+    }
+
+    async loadAdvisoryFeedFromForm(event) {
+        event.preventDefault();
+
+        const input = document.getElementById('advisory-url');
+        if (await this.saveAdvisoryFeed(() => this.advisoryStore.load(input.value.trim()))) {
+            input.value = '';
+        }
+    }
+
+    importAdvisoryFeed(file) {
+        return this.saveAdvisoryFeed(() => this.advisoryStore.import(file));
+    }
+
+    refreshAdvisoryFeed(feed) {
+        return this.saveAdvisoryFeed(() => this.advisoryStore.load(feed.url, feed));
+    }
+
+    /**
+     * Run a feed load or import, reporting problems; resolves to the saved feed or null
+     */
+    async saveAdvisoryFeed(operation) {
+        const button = document.getElementById('advisory-load');
+        button.disabled = true;
+
+        try {
+            const feed = await operation();
+            console.log(`🚧 Advisory feed saved: ${feed.name} (${feed.advisories.length} areas)`);
+            if (feed.skipped > 0) {
+                alert(I18n.t('advisories.skipped', { name: feed.name, count: feed.skipped }));
+            }
+            return feed;
+        } catch (error) {
+            if (error instanceof AdvisoryError) {
+                alert(I18n.t(`advisories.error.${error.code}`));
+            } else {
+                console.error('❌ Failed to save advisory feed:', error);
+                alert(I18n.t('advisories.error.failed'));
+            }
+            return null;
+        } finally {
+            button.disabled = false;
+            await this.loadAdvisoryFeeds();
+        }
+    }
+
+    async deleteAdvisoryFeed(feed) {
+        if (!feed || !confirm(I18n.t('advisories.deleteConfirm', { name: feed.name }))) return;
+
+        try {
+            await this.advisoryStore.remove(feed.id);
+            console.log('🗑️ Advisory feed deleted:', feed.name);
+        } catch (error) {
+            console.error('❌ Failed to delete advisory feed:', error);
+        }
+        await this.loadAdvisoryFeeds();
+    }
+
+    renderAdvisoryFeeds() {
+        const list = document.getElementById('advisory-feed-list');
+        list.replaceChildren();
+
+        this.advisoryFeeds.forEach((feed) => {
+            const item = document.createElement('li');
+            item.className = 'advisory-feed-item';
+
+            const label = document.createElement('span');
+            label.className = 'advisory-feed-label';
+            const areas = I18n.t('advisories.areas', { count: feed.advisories.length });
+            const source = feed.url ? I18n.t('advisories.updated', { date: I18n.formatDateTime(feed.updatedAt) }) : I18n.t('advisories.imported');
+            label.textContent = `${feed.name} · ${areas} · ${source}`;
+            item.appendChild(label);
+
+            const actions = [['show', I18n.t('advisories.showFeed')]];
+            if (feed.url) actions.push(['refresh', I18n.t('advisories.refresh')]);
+            actions.push(['delete', I18n.t('common.delete')]);
+
+            actions.forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'advisory-feed-action';
+                button.dataset.action = action;
+                button.dataset.feedId = feed.id;
+                button.textContent = text;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Nearest-help finder: load the imported or bundled facilities and mark the nearest
+     */
+    async initializeHelpPoints() {
+        this.helpLayer = L.layerGroup().addTo(this.map);
+        await this.loadHelpPoints();
+    }
+
+    async loadHelpPoints() {
+        try {
+            this.helpPoints = await this.helpPointStore.load();
+            console.log(`🏥 ${this.helpPoints.points.length} help points loaded (${this.helpPoints.source})`);
+        } catch (error) {
+            console.error('❌ Failed to load help points:', error);
+            this.helpPoints = null;
+        }
+
+        this.renderHelpSource();
+        this.updateNearestHelp();
+    }
+
+    /**
+     * Facilities closest to a position, ranked by calculateDistance
+     */
+    findNearestHelp(lat, lng, options = {}) {
+        if (!this.helpPoints) return [];
+
+        return HelpPoints.nearest(this.helpPoints.points, lat, lng, {
+            ...options,
+            distance: (lat1, lng1, lat2, lng2) => this.calculateDistance(lat1, lng1, lat2, lng2)
+        });
+    }
+
+    /**
+     * Rank the facilities around the current position, then list and mark the nearest
+     */
+    updateNearestHelp() {
+        if (!this.helpLayer) return;
+
+        const list = document.getElementById('help-list');
+        this.helpLayer.clearLayers();
+        this.helpMarkers.clear();
+
+        if (!this.currentPosition) {
+            list.replaceChildren(this.createHelpMessage('help.noLocation'));
+            return;
+        }
+
+        const { latitude, longitude } = this.currentPosition.coords;
+        this.helpOrigin = { latitude, longitude };
+        const results = this.findNearestHelp(latitude, longitude, { type: document.getElementById('help-type').value || null });
+
+        if (results.length === 0) {
+            list.replaceChildren(this.createHelpMessage('help.noneFound'));
+            return;
+        }
+
+        list.replaceChildren(...results.map(result => this.createHelpItem(result, { showOnMap: true })));
+        results.forEach((result) => {
+            const { point } = result;
+            const marker = L.marker([point.lat, point.lng], {
+                title: point.name,
+                icon: L.divIcon({
+                    className: 'help-marker',
+                    html: HELP_POINT_TYPES[point.type].icon,
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                })
+            });
+            marker.bindPopup(() => this.createHelpItem(result, { tag: 'div' })).addTo(this.helpLayer);
+            this.helpMarkers.set(point.id, marker);
+        });
+    }
+
+    createHelpMessage(key) {
+        const item = document.createElement('li');
+        item.className = 'help-item empty';
+        I18n.localize(item, key);
+        return item;
+    }
+
+    /**
+     * A facility with its distance, direction and call link, for the lists and map popups
+     */
+    createHelpItem({ point, distance, bearing }, { tag = 'li', showOnMap = false } = {}) {
+        const item = document.createElement(tag);
+        item.className = 'help-item';
+
+        const label = document.createElement('span');
+        label.className = 'help-label';
+        const type = HELP_POINT_TYPES[point.type];
+        const away = I18n.t('help.away', {
+            distance: this.formatDistance(distance),
+            direction: I18n.t(`help.compass.${Geo.compassPoint(bearing)}`)
+        });
+        label.textContent = `${type.icon} ${point.name || I18n.t(type.label)} · ${away}`;
+        item.appendChild(label);
+
+        if (point.phone) {
+            const call = document.createElement('a');
+            call.className = 'help-action';
+            call.href = HelpPoints.telUrl(point.phone);
+            call.textContent = `📞 ${point.phone}`;
+            item.appendChild(call);
+        }
+
+        if (showOnMap) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'help-action';
+            button.dataset.action = 'show';
+            button.dataset.pointId = point.id;
+            button.textContent = I18n.t('help.showOnMap');
+            item.appendChild(button);
+        }
+
+        return item;
+    }
+
+    formatDistance(meters) {
+        if (meters < 1000) {
+            return I18n.t('unit.metres', { value: I18n.formatNumber(Math.round(meters / 10) * 10) });
+        }
+        return I18n.t('unit.kilometres', { value: I18n.formatNumber(meters / 1000, { maximumFractionDigits: 1 }) });
+    }
+
+    showHelpPoint(pointId) {
+        const marker = this.helpMarkers.get(pointId);
+        if (!marker) return;
+
+        document.getElementById('map-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.map.setView(marker.getLatLng(), Math.max(this.map.getZoom(), 15));
+        marker.openPopup();
+    }
+
+    /**
+     * Say where the facilities come from, and offer to go back to the bundled ones after an import
+     */
+    renderHelpSource() {
+        const source = document.getElementById('help-source');
+        const dataset = this.helpPoints;
+        const imported = Boolean(dataset && dataset.source === 'imported');
+
+        if (!dataset) {
+            I18n.localize(source, 'help.unavailable');
+        } else if (imported) {
+            I18n.localize(source, 'help.sourceImported', {
+                count: dataset.points.length,
+                name: dataset.fileName,
+                date: I18n.formatDate(dataset.importedAt)
+            });
+        } else {
+            I18n.localize(source, dataset.points.length > 0 ? 'help.sourceBundled' : 'help.noData', { count: dataset.points.length });
+        }
+
+        document.getElementById('help-reset').style.display = imported ? '' : 'none';
+    }
+
+    async importHelpPoints(file) {
+        try {
+            const dataset = await this.helpPointStore.import(file);
+            console.log(`🏥 ${dataset.points.length} help points imported from ${file.name}`);
+        } catch (error) {
+            if (error instanceof HelpPointError) {
+                alert(I18n.t(`help.error.${error.code}`));
+            } else {
+                console.error('❌ Failed to import help points:', error);
+                alert(I18n.t('help.error.failed'));
+            }
+        }
+        await this.loadHelpPoints();
+    }
+
+    async resetHelpPoints() {
+        if (!confirm(I18n.t('help.resetConfirm'))) return;
+
+        try {
+            await this.helpPointStore.reset();
+        } catch (error) {
+            console.error('❌ Failed to remove imported help points:', error);
+        }
+        await this.loadHelpPoints();
+    }
+
+    /**
+     * Update map position with user location
+     */
+    updateMapPosition(position) {
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+
+        // Update or create user marker
+        if (this.userMarker) {
+            this.userMarker.setLatLng([lat, lng]);
+        } else {
+            this.userMarker = L.marker([lat, lng], {
+                icon: L.divIcon({
+                    className: 'user-marker',
+                    html: '📍',
+                    iconSize: [30, 30],
+                    iconAnchor: [15, 15]
+                })
+            }).addTo(this.map);
+        }
+
+        // Center map on user location
+        this.map.setView([lat, lng], this.map.getZoom());
+    }
+
+    /**
+     * Add a fix to the location history and extend the trail if it is showing the present
+     */
+    async recordHistory(position) {
+        const fix = await this.locationHistory.record({
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            altitude: position.coords.altitude,
+            heading: position.coords.heading,
+            speed: position.coords.speed,
+            timestamp: position.timestamp || Date.now()
+        });
+
+        if (fix && this.trailLayer && this.getHistoryRange().live) {
+            this.trailLayer.addLatLng([fix.latitude, fix.longitude]);
+        }
+    }
+
+    /**
+     * Time range chosen in the history controls; live ranges end now
+     */
+    getHistoryRange() {
+        const range = document.getElementById('history-range').value;
+        const now = Date.now();
+        const hour = 60 * 60 * 1000;
+
+        switch (range) {
+            case 'custom': {
+                const from = new Date(document.getElementById('history-from').value).getTime();
+                const to = new Date(document.getElementById('history-to').value).getTime();
+                return {
+                    from: Number.isNaN(from) ? 0 : from,
+                    to: Number.isNaN(to) ? now : to,
+                    live: Number.isNaN(to)
+                };
+            }
+            case '6h':
+                return { from: now - 6 * hour, to: now, live: true };
+            case '24h':
+                return { from: now - 24 * hour, to: now, live: true };
+            case '7d':
+                return { from: now - 7 * 24 * hour, to: now, live: true };
+            default:
+                return { from: now - hour, to: now, live: true };
+        }
+    }
+
+    /**
+     * Location history fixes from the last `duration` ms; while locked only those kept in memory,
+     * empty if they can't be read
+     */
+    async getRecentFixes(duration) {
+        const from = Date.now() - duration;
+        if (!this.vault.isUnlocked()) {
+            return this.locationHistory.getRecent(from);
+        }
+
+        try {
+            return await this.locationHistory.getRange(from);
+        } catch (error) {
+            console.error('❌ Failed to load location history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Redraw the trail for the chosen time range
+     */
+    async refreshTrail() {
+        if (this.trailLayer) {
+            this.map.removeLayer(this.trailLayer);
+            this.trailLayer = null;
+        }
+
+        const { from, to } = this.getHistoryRange();
+        let fixes = [];
+        try {
+            fixes = await this.locationHistory.getRange(from, to);
+        } catch (error) {
+            console.error('❌ Failed to load location history:', error);
+        }
+
+        const summary = document.getElementById('history-summary');
+        if (!Vault.isConfigured()) {
+            I18n.localize(summary, 'history.needsPin');
+        } else if (!this.vault.isUnlocked()) {
+            I18n.localize(summary, 'history.locked');
+        } else {
+            I18n.localize(summary, 'history.points', { count: fixes.length });
+        }
+
+        if (document.getElementById('show-trail').checked && fixes.length > 0) {
+            this.trailLayer = L.polyline(fixes.map(fix => [fix.latitude, fix.longitude]), {
+                color: '#2563eb',
+                weight: 3,
+                opacity: 0.8
+            }).addTo(this.map);
+        }
+    }
+
+    /**
+     * Download the chosen time range as GPX, GeoJSON or KML
+     */
+    async exportTrack() {
+        const format = document.getElementById('export-format').value;
+        const { from, to } = this.getHistoryRange();
+
+        let fixes;
+        try {
+            fixes = await this.locationHistory.getRange(from, to);
+        } catch (error) {
+            console.error('❌ Failed to load location history:', error);
+            alert(I18n.t('history.readFailed'));
+            return;
+        }
+
+        if (fixes.length === 0) {
+            alert(I18n.t('history.empty'));
+            return;
+        }
+
+        const name = `NavRaksha track ${new Date(fixes[0].timestamp).toISOString()} to ${new Date(fixes[fixes.length - 1].timestamp).toISOString()}`;
+        const { extension, mimeType } = TRACK_EXPORT_FORMATS[format];
+        const blob = new Blob([TrackExport.serialize(format, fixes, name)], { type: mimeType });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `navraksha-track-${new Date(fixes[0].timestamp).toISOString().slice(0, 10)}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        console.log(`📤 Exported ${fixes.length} fixes as ${format}`);
+    }
+
+    /**
+     * Load persisted safe zones and draw them
+     */
+    async loadSafeZones() {
+        try {
+            this.safeZones = await this.zoneStore.getAll();
+        } catch (error) {
+            console.error('❌ Failed to load safe zones:', error);
+        }
+
+        this.renderSafeZones();
+        console.log(`🛡️ ${this.safeZones.length} safe zone(s) loaded`);
+    }
+
+    /**
+     * Draw all safe zones on the map and refresh the zone list
+     */
+    renderSafeZones() {
+        this.zoneLayers.forEach(layer => this.map.removeLayer(layer));
+        this.zoneLayers.clear();
+
+        this.safeZones.forEach((zone) => {
+            const layer = zone.type === 'polygon'
+                ? L.polygon(zone.points)
+                : L.circle(zone.center, { radius: zone.radius });
+
+            // Leaflet renders string tooltips as HTML; a text node keeps the user's name as text
+            layer.bindTooltip(document.createTextNode(zone.name)).addTo(this.map);
+            this.zoneLayers.set(zone.id, layer);
+        });
+
+        this.refreshZoneStyles();
+        this.renderZoneList();
+    }
+
+    /**
+     * Style zones by whether their schedule is currently active
+     */
+    refreshZoneStyles() {
+        this.safeZones.forEach((zone) => {
+            const layer = this.zoneLayers.get(zone.id);
+            if (!layer) return;
+
+            const active = SafeZones.isActive(zone);
+            layer.setStyle({
+                color: active ? '#059669' : '#6b7280',
+                fillColor: active ? '#059669' : '#6b7280',
+                fillOpacity: active ? 0.2 : 0.05,
+                dashArray: active ? null : '6 6'
+            });
+        });
+    }
+
+    /**
+     * List zones in the dashboard, marking the one the user is in
+     */
+    renderZoneList() {
+        const list = document.getElementById('zone-list');
+        list.replaceChildren();
+
+        this.safeZones.forEach((zone) => {
+            const item = document.createElement('li');
+            item.className = 'zone-item';
+            item.classList.toggle('current', this.currentZone && this.currentZone.id === zone.id);
+            item.classList.toggle('inactive', !SafeZones.isActive(zone));
+
+            const label = document.createElement('span');
+            label.className = 'zone-label';
+            const shape = zone.type === 'polygon' ? I18n.t('zones.polygon') : I18n.t('unit.metres', { value: zone.radius });
+            label.textContent = `${zone.name} · ${shape} · ${SafeZones.describeSchedule(zone)}`;
+            item.appendChild(label);
+
+            [['edit', I18n.t('common.edit')], ['delete', I18n.t('common.delete')]].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'zone-action';
+                button.dataset.action = action;
+                button.dataset.zoneId = zone.id;
+                button.textContent = text;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+
+        this.updateZoneStatus();
+    }
+
+    /**
+     * Update the dashboard safe zone summary
+     */
+    updateZoneStatus() {
+        const status = document.getElementById('safe-zone-status');
+        const activeStates = this.safeZones
+            .filter(zone => SafeZones.isActive(zone))
+            .map(zone => this.geofence.getState(zone.id))
+            .filter(Boolean);
+
+        if (this.safeZones.length === 0) {
+            I18n.localize(status, 'zones.notSet');
+        } else if (this.currentZone) {
+            I18n.localize(status, 'zones.inside', { name: this.currentZone.name });
+        } else if (activeStates.length > 0 && activeStates.every(state => state.state === GEOFENCE_STATE.UNCERTAIN)) {
+            I18n.localize(status, 'zones.uncertain', { accuracy: Math.round(activeStates[0].accuracy) });
+        } else if (activeStates.length > 0) {
+            I18n.localize(status, 'zones.outside');
+        } else {
+            I18n.localize(status, 'zones.saved', { count: this.safeZones.length });
+        }
+    }
+
+    /**
+     * Add a circular safe zone around the current location
+     */
+    addCircleZone() {
+        if (!this.currentPosition) {
+            alert(I18n.t('zones.noLocation'));
+            return;
+        }
+
+        this.openZoneEditor(SafeZones.create({
+            name: I18n.t('zones.defaultName', { number: this.safeZones.length + 1 }),
+            type: 'circle',
+            center: [this.currentPosition.coords.latitude, this.currentPosition.coords.longitude],
+            radius: this.settings.get('safeZoneRadius')
+        }));
+    }
+
+    /**
+     * Start or cancel drawing a polygon zone
+     */
+    togglePolygonDrawing() {
+        if (this.polygonDraft) {
+            this.stopPolygonDrawing();
+            return;
+        }
+
+        this.polygonDraft = {
+            points: [],
+            layer: L.polyline([], { color: '#059669', dashArray: '4 4' }).addTo(this.map)
+        };
+
+        I18n.localize(document.getElementById('draw-polygon-zone'), 'map.cancelDrawing');
+        document.getElementById('finish-polygon-zone').style.display = '';
+        document.getElementById('polygon-hint').style.display = '';
+    }
+
+    /**
+     * Add a corner to the polygon being drawn
+     */
+    addPolygonPoint(latlng) {
+        if (!this.polygonDraft) return;
+
+        this.polygonDraft.points.push([latlng.lat, latlng.lng]);
+        this.polygonDraft.layer.setLatLngs(this.polygonDraft.points);
+    }
+
+    /**
+     * Finish the polygon being drawn and open it in the editor
+     */
+    finishPolygonZone() {
+        if (!this.polygonDraft || this.polygonDraft.points.length < 3) {
+            alert(I18n.t('zones.polygonTooSmall'));
+            return;
+        }
+
+        const points = this.polygonDraft.points;
+        this.stopPolygonDrawing();
+
+        this.openZoneEditor(SafeZones.create({
+            name: I18n.t('zones.defaultName', { number: this.safeZones.length + 1 }),
+            type: 'polygon',
+            points
+        }));
+    }
+
+    /**
+     * Leave polygon drawing mode
+     */
+    stopPolygonDrawing() {
+        if (this.polygonDraft) {
+            this.map.removeLayer(this.polygonDraft.layer);
+            this.polygonDraft = null;
+        }
+
+        I18n.localize(document.getElementById('draw-polygon-zone'), 'map.drawPolygon');
+        document.getElementById('finish-polygon-zone').style.display = 'none';
+        document.getElementById('polygon-hint').style.display = 'none';
+    }
+
+    /**
+     * Open the zone editor for a new or existing zone
+     */
+    openZoneEditor(zone) {
+        this.editingZone = zone;
+
+        document.getElementById('zone-name').value = zone.name;
+        document.getElementById('zone-radius').value = zone.radius;
+        document.getElementById('zone-radius-group').style.display = zone.type === 'circle' ? '' : 'none';
+        document.getElementById('zone-scheduled').checked = !!zone.schedule;
+        if (zone.schedule) {
+            document.getElementById('zone-start').value = zone.schedule.start;
+            document.getElementById('zone-end').value = zone.schedule.end;
+        }
+
+        document.getElementById('zone-modal').classList.add('show');
+        document.getElementById('zone-name').focus();
+    }
+
+    /**
+     * Close the zone editor without saving
+     */
+    closeZoneEditor() {
+        this.editingZone = null;
+        document.getElementById('zone-modal').classList.remove('show');
+    }
+
+    /**
+     * Save the zone being edited
+     */
+    async saveZoneFromForm(event) {
+        event.preventDefault();
+        if (!this.editingZone) return;
+
+        const formData = new FormData(event.target);
+        const zone = {
+            ...this.editingZone,
+            name: formData.get('name').trim(),
+            schedule: formData.get('scheduled')
+                ? { start: formData.get('start'), end: formData.get('end') }
+                : null
+        };
+
+        if (zone.type === 'circle') {
+            zone.radius = parseInt(formData.get('radius')) || zone.radius;
+        }
+
+        try {
+            await this.zoneStore.save(zone);
+        } catch (error) {
+            console.error('❌ Failed to save safe zone:', error);
+            alert(I18n.t('zones.saveFailed'));
+            return;
+        }
+
+        const index = this.safeZones.findIndex(candidate => candidate.id === zone.id);
+        if (index === -1) {
+            this.safeZones.push(zone);
+        } else {
+            this.safeZones[index] = zone;
+        }
+
+        this.closeZoneEditor();
+        this.renderSafeZones();
+        if (this.currentPosition) {
+            this.checkGeofence(this.currentPosition);
+        }
+
+        console.log('✅ Safe zone saved:', zone.name);
+    }
+
+    /**
+     * Delete a single safe zone
+     */
+    async deleteSafeZone(zone) {
+        if (!zone || !confirm(I18n.t('zones.deleteConfirm', { name: zone.name }))) return;
+
+        try {
+            await this.zoneStore.remove(zone.id);
+        } catch (error) {
+            console.error('❌ Failed to delete safe zone:', error);
+            return;
+        }
+
+        this.safeZones = this.safeZones.filter(candidate => candidate.id !== zone.id);
+        if (this.currentZone && this.currentZone.id === zone.id) {
+            this.currentZone = null;
+        }
+        this.renderSafeZones();
+
+        console.log('🗑️ Safe zone deleted:', zone.name);
+    }
+
+    /**
+     * Delete all safe zones
+     */
+    async clearSafeZones() {
+        if (this.safeZones.length === 0 || !confirm(I18n.t('zones.clearConfirm'))) return;
+
+        try {
+            await this.zoneStore.clear();
+        } catch (error) {
+            console.error('❌ Failed to clear safe zones:', error);
+            return;
+        }
+
+        this.safeZones = [];
+        this.currentZone = null;
+        this.renderSafeZones();
+
+        console.log('🗑️ Safe zones cleared');
+    }
+
+    /**
+     * Geofence thresholds for safe zones and advisories, from the settings (seconds to ms)
+     */
+    getGeofenceOptions() {
+        const { geofenceDwellTime, geofenceHysteresis, geofenceMaxAccuracy } = this.settings.getAll();
+        return { dwellTime: geofenceDwellTime * 1000, hysteresisMargin: geofenceHysteresis, maxAccuracy: geofenceMaxAccuracy };
+    }
+
+    /**
+     * Check if user is within an active safe zone
+     */
+    checkGeofence(position) {
+        const activeZones = this.safeZones.filter(zone => SafeZones.isActive(zone));
+
+        const events = this.geofence.update(activeZones, {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp || Date.now()
+        });
+
+        this.currentZone = activeZones.find((zone) => {
+            const state = this.geofence.getState(zone.id);
+            return state && state.state === GEOFENCE_STATE.INSIDE;
+        }) || null;
+
+        this.refreshZoneStyles();
+        this.renderZoneList();
+
+        events.forEach(event => this.handleGeofenceEvent(event, activeZones));
+    }
+
+    /**
+     * React to a zone enter/exit: log it, forward it if enabled and alert on exits
+     */
+    handleGeofenceEvent(event, activeZones) {
+        console.log(`🛡️ Zone ${event.type}:`, event.zoneName);
+
+        const { location, ...details } = event;
+        this.eventLog.record(`geofence_${event.type}`, details);
+
+        if (this.settings.get('forwardGeofenceEvents')) {
+            this.queueEvent('geofence_event', { userId: this.userId, ...event })
+                .then(() => navigator.onLine && this.syncQueuedEvents());
+        }
+
+        // Leaving one zone for another (e.g. hotel to venue) is not an alert
+        if (event.type === 'exit' && !this.geofence.isInsideAny(activeZones)) {
+            this.triggerGeofenceAlert(event.zoneName);
+        }
+    }
+
+    /**
+     * Calculate distance between two points in meters
+     */
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        return Geo.distance(lat1, lng1, lat2, lng2);
+    }
+
+    /**
+     * Trigger geofence alert
+     */
+    triggerGeofenceAlert(zoneName) {
+        const alert = document.getElementById('geofence-alert');
+        I18n.localize(alert.querySelector('.alert-text'), zoneName ? 'alert.leftNamedZone' : 'alert.leftZone', { name: zoneName });
+        alert.classList.add('show');
+
+        // Play alert sound
+        this.playAlertSound();
+
+        // Auto-hide unless set to stay until closed
+        clearTimeout(this.geofenceAlertTimeout);
+        const autoHide = this.settings.get('alertAutoHide');
+        if (autoHide > 0) {
+            this.geofenceAlertTimeout = setTimeout(() => {
+                alert.classList.remove('show');
+            }, autoHide * 1000);
+        }
+
+        console.log('⚠️ Geofence alert triggered');
+    }
+
+    /**
+     * Close geofence alert
+     */
+    closeGeofenceAlert() {
+        document.getElementById('geofence-alert').classList.remove('show');
+    }
+
+    /**
+     * Initialize speech recognition for voice SOS
+     */
+    initializeSpeechRecognition() {
+        this.renderVoiceSettings();
+        this.loadSafePhrase();
+
+        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+            console.warn('⚠️ Speech recognition not supported');
+            return;
+        }
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new SpeechRecognition();
+        
+        this.recognition.continuous = true;
+        this.recognition.interimResults = false; // only final results may trigger
+        this.recognition.maxAlternatives = 3;
+        this.recognition.lang = this.voiceSettings.language;
+
+        this.recognition.onresult = (event) => {
+            const match = VoiceKeywords.matchResults(event, this.voiceSettings, this.settings.get('voiceMinConfidence'));
+            if (!match) return;
+
+            // Never log the safe phrase, what was said around it, or whether it was the safe phrase
+            console.log('🎤 Voice trigger detected');
+            const details = { language: this.voiceSettings.language, confidence: match.confidence };
+
+            this.stopVoiceRecognition();
+            if (match.type === 'safe_phrase') {
+                // The safe phrase is for when saying "help" out loud isn't safe: a silent SOS, no
+                // countdown, and its log entries wait until the session ends
+                this.stopSOSCountdown();
+                this.sendSOS('safe_phrase', [['voice_trigger', details]]);
+            } else {
+                this.eventLog.record('voice_trigger', details);
+                this.triggerSOS({ trigger: 'voice' });
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            console.error('❌ Speech recognition error:', event.error);
+
+            if (['not-allowed', 'service-not-allowed', 'language-not-supported'].includes(event.error)) {
+                this.stopVoiceRecognition();
+                alert(I18n.t(event.error === 'language-not-supported' ? 'voice.unsupportedLanguage' : 'voice.microphoneDenied'));
+            }
+        };
+
+        // Browsers end recognition after silence or a network hiccup; keep listening until the user stops
+        this.recognition.onend = () => {
+            if (!this.isListening) return;
+
+            clearTimeout(this.voiceRestartTimeout);
+            this.voiceRestartTimeout = setTimeout(() => {
+                if (!this.isListening) return;
+
+                try {
+                    this.recognition.start();
+                } catch (error) {
+                    console.error('❌ Failed to restart voice recognition:', error);
+                }
+            }, 300);
+        };
+
+        console.log('🎤 Speech recognition initialized');
+    }
+
+    /**
+     * Decrypt the safe phrase into the voice settings; until then only keywords are matched
+     */
+    async loadSafePhrase() {
+        try {
+            this.voiceSettings.safePhrase = await VoiceKeywords.loadSafePhrase();
+        } catch (error) {
+            console.error('❌ Failed to load the safe phrase:', error);
+            return;
+        }
+        this.renderVoiceSettings();
+    }
+
+    /**
+     * Fill the voice settings form from the stored settings
+     */
+    renderVoiceSettings() {
+        const languageSelect = document.getElementById('voice-language');
+        languageSelect.replaceChildren(...Object.entries(VOICE_LANGUAGES).map(([code, { name }]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            return option;
+        }));
+
+        languageSelect.value = this.voiceSettings.language;
+        document.getElementById('voice-keywords').value = this.voiceSettings.customKeywords.join(', ');
+        document.getElementById('voice-safe-phrase').value = this.voiceSettings.safePhrase;
+        I18n.localize(document.getElementById('voice-keyword-hint'), 'voice.listeningFor', {
+            keywords: VoiceKeywords.keywordsFor(this.voiceSettings).join(', ')
+        });
+    }
+
+    /**
+     * Save voice settings and apply them to a running recognizer
+     */
+    saveVoiceSettings(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        this.voiceSettings = {
+            language: formData.get('language'),
+            customKeywords: formData.get('keywords').split(',').map(keyword => keyword.trim()).filter(Boolean),
+            safePhrase: formData.get('safePhrase').trim()
+        };
+
+        VoiceKeywords.save(this.voiceSettings)
+            .catch(error => console.error('❌ Failed to save voice settings:', error));
+        this.renderVoiceSettings();
+
+        if (this.recognition) {
+            this.recognition.lang = this.voiceSettings.language;
+            // Restart so the new language takes effect; onend starts it again
+            if (this.isListening) {
+                this.recognition.stop();
+            }
+        }
+
+        console.log(`🎤 Voice settings saved (${this.voiceSettings.language})`);
+    }
+
+    /**
+     * Toggle voice recognition
+     */
+    toggleVoiceRecognition() {
+        if (!this.recognition) {
+            alert(I18n.t('voice.notSupported'));
+            return;
+        }
+
+        if (this.isListening) {
+            this.stopVoiceRecognition();
+        } else {
+            this.startVoiceRecognition();
+        }
+    }
+
+    /**
+     * Start voice recognition
+     */
+    startVoiceRecognition() {
+        try {
+            this.recognition.start();
+            this.isListening = true;
+            
+            const voiceButton = document.getElementById('voice-button');
+            const voiceIcon = document.getElementById('voice-icon');
+            
+            voiceButton.classList.add('listening');
+            voiceIcon.textContent = '🔴';
+            
+            console.log('🎤 Voice recognition started');
+        } catch (error) {
+            console.error('❌ Failed to start voice recognition:', error);
+        }
+    }
+
+    /**
+     * Stop voice recognition
+     */
+    stopVoiceRecognition() {
+        if (this.recognition && this.isListening) {
+            // Clear the flag first so onend doesn't restart
+            this.isListening = false;
+            clearTimeout(this.voiceRestartTimeout);
+            this.recognition.stop();
+            
+            const voiceButton = document.getElementById('voice-button');
+            const voiceIcon = document.getElementById('voice-icon');
+            
+            voiceButton.classList.remove('listening');
+            voiceIcon.textContent = '🎤';
+            
+            console.log('🎤 Voice recognition stopped');
+        }
+    }
+
+    /**
+     * Initialize motion detection for fall detection
+     */
+    initializeMotionDetection() {
+        if (!window.DeviceMotionEvent) {
+            console.warn('⚠️ Device motion not supported');
+            return;
+        }
+
+        window.addEventListener('devicemotion', (event) => {
+            const acceleration = event.accelerationIncludingGravity;
+            if (!acceleration) return;
+
+            const detection = this.fallDetector.update({
+                t: Date.now(),
+                x: acceleration.x || 0,
+                y: acceleration.y || 0,
+                z: acceleration.z || 0
+            });
+
+            if (detection) {
+                this.handleFallDetected(detection);
+            }
+
+        });
+
+        console.log('📱 Motion detection initialized');
+    }
+
+    /**
+     * Handle a fall confirmed by the detector (free-fall, impact, then stillness or tilt)
+     */
+    handleFallDetected(detection) {
+        console.log('⚠️ Fall detected:', detection);
+        this.eventLog.record('fall_detected', detection);
+
+        // Don't stack a second check on one that is still counting down
+        if (document.getElementById('safety-modal').classList.contains('show')) return;
+
+        this.showSafetyCheck();
+    }
+
+    /**
+     * Fall detector preset plus any thresholds overridden in settings (which are in seconds)
+     */
+    getFallDetectorOptions() {
+        const { fallSensitivity, impactThreshold, stillnessWindow, settleTime } = this.settings.getAll();
+        const options = { sensitivity: fallSensitivity };
+
+        if (impactThreshold !== null) options.impactThreshold = impactThreshold;
+        if (stillnessWindow !== null) options.stillnessWindow = stillnessWindow * 1000;
+        if (settleTime !== null) options.settleTime = settleTime * 1000;
+        return options;
+    }
+
+    /**
+     * Show safety check modal; counts down to an automatic SOS
+     */
+    showSafetyCheck({ seconds = this.settings.get('safetyCheckCountdown'), checkIn = null } = {}) {
+        const modal = document.getElementById('safety-modal');
+        modal.classList.add('show');
+        if (checkIn) {
+            I18n.localize(document.getElementById('safety-message'), 'safety.checkInMessage', { label: checkIn.label });
+        } else {
+            I18n.localize(document.getElementById('safety-message'), 'safety.motionMessage');
+        }
+
+        if (this.safetyCheckInterval) {
+            clearInterval(this.safetyCheckInterval);
+        }
+
+        this.safetyCheck = { checkInId: checkIn ? checkIn.id : null };
+
+        // Count against the clock: background tabs throttle timers
+        const endsAt = Date.now() + seconds * 1000;
+        const countdownElement = document.getElementById('countdown');
+
+        const tick = () => {
+            const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+            countdownElement.textContent = remaining >= 60
+                ? `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`
+                : I18n.t('unit.seconds', { value: remaining });
+
+            if (remaining > 0) return;
+
+            clearInterval(this.safetyCheckInterval);
+            if (checkIn) {
+                this.handleMissedCheckIn(checkIn);
+            } else {
+                this.eventLog.record('safety_check_unanswered');
+                this.triggerSOS({ immediate: true, trigger: 'fall' });
+                this.dismissSafetyCheck();
+            }
+        };
+
+        tick();
+        this.safetyCheckInterval = setInterval(tick, 1000);
+
+        console.log('🚨 Safety check initiated');
+    }
+
+    /**
+     * "I'm Safe": confirm the pending check-in, or log the answered fall check
+     */
+    confirmSafetyCheck() {
+        const checkInId = this.safetyCheck && this.safetyCheck.checkInId;
+
+        if (checkInId) {
+            this.confirmCheckIn(checkInId);
+        } else {
+            this.eventLog.record('safety_check_confirmed');
+        }
+
+        this.dismissSafetyCheck();
     }
 
     /**
-     * Check if user is within safe zone
+     * Dismiss safety check modal
      */
-    checkGeofence(position) {
-        if (!this.safeZoneCenter) return;
+    dismissSafetyCheck() {
+        const modal = document.getElementById('safety-modal');
+        modal.classList.remove('show');
+        
+        if (this.safetyCheckInterval) {
+            clearInterval(this.safetyCheckInterval);
+        }
+        this.safetyCheck = null;
+        
+        console.log('✅ Safety check dismissed');
+    }
 
-        const distance = this.calculateDistance(
-            position.coords.latitude,
-            position.coords.longitude,
-            this.safeZoneCenter[0],
-            this.safeZoneCenter[1]
-        );
+    /**
+     * Load scheduled check-ins and watch for due ones, including while the tab is hidden
+     */
+    async initializeCheckIns() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleCheckInMessage(event.data || {}));
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkDueCheckIns();
+        });
 
-        if (distance > this.safeZoneRadius) {
-            this.triggerGeofenceAlert();
+        // Opened from a check-in notification's "Send Help" with no page running
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('checkin-help')) {
+            history.replaceState(null, '', window.location.pathname);
+            this.triggerSOS({ immediate: true, trigger: 'checkin_help' });
         }
+
+        await this.checkDueCheckIns();
+
+        // Backstop for the per-check-in timer, which background tabs may delay
+        setInterval(() => this.checkDueCheckIns(), 30000);
     }
 
     /**
-     * Calculate distance between two points in meters
+     * React to check-in notifications answered in the service worker
      */
-    calculateDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = lat1 * Math.PI / 180;
-        const φ2 = lat2 * Math.PI / 180;
-        const Δφ = (lat2 - lat1) * Math.PI / 180;
-        const Δλ = (lng2 - lng1) * Math.PI / 180;
+    handleCheckInMessage(message) {
+        if (message.type === 'CHECK_IN_CONFIRMED') {
+            if (this.safetyCheck && this.safetyCheck.checkInId === message.id) {
+                this.dismissSafetyCheck();
+            }
+            this.eventLog.record('check_in_confirmed', { checkInId: message.id });
+            this.loadCheckIns();
+        } else if (message.type === 'CHECK_IN_HELP') {
+            this.dismissSafetyCheck();
+            this.triggerSOS({ immediate: true, trigger: 'checkin_help' });
+        } else if (message.type === 'CHECK_IN_DUE') {
+            this.checkDueCheckIns();
+        }
+    }
+
+    /**
+     * Reload check-ins from IndexedDB (the service worker may have changed them) and re-arm the timer
+     */
+    async loadCheckIns() {
+        try {
+            this.checkIns = await this.checkInStore.getAll();
+        } catch (error) {
+            console.error('❌ Failed to load check-ins:', error);
+            return;
+        }
 
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                Math.cos(φ1) * Math.cos(φ2) *
-                Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        this.renderCheckIns();
+        this.scheduleCheckInTimer();
 
-        return R * c;
+        if (this.checkIns.length > 0) {
+            this.registerCheckInSync();
+            this.saveCheckInEscalation();
+        }
     }
 
     /**
-     * Trigger geofence alert
+     * Give existing check-ins a new grace period, so the page and the service worker agree on it
      */
-    triggerGeofenceAlert() {
-        const alert = document.getElementById('geofence-alert');
-        alert.classList.add('show');
+    async applyCheckInGracePeriod(grace) {
+        try {
+            await Promise.all(this.checkIns.map(checkIn => this.checkInStore.save({ ...checkIn, grace })));
+        } catch (error) {
+            console.error('❌ Failed to update check-in grace periods:', error);
+        }
+        await this.loadCheckIns();
+    }
 
-        // Play alert sound
-        this.playAlertSound();
+    /**
+     * Give the service worker what it needs to send the SOS for a check-in missed with no page
+     * open: the ID, medical card, contacts and last known position
+     */
+    async saveCheckInEscalation() {
+        if (this.checkIns.length === 0 || !this.userId) return;
 
-        // Auto-hide after 10 seconds
-        setTimeout(() => {
-            alert.classList.remove('show');
-        }, 10000);
+        const position = this.currentPosition;
+        this.checkInEscalationSavedAt = Date.now();
+        try {
+            await this.checkInStore.saveEscalation({
+                userId: this.userId,
+                userData: this.medicalCard,
+                emergencyContacts: this.emergencyContacts,
+                position: position ? {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    timestamp: position.timestamp || Date.now()
+                } : null
+            });
+        } catch (error) {
+            console.error('❌ Failed to save check-in SOS details:', error);
+        }
+    }
 
-        console.log('⚠️ Geofence alert triggered');
+    /**
+     * Wake up when the next check-in falls due or runs out of grace
+     */
+    scheduleCheckInTimer() {
+        clearTimeout(this.checkInTimer);
+
+        const now = Date.now();
+        const wakeTimes = this.checkIns.map(checkIn => (
+            CheckIns.status(checkIn, now) === CHECK_IN_STATUS.PENDING ? checkIn.dueAt : checkIn.dueAt + checkIn.grace
+        ));
+        if (wakeTimes.length === 0) return;
+
+        const delay = Math.max(0, Math.min(...wakeTimes) - now);
+        this.checkInTimer = setTimeout(() => this.checkDueCheckIns(), delay + 250);
     }
 
     /**
-     * Close geofence alert
+     * Ask for a check-in confirmation when one falls due; send SOS once its grace period runs out
      */
-    closeGeofenceAlert() {
-        document.getElementById('geofence-alert').classList.remove('show');
+    async checkDueCheckIns() {
+        if (this.checkingCheckIns) return;
+        this.checkingCheckIns = true;
+
+        try {
+            await this.loadCheckIns();
+            const now = Date.now();
+
+            for (const checkIn of this.checkIns) {
+                const status = CheckIns.status(checkIn, now);
+
+                if (status === CHECK_IN_STATUS.MISSED) {
+                    // Missed while the app was closed or asleep: its grace period is already over,
+                    // so only a short last chance to answer before it escalates
+                    if (!this.safetyCheck) {
+                        this.showSafetyCheck({ seconds: CHECK_IN_FINAL_PROMPT / 1000, checkIn });
+                    }
+                } else if (status === CHECK_IN_STATUS.DUE) {
+                    if (document.hidden) {
+                        this.remindCheckIns();
+                    }
+
+                    if (!this.safetyCheck) {
+                        this.showSafetyCheck({
+                            seconds: Math.ceil((checkIn.dueAt + checkIn.grace - now) / 1000),
+                            checkIn
+                        });
+                    }
+                }
+            }
+        } finally {
+            this.checkingCheckIns = false;
+        }
     }
 
     /**
-     * Initialize speech recognition for voice SOS
+     * Have the service worker show a check-in notification (it remembers which were already shown)
      */
-    initializeSpeechRecognition() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            console.warn('⚠️ Speech recognition not supported');
-            return;
+    remindCheckIns() {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'REMIND_CHECK_INS' });
         }
+    }
 
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        this.recognition = new SpeechRecognition();
-        
-        this.recognition.continuous = true;
-        this.recognition.interimResults = true;
-        this.recognition.lang = 'en-US';
+    /**
+     * Register periodic background sync so the service worker can remind while the page sleeps
+     */
+    async registerCheckInSync() {
+        if (this.checkInSyncRegistered) return;
+        this.checkInSyncRegistered = true;
+        await this.registerPeriodicSync('navraksha-checkins', 15 * 60 * 1000);
+    }
 
-        this.recognition.onresult = (event) => {
-            const transcript = Array.from(event.results)
-                .map(result => result[0])
-                .map(result => result.transcript)
-                .join('');
-
-            console.log('🎤 Speech detected:', transcript);
-
-            // Check for emergency keywords
-            if (transcript.toLowerCase().includes('help') || 
-                transcript.toLowerCase().includes('sos') ||
-                transcript.toLowerCase().includes('emergency')) {
-                this.triggerSOS();
-                this.stopVoiceRecognition();
-            }
-        };
+    /**
+     * Register a periodic background sync; resolves to false where the browser doesn't allow it
+     */
+    async registerPeriodicSync(tag, minInterval) {
+        if (!('serviceWorker' in navigator)) return false;
 
-        this.recognition.onerror = (event) => {
-            console.error('❌ Speech recognition error:', event.error);
-        };
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return false;
 
-        console.log('🎤 Speech recognition initialized');
+            await registration.periodicSync.register(tag, { minInterval });
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Periodic sync "${tag}" unavailable:`, error.message);
+            return false;
+        }
     }
 
     /**
-     * Toggle voice recognition
+     * Confirm a check-in: schedule its next occurrence, or remove it if it was a one-off
      */
-    toggleVoiceRecognition() {
-        if (!this.recognition) {
-            alert('Voice recognition not supported in this browser');
-            return;
+    async confirmCheckIn(id) {
+        try {
+            await this.checkInStore.confirm(id);
+            this.eventLog.record('check_in_confirmed', { checkInId: id });
+            this.closeCheckInNotification(id);
+        } catch (error) {
+            console.error('❌ Failed to confirm check-in:', error);
         }
 
-        if (this.isListening) {
-            this.stopVoiceRecognition();
-        } else {
-            this.startVoiceRecognition();
+        if (this.safetyCheck && this.safetyCheck.checkInId === id) {
+            this.dismissSafetyCheck();
         }
+        await this.loadCheckIns();
+        console.log('✅ Check-in confirmed');
     }
 
     /**
-     * Start voice recognition
+     * A check-in's grace period ran out: move it on and escalate to SOS
      */
-    startVoiceRecognition() {
+    async handleMissedCheckIn(checkIn) {
+        console.log('🚨 Check-in missed:', checkIn.label);
+        this.eventLog.record('check_in_missed', { checkInId: checkIn.id, label: checkIn.label, dueAt: checkIn.dueAt });
+
+        // Advance past the missed occurrence so it doesn't fire again
         try {
-            this.recognition.start();
-            this.isListening = true;
-            
-            const voiceButton = document.getElementById('voice-button');
-            const voiceIcon = document.getElementById('voice-icon');
-            
-            voiceButton.classList.add('listening');
-            voiceIcon.textContent = '🔴';
-            
-            console.log('🎤 Voice recognition started');
+            await this.checkInStore.confirm(checkIn.id);
         } catch (error) {
-            console.error('❌ Failed to start voice recognition:', error);
+            console.error('❌ Failed to reschedule check-in:', error);
+        }
+        this.closeCheckInNotification(checkIn.id);
+
+        if (this.safetyCheck && this.safetyCheck.checkInId === checkIn.id) {
+            this.dismissSafetyCheck();
+        }
+        this.triggerSOS({ immediate: true, trigger: 'checkin_timeout' });
+        await this.loadCheckIns();
+    }
+
+    async closeCheckInNotification(id) {
+        if (!('serviceWorker' in navigator)) return;
+
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) return;
+
+        const notifications = await registration.getNotifications({ tag: `checkin-${id}` });
+        notifications.forEach(notification => notification.close());
+    }
+
+    /**
+     * Schedule a check-in from the form
+     */
+    async saveCheckInFromForm(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const label = formData.get('label').trim() || I18n.t('checkins.defaultLabel');
+        const grace = this.settings.get('checkInGracePeriod') * 1000;
+        let checkIn;
+
+        if (formData.get('type') === 'deadline') {
+            checkIn = CheckIns.create({
+                label,
+                type: 'deadline',
+                dueAt: CheckIns.nextOccurrence(formData.get('deadline')),
+                grace
+            });
+        } else {
+            const until = formData.get('until');
+            checkIn = CheckIns.create({
+                label,
+                interval: parseInt(formData.get('interval')) * 60 * 1000,
+                until: until ? CheckIns.nextOccurrence(until) : null,
+                grace
+            });
+        }
+
+        try {
+            await this.checkInStore.save(checkIn);
+        } catch (error) {
+            console.error('❌ Failed to save check-in:', error);
+            alert(I18n.t('checkins.saveFailed'));
+            return;
         }
+
+        // Reminders in the background need notification permission
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        event.target.reset();
+        document.getElementById('checkin-type').dispatchEvent(new Event('change'));
+        await this.loadCheckIns();
+        console.log(`⏰ Check-in scheduled: ${CheckIns.describe(checkIn)}`);
     }
 
     /**
-     * Stop voice recognition
+     * Cancel a scheduled check-in
      */
-    stopVoiceRecognition() {
-        if (this.recognition && this.isListening) {
-            this.recognition.stop();
-            this.isListening = false;
-            
-            const voiceButton = document.getElementById('voice-button');
-            const voiceIcon = document.getElementById('voice-icon');
-            
-            voiceButton.classList.remove('listening');
-            voiceIcon.textContent = '🎤';
-            
-            console.log('🎤 Voice recognition stopped');
+    async deleteCheckIn(id) {
+        const checkIn = this.checkIns.find(candidate => candidate.id === id);
+        if (!checkIn || !confirm(I18n.t('checkins.cancelConfirm', { label: checkIn.label }))) return;
+
+        try {
+            await this.checkInStore.remove(id);
+        } catch (error) {
+            console.error('❌ Failed to delete check-in:', error);
         }
+        this.closeCheckInNotification(id);
+        await this.loadCheckIns();
+    }
+
+    renderCheckIns() {
+        const list = document.getElementById('checkin-list');
+        list.replaceChildren();
+
+        const now = Date.now();
+        this.checkIns.forEach((checkIn) => {
+            const item = document.createElement('li');
+            item.className = 'checkin-item';
+            item.classList.toggle('due', CheckIns.status(checkIn, now) !== CHECK_IN_STATUS.PENDING);
+
+            const label = document.createElement('span');
+            label.className = 'checkin-label';
+            const next = I18n.formatDateTime(checkIn.dueAt, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            label.textContent = `${checkIn.label} · ${CheckIns.describe(checkIn)} · ${I18n.t('checkins.next', { time: next })}`;
+            item.appendChild(label);
+
+            [['confirm', I18n.t('checkins.checkIn')], ['delete', I18n.t('common.cancel')]].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'checkin-action';
+                button.dataset.action = action;
+                button.dataset.checkinId = checkIn.id;
+                button.textContent = text;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
     }
 
     /**
-     * Initialize motion detection for fall detection
+     * Trigger SOS emergency alert. Unless immediate, the alert is sent after a short
+     * countdown so an accidental trigger can be cancelled; triggering again sends at once.
+     * `trigger` is what raised the alarm (one of SOS_TRIGGERS), reported with the SOS.
      */
-    initializeMotionDetection() {
-        if (!window.DeviceMotionEvent) {
-            console.warn('⚠️ Device motion not supported');
-            return;
+    triggerSOS({ immediate = false, trigger = 'button' } = {}) {
+        const gracePeriod = this.settings.get('sosGracePeriod');
+        if (immediate || gracePeriod <= 0 || this.sosCountdown) {
+            // Sending early reports what started the countdown, not the "send now"
+            const source = this.sosCountdown ? this.sosCountdownTrigger : trigger;
+            this.stopSOSCountdown();
+            return this.sendSOS(source);
         }
 
-        window.addEventListener('devicemotion', (event) => {
-            const acceleration = event.accelerationIncludingGravity;
-            if (!acceleration) return;
+        this.sosCountdownTrigger = trigger;
 
-            // Calculate total acceleration
-            const totalAcceleration = Math.sqrt(
-                Math.pow(acceleration.x || 0, 2) +
-                Math.pow(acceleration.y || 0, 2) +
-                Math.pow(acceleration.z || 0, 2)
-            );
+        let remaining = gracePeriod;
+        const countdownElement = document.getElementById('sos-countdown');
+        I18n.localize(countdownElement, 'sos.sendingIn', { seconds: remaining });
+        document.getElementById('sos-countdown-modal').classList.add('show');
+
+        this.sosCountdown = setInterval(() => {
+            remaining--;
+            I18n.localize(countdownElement, 'sos.sendingIn', { seconds: remaining });
 
-            // Detect sudden acceleration (possible fall)
-            if (totalAcceleration > this.motionThreshold) {
-                this.handleSuddenMotion();
+            if (remaining <= 0) {
+                this.stopSOSCountdown();
+                this.sendSOS(trigger);
             }
+        }, 1000);
+
+        console.log(`⏳ SOS will be sent in ${remaining}s`);
+    }
+
+    /**
+     * Stop the pre-send countdown
+     */
+    stopSOSCountdown() {
+        if (this.sosCountdown) {
+            clearInterval(this.sosCountdown);
+            this.sosCountdown = null;
+        }
+        document.getElementById('sos-countdown-modal').classList.remove('show');
+    }
+
+    /**
+     * Cancel an SOS during its countdown, before anything is sent
+     */
+    cancelSOS() {
+        if (!this.sosCountdown) return;
+
+        this.stopSOSCountdown();
+        this.eventLog.record('sos_cancelled');
+
+        console.log('✋ SOS cancelled before sending');
+    }
 
-            this.lastMotionTime = Date.now();
+    /**
+     * Send the SOS emergency alert. `events` are further event log entries ([type, details])
+     * that belong to it; like the SOS entry, they are held back until a silent SOS's session ends.
+     */
+    async sendSOS(trigger, events = []) {
+        console.log('🆘 SOS triggered');
+        
+        const sosId = EventOutbox.generateKey();
+        const sosData = await SosPayload.build({
+            trigger,
+            position: this.currentPosition,
+            fixes: await this.getRecentFixes(SOS_BREADCRUMB_WINDOW),
+            userId: this.userId,
+            userData: this.medicalCard,
+            emergencyContacts: this.emergencyContacts
         });
 
-        // Check for inactivity
-        setInterval(() => {
-            const timeSinceLastMotion = Date.now() - this.lastMotionTime;
-            if (timeSinceLastMotion > 30000) { // 30 seconds of inactivity
-                // Could trigger safety check here
-                console.log('⚠️ Extended inactivity detected');
+        const silent = SosPayload.isSilent(sosData);
+        const entries = [...events, ['sos', { sosId }]].map(([type, details]) => ({ type, details, timestamp: Date.now() }));
+        if (!silent) {
+            entries.forEach(({ type, details }) => this.eventLog.record(type, details));
+        }
+
+        // Send SOS
+        let sosResult = null;
+        try {
+            if (navigator.onLine) {
+                sosResult = await this.sendSOSRequest(sosData, sosId);
+            } else {
+                await this.queueEvent('sos', sosData, sosId);
             }
-        }, 10000);
+        } catch (error) {
+            console.error('❌ SOS send failed:', error);
+            await this.queueEvent('sos', sosData, sosId);
+        }
 
-        console.log('📱 Motion detection initialized');
+        this.lastSOS = {
+            sosId,
+            incidentId: sosResult ? sosResult.incidentId || null : null,
+            retracted: false
+        };
+
+        this.startEmergencySession(sosId, silent ? { silent, heldEvents: entries } : {});
+
+        // A silent SOS shows and sounds nothing
+        if (silent) return;
+
+        // Show confirmation modal
+        this.showSOSConfirmation(sosData);
+        if (this.lastSOS.incidentId) {
+            this.watchEscalation(this.lastSOS.incidentId, sosId);
+        }
+        
+        // Play alert sound
+        this.playAlertSound();
     }
 
     /**
-     * Handle sudden motion detection
+     * Send SOS request to the emergency endpoint
      */
-    handleSuddenMotion() {
-        console.log('⚠️ Sudden motion detected');
-        
-        // Clear any existing timeout
-        if (this.inactivityTimeout) {
-            clearTimeout(this.inactivityTimeout);
+    async sendSOSRequest(sosData, idempotencyKey) {
+        const response = await fetch(OUTBOX_ENDPOINTS.sos, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            },
+            body: JSON.stringify(sosData)
+        });
+
+        if (!response.ok) {
+            throw new Error('SOS request failed');
+        }
+
+        const result = await response.json();
+
+        // The service worker answers 202 when it has put the SOS in the outbox instead
+        if (result.queued) {
+            console.log('📦 SOS queued by service worker');
+            await this.updateQueuedCount();
+            await this.requestOutboxSync();
+        } else {
+            console.log('✅ SOS sent successfully');
         }
 
-        // Wait for inactivity after sudden motion
-        this.inactivityTimeout = setTimeout(() => {
-            this.showSafetyCheck();
-        }, 5000); // 5 seconds of inactivity after sudden motion
+        return result;
     }
 
     /**
-     * Show safety check modal
+     * Show SOS confirmation modal
      */
-    showSafetyCheck() {
-        const modal = document.getElementById('safety-modal');
+    showSOSConfirmation(sosData) {
+        const modal = document.getElementById('sos-modal');
+        const locationElement = document.getElementById('sos-location');
+        const timeElement = document.getElementById('sos-time');
+
+        if (sosData.location) {
+            locationElement.removeAttribute('data-i18n');
+            locationElement.textContent = `${sosData.location.latitude.toFixed(6)}, ${sosData.location.longitude.toFixed(6)}`;
+        } else {
+            I18n.localize(locationElement, 'sos.locationUnavailable');
+        }
+
+        timeElement.textContent = I18n.formatDateTime(sosData.timestamp, { dateStyle: 'medium', timeStyle: 'medium' });
+
+        I18n.localize(
+            document.getElementById('sos-escalation'),
+            this.emergencyContacts.length > 0 ? 'sos.notifying' : 'sos.noContacts'
+        );
+
+        const retractButton = document.getElementById('sos-retract');
+        retractButton.disabled = false;
+        retractButton.style.display = '';
+
+        // Direct call links, in case the network never comes back
+        const contactLinks = document.getElementById('sos-contacts');
+        contactLinks.replaceChildren();
+        this.emergencyContacts
+            .filter(contact => contact.phone && contact.priority === this.emergencyContacts[0].priority)
+            .forEach((contact) => {
+                const link = document.createElement('a');
+                link.className = 'btn btn-secondary';
+                link.href = `tel:${contact.phone}`;
+                link.textContent = `📞 ${contact.name}`;
+                contactLinks.appendChild(link);
+            });
+
+        // The nearest police station, hospital and embassy, in case help has to be reached in person
+        const help = sosData.location
+            ? Object.keys(HELP_POINT_TYPES)
+                .flatMap(type => this.findNearestHelp(sosData.location.latitude, sosData.location.longitude, { type, limit: 1 }))
+                .sort((a, b) => a.distance - b.distance)
+            : [];
+        document.getElementById('sos-help-list').replaceChildren(...help.map(result => this.createHelpItem(result)));
+        document.getElementById('sos-help').style.display = help.length > 0 ? '' : 'none';
+
         modal.classList.add('show');
+    }
 
-        let countdown = 10;
-        const countdownElement = document.getElementById('countdown');
-        
-        const countdownInterval = setInterval(() => {
-            countdown--;
-            countdownElement.textContent = countdown;
-            
-            if (countdown <= 0) {
-                clearInterval(countdownInterval);
-                this.triggerSOS();
-                this.dismissSafetyCheck();
-            }
-        }, 1000);
+    /**
+     * Poll an incident's escalation status and show it in the SOS modal. The backend lets the
+     * device that sent the SOS read it with the SOS's idempotency key.
+     */
+    watchEscalation(incidentId, sosId) {
+        clearInterval(this.escalationPoll);
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`/api/emergency/incidents/${incidentId}`, {
+                    headers: { Authorization: `Bearer ${sosId}` }
+                });
+                if (!response.ok) return;
 
-        // Store interval for cleanup
-        this.safetyCheckInterval = countdownInterval;
+                const { escalation } = await response.json();
+                if (!escalation) return;
 
-        console.log('🚨 Safety check initiated');
+                this.showEscalation(escalation);
+                if (escalation.status !== 'notifying') {
+                    clearInterval(this.escalationPoll);
+                }
+            } catch (error) {
+                console.warn('⚠️ Could not check escalation status:', error);
+            }
+        };
+
+        poll();
+        this.escalationPoll = setInterval(poll, 10000);
     }
 
     /**
-     * Dismiss safety check
+     * Show an escalation status in the SOS modal
      */
-    dismissSafetyCheck() {
-        const modal = document.getElementById('safety-modal');
-        modal.classList.remove('show');
-        
-        if (this.safetyCheckInterval) {
-            clearInterval(this.safetyCheckInterval);
+    showEscalation(escalation) {
+        const element = document.getElementById('sos-escalation');
+
+        switch (escalation.status) {
+            case 'acknowledged':
+                I18n.localize(element, 'escalation.acknowledged', { name: escalation.acknowledgedBy.name });
+                break;
+            case 'exhausted':
+                I18n.localize(element, 'escalation.exhausted');
+                break;
+            case 'none':
+                I18n.localize(element, 'escalation.none');
+                break;
+            case 'cancelled':
+                I18n.localize(element, 'escalation.cancelled');
+                break;
+            default: {
+                const tier = escalation.tiers[escalation.currentTier];
+                const names = tier.contacts.map(contact => contact.name).join(', ');
+                I18n.localize(element, 'escalation.notifying', { tier: escalation.currentTier + 1, names });
+            }
         }
-        
-        console.log('✅ Safety check dismissed');
     }
 
     /**
-     * Trigger SOS emergency alert
+     * Retract the last SOS ("I'm safe"). If it is still waiting in the outbox it is withdrawn
+     * and never sent; otherwise a retraction follows it so responders know it was a false alarm.
      */
-    async triggerSOS() {
-        console.log('🆘 SOS triggered');
-        
-        const sosData = {
+    async retractSOS() {
+        if (!this.lastSOS || this.lastSOS.retracted) return;
+
+        const { sosId } = this.lastSOS;
+        const retractButton = document.getElementById('sos-retract');
+        const statusElement = document.getElementById('sos-escalation');
+
+        this.lastSOS.retracted = true;
+        retractButton.disabled = true;
+        clearInterval(this.escalationPoll);
+
+        const retraction = {
+            sosId,
             userId: this.userId,
             timestamp: new Date().toISOString(),
-            location: this.currentPosition ? {
-                latitude: this.currentPosition.coords.latitude,
-                longitude: this.currentPosition.coords.longitude,
-                accuracy: this.currentPosition.coords.accuracy
-            } : null,
-            userData: this.userData
+            reason: 'false_alarm'
         };
 
-        // Update last alert time
-        document.getElementById('last-alert').textContent = new Date().toLocaleString();
-
-        // Send SOS (mock endpoint)
+        let outcome;
         try {
+            outcome = await this.outbox.withdrawOrFollowUp(sosId, 'sos_retraction', retraction, `retract-${sosId}`);
+        } catch (error) {
+            console.error('❌ Failed to retract SOS:', error);
+            this.lastSOS.retracted = false;
+            retractButton.disabled = false;
+            alert(I18n.t('sos.retractFailed'));
+            return;
+        }
+
+        retractButton.style.display = 'none';
+        this.eventLog.record('sos_retracted', { sosId, withdrawn: outcome.withdrawn });
+
+        if (this.emergencySession && this.emergencySession.sosId === sosId) {
+            this.endEmergencySession('false_alarm');
+        }
+
+        if (outcome.withdrawn) {
+            I18n.localize(statusElement, 'sos.withdrawn');
+            await this.updateQueuedCount();
+        } else {
+            I18n.localize(statusElement, 'sos.retracting');
+            await this.updateQueuedCount();
             if (navigator.onLine) {
-                await this.sendSOSRequest(sosData);
-            } else {
-                this.queueEvent('sos', sosData);
+                await this.syncQueuedEvents();
+            }
+            if (this.lastSOS.incidentId) {
+                this.watchEscalation(this.lastSOS.incidentId, this.lastSOS.sosId);
             }
-        } catch (error) {
-            console.error('❌ SOS send failed:', error);
-            this.queueEvent('sos', sosData);
         }
 
-        // Show confirmation modal
-        this.showSOSConfirmation(sosData);
-        
-        // Play alert sound
-        this.playAlertSound();
+        console.log('↩️ SOS retracted:', sosId);
     }
 
     /**
-     * Send SOS request to mock endpoint
+     * Start streaming breadcrumbs for an SOS
      */
-    async sendSOSRequest(sosData) {
-        // Mock API call - in real implementation, this would be your emergency endpoint
-        const response = await fetch('/api/emergency/sos', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(sosData)
-        });
+    startEmergencySession(sosId, fields = {}) {
+        if (this.emergencySession) {
+            this.endEmergencySession('superseded');
+        }
 
-        if (!response.ok) {
-            throw new Error('SOS request failed');
+        this.emergencySession = new EmergencySession({ sosId, userId: this.userId, ...fields });
+        this.emergencySession.save();
+        this.eventLog.record('session_started', { sessionId: this.emergencySession.sessionId, sosId });
+
+        if (this.currentPosition) {
+            this.recordBreadcrumb(this.currentPosition);
         }
+        this.updateSessionStatus();
 
-        console.log('✅ SOS sent successfully');
-        return response.json();
+        console.log('📡 Emergency session started:', this.emergencySession.sessionId);
     }
 
     /**
-     * Show SOS confirmation modal
+     * Queue a breadcrumb if the session's adaptive interval has passed
      */
-    showSOSConfirmation(sosData) {
-        const modal = document.getElementById('sos-modal');
-        const locationElement = document.getElementById('sos-location');
-        const timeElement = document.getElementById('sos-time');
+    async recordBreadcrumb(position) {
+        const session = this.emergencySession;
+        const fix = {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            heading: position.coords.heading,
+            speed: position.coords.speed,
+            timestamp: position.timestamp || Date.now()
+        };
 
-        if (sosData.location) {
-            locationElement.textContent = `${sosData.location.latitude.toFixed(6)}, ${sosData.location.longitude.toFixed(6)}`;
-        } else {
-            locationElement.textContent = 'Location unavailable';
+        if (!session.isDue(fix)) return;
+
+        const update = session.createUpdate(fix);
+        session.save();
+
+        // Queued through the outbox so breadcrumbs recorded offline are kept and sent later
+        await this.queueEvent('tracking_update', update, `${session.sessionId}-${update.seq}`);
+        this.updateSessionStatus();
+
+        if (navigator.onLine) {
+            this.syncQueuedEvents();
+        }
+    }
+
+    /**
+     * End the emergency session. closedBy is 'user' unless responders closed it,
+     * in which case the server already knows.
+     */
+    async endEmergencySession(reason = 'user', closedBy = 'user') {
+        const session = this.emergencySession;
+        if (!session) return;
+
+        this.emergencySession = null;
+        EmergencySession.clear();
+        this.updateSessionStatus();
+        session.heldEvents.forEach(({ type, details, timestamp }) => this.eventLog.record(type, details, timestamp));
+        this.eventLog.record('session_ended', { sessionId: session.sessionId, reason, closedBy });
+
+        if (closedBy === 'user') {
+            await this.queueEvent('tracking_close', {
+                sessionId: session.sessionId,
+                sosId: session.sosId,
+                closedBy,
+                reason,
+                timestamp: new Date().toISOString()
+            }, `close-${session.sessionId}`);
+
+            if (navigator.onLine) {
+                this.syncQueuedEvents();
+            }
         }
 
-        timeElement.textContent = new Date(sosData.timestamp).toLocaleString();
-        modal.classList.add('show');
+        console.log(`📡 Emergency session ended (${reason})`);
+    }
+
+    /**
+     * Show the emergency session state in the dashboard
+     */
+    updateSessionStatus() {
+        const widget = document.getElementById('session-widget');
+        const session = this.emergencySession;
+
+        // Someone watching the screen mustn't learn that a silent SOS went out
+        widget.style.display = session && !session.silent ? '' : 'none';
+        if (!session || session.silent) return;
+
+        document.getElementById('session-id').textContent = session.sessionId.slice(0, 8).toUpperCase();
+        document.getElementById('session-started').textContent = I18n.formatTime(session.startedAt);
+        document.getElementById('session-sent').textContent = session.sent;
+        document.getElementById('session-buffered').textContent = session.seq - session.sent;
     }
 
     /**
@@ -716,23 +3421,69 @@ class NavRaksha {
     }
 
     /**
-     * Queue events for offline sync
+     * Queue events for offline sync, and arrange for them to be sent without this page
      */
-    queueEvent(type, data) {
-        const event = {
-            id: Date.now() + Math.random(),
-            type,
-            data,
-            timestamp: Date.now()
-        };
+    async queueEvent(type, data, idempotencyKey) {
+        try {
+            await this.outbox.enqueue(type, data, idempotencyKey);
+        } catch (error) {
+            console.error('❌ Failed to queue event:', error);
+        }
 
-        this.queuedEvents.push(event);
-        localStorage.setItem('navraksha_queued_events', JSON.stringify(this.queuedEvents));
-        
-        // Update UI
-        document.getElementById('queued-events').textContent = this.queuedEvents.length;
-        
-        console.log('📦 Event queued:', type);
+        await this.updateQueuedCount();
+        await this.requestOutboxSync();
+
+        // The worker keeps a notification up until a queued SOS has gone out
+        if (type === 'sos' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'QUEUE_SOS', id: idempotencyKey, silent: SosPayload.isSilent(data) });
+        }
+
+        if (type === 'location_update' && !this.locationSyncRegistered) {
+            this.locationSyncRegistered = await this.registerPeriodicSync(LOCATION_SYNC_TAG, LOCATION_SYNC_INTERVAL);
+        }
+    }
+
+    /**
+     * Have the service worker deliver the outbox when a connection returns. Without Background
+     * Sync, retry from the page on a timer until the queue drains.
+     */
+    async requestOutboxSync() {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.sync.register(OUTBOX_SYNC_TAG);
+                return;
+            } catch (error) {
+                console.warn('⚠️ Background sync unavailable:', error.message);
+            }
+        }
+
+        if (!this.outboxRetryTimeout) {
+            this.outboxRetryTimeout = setTimeout(() => this.syncQueuedEvents(), OUTBOX_FALLBACK_RETRY);
+        }
+    }
+
+    /**
+     * Show the number of pending outbox events
+     */
+    async updateQueuedCount() {
+        try {
+            this.showQueuedCount(await this.outbox.count());
+        } catch (error) {
+            console.error('❌ Failed to read event queue:', error);
+        }
+    }
+
+    showQueuedCount(count) {
+        document.getElementById('queued-events').textContent = count;
+    }
+
+    /**
+     * The service worker delivered or queued events: update the counter and follow up on deliveries
+     */
+    handleOutboxMessage({ pending, delivered = [] }) {
+        this.showQueuedCount(pending);
+        this.handleDeliveredEvents(delivered);
     }
 
     /**
@@ -745,7 +3496,7 @@ class NavRaksha {
             if (navigator.onLine) {
                 networkStatus.classList.remove('offline');
                 networkStatus.classList.add('online');
-                this.syncQueuedEvents();
+                this.syncQueuedEvents({ force: true });
             } else {
                 networkStatus.classList.remove('online');
                 networkStatus.classList.add('offline');
@@ -754,6 +3505,14 @@ class NavRaksha {
 
         window.addEventListener('online', updateNetworkStatus);
         window.addEventListener('offline', updateNetworkStatus);
+
+        // The service worker also delivers the outbox, in background syncs
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const message = event.data || {};
+                if (message.type === 'OUTBOX_CHANGED') this.handleOutboxMessage(message);
+            });
+        }
         
         // Initial check
         updateNetworkStatus();
@@ -762,119 +3521,435 @@ class NavRaksha {
     }
 
     /**
-     * Sync queued events when back online
+     * Sync queued events; events that keep failing are retried with backoff
      */
-    async syncQueuedEvents() {
-        if (this.queuedEvents.length === 0) return;
+    async syncQueuedEvents({ force = false } = {}) {
+        clearTimeout(this.outboxRetryTimeout);
+        this.outboxRetryTimeout = null;
 
         console.log('🔄 Syncing queued events...');
 
-        const eventsToSync = [...this.queuedEvents];
-        
-        for (const event of eventsToSync) {
-            try {
-                if (event.type === 'sos') {
-                    await this.sendSOSRequest(event.data);
-                } else if (event.type === 'location_update') {
-                    // Mock location sync
-                    console.log('📍 Syncing location update:', event.data);
+        try {
+            const summary = await this.outbox.flush({ force });
+            this.handleDeliveredEvents(summary.delivered);
+
+            if (summary.nextAttemptAt && navigator.onLine) {
+                const delay = Math.max(0, summary.nextAttemptAt - Date.now());
+                this.outboxRetryTimeout = setTimeout(() => this.syncQueuedEvents(), delay);
+            } else if (summary.pending > 0) {
+                // Offline: the worker's background sync takes over, or a timer where there is none
+                await this.requestOutboxSync();
+            }
+
+            console.log(`✅ Event sync completed (${summary.delivered.length} sent, ${summary.failed.length} failed, ${summary.pending} pending)`);
+        } catch (error) {
+            console.error('❌ Event sync failed:', error);
+        }
+
+        await this.updateQueuedCount();
+    }
+
+    /**
+     * Follow up on delivered events, whether this page or the service worker sent them
+     */
+    handleDeliveredEvents(delivered) {
+        // Follow the escalation of SOS alerts that were waiting in the queue
+        delivered
+            .filter(event => event.type === 'sos' && event.response && event.response.incidentId)
+            .forEach((event) => {
+                if (this.lastSOS && this.lastSOS.sosId === event.id) {
+                    this.lastSOS.incidentId = event.response.incidentId;
                 }
-                
-                // Remove synced event
-                this.queuedEvents = this.queuedEvents.filter(e => e.id !== event.id);
-            } catch (error) {
-                console.error('❌ Failed to sync event:', error);
-                break; // Stop syncing on error
+                this.watchEscalation(event.response.incidentId, event.id);
+            });
+
+        this.handleDeliveredBreadcrumbs(delivered.filter(event => event.type === 'tracking_update'));
+    }
+
+    /**
+     * Count delivered breadcrumbs and stop streaming if responders closed the session
+     */
+    handleDeliveredBreadcrumbs(events) {
+        const session = this.emergencySession;
+        if (!session) return;
+
+        const ours = events.filter(event => event.data.sessionId === session.sessionId);
+        if (ours.length === 0) return;
+
+        session.sent += ours.length;
+        session.save();
+        this.updateSessionStatus();
+
+        if (ours.some(event => event.response && event.response.active === false)) {
+            this.endEmergencySession('closed_by_responder', 'responder');
+        }
+    }
+
+    /**
+     * Move events queued by older versions (localStorage) into the outbox
+     */
+    async migrateLegacyQueue() {
+        const storedEvents = localStorage.getItem('navraksha_queued_events');
+        if (!storedEvents) return;
+
+        try {
+            for (const event of JSON.parse(storedEvents)) {
+                await this.outbox.enqueue(event.type, event.data, `legacy-${event.id}`);
             }
+            localStorage.removeItem('navraksha_queued_events');
+            console.log('📦 Legacy event queue migrated');
+        } catch (error) {
+            console.error('❌ Failed to migrate legacy event queue:', error);
         }
 
-        // Update storage and UI
-        localStorage.setItem('navraksha_queued_events', JSON.stringify(this.queuedEvents));
-        document.getElementById('queued-events').textContent = this.queuedEvents.length;
-        
-        console.log('✅ Event sync completed');
+        if (navigator.onLine) {
+            this.syncQueuedEvents();
+        }
     }
 
     /**
-     * Initialize dashboard chart
+     * Initialize dashboard chart from the local event log
      */
     initializeChart() {
         const ctx = document.getElementById('incidents-chart').getContext('2d');
-        
-        // Sample data for demonstration
-        const sampleData = {
-            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-            datasets: [{
-                label: 'Safety Incidents',
-                data: [2, 1, 3, 0, 1, 2, 0],
-                backgroundColor: 'rgba(220, 38, 38, 0.2)',
-                borderColor: 'rgba(220, 38, 38, 1)',
-                borderWidth: 2,
-                fill: true
-            }]
-        };
 
-        new Chart(ctx, {
-            type: 'line',
-            data: sampleData,
+        this.incidentsChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: Object.entries(INCIDENT_TYPES).map(([type, { label, color }]) => ({
+                    type,
+                    label: I18n.t(label),
+                    data: [],
+                    backgroundColor: color,
+                    borderColor: color,
+                    borderWidth: 1
+                }))
+            },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
+                    x: {
+                        stacked: true
+                    },
                     y: {
+                        stacked: true,
                         beginAtZero: true,
-                        max: 5
+                        ticks: {
+                            precision: 0
+                        }
                     }
                 },
                 plugins: {
                     legend: {
-                        display: false
+                        display: true,
+                        position: 'bottom',
+                        labels: {
+                            boxWidth: 10,
+                            font: {
+                                size: 10
+                            }
+                        }
                     }
                 }
             }
         });
 
+        document.getElementById('chart-range').addEventListener('change', () => this.refreshDashboardStats());
+        this.eventLog.addEventListener('recorded', event => this.addDashboardEntry(event.detail));
+        this.loadDashboardStats();
+
         console.log('📊 Chart initialized');
     }
 
+    /**
+     * Read the incidents the dashboard covers (the longest chart range) and the last SOS from
+     * the event log once; new events are then added as they are recorded
+     */
+    async loadDashboardStats() {
+        const since = Date.now() - 31 * 24 * 60 * 60 * 1000;
+        try {
+            const [entries, lastSOS] = await Promise.all([this.eventLog.getSince(since), this.eventLog.getLatest('sos')]);
+            this.dashboardEntries = entries.filter(entry => INCIDENT_TYPES[entry.type]);
+            this.lastSOSAt = lastSOS ? lastSOS.timestamp : null;
+        } catch (error) {
+            console.error('❌ Failed to read event log:', error);
+            return;
+        }
+        this.refreshDashboardStats();
+    }
+
+    /**
+     * Count a newly recorded event without reading the log again
+     */
+    addDashboardEntry(entry) {
+        if (!this.dashboardEntries || !INCIDENT_TYPES[entry.type]) return;
+
+        this.dashboardEntries.push(entry);
+        if (entry.type === 'sos') {
+            this.lastSOSAt = entry.timestamp;
+        }
+        this.refreshDashboardStats();
+    }
+
+    /**
+     * Redraw the incidents chart and System Status figures from the loaded events
+     */
+    refreshDashboardStats() {
+        if (!this.dashboardEntries) return;
+
+        const rangeName = document.getElementById('chart-range').value;
+        const entries = this.dashboardEntries;
+        const { starts, unit, series } = EventLog.countByBucket(entries, rangeName);
+
+        this.incidentsChart.data.labels = starts.map((start) => {
+            if (unit === 'hour') {
+                return I18n.formatTime(start);
+            }
+            return rangeName === 'week'
+                ? I18n.formatDate(start, { weekday: 'short' })
+                : I18n.formatDate(start, { day: 'numeric', month: 'short' });
+        });
+        this.incidentsChart.data.datasets.forEach((dataset) => {
+            dataset.data = series[dataset.type];
+            dataset.label = I18n.t(INCIDENT_TYPES[dataset.type].label);
+        });
+        this.incidentsChart.update();
+
+        // System Status reads the same log
+        const lastAlert = document.getElementById('last-alert');
+        if (this.lastSOSAt) {
+            lastAlert.removeAttribute('data-i18n');
+            lastAlert.textContent = I18n.formatDateTime(this.lastSOSAt);
+        } else {
+            I18n.localize(lastAlert, 'dashboard.never');
+        }
+
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        document.getElementById('weekly-incidents').textContent = entries
+            .filter(entry => INCIDENT_TYPES[entry.type] && entry.timestamp >= weekAgo)
+            .length;
+    }
+
     /**
      * Toggle high contrast mode
      */
     toggleHighContrast() {
-        document.body.classList.toggle('high-contrast');
-        const isHighContrast = document.body.classList.contains('high-contrast');
-        localStorage.setItem('navraksha_high_contrast', isHighContrast);
+        const isHighContrast = !this.settings.get('highContrast');
+        this.settings.set({ highContrast: isHighContrast });
         
         console.log('🎨 High contrast mode:', isHighContrast ? 'enabled' : 'disabled');
     }
 
     /**
-     * Load stored data on app start
+     * Apply changed settings to the running modules and the controls that show them
      */
-    loadStoredData() {
-        // Load user data
-        const storedUserData = localStorage.getItem('navraksha_user_data');
-        const storedUserId = localStorage.getItem('navraksha_user_id');
-        
-        if (storedUserData && storedUserId) {
-            this.userData = JSON.parse(storedUserData);
-            this.userId = storedUserId;
+    applySettings(changed) {
+        if (['fallSensitivity', 'impactThreshold', 'stillnessWindow', 'settleTime'].some(key => key in changed)) {
+            this.fallDetector.configure(this.getFallDetectorOptions());
+            this.fallDetector.reset();
+            console.log(`📱 Fall detection: ${this.fallDetector.sensitivity}`, this.fallDetector.options);
+        }
+
+        if (['geofenceDwellTime', 'geofenceHysteresis', 'geofenceMaxAccuracy'].some(key => key in changed)) {
+            this.geofence.configure(this.getGeofenceOptions());
+            this.advisoryMonitor.configure(this.getGeofenceOptions());
+        }
+
+        if ('checkInGracePeriod' in changed) {
+            this.applyCheckInGracePeriod(changed.checkInGracePeriod * 1000);
+        }
+
+        // Restart tracking so new GPS options take effect
+        if (('geolocationTimeout' in changed || 'geolocationMaximumAge' in changed) && this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+            this.initializeGeolocation();
+        }
+
+        if ('language' in changed) {
+            this.applyLanguage();
+            this.refreshLocalizedViews();
+        }
+
+        if ('safeZoneRadius' in changed || 'language' in changed) {
+            const radius = this.settings.get('safeZoneRadius');
+            document.getElementById('radius-slider').value = radius;
+            document.getElementById('radius-value').textContent = I18n.t('unit.metres', { value: radius });
+        }
+
+        if ('forwardGeofenceEvents' in changed) {
+            document.getElementById('forward-geofence').checked = changed.forwardGeofenceEvents;
+        }
+
+        if ('showAdvisories' in changed) {
+            document.getElementById('show-advisories').checked = changed.showAdvisories;
+            this.showAdvisoryLayer(changed.showAdvisories);
+        }
+
+        if ('highContrast' in changed) {
+            document.body.classList.toggle('high-contrast', changed.highContrast);
+        }
+
+        this.renderSettings();
+    }
+
+    /**
+     * Switch to the chosen language (or the browser's) and translate the page. The choice is
+     * also stored where the service worker can read it, so notifications match the page.
+     */
+    applyLanguage() {
+        const language = I18n.setLanguage(this.settings.get('language') || I18n.detect());
+        I18n.translate();
+
+        // Language names are written in their own language, so they stay as they are
+        const select = document.getElementById('language-select');
+        const choices = [['', I18n.t('language.automatic')], ...Object.entries(I18N_LANGUAGES).map(([code, { name }]) => [code, name])];
+        select.replaceChildren(...choices.map(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            return option;
+        }));
+        select.value = this.settings.get('language') || '';
+
+        I18n.savePreference(language)
+            .catch(error => console.warn('⚠️ Could not save the language for notifications:', error));
+        console.log(`🌐 Language: ${language}`);
+    }
+
+    /**
+     * Redraw the views built in code, whose text translate() can't reach
+     */
+    refreshLocalizedViews() {
+        this.updateLockState();
+        this.renderContacts();
+        this.renderZoneList();
+        this.renderCheckIns();
+        this.renderTilePacks();
+        this.updateTilePackEstimate();
+        this.renderAdvisoryFeeds();
+        this.renderHelpSource();
+        this.updateNearestHelp();
+        this.renderVoiceSettings();
+        this.updateSessionStatus();
+        this.refreshDashboardStats();
+        if (this.userId && this.medicalCard) {
             this.displayDigitalId();
         }
+    }
 
-        // Load queued events
-        const storedEvents = localStorage.getItem('navraksha_queued_events');
-        if (storedEvents) {
-            this.queuedEvents = JSON.parse(storedEvents);
-            document.getElementById('queued-events').textContent = this.queuedEvents.length;
+    /**
+     * Fill the settings form from the current settings; blank means "use the preset"
+     */
+    renderSettings() {
+        const form = document.getElementById('settings-form');
+
+        Array.from(form.elements).forEach((element) => {
+            if (!SETTINGS_SCHEMA[element.name]) return;
+
+            const value = this.settings.get(element.name);
+            if (element.type === 'checkbox') {
+                element.checked = value;
+            } else {
+                element.value = value === null ? '' : value;
+            }
+        });
+    }
+
+    saveSettingsFromForm(event) {
+        event.preventDefault();
+
+        const patch = {};
+        Array.from(event.target.elements).forEach((element) => {
+            const rule = SETTINGS_SCHEMA[element.name];
+            if (!rule) return;
+
+            if (rule.type === 'boolean') {
+                patch[element.name] = element.checked;
+            } else if (rule.type === 'number') {
+                patch[element.name] = element.value === '' && rule.nullable ? null : parseFloat(element.value);
+            } else {
+                patch[element.name] = element.value === '' && rule.nullable ? null : element.value;
+            }
+        });
+
+        try {
+            const changed = this.settings.set(patch);
+            console.log('⚙️ Settings saved:', changed);
+        } catch (error) {
+            if (!(error instanceof SettingsError)) throw error;
+            alert(error.message);
+        }
+    }
+
+    resetSettings() {
+        if (!confirm(I18n.t('settings.resetConfirm'))) {
+            return;
         }
 
-        // Load high contrast preference
-        const highContrast = localStorage.getItem('navraksha_high_contrast');
-        if (highContrast === 'true') {
-            document.body.classList.add('high-contrast');
+        this.settings.reset();
+        console.log('⚙️ Settings reset to defaults');
+    }
+
+    /**
+     * Download the settings as JSON, to restore later or copy to another device
+     */
+    exportSettings() {
+        const blob = new Blob([JSON.stringify(this.settings.export(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'navraksha-settings.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        console.log('📤 Settings exported');
+    }
+
+    async importSettings(file) {
+        try {
+            this.settings.import(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('❌ Failed to import settings:', error);
+            alert(error instanceof SettingsError ? error.message : I18n.t('settings.importUnreadable'));
+            return;
         }
 
+        alert(I18n.t('settings.imported'));
+        console.log('📥 Settings imported');
+    }
+
+    /**
+     * Load stored data on app start
+     */
+    loadStoredData() {
+        // Load the medical card and contacts, which stay readable while locked
+        this.userId = localStorage.getItem('navraksha_user_id');
+        this.loadEmergencyData();
+
+        // Resume a live emergency session interrupted by a reload
+        this.emergencySession = EmergencySession.load();
+        this.updateSessionStatus();
+
+        // Load queued events
+        this.migrateLegacyQueue().then(() => this.updateQueuedCount());
+
+        // Load safe zones
+        this.loadSafeZones();
+
+        this.eventLog.prune()
+            .catch(error => console.error('❌ Failed to prune event log:', error));
+
+        // Trim old location history, then show how much is recorded
+        this.locationHistory.prune()
+            .catch(error => console.error('❌ Failed to prune location history:', error))
+            .then(() => this.refreshTrail());
+
+        // Show the stored settings; tracking and the fall detector already started with them
+        const { safeZoneRadius, forwardGeofenceEvents, showAdvisories, highContrast } = this.settings.getAll();
+        this.applySettings({ safeZoneRadius, forwardGeofenceEvents, showAdvisories, highContrast });
+
         console.log('💾 Stored data loaded');
     }
 }
@@ -0,0 +1,247 @@
+/**
+ * NavRaksha Advisories
+ * Areas flagged by tourism or police authorities (restricted areas, flood zones, protests,
+ * night-unsafe stretches), loaded from GeoJSON feeds by URL or imported file. Feeds are
+ * kept in IndexedDB, so the overlay and the warnings work offline.
+ */
+
+const ADVISORIES_STORE = 'advisories';
+
+// Severity levels, mildest first; labels are message keys (js/i18n.js)
+const ADVISORY_SEVERITIES = {
+    info: { label: 'advisories.severity.info', color: '#2563eb', fillOpacity: 0.1 },
+    caution: { label: 'advisories.severity.caution', color: '#d97706', fillOpacity: 0.2 },
+    danger: { label: 'advisories.severity.danger', color: '#dc2626', fillOpacity: 0.3 }
+};
+const ADVISORY_DEFAULT_SEVERITY = 'caution';
+
+// Other severity names feeds use (CAP, common exports) and the level each maps to
+const ADVISORY_SEVERITY_ALIASES = {
+    low: 'info',
+    minor: 'info',
+    medium: 'caution',
+    moderate: 'caution',
+    warning: 'caution',
+    high: 'danger',
+    severe: 'danger',
+    extreme: 'danger',
+    critical: 'danger'
+};
+
+// Feeds loaded from a URL are fetched again when older than this, if there is a connection
+const ADVISORY_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+class AdvisoryError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AdvisoryError';
+        this.code = code;
+    }
+}
+
+const Advisories = {
+    /**
+     * A feed's severity value as one of ADVISORY_SEVERITIES
+     */
+    normalizeSeverity(value) {
+        const name = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        if (ADVISORY_SEVERITIES[name]) return name;
+        return ADVISORY_SEVERITY_ALIASES[name] || ADVISORY_DEFAULT_SEVERITY;
+    },
+
+    /**
+     * Polygons in a GeoJSON geometry, as [outer ring, ...holes] with [lat, lng] points.
+     * Other geometry types are ignored.
+     */
+    polygonsOf(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'GeometryCollection') {
+            return (geometry.geometries || []).flatMap(part => this.polygonsOf(part));
+        }
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+        const isPoint = position => Array.isArray(position) &&
+            Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+            Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+        return polygons
+            .filter(rings => Array.isArray(rings) && rings.length > 0 && rings.every(ring => (
+                Array.isArray(ring) && ring.length >= 4 && ring.every(isPoint)
+            )))
+            .map(rings => rings.map(ring => ring.map(([lng, lat]) => [lat, lng])));
+    },
+
+    parseDate(value) {
+        const time = value ? Date.parse(value) : NaN;
+        return Number.isNaN(time) ? null : time;
+    },
+
+    /**
+     * Advisory records from a GeoJSON FeatureCollection or Feature. Features without a
+     * polygon are skipped. Throws an AdvisoryError if there is nothing to show.
+     */
+    parse(geojson, feedId) {
+        const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson && geojson.type === 'Feature' ? [geojson]
+            : null;
+        if (!Array.isArray(features)) {
+            throw new AdvisoryError('Not a GeoJSON feature collection', 'invalid');
+        }
+
+        const advisories = [];
+        features.forEach((feature, index) => {
+            const polygons = this.polygonsOf(feature && feature.geometry);
+            if (polygons.length === 0) return;
+
+            const properties = feature.properties || {};
+            advisories.push({
+                id: `${feedId}:${feature.id !== undefined ? feature.id : index}`,
+                name: String(properties.title || properties.name || '').slice(0, 120),
+                description: String(properties.description || '').slice(0, 500),
+                category: String(properties.category || '').slice(0, 60),
+                severity: this.normalizeSeverity(properties.severity),
+                validFrom: this.parseDate(properties.validFrom),
+                validUntil: this.parseDate(properties.validUntil),
+                polygons
+            });
+        });
+
+        if (advisories.length === 0) {
+            throw new AdvisoryError('The feed has no advisory areas', 'empty');
+        }
+        return { advisories, skipped: features.length - advisories.length };
+    },
+
+    /**
+     * Check whether an advisory applies at the given time
+     */
+    isActive(advisory, now = Date.now()) {
+        return (advisory.validFrom === null || advisory.validFrom <= now) &&
+            (advisory.validUntil === null || now < advisory.validUntil);
+    },
+
+    /**
+     * Check whether a point lies in one of an advisory's polygons, outside its holes
+     */
+    contains(advisory, lat, lng) {
+        return advisory.polygons.some(([outer, ...holes]) => (
+            Geo.pointInPolygon(lat, lng, outer) && !holes.some(hole => Geo.pointInPolygon(lat, lng, hole))
+        ));
+    },
+
+    /**
+     * Signed distance in meters from a point to an advisory's boundary: negative inside, positive outside
+     */
+    boundaryDistance(advisory, lat, lng) {
+        const edgeDistance = Math.min(...advisory.polygons.flat().map(ring => Geo.distanceToPolygonEdge(lat, lng, ring)));
+        return this.contains(advisory, lat, lng) ? -edgeDistance : edgeDistance;
+    }
+};
+
+class AdvisoryFeedStore {
+    /**
+     * All feeds, oldest first
+     */
+    async getAll() {
+        const feeds = await NavRakshaDB.transaction(ADVISORIES_STORE, 'readonly', (tx) => {
+            return tx.objectStore(ADVISORIES_STORE).getAll();
+        });
+        return feeds.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    save(feed) {
+        return NavRakshaDB.transaction(ADVISORIES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(ADVISORIES_STORE).put(feed);
+        });
+    }
+
+    remove(id) {
+        return NavRakshaDB.transaction(ADVISORIES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(ADVISORIES_STORE).delete(id);
+        });
+    }
+
+    /**
+     * Parse a feed and store it, replacing `existing` if given; resolves to the saved feed
+     */
+    async store(geojson, { name, url = null, existing = null }) {
+        const id = existing ? existing.id : NavRakshaDB.generateId();
+        const { advisories, skipped } = Advisories.parse(geojson, id);
+        const now = Date.now();
+
+        const feed = {
+            id,
+            name: (existing && existing.name) || String(geojson.name || name).slice(0, 60),
+            url,
+            advisories,
+            skipped,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        await this.save(feed);
+        return feed;
+    }
+
+    /**
+     * Fetch a feed from a URL and store it; `existing` refreshes a saved feed
+     */
+    async load(url, existing = null) {
+        let location;
+        try {
+            location = new URL(url, self.location.href);
+        } catch (error) {
+            throw new AdvisoryError('Invalid URL', 'url');
+        }
+        if (!['https:', 'http:'].includes(location.protocol)) {
+            throw new AdvisoryError('Invalid URL', 'url');
+        }
+
+        let geojson;
+        try {
+            const response = await fetch(location.href, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            geojson = await response.json();
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                throw new AdvisoryError('The feed is not JSON', 'invalid');
+            }
+            throw new AdvisoryError(`Feed unavailable: ${error.message}`, 'network');
+        }
+
+        return this.store(geojson, { name: location.hostname || location.pathname, url: location.href, existing });
+    }
+
+    /**
+     * Store a feed from an imported GeoJSON file
+     */
+    async import(file) {
+        let geojson;
+        try {
+            geojson = JSON.parse(await file.text());
+        } catch (error) {
+            throw new AdvisoryError('The file is not JSON', 'invalid');
+        }
+        return this.store(geojson, { name: file.name.replace(/\.(geo)?json$/i, '') });
+    }
+
+    /**
+     * Fetch again the URL feeds older than the refresh interval. A feed that can't be fetched
+     * keeps its stored copy. Resolves to the feeds that were updated.
+     */
+    async refreshStale(now = Date.now()) {
+        const stale = (await this.getAll()).filter(feed => feed.url && now - feed.updatedAt >= ADVISORY_REFRESH_INTERVAL);
+        const updated = [];
+
+        for (const feed of stale) {
+            try {
+                updated.push(await this.load(feed.url, feed));
+            } catch (error) {
+                console.warn(`⚠️ Advisory feed ${feed.name} not refreshed:`, error.message);
+            }
+        }
+        return updated;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * NavRaksha Check-ins
+ * User-scheduled "I'm OK" confirmations (a dead-man's switch), persisted in IndexedDB
+ * so the service worker can remind the user while the page is in the background, and
+ * send the SOS itself when one is missed with no page open
+ */
+
+const CHECK_INS_STORE = 'checkins';
+
+// What the service worker sends with that SOS, sealed with the device key, and how often
+// (ms) the page refreshes it with the latest position
+const CHECK_IN_ESCALATION_STORE = 'preferences';
+const CHECK_IN_ESCALATION_KEY = 'checkin-escalation';
+const CHECK_IN_ESCALATION_REFRESH = 60 * 1000;
+
+// A check-in found missed when the app opens gets this long (ms) to be answered before the SOS
+const CHECK_IN_FINAL_PROMPT = 30 * 1000;
+
+// How long after a check-in falls due the user has to confirm before SOS is sent; the default
+// for the checkInGracePeriod setting (js/settings.js)
+const CHECK_IN_GRACE_PERIOD = 5 * 60 * 1000;
+
+const CHECK_IN_STATUS = {
+    PENDING: 'pending',
+    DUE: 'due',
+    MISSED: 'missed'
+};
+
+const CheckIns = {
+    /**
+     * Build a new check-in record.
+     * `interval` repeats every N ms (optionally `until` a timestamp); `deadline` fires once at `dueAt`.
+     */
+    create(fields, now = Date.now()) {
+        const checkIn = {
+            id: NavRakshaDB.generateId(),
+            label: 'Check-in',
+            type: 'interval',
+            interval: 2 * 60 * 60 * 1000,
+            until: null,
+            dueAt: null,
+            grace: CHECK_IN_GRACE_PERIOD,
+            notifiedAt: null,
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        };
+
+        if (checkIn.type === 'interval' && !checkIn.dueAt) {
+            checkIn.dueAt = now + checkIn.interval;
+        }
+        return checkIn;
+    },
+
+    /**
+     * Next occurrence of a wall-clock time ('HH:MM'), today or tomorrow
+     */
+    nextOccurrence(time, now = Date.now()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = new Date(now);
+        date.setHours(hours, minutes, 0, 0);
+
+        if (date.getTime() <= now) {
+            date.setDate(date.getDate() + 1);
+        }
+        return date.getTime();
+    },
+
+    /**
+     * Where a check-in stands at `now`: not yet due, due and awaiting confirmation, or missed
+     */
+    status(checkIn, now = Date.now()) {
+        if (now < checkIn.dueAt) return CHECK_IN_STATUS.PENDING;
+        if (now < checkIn.dueAt + checkIn.grace) return CHECK_IN_STATUS.DUE;
+        return CHECK_IN_STATUS.MISSED;
+    },
+
+    /**
+     * Record a confirmation; returns the rescheduled check-in, or null once it has run its course
+     */
+    confirm(checkIn, now = Date.now()) {
+        if (checkIn.type !== 'interval') return null;
+
+        const dueAt = now + checkIn.interval;
+        if (checkIn.until && dueAt > checkIn.until) return null;
+
+        return { ...checkIn, dueAt, notifiedAt: null, updatedAt: now };
+    },
+
+    /**
+     * Human-readable summary in the current language, e.g. "Every 2 h until 07:00"
+     */
+    describe(checkIn) {
+        if (checkIn.type === 'deadline') {
+            return I18n.t('checkins.describeDeadline', { time: I18n.formatTime(checkIn.dueAt) });
+        }
+
+        const minutes = Math.round(checkIn.interval / 60000);
+        const every = minutes % 60 === 0
+            ? I18n.t('unit.hours', { value: minutes / 60 })
+            : I18n.t('unit.minutes', { value: minutes });
+        return checkIn.until
+            ? I18n.t('checkins.describeIntervalUntil', { every, time: I18n.formatTime(checkIn.until) })
+            : I18n.t('checkins.describeInterval', { every });
+    }
+};
+
+class CheckInStore {
+    /**
+     * All check-ins, soonest due first
+     */
+    async getAll() {
+        const checkIns = await NavRakshaDB.transaction(CHECK_INS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(CHECK_INS_STORE).getAll();
+        });
+        return checkIns.sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Fetch a single check-in, or undefined
+     */
+    get(id) {
+        return NavRakshaDB.transaction(CHECK_INS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(CHECK_INS_STORE).get(id);
+        });
+    }
+
+    /**
+     * Create or update a check-in
+     */
+    save(checkIn) {
+        return NavRakshaDB.transaction(CHECK_INS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(CHECK_INS_STORE).put(checkIn);
+        });
+    }
+
+    /**
+     * Delete a check-in
+     */
+    remove(id) {
+        return NavRakshaDB.transaction(CHECK_INS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(CHECK_INS_STORE).delete(id);
+        });
+    }
+
+    /**
+     * Store the user ID, medical card, contacts and last position for an SOS sent by the service worker
+     */
+    async saveEscalation(context) {
+        const value = await DeviceKey.seal(context);
+        return NavRakshaDB.transaction(CHECK_IN_ESCALATION_STORE, 'readwrite', (tx) => {
+            tx.objectStore(CHECK_IN_ESCALATION_STORE).put({ name: CHECK_IN_ESCALATION_KEY, value });
+        });
+    }
+
+    /**
+     * The stored SOS details, or null if the page never saved any
+     */
+    async loadEscalation() {
+        const stored = await NavRakshaDB.transaction(CHECK_IN_ESCALATION_STORE, 'readonly', (tx) => {
+            return tx.objectStore(CHECK_IN_ESCALATION_STORE).get(CHECK_IN_ESCALATION_KEY);
+        });
+        return stored ? DeviceKey.open(stored.value) : null;
+    }
+
+    /**
+     * Confirm a check-in by ID: reschedule it, or delete it if it has no further occurrences
+     */
+    async confirm(id, now = Date.now()) {
+        const checkIn = await this.get(id);
+        if (!checkIn) return null;
+
+        const next = CheckIns.confirm(checkIn, now);
+        if (next) {
+            await this.save(next);
+        } else {
+            await this.remove(id);
+        }
+        return next;
+    }
+}
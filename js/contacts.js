@@ -0,0 +1,77 @@
+/**
+ * NavRaksha Emergency Contacts
+ * Contact list with priorities; contacts sharing a priority form one escalation tier.
+ * Stored encrypted with the device key: an SOS sent while the app is locked still escalates.
+ */
+
+const CONTACTS_STORAGE_KEY = 'navraksha_emergency_contacts';
+
+const EmergencyContacts = {
+    /**
+     * Build a new contact record
+     */
+    create(fields) {
+        return {
+            id: NavRakshaDB.generateId(),
+            name: '',
+            relationship: '',
+            phone: '',
+            email: '',
+            priority: 1,
+            ...fields
+        };
+    },
+
+    /**
+     * The message key for what's wrong with a contact's fields, or null if the backend will
+     * accept it (server/validation.js sanitizeContacts)
+     */
+    validate(fields) {
+        if (!fields.name) return 'contacts.needName';
+        if (!fields.phone && !fields.email) return 'contacts.needPhoneOrEmail';
+        if (!Number.isInteger(fields.priority) || fields.priority < 1) return 'contacts.needPriority';
+        return null;
+    },
+
+    /**
+     * Order contacts by priority, then name
+     */
+    sort(contacts) {
+        return [...contacts].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Load saved contacts, sorted; plain-text lists from older versions are re-saved encrypted
+     */
+    async load() {
+        const stored = JSON.parse(localStorage.getItem(CONTACTS_STORAGE_KEY));
+        if (!stored) return [];
+
+        if (Array.isArray(stored)) {
+            await this.save(stored);
+            return this.sort(stored);
+        }
+        return this.sort(await DeviceKey.open(stored));
+    },
+
+    /**
+     * Persist contacts
+     */
+    async save(contacts) {
+        const envelope = await DeviceKey.seal(contacts);
+        localStorage.setItem(CONTACTS_STORAGE_KEY, JSON.stringify(envelope));
+    },
+
+    /**
+     * Turn the single emergency contact number captured by older registrations into a contact
+     */
+    async migrateLegacy(userData) {
+        if (!userData || !userData.emergencyContact || localStorage.getItem(CONTACTS_STORAGE_KEY)) {
+            return null;
+        }
+
+        const contacts = [this.create({ name: 'Emergency contact', phone: userData.emergencyContact })];
+        await this.save(contacts);
+        return contacts;
+    }
+};
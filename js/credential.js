@@ -0,0 +1,204 @@
+/**
+ * NavRaksha Digital ID Credential
+ * A compact, ECDSA-signed credential for the ID QR code. The ID is a fingerprint of the
+ * public key the credential carries, so nobody can sign a credential for someone else's ID.
+ * Verification needs no network or other NavRaksha modules, so the responder page can use it.
+ */
+
+const CREDENTIAL_STORAGE_KEY = 'navraksha_credential';
+const CREDENTIAL_PREFIX = 'NR1';
+const CREDENTIAL_VALIDITY = 30 * 24 * 60 * 60 * 1000;
+const CREDENTIAL_CLOCK_SKEW = 5 * 60 * 1000;
+
+const ECDSA_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Crockford base32: no I, L, O or U, so IDs survive being read aloud or copied by hand
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Messages are for logs; pages show their own text for the code (and its dates) through I18n
+class CredentialError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CredentialError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+const Credential = {
+    encodeBase64Url(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decodeBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+    },
+
+    /**
+     * ID derived from a raw public key: NR-XXXX-XXXX-XXXX-XXXX (80 bits of its SHA-256)
+     */
+    async fingerprint(publicKeyBytes) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', publicKeyBytes));
+
+        let bits = '';
+        digest.slice(0, 10).forEach((byte) => {
+            bits += byte.toString(2).padStart(8, '0');
+        });
+
+        const chars = bits.match(/.{5}/g).map(chunk => ID_ALPHABET[parseInt(chunk, 2)]).join('');
+        return `NR-${chars.match(/.{4}/g).join('-')}`;
+    },
+
+    /**
+     * Sign a credential for the given identity key and medical card details.
+     * Format: NR1.<public key>.<claims>.<signature>, base64url segments, where claims is
+     * [name, bloodGroup, allergies, emergency, issuedAt, expiresAt] (seconds). The ID isn't
+     * carried: it is recomputed from the key, which keeps the QR code small.
+     */
+    async issue(identity, { name, bloodGroup, allergies, emergency }, now = Date.now()) {
+        const claims = [
+            name || '',
+            bloodGroup || '',
+            allergies || '',
+            emergency || '',
+            Math.floor(now / 1000),
+            Math.floor((now + CREDENTIAL_VALIDITY) / 1000)
+        ];
+
+        const encodedClaims = this.encodeBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+        const signingInput = `${CREDENTIAL_PREFIX}.${identity.publicKey}.${encodedClaims}`;
+        const signature = await crypto.subtle.sign(
+            ECDSA_SIGN_PARAMS, identity.privateKey, new TextEncoder().encode(signingInput)
+        );
+
+        return `${signingInput}.${this.encodeBase64Url(signature)}`;
+    },
+
+    /**
+     * Split a token and parse its claims without checking the signature
+     */
+    decode(token) {
+        const parts = typeof token === 'string' ? token.trim().split('.') : [];
+        if (parts.length !== 4 || parts[0] !== CREDENTIAL_PREFIX) {
+            throw new CredentialError('Not a NavRaksha ID', 'malformed');
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(new TextDecoder().decode(this.decodeBase64Url(parts[2])));
+        } catch (error) {
+            throw new CredentialError('The ID could not be read', 'malformed');
+        }
+
+        if (!Array.isArray(claims) || claims.length !== 6 ||
+            !claims.slice(0, 4).every(value => typeof value === 'string') ||
+            !Number.isFinite(claims[4]) || !Number.isFinite(claims[5])) {
+            throw new CredentialError('The ID is missing required fields', 'malformed');
+        }
+
+        const [name, bloodGroup, allergies, emergency, issuedAt, expiresAt] = claims;
+        return {
+            signingInput: parts.slice(0, 3).join('.'),
+            publicKey: parts[1],
+            signature: parts[3],
+            claims: { name, bloodGroup, allergies, emergency, issuedAt: issuedAt * 1000, expiresAt: expiresAt * 1000 }
+        };
+    },
+
+    /**
+     * Check the signature and validity period. Resolves to the holder's details and ID;
+     * rejects with a CredentialError whose `code` says why.
+     */
+    async verify(token, now = Date.now()) {
+        const { signingInput, publicKey: encodedKey, signature, claims } = this.decode(token);
+
+        let publicKeyBytes;
+        let publicKey;
+        try {
+            publicKeyBytes = this.decodeBase64Url(encodedKey);
+            publicKey = await crypto.subtle.importKey('raw', publicKeyBytes, ECDSA_KEY_PARAMS, false, ['verify']);
+        } catch (error) {
+            throw new CredentialError('The ID carries an invalid key', 'malformed');
+        }
+
+        let signatureBytes;
+        try {
+            signatureBytes = this.decodeBase64Url(signature);
+        } catch (error) {
+            throw new CredentialError('The signature could not be read', 'invalid');
+        }
+
+        const signatureValid = await crypto.subtle.verify(
+            ECDSA_SIGN_PARAMS, publicKey, signatureBytes, new TextEncoder().encode(signingInput)
+        );
+        if (!signatureValid) {
+            throw new CredentialError('The signature does not match: this ID has been altered', 'bad_signature');
+        }
+
+        if (claims.issuedAt > now + CREDENTIAL_CLOCK_SKEW) {
+            throw new CredentialError('The ID is not valid yet', 'not_yet_valid', { issuedAt: claims.issuedAt });
+        }
+        if (claims.expiresAt <= now) {
+            throw new CredentialError('The ID has expired', 'expired', { expiresAt: claims.expiresAt });
+        }
+
+        return { id: await this.fingerprint(publicKeyBytes), ...claims };
+    }
+};
+
+/**
+ * The device's signing key pair, kept in IndexedDB with a non-extractable private key
+ */
+const IdentityKey = {
+    pending: null,
+
+    async load() {
+        const stored = await NavRakshaDB.transaction(KEYS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(KEYS_STORE).get('identity');
+        });
+        return stored || null;
+    },
+
+    /**
+     * Create a new key pair, replacing any existing one (key rotation)
+     */
+    async generate() {
+        const keyPair = await crypto.subtle.generateKey(ECDSA_KEY_PARAMS, false, ['sign', 'verify']);
+        const publicKeyBytes = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+
+        const identity = {
+            name: 'identity',
+            id: await Credential.fingerprint(publicKeyBytes),
+            privateKey: keyPair.privateKey,
+            publicKey: Credential.encodeBase64Url(publicKeyBytes),
+            createdAt: Date.now()
+        };
+
+        await NavRakshaDB.transaction(KEYS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(KEYS_STORE).put(identity);
+        });
+        this.pending = Promise.resolve(identity);
+        return identity;
+    },
+
+    /**
+     * The current key pair, created on first use; concurrent callers share one creation
+     */
+    loadOrCreate() {
+        if (!this.pending) {
+            this.pending = this.load()
+                .then(identity => identity || this.generate())
+                .catch((error) => {
+                    this.pending = null;
+                    throw error;
+                });
+        }
+        return this.pending;
+    }
+};
@@ -0,0 +1,151 @@
+/**
+ * NavRaksha Encryption
+ * AES-GCM envelopes for data at rest, append-only envelopes for data recorded while the app
+ * is locked, and the device key for data that must stay usable without the PIN (the medical
+ * card, emergency contacts and the SOS outbox)
+ */
+
+const KEYS_STORE = 'keys';
+
+const CryptoEnvelope = {
+    toBase64(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    },
+
+    /**
+     * Encrypt any JSON value: `{ v, iv, data }` with base64 fields
+     */
+    async seal(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return { v: 1, iv: this.toBase64(iv), data: this.toBase64(ciphertext) };
+    },
+
+    /**
+     * Decrypt an envelope made by seal(); rejects if the key is wrong or the data was altered
+     */
+    async open(key, envelope) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(envelope.iv) },
+            key,
+            this.fromBase64(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    isEnvelope(value) {
+        return Boolean(value && value.v === 1 && typeof value.iv === 'string' && typeof value.data === 'string');
+    }
+};
+
+/**
+ * Envelopes that can be written with a public key but only read with its private key, so the
+ * location history keeps recording while the vault is locked. The writer derives an AES key
+ * from a fresh ECDH key pair and the vault's public key; the envelope (`{ v: 2, epk, iv, data }`)
+ * carries the ephemeral public key, from which the vault's private key derives the same AES key.
+ */
+const AppendEnvelope = {
+    algorithm: { name: 'ECDH', namedCurve: 'P-256' },
+
+    deriveKey(privateKey, publicKey, usages) {
+        return crypto.subtle.deriveKey(
+            { name: 'ECDH', public: publicKey },
+            privateKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            usages
+        );
+    },
+
+    /**
+     * A writer for a public key: the derived AES key and the ephemeral public key to send with it
+     */
+    async createWriter(publicKey) {
+        const ephemeral = await crypto.subtle.generateKey(this.algorithm, false, ['deriveKey']);
+        const epk = CryptoEnvelope.toBase64(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+        return { epk, key: await this.deriveKey(ephemeral.privateKey, publicKey, ['encrypt']), createdAt: Date.now() };
+    },
+
+    async seal(writer, value) {
+        const { iv, data } = await CryptoEnvelope.seal(writer.key, value);
+        return { v: 2, epk: writer.epk, iv, data };
+    },
+
+    /**
+     * The AES key for envelopes from one writer, derived with the private key
+     */
+    async readerKey(privateKey, epk) {
+        const publicKey = await crypto.subtle.importKey('raw', CryptoEnvelope.fromBase64(epk), this.algorithm, false, []);
+        return this.deriveKey(privateKey, publicKey, ['decrypt']);
+    },
+
+    isEnvelope(value) {
+        return Boolean(value && value.v === 2 && typeof value.epk === 'string' && typeof value.data === 'string');
+    }
+};
+
+/**
+ * A non-extractable AES key kept in IndexedDB. The page and the service worker can use
+ * it without the PIN, so an SOS still works while the app is locked. It keeps plain text
+ * out of storage, but it does not protect against someone who can run code in this browser
+ * profile.
+ */
+const DeviceKey = {
+    pending: null,
+
+    get() {
+        if (!this.pending) {
+            this.pending = this.loadOrCreate().catch((error) => {
+                this.pending = null;
+                throw error;
+            });
+        }
+        return this.pending;
+    },
+
+    async loadOrCreate() {
+        const stored = await NavRakshaDB.transaction(KEYS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(KEYS_STORE).get('device');
+        });
+        if (stored) return stored.key;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+        // The page and the service worker may race to create it; keep whichever landed first
+        const result = await NavRakshaDB.transaction(KEYS_STORE, 'readwrite', (tx) => {
+            const store = tx.objectStore(KEYS_STORE);
+            const outcome = { key };
+            const existing = store.get('device');
+
+            existing.onsuccess = () => {
+                if (existing.result) {
+                    outcome.key = existing.result.key;
+                } else {
+                    store.add({ name: 'device', key });
+                }
+            };
+
+            return outcome;
+        });
+        return result.key;
+    },
+
+    async seal(value) {
+        return CryptoEnvelope.seal(await this.get(), value);
+    },
+
+    async open(envelope) {
+        return CryptoEnvelope.open(await this.get(), envelope);
+    }
+};
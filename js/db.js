@@ -0,0 +1,138 @@
+/**
+ * NavRaksha IndexedDB
+ * Shared database used by both the page and the service worker
+ */
+
+const NAVRAKSHA_DB_NAME = 'navraksha';
+
+// Schema migrations, applied in order; the database version is the number of migrations
+const NAVRAKSHA_DB_MIGRATIONS = [
+    (db) => {
+        const outbox = db.createObjectStore('outbox', { keyPath: 'id' });
+        outbox.createIndex('createdAt', 'createdAt');
+    },
+    (db) => {
+        db.createObjectStore('zones', { keyPath: 'id' });
+    },
+    (db) => {
+        const events = db.createObjectStore('events', { keyPath: 'id' });
+        events.createIndex('timestamp', 'timestamp');
+    },
+    (db) => {
+        const locations = db.createObjectStore('locations', { keyPath: 'id', autoIncrement: true });
+        locations.createIndex('timestamp', 'timestamp');
+    },
+    (db) => {
+        db.createObjectStore('checkins', { keyPath: 'id' });
+    },
+    (db) => {
+        db.createObjectStore('keys', { keyPath: 'name' });
+    },
+    (db) => {
+        db.createObjectStore('preferences', { keyPath: 'name' });
+    },
+    (db) => {
+        db.createObjectStore('tilepacks', { keyPath: 'id' });
+    },
+    (db) => {
+        db.createObjectStore('advisories', { keyPath: 'id' });
+    },
+    (db) => {
+        db.createObjectStore('datasets', { keyPath: 'name' });
+    }
+];
+
+const NavRakshaDB = {
+    connection: null,
+
+    /**
+     * Generate a random record ID
+     */
+    generateId() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Open (and upgrade if needed) the shared database
+     */
+    open() {
+        if (this.connection) {
+            return this.connection;
+        }
+
+        this.connection = new Promise((resolve, reject) => {
+            const request = indexedDB.open(NAVRAKSHA_DB_NAME, NAVRAKSHA_DB_MIGRATIONS.length);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                NAVRAKSHA_DB_MIGRATIONS
+                    .slice(event.oldVersion)
+                    .forEach(migrate => migrate(db, request.transaction));
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Let the other context (page or worker) upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    this.connection = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                this.connection = null;
+                reject(request.error);
+            };
+        });
+
+        return this.connection;
+    },
+
+    /**
+     * Run an operation in a transaction and resolve once it commits.
+     * The operation runs synchronously; if it returns an IDBRequest its result is resolved.
+     */
+    async transaction(storeNames, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const value = operation(tx);
+
+            tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Close the connection and delete the whole database. Other contexts close
+     * theirs on `versionchange`, so the deletion is not blocked for long.
+     */
+    async destroy() {
+        if (this.connection) {
+            try {
+                (await this.connection).close();
+            } catch (error) {
+                // Never opened, so there is nothing to close
+            }
+            this.connection = null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(NAVRAKSHA_DB_NAME);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('⚠️ Database deletion is waiting for another tab to close it');
+        });
+    }
+};
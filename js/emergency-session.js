@@ -0,0 +1,116 @@
+/**
+ * NavRaksha Emergency Session
+ * Live breadcrumb stream that follows an SOS until the user or responders close it.
+ * The update interval adapts to how fast the user is moving.
+ */
+
+const EMERGENCY_SESSION_STORAGE_KEY = 'navraksha_emergency_session';
+
+// Milliseconds between breadcrumbs for each kind of movement
+const TRACKING_INTERVALS = {
+    moving: 5000,       // faster than walking pace, e.g. in a vehicle
+    walking: 10000,
+    stationary: 30000
+};
+
+const TRACKING_SPEEDS = {
+    moving: 3,          // m/s
+    walking: 0.5        // m/s
+};
+
+class EmergencySession {
+    constructor(fields) {
+        Object.assign(this, {
+            sessionId: NavRakshaDB.generateId(),
+            sosId: null,
+            userId: null,
+            startedAt: Date.now(),
+            seq: 0,
+            sent: 0,
+            lastFix: null,
+            silent: false,      // after a silent SOS: nothing about the session is shown
+            heldEvents: [],     // event log entries held back until the session ends
+            ...fields
+        });
+    }
+
+    /**
+     * Restore the session that was active before a reload, if any
+     */
+    static load() {
+        const stored = localStorage.getItem(EMERGENCY_SESSION_STORAGE_KEY);
+        return stored ? new EmergencySession(JSON.parse(stored)) : null;
+    }
+
+    /**
+     * Persist the session so it survives reloads; the last fix stays in memory so no
+     * position is written in the clear
+     */
+    save() {
+        const { lastFix, ...state } = this;
+        localStorage.setItem(EMERGENCY_SESSION_STORAGE_KEY, JSON.stringify(state));
+    }
+
+    /**
+     * Forget the stored session
+     */
+    static clear() {
+        localStorage.removeItem(EMERGENCY_SESSION_STORAGE_KEY);
+    }
+
+    /**
+     * Speed in m/s, from the fix itself or derived from the previous breadcrumb
+     */
+    estimateSpeed(fix) {
+        if (typeof fix.speed === 'number' && !Number.isNaN(fix.speed)) {
+            return fix.speed;
+        }
+        if (!this.lastFix) {
+            return 0;
+        }
+
+        const elapsed = (fix.timestamp - this.lastFix.timestamp) / 1000;
+        if (elapsed <= 0) return 0;
+
+        return Geo.distance(this.lastFix.latitude, this.lastFix.longitude, fix.latitude, fix.longitude) / elapsed;
+    }
+
+    /**
+     * Interval to wait after the previous breadcrumb
+     */
+    getInterval(fix) {
+        const speed = this.estimateSpeed(fix);
+
+        if (speed >= TRACKING_SPEEDS.moving) return TRACKING_INTERVALS.moving;
+        if (speed >= TRACKING_SPEEDS.walking) return TRACKING_INTERVALS.walking;
+        return TRACKING_INTERVALS.stationary;
+    }
+
+    /**
+     * Whether enough time has passed to record this fix
+     */
+    isDue(fix) {
+        return !this.lastFix || fix.timestamp - this.lastFix.timestamp >= this.getInterval(fix);
+    }
+
+    /**
+     * Turn a fix into the next numbered breadcrumb
+     */
+    createUpdate(fix) {
+        const update = {
+            sessionId: this.sessionId,
+            sosId: this.sosId,
+            userId: this.userId,
+            seq: this.seq++,
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            accuracy: fix.accuracy,
+            heading: fix.heading,
+            speed: fix.speed,
+            timestamp: new Date(fix.timestamp).toISOString()
+        };
+
+        this.lastFix = fix;
+        return update;
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * NavRaksha Event Log
+ * Local history of safety events, kept in IndexedDB. Dispatches a 'recorded' event
+ * for every new entry so views can update live.
+ */
+
+const EVENT_LOG_STORE = 'events';
+
+// Event types counted as incidents in the dashboard chart; labels are message keys (js/i18n.js)
+const INCIDENT_TYPES = {
+    sos: { label: 'incident.sos', color: '#dc2626' },
+    fall_detected: { label: 'incident.fall_detected', color: '#db2777' },
+    check_in_missed: { label: 'incident.check_in_missed', color: '#0891b2' },
+    geofence_exit: { label: 'incident.geofence_exit', color: '#f59e0b' },
+    safety_check_confirmed: { label: 'incident.safety_check_confirmed', color: '#059669' },
+    safety_check_unanswered: { label: 'incident.safety_check_unanswered', color: '#7c3aed' },
+    voice_trigger: { label: 'incident.voice_trigger', color: '#2563eb' }
+};
+
+// Events older than this are pruned; the latest SOS is kept for the dashboard's "Last alert"
+const EVENT_LOG_RETENTION = 90 * 24 * 60 * 60 * 1000;
+
+// Chart ranges: number of buckets and the size of each
+const INCIDENT_RANGES = {
+    day: { buckets: 24, unit: 'hour' },
+    week: { buckets: 7, unit: 'day' },
+    month: { buckets: 30, unit: 'day' }
+};
+
+class EventLog extends EventTarget {
+    /**
+     * Record an event; `timestamp` is for events recorded after the fact
+     */
+    async record(type, details = {}, timestamp = Date.now()) {
+        const entry = {
+            id: NavRakshaDB.generateId(),
+            type,
+            timestamp,
+            details
+        };
+
+        try {
+            await NavRakshaDB.transaction(EVENT_LOG_STORE, 'readwrite', (tx) => {
+                tx.objectStore(EVENT_LOG_STORE).put(entry);
+            });
+        } catch (error) {
+            console.error('❌ Failed to record event:', error);
+        }
+
+        this.dispatchEvent(new CustomEvent('recorded', { detail: entry }));
+        return entry;
+    }
+
+    /**
+     * Count events per type in consecutive hour or day buckets ending at `now`
+     */
+    static countByBucket(entries, rangeName, now = new Date()) {
+        const range = INCIDENT_RANGES[rangeName];
+        const end = new Date(now);
+
+        // Align the last bucket to the start of the current hour or day
+        if (range.unit === 'hour') {
+            end.setMinutes(0, 0, 0);
+        } else {
+            end.setHours(0, 0, 0, 0);
+        }
+
+        const starts = [];
+        for (let i = range.buckets - 1; i >= 0; i--) {
+            const start = new Date(end);
+            if (range.unit === 'hour') {
+                start.setHours(end.getHours() - i);
+            } else {
+                start.setDate(end.getDate() - i);
+            }
+            starts.push(start.getTime());
+        }
+
+        const series = {};
+        Object.keys(INCIDENT_TYPES).forEach((type) => {
+            series[type] = new Array(range.buckets).fill(0);
+        });
+
+        entries.forEach((entry) => {
+            if (!series[entry.type] || entry.timestamp < starts[0]) return;
+
+            let index = starts.length - 1;
+            while (index > 0 && entry.timestamp < starts[index]) {
+                index--;
+            }
+            series[entry.type][index]++;
+        });
+
+        return { starts, unit: range.unit, series };
+    }
+
+    /**
+     * The most recent event of a type, or null
+     */
+    getLatest(type) {
+        return NavRakshaDB.transaction(EVENT_LOG_STORE, 'readonly', (tx) => {
+            const result = { entry: null };
+            const cursorRequest = tx.objectStore(EVENT_LOG_STORE).index('timestamp').openCursor(null, 'prev');
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                if (cursor.value.type === type) {
+                    result.entry = cursor.value;
+                    return;
+                }
+                cursor.continue();
+            };
+            return result;
+        }).then(result => result.entry);
+    }
+
+    /**
+     * Drop events older than the retention period. The latest SOS is kept even when it is older,
+     * but only if there is no SOS within the period.
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - EVENT_LOG_RETENTION;
+
+        return NavRakshaDB.transaction(EVENT_LOG_STORE, 'readwrite', (tx) => {
+            // Newest first, so the first SOS seen is the latest one
+            const cursorRequest = tx.objectStore(EVENT_LOG_STORE).index('timestamp').openCursor(null, 'prev');
+            let seenSOS = false;
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+
+                const { type, timestamp } = cursor.value;
+                if (timestamp < cutoff && (type !== 'sos' || seenSOS)) {
+                    cursor.delete();
+                }
+                if (type === 'sos') {
+                    seenSOS = true;
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Events recorded since a timestamp, oldest first
+     */
+    getSince(since = 0) {
+        return NavRakshaDB.transaction(EVENT_LOG_STORE, 'readonly', (tx) => {
+            return tx.objectStore(EVENT_LOG_STORE).index('timestamp').getAll(IDBKeyRange.lowerBound(since));
+        });
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * NavRaksha Fall Detector
+ * Pure state machine over accelerometer samples: free-fall, then impact, then
+ * stillness or a change of orientation. Takes timestamps from the samples so
+ * recorded traces replay exactly as they were captured.
+ */
+
+const GRAVITY = 9.81; // m/s²
+
+const FALL_STATE = {
+    IDLE: 'idle',
+    FREE_FALL: 'free_fall',
+    AWAITING_IMPACT: 'awaiting_impact',
+    POST_IMPACT: 'post_impact'
+};
+
+// Thresholds in m/s², durations in ms, angles in degrees
+const FALL_SENSITIVITY = {
+    low: {
+        freeFallThreshold: 0.5 * GRAVITY,
+        minFreeFallDuration: 200,
+        impactThreshold: 2.5 * GRAVITY,
+        impactWindow: 500,
+        settleTime: 1000,
+        stillnessWindow: 2000,
+        stillnessDeviation: 0.25,
+        orientationChange: 60,
+        requireBoth: true
+    },
+    medium: {
+        freeFallThreshold: 0.6 * GRAVITY,
+        minFreeFallDuration: 120,
+        impactThreshold: 2.0 * GRAVITY,
+        impactWindow: 600,
+        settleTime: 1000,
+        stillnessWindow: 2000,
+        stillnessDeviation: 0.3,
+        orientationChange: 45,
+        requireBoth: false
+    },
+    high: {
+        freeFallThreshold: 0.7 * GRAVITY,
+        minFreeFallDuration: 60,
+        impactThreshold: 1.6 * GRAVITY,
+        impactWindow: 800,
+        settleTime: 800,
+        stillnessWindow: 1500,
+        stillnessDeviation: 0.45,
+        orientationChange: 35,
+        requireBoth: false
+    }
+};
+
+const FALL_DEFAULT_SENSITIVITY = 'medium';
+
+class FallDetector {
+    constructor(options = {}) {
+        this.configure(options);
+        this.gravity = null; // smoothed gravity vector while upright
+        this.reset();
+    }
+
+    /**
+     * Apply a sensitivity preset, optionally overriding individual thresholds
+     */
+    configure({ sensitivity = FALL_DEFAULT_SENSITIVITY, ...overrides } = {}) {
+        if (!FALL_SENSITIVITY[sensitivity]) {
+            throw new Error(`Unknown fall sensitivity: ${sensitivity}`);
+        }
+
+        this.sensitivity = sensitivity;
+        this.options = { ...FALL_SENSITIVITY[sensitivity], ...overrides };
+    }
+
+    /**
+     * Forget any fall in progress
+     */
+    reset() {
+        this.state = FALL_STATE.IDLE;
+        this.freeFallStart = null;
+        this.freeFallEnd = null;
+        this.impact = null;
+        this.postImpact = [];
+    }
+
+    /**
+     * Feed one sample `{t, x, y, z}` (ms, m/s² including gravity).
+     * Returns a detection once a fall is confirmed, otherwise null.
+     */
+    update(sample) {
+        const magnitude = FallDetector.magnitude(sample);
+
+        switch (this.state) {
+            case FALL_STATE.IDLE:
+                if (magnitude < this.options.freeFallThreshold) {
+                    this.state = FALL_STATE.FREE_FALL;
+                    this.freeFallStart = sample.t;
+                } else {
+                    this.trackGravity(sample);
+                }
+                return null;
+
+            case FALL_STATE.FREE_FALL:
+                if (magnitude < this.options.freeFallThreshold) {
+                    return null;
+                }
+
+                if (sample.t - this.freeFallStart < this.options.minFreeFallDuration) {
+                    // Too brief to be a fall (a hop, a jolt in a pocket)
+                    this.state = FALL_STATE.IDLE;
+                    this.trackGravity(sample);
+                    return null;
+                }
+
+                this.state = FALL_STATE.AWAITING_IMPACT;
+                this.freeFallEnd = sample.t;
+                // The sample that ends free-fall is often the impact itself
+                return this.awaitImpact(sample, magnitude);
+
+            case FALL_STATE.AWAITING_IMPACT:
+                return this.awaitImpact(sample, magnitude);
+
+            case FALL_STATE.POST_IMPACT:
+                return this.assessPostImpact(sample);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Run a whole trace and collect every detection
+     */
+    static evaluate(samples, options) {
+        const detector = new FallDetector(options);
+        const detections = [];
+
+        samples.forEach((sample) => {
+            const detection = detector.update(sample);
+            if (detection) detections.push(detection);
+        });
+
+        return detections;
+    }
+
+    static magnitude({ x = 0, y = 0, z = 0 }) {
+        return Math.sqrt(x * x + y * y + z * z);
+    }
+
+    /**
+     * Angle in degrees between two vectors
+     */
+    static angleBetween(a, b) {
+        const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+        const lengths = FallDetector.magnitude(a) * FallDetector.magnitude(b);
+        if (lengths === 0) return 0;
+
+        return Math.acos(Math.max(-1, Math.min(1, dot / lengths))) * 180 / Math.PI;
+    }
+
+    /**
+     * Low-pass filter the upright gravity vector for later orientation comparison
+     */
+    trackGravity({ x = 0, y = 0, z = 0 }) {
+        if (!this.gravity) {
+            this.gravity = { x, y, z };
+            return;
+        }
+
+        const alpha = 0.1;
+        this.gravity = {
+            x: this.gravity.x + alpha * (x - this.gravity.x),
+            y: this.gravity.y + alpha * (y - this.gravity.y),
+            z: this.gravity.z + alpha * (z - this.gravity.z)
+        };
+    }
+
+    awaitImpact(sample, magnitude) {
+        if (magnitude >= this.options.impactThreshold) {
+            this.state = FALL_STATE.POST_IMPACT;
+            this.impact = { t: sample.t, peak: magnitude };
+            this.postImpact = [];
+            return null;
+        }
+
+        if (sample.t - this.freeFallEnd > this.options.impactWindow) {
+            this.reset();
+        }
+        return null;
+    }
+
+    assessPostImpact(sample) {
+        const elapsed = sample.t - this.impact.t;
+
+        if (elapsed < this.options.settleTime) {
+            // Bounces right after the impact; track the peak but don't judge yet
+            this.impact.peak = Math.max(this.impact.peak, FallDetector.magnitude(sample));
+            return null;
+        }
+
+        this.postImpact.push(sample);
+        if (elapsed < this.options.settleTime + this.options.stillnessWindow) {
+            return null;
+        }
+
+        const magnitudes = this.postImpact.map(FallDetector.magnitude);
+        const mean = magnitudes.reduce((sum, value) => sum + value, 0) / magnitudes.length;
+        const deviation = Math.sqrt(
+            magnitudes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / magnitudes.length
+        );
+
+        const resting = this.postImpact.reduce((sum, { x = 0, y = 0, z = 0 }) => ({
+            x: sum.x + x / this.postImpact.length,
+            y: sum.y + y / this.postImpact.length,
+            z: sum.z + z / this.postImpact.length
+        }), { x: 0, y: 0, z: 0 });
+        const orientationChange = this.gravity ? FallDetector.angleBetween(this.gravity, resting) : 0;
+
+        const still = deviation <= this.options.stillnessDeviation;
+        const turned = orientationChange >= this.options.orientationChange;
+        const confirmed = this.options.requireBoth ? still && turned : still || turned;
+
+        const detection = confirmed ? {
+            type: 'fall',
+            sensitivity: this.sensitivity,
+            freeFallStart: this.freeFallStart,
+            freeFallDuration: this.freeFallEnd - this.freeFallStart,
+            impactAt: this.impact.t,
+            impactPeak: Math.round(this.impact.peak * 10) / 10,
+            still,
+            orientationChange: Math.round(orientationChange),
+            detectedAt: sample.t
+        } : null;
+
+        this.reset();
+        return detection;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * NavRaksha Geometry
+ * Distance and containment helpers shared across modules
+ */
+
+const Geo = {
+    EARTH_RADIUS: 6371e3, // meters
+
+    /**
+     * Great-circle distance between two points in meters
+     */
+    distance(lat1, lng1, lat2, lng2) {
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δφ = (lat2 - lat1) * Math.PI / 180;
+        const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+                Math.cos(φ1) * Math.cos(φ2) *
+                Math.sin(Δλ/2) * Math.sin(Δλ/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+        return this.EARTH_RADIUS * c;
+    },
+
+    /**
+     * Initial great-circle bearing from the first point to the second, in degrees clockwise from north
+     */
+    bearing(lat1, lng1, lat2, lng2) {
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    },
+
+    /**
+     * Nearest of the eight compass points (N, NE, E, ...) to a bearing
+     */
+    compassPoint(bearing) {
+        return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(bearing / 45) % 8];
+    },
+
+    /**
+     * Ray-casting point-in-polygon test; points are [lat, lng] pairs
+     */
+    pointInPolygon(lat, lng, points) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [latI, lngI] = points[i];
+            const [latJ, lngJ] = points[j];
+
+            const crosses = (latI > lat) !== (latJ > lat) &&
+                lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+            if (crosses) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * Shortest distance in meters from a point to a polygon's edges.
+     * Uses a local flat projection, which is accurate at zone scale.
+     */
+    distanceToPolygonEdge(lat, lng, points) {
+        const metersPerDegree = this.EARTH_RADIUS * Math.PI / 180;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        const project = ([pointLat, pointLng]) => [
+            (pointLng - lng) * metersPerDegree * cosLat,
+            (pointLat - lat) * metersPerDegree
+        ];
+
+        let closest = Infinity;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [ax, ay] = project(points[j]);
+            const [bx, by] = project(points[i]);
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+
+            // Position of the closest point along the segment, clamped to its ends
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+            closest = Math.min(closest, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+
+        return closest;
+    }
+};
@@ -0,0 +1,150 @@
+/**
+ * NavRaksha Geofence Monitor
+ * Per-zone inside/outside/uncertain state machine with hysteresis, exit dwell time
+ * and GPS accuracy handling. Pure logic: fed zones and fixes, returns enter/exit events.
+ * Safe zones by default; other areas (such as advisories) supply their own boundary distance.
+ */
+
+const GEOFENCE_STATE = {
+    INSIDE: 'inside',
+    OUTSIDE: 'outside',
+    UNCERTAIN: 'uncertain'
+};
+
+// Defaults for the geofence settings (js/settings.js)
+const GEOFENCE_DEFAULTS = {
+    dwellTime: 30000,        // ms a user must stay outside before an exit counts
+    hysteresisMargin: 25,    // meters beyond the boundary (plus fix accuracy) that count as outside
+    maxAccuracy: 100         // fixes less accurate than this (meters) are treated as uncertain
+};
+
+class GeofenceMonitor {
+    constructor(options = {}, boundaryDistance = (zone, lat, lng) => SafeZones.boundaryDistance(zone, lat, lng)) {
+        this.options = { ...GEOFENCE_DEFAULTS, ...options };
+        this.boundaryDistance = boundaryDistance;
+        this.zoneStates = new Map();
+    }
+
+    /**
+     * Update thresholds
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Current state for a zone, or null if it has not been evaluated
+     */
+    getState(zoneId) {
+        return this.zoneStates.get(zoneId) || null;
+    }
+
+    /**
+     * Whether any of the given zones is confirmed as containing the user
+     */
+    isInsideAny(zones) {
+        return zones.some((zone) => {
+            const state = this.getState(zone.id);
+            return state && state.confirmed === GEOFENCE_STATE.INSIDE;
+        });
+    }
+
+    /**
+     * Classify a fix against a zone. Returns null inside the hysteresis band,
+     * where the previous confirmed state is kept.
+     */
+    classify(zone, fix) {
+        const distance = this.boundaryDistance(zone, fix.latitude, fix.longitude);
+        const accuracy = fix.accuracy || 0;
+
+        if (accuracy > this.options.maxAccuracy) {
+            return { observation: GEOFENCE_STATE.UNCERTAIN, distance };
+        }
+        if (distance <= 0) {
+            return { observation: GEOFENCE_STATE.INSIDE, distance };
+        }
+        if (distance > this.options.hysteresisMargin + accuracy) {
+            return { observation: GEOFENCE_STATE.OUTSIDE, distance };
+        }
+        return { observation: null, distance };
+    }
+
+    /**
+     * Evaluate a fix ({ latitude, longitude, accuracy, timestamp }) against the active zones
+     * and return the enter/exit events it causes
+     */
+    update(zones, fix) {
+        const events = [];
+        const zoneIds = new Set(zones.map(zone => zone.id));
+
+        // Forget zones that were deleted or whose schedule ended
+        this.zoneStates.forEach((state, zoneId) => {
+            if (!zoneIds.has(zoneId)) {
+                this.zoneStates.delete(zoneId);
+            }
+        });
+
+        zones.forEach((zone) => {
+            const state = this.zoneStates.get(zone.id) || {
+                state: GEOFENCE_STATE.UNCERTAIN,
+                confirmed: null,
+                pendingExitSince: null
+            };
+            const { observation, distance } = this.classify(zone, fix);
+
+            state.distance = distance;
+            state.accuracy = fix.accuracy;
+
+            if (observation === GEOFENCE_STATE.INSIDE) {
+                state.pendingExitSince = null;
+                if (state.confirmed !== GEOFENCE_STATE.INSIDE) {
+                    events.push(this.createEvent('enter', zone, fix, distance));
+                }
+                state.confirmed = GEOFENCE_STATE.INSIDE;
+                state.state = GEOFENCE_STATE.INSIDE;
+            } else if (observation === GEOFENCE_STATE.OUTSIDE && state.confirmed === null) {
+                // Never seen inside (app start, a zone just scheduled in): outside, but nothing was left
+                state.confirmed = GEOFENCE_STATE.OUTSIDE;
+                state.pendingExitSince = null;
+                state.state = GEOFENCE_STATE.OUTSIDE;
+            } else if (observation === GEOFENCE_STATE.OUTSIDE && state.confirmed === GEOFENCE_STATE.INSIDE) {
+                // An exit only counts once the user has stayed outside for the dwell time
+                if (state.pendingExitSince === null) {
+                    state.pendingExitSince = fix.timestamp;
+                }
+                if (fix.timestamp - state.pendingExitSince >= this.options.dwellTime) {
+                    state.confirmed = GEOFENCE_STATE.OUTSIDE;
+                    state.pendingExitSince = null;
+                    events.push(this.createEvent('exit', zone, fix, distance));
+                }
+                state.state = state.confirmed || GEOFENCE_STATE.UNCERTAIN;
+            } else if (observation === GEOFENCE_STATE.UNCERTAIN) {
+                state.state = GEOFENCE_STATE.UNCERTAIN;
+            } else {
+                state.state = state.confirmed || GEOFENCE_STATE.UNCERTAIN;
+            }
+
+            this.zoneStates.set(zone.id, state);
+        });
+
+        return events;
+    }
+
+    /**
+     * Build an enter/exit event
+     */
+    createEvent(type, zone, fix, distance) {
+        return {
+            type,
+            zoneId: zone.id,
+            zoneName: zone.name,
+            distance: Math.round(distance),
+            location: {
+                latitude: fix.latitude,
+                longitude: fix.longitude,
+                accuracy: fix.accuracy
+            },
+            timestamp: new Date(fix.timestamp).toISOString()
+        };
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * NavRaksha Help Points
+ * Police stations, hospitals and embassies for the offline nearest-help finder. A dataset
+ * built from OpenStreetMap (tools/build-help-points.js) ships with the app and is precached;
+ * a newer OSM extract imported on the device replaces it and is kept in IndexedDB.
+ */
+
+const DATASETS_STORE = 'datasets';
+const HELP_POINTS_DATASET = 'help-points';
+const HELP_POINTS_URL = '/datasets/help-points.geojson';
+
+// How many facilities the finder lists and marks on the map, and how far (meters) the user
+// moves before they are ranked again
+const HELP_POINTS_NEAREST = 5;
+const HELP_POINTS_REFRESH_DISTANCE = 50;
+
+// Facility types: the OSM tags that identify each and how it is shown; labels are message keys
+const HELP_POINT_TYPES = {
+    police: { label: 'help.type.police', icon: '🚓', tags: { amenity: ['police'] } },
+    hospital: { label: 'help.type.hospital', icon: '🏥', tags: { amenity: ['hospital'], healthcare: ['hospital'] } },
+    embassy: { label: 'help.type.embassy', icon: '🏛️', tags: { amenity: ['embassy'], diplomatic: ['embassy', 'consulate'] } }
+};
+
+class HelpPointError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'HelpPointError';
+        this.code = code;
+    }
+}
+
+const HelpPoints = {
+    /**
+     * A feature's facility type: the `type` property of a built dataset, or one matched from OSM tags
+     */
+    typeOf(properties) {
+        if (HELP_POINT_TYPES[properties.type]) return properties.type;
+
+        return Object.keys(HELP_POINT_TYPES).find(type => (
+            Object.entries(HELP_POINT_TYPES[type].tags).some(([tag, values]) => values.includes(properties[tag]))
+        )) || null;
+    },
+
+    /**
+     * The first usable phone number in OSM's phone tags, which may list several separated by ';'
+     */
+    phoneOf(properties) {
+        const value = properties.phone || properties['contact:phone'] || properties['emergency:phone'];
+        if (typeof value !== 'string') return null;
+
+        const phone = value.split(';')[0].trim();
+        return /^\+?[\d\s().-]{3,}$/.test(phone) ? phone : null;
+    },
+
+    /**
+     * [lat, lng] for a point, or the vertex average of a building outline
+     */
+    positionOf(geometry) {
+        if (!geometry) return null;
+
+        const outline = geometry.type === 'Polygon' ? geometry.coordinates
+            : geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) ? geometry.coordinates[0]
+            : null;
+        const positions = geometry.type === 'Point' ? [geometry.coordinates]
+            : Array.isArray(outline) && Array.isArray(outline[0]) ? outline[0].slice(0, -1)
+            : null;
+
+        if (!positions || positions.length === 0 ||
+            !positions.every(position => Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]))) {
+            return null;
+        }
+
+        const lng = positions.reduce((sum, position) => sum + position[0], 0) / positions.length;
+        const lat = positions.reduce((sum, position) => sum + position[1], 0) / positions.length;
+        return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? [lat, lng] : null;
+    },
+
+    /**
+     * Help points in a GeoJSON FeatureCollection, either OSM export or a built dataset.
+     * Features that aren't one of the facility types are skipped.
+     */
+    parse(geojson) {
+        if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+            throw new HelpPointError('Not a GeoJSON feature collection', 'invalid');
+        }
+
+        const points = [];
+        geojson.features.forEach((feature, index) => {
+            const properties = (feature && feature.properties) || {};
+            const type = this.typeOf(properties);
+            const position = type && this.positionOf(feature.geometry);
+            if (!position) return;
+
+            points.push({
+                id: String(feature.id || properties['@id'] || properties.id || index),
+                type,
+                name: String(properties.name || properties['name:en'] || '').slice(0, 120),
+                lat: position[0],
+                lng: position[1],
+                phone: this.phoneOf(properties)
+            });
+        });
+
+        return { points, skipped: geojson.features.length - points.length };
+    },
+
+    /**
+     * A compact FeatureCollection of help points, the format of the bundled dataset
+     */
+    toGeoJSON(points, metadata = {}) {
+        const round = value => Math.round(value * 1e6) / 1e6;
+        return {
+            type: 'FeatureCollection',
+            ...metadata,
+            features: points.map(point => ({
+                type: 'Feature',
+                id: point.id,
+                geometry: { type: 'Point', coordinates: [round(point.lng), round(point.lat)] },
+                properties: { type: point.type, name: point.name, phone: point.phone }
+            }))
+        };
+    },
+
+    /**
+     * The closest points to a position, nearest first, each with its distance (meters) and
+     * bearing. `distance` is the distance function to rank by; `type` limits the facility type.
+     */
+    nearest(points, lat, lng, { limit = HELP_POINTS_NEAREST, type = null, distance = (...args) => Geo.distance(...args) } = {}) {
+        return points
+            .filter(point => !type || point.type === type)
+            .map(point => ({
+                point,
+                distance: distance(lat, lng, point.lat, point.lng),
+                bearing: Geo.bearing(lat, lng, point.lat, point.lng)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+    },
+
+    /**
+     * A tel: link for a phone number as written in OSM
+     */
+    telUrl(phone) {
+        return `tel:${phone.replace(/[^\d+]/g, '')}`;
+    }
+};
+
+class HelpPointStore {
+    /**
+     * The imported dataset if there is one, otherwise the bundled one
+     */
+    async load() {
+        const imported = await NavRakshaDB.transaction(DATASETS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(DATASETS_STORE).get(HELP_POINTS_DATASET);
+        });
+        if (imported) return imported;
+
+        const response = await fetch(HELP_POINTS_URL);
+        if (!response.ok) {
+            throw new HelpPointError(`Bundled help points unavailable (${response.status})`, 'network');
+        }
+        const { points } = HelpPoints.parse(await response.json());
+        return { name: HELP_POINTS_DATASET, source: 'bundled', points };
+    }
+
+    /**
+     * Replace the bundled dataset with an imported OSM extract; resolves to the saved dataset
+     */
+    async import(file) {
+        let geojson;
+        try {
+            geojson = JSON.parse(await file.text());
+        } catch (error) {
+            throw new HelpPointError('The file is not JSON', 'invalid');
+        }
+
+        const { points, skipped } = HelpPoints.parse(geojson);
+        if (points.length === 0) {
+            throw new HelpPointError('No police stations, hospitals or embassies in the file', 'empty');
+        }
+
+        const dataset = {
+            name: HELP_POINTS_DATASET,
+            source: 'imported',
+            fileName: file.name,
+            importedAt: Date.now(),
+            points,
+            skipped
+        };
+        await NavRakshaDB.transaction(DATASETS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(DATASETS_STORE).put(dataset);
+        });
+        return dataset;
+    }
+
+    /**
+     * Go back to the bundled dataset
+     */
+    reset() {
+        return NavRakshaDB.transaction(DATASETS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(DATASETS_STORE).delete(HELP_POINTS_DATASET);
+        });
+    }
+}
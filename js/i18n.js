@@ -0,0 +1,145 @@
+/**
+ * NavRaksha Localization
+ * Message catalogs, runtime language switching and locale-aware formatting. Catalogs are
+ * plain scripts in js/locales/ that add themselves to I18N_CATALOGS, so the page and the
+ * service worker load them the same way.
+ */
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+const I18N_PREFERENCES_STORE = 'preferences';
+
+// `locale` is used for dates and numbers; `dir` is the text direction of the language
+const I18N_LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN', dir: 'ltr' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN', dir: 'ltr' }
+};
+
+// Filled in by js/locales/<language>.js: message key → text, or plural forms keyed by Intl.PluralRules category
+const I18N_CATALOGS = {};
+
+const I18n = {
+    language: I18N_DEFAULT_LANGUAGE,
+
+    /**
+     * The first supported language in the browser's preferences
+     */
+    detect(preferred = navigator.languages || [navigator.language]) {
+        const match = preferred
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(language => I18N_LANGUAGES[language]);
+        return match || I18N_DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Switch language; unsupported languages fall back to the default. Returns the language used.
+     */
+    setLanguage(language) {
+        this.language = I18N_LANGUAGES[language] ? language : I18N_DEFAULT_LANGUAGE;
+        return this.language;
+    },
+
+    get locale() {
+        return I18N_LANGUAGES[this.language].locale;
+    },
+
+    get dir() {
+        return I18N_LANGUAGES[this.language].dir;
+    },
+
+    /**
+     * Translate a message key, filling in {placeholders} from params. A `count` param picks the
+     * plural form. Missing messages fall back to English, then to the key itself.
+     */
+    t(key, params = {}) {
+        let message = (I18N_CATALOGS[this.language] || {})[key];
+        if (message === undefined) message = (I18N_CATALOGS[I18N_DEFAULT_LANGUAGE] || {})[key];
+        if (message === undefined) {
+            console.warn('⚠️ Missing translation:', key);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] === undefined ? placeholder : String(params[name])
+        ));
+    },
+
+    formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    },
+
+    formatDate(value, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    },
+
+    formatTime(value, options = { hour: '2-digit', minute: '2-digit' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    },
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * Set an element's text from a message and remember the key, so translate() can redo it
+     */
+    localize(element, key, params) {
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.t(key, params);
+    },
+
+    /**
+     * Translate the page: data-i18n sets the text, data-i18n-placeholder / -aria-label / -title
+     * set those attributes. Also sets the document language and direction.
+     */
+    translate(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach((element) => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined;
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+
+        ['placeholder', 'aria-label', 'title'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.language;
+            document.documentElement.dir = this.dir;
+        }
+    },
+
+    /**
+     * Remember the language in IndexedDB, where the service worker can read it for notifications
+     */
+    savePreference(language = this.language) {
+        return NavRakshaDB.transaction(I18N_PREFERENCES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(I18N_PREFERENCES_STORE).put({ name: 'language', value: language });
+        });
+    },
+
+    /**
+     * Switch to the language the page last saved, or the browser's
+     */
+    async restorePreference() {
+        let saved = null;
+        try {
+            saved = await NavRakshaDB.transaction(I18N_PREFERENCES_STORE, 'readonly', (tx) => {
+                return tx.objectStore(I18N_PREFERENCES_STORE).get('language');
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not read the saved language:', error);
+        }
+        return this.setLanguage(saved ? saved.value : this.detect());
+    }
+};
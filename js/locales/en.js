@@ -0,0 +1,481 @@
+/**
+ * English messages. Also the fallback for any message another catalog is missing.
+ */
+
+I18N_CATALOGS.en = {
+    'app.title': 'NavRaksha - Your Digital Safety Companion',
+
+    'header.gps': 'GPS',
+    'header.network': 'Network',
+    'header.scanId': 'Scan a tourist ID (responders)',
+    'header.lock': 'Lock app',
+    'header.contrast': 'Toggle high contrast',
+    'header.language': 'Language',
+
+    'language.automatic': 'Auto',
+
+    'common.bloodGroup': 'Blood Group',
+    'common.allergies': 'Allergies',
+    'common.cancel': 'Cancel',
+    'common.nameLabel': 'Name:',
+    'common.emailLabel': 'Email:',
+    'common.phoneLabel': 'Phone:',
+    'common.bloodGroupLabel': 'Blood Group:',
+    'common.allergiesLabel': 'Allergies:',
+    'common.nameRequired': 'Name *',
+    'common.phone': 'Phone',
+    'common.email': 'Email',
+    'common.ok': 'OK',
+    'common.close': 'Close',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.unknown': 'Unknown',
+    'common.none': 'None',
+    'common.noneRecorded': 'None recorded',
+
+    'unit.metres': '{value}m',
+    'unit.seconds': '{value}s',
+    'unit.minutes': '{value} min',
+    'unit.hours': '{value} h',
+    'unit.megabytes': '{value} MB',
+    'unit.kilometres': '{value} km',
+
+    'register.title': 'Tourist Registration & Digital ID',
+    'register.fullName': 'Full Name *',
+    'register.email': 'Email *',
+    'register.phone': 'Phone *',
+    'register.selectBloodGroup': 'Select Blood Group',
+    'register.pin': 'PIN *',
+    'register.confirmPin': 'Confirm PIN *',
+    'register.pinHint': 'Your PIN encrypts your profile and location history on this device. Your name, phone, blood group and allergies stay readable on the lock screen for responders.',
+    'register.submit': 'Generate Digital ID',
+    'register.allergiesPlaceholder': 'Any known allergies',
+    'register.save': 'Save Changes',
+
+    'profile.title': 'Your Profile',
+    'profile.edit': 'Edit Profile',
+    'profile.export': 'Download My Data',
+    'profile.erase': 'Erase All Data',
+    'profile.hint': 'The download is a JSON file with your profile, contacts, location history, events and queued alerts, unencrypted. Erasing deletes everything NavRaksha stores on this device, including your PIN and ID keys. It cannot be undone.',
+    'profile.saveFailed': 'Could not save your profile. Please try again.',
+    'profile.exportFailed': 'Could not export your data. Please try again.',
+    'profile.eraseConfirm': 'Erase all your NavRaksha data from this device? Your profile, PIN, ID, contacts, history and queued alerts will be deleted. This cannot be undone.',
+    'profile.eraseConfirmSession': 'An emergency session is active. Erasing will stop it and delete all your data, keys and queued alerts. Continue?',
+    'profile.eraseFailed': 'Some data could not be erased. Close other NavRaksha tabs and try again.',
+
+    'lock.title': 'NavRaksha is locked',
+    'lock.medicalCard': 'Medical Card',
+    'lock.emergencyContactLabel': 'Emergency Contact:',
+    'lock.enterPin': 'Enter your PIN',
+    'lock.unlock': 'Unlock',
+    'lock.setupHint': 'NavRaksha now encrypts your profile and location history. Choose a PIN to protect them.',
+    'lock.newPin': 'New PIN',
+    'lock.confirmPin': 'Confirm PIN',
+    'lock.setPin': 'Set PIN',
+    'lock.sos': '🚨 Send SOS',
+    'lock.pinMismatch': 'The PINs do not match.',
+    'lock.unlockFailed': 'Could not unlock. Please try again.',
+
+    'vault.pinTooShort': 'PIN must be at least {length} characters',
+    'vault.noPin': 'No PIN has been set',
+    'vault.tooManyAttempts': 'Too many attempts. Try again in {seconds}s',
+    'vault.incorrectPin': 'Incorrect PIN',
+
+    'contacts.title': 'Emergency Contacts',
+    'contacts.hint': 'When you send an SOS, contacts are notified tier by tier. If nobody in a tier acknowledges, the next tier is notified.',
+    'contacts.relationship': 'Relationship',
+    'contacts.priority': 'Priority',
+    'contacts.tier1': 'Tier 1 (notified first)',
+    'contacts.tier2': 'Tier 2',
+    'contacts.tier3': 'Tier 3',
+    'contacts.tier4': 'Tier 4',
+    'contacts.tier5': 'Tier 5',
+    'contacts.add': 'Add Contact',
+    'contacts.relationshipPlaceholder': 'Parent, friend, tour guide...',
+    'contacts.tierName': 'Tier {tier}',
+    'contacts.needName': 'Please enter a name for this contact.',
+    'contacts.needPhoneOrEmail': 'Please enter a phone number or email for this contact.',
+    'contacts.needPriority': 'Please choose a priority for this contact.',
+    'contacts.save': 'Save Contact',
+    'contacts.removeConfirm': 'Remove {name} from your emergency contacts?',
+
+    'id.title': 'Your NavRaksha Digital ID',
+    'id.idLabel': 'ID:',
+    'id.issuedLabel': 'Issued:',
+    'id.validUntilLabel': 'Valid Until:',
+    'id.hint': "The QR code is signed by a key held on this device. Responders can check that it hasn't been altered.",
+    'id.rotateKey': 'New Signing Key',
+    'id.reissue': 'Re-issue ID',
+    'id.qrUnavailable': 'QR Code',
+    'id.reissueFailed': 'Could not re-issue your digital ID. Please try again.',
+    'id.rotateConfirm': 'Create a new signing key? Your ID will change. QR codes you have already shared stay valid until they expire.',
+    'id.rotateFailed': 'Could not create a new key. Please try again.',
+
+    'dashboard.title': 'Safety Dashboard',
+    'dashboard.locationStatus': 'Location Status',
+    'dashboard.acquiringLocation': 'Acquiring location...',
+    'dashboard.safeZoneLabel': 'Safe Zone:',
+    'dashboard.systemStatus': 'System Status',
+    'dashboard.queuedEventsLabel': 'Queued Events:',
+    'dashboard.lastAlertLabel': 'Last Alert:',
+    'dashboard.never': 'Never',
+    'dashboard.weeklyIncidentsLabel': 'Incidents (7 days):',
+    'dashboard.motionDetectionLabel': 'Motion Detection:',
+    'dashboard.motionActive': 'Active',
+    'dashboard.coordinates': 'Lat: {latitude}, Lng: {longitude}',
+    'dashboard.locationError': 'Error: {message}',
+
+    'zones.notSet': 'Not set',
+    'zones.polygon': 'Polygon',
+    'zones.always': 'Always',
+    'zones.schedule': '{start}–{end}',
+    'zones.inside': 'Inside {name}',
+    'zones.uncertain': 'Uncertain (GPS ±{accuracy}m)',
+    'zones.outside': 'Outside all active zones',
+    'zones.saved': { one: '{count} zone saved', other: '{count} zones saved' },
+    'zones.noLocation': 'Location not available. Please wait for GPS to acquire your position.',
+    'zones.defaultName': 'Zone {number}',
+    'zones.polygonTooSmall': 'A polygon zone needs at least 3 points.',
+    'zones.saveFailed': 'Could not save the safe zone. Please try again.',
+    'zones.deleteConfirm': 'Delete safe zone "{name}"?',
+    'zones.clearConfirm': 'Delete all safe zones?',
+
+    'zone.title': 'Safe Zone',
+    'zone.radius': 'Radius (m)',
+    'zone.from': 'From',
+    'zone.until': 'Until',
+    'zone.save': 'Save Zone',
+    'zone.namePlaceholder': "Hotel, venue, friend's house...",
+    'zone.scheduled': 'Only active during set hours',
+
+    'map.title': 'Live GPS Tracking',
+    'map.addCircle': 'Add Circle Zone',
+    'map.drawPolygon': 'Draw Polygon Zone',
+    'map.finishPolygon': 'Finish Polygon',
+    'map.clearZones': 'Clear All Zones',
+    'map.polygonHint': 'Click the map to place the corners of the zone, then press Finish Polygon.',
+    'map.radius': 'Radius:',
+    'map.forwardGeofence': 'Share zone exits with backend',
+    'map.cancelDrawing': 'Cancel Drawing',
+
+    'alert.leftZone': 'You have left your safe zone!',
+    'alert.leftNamedZone': 'You have left your safe zone "{name}"!',
+
+    'history.label': 'History:',
+    'history.lastHour': 'Last hour',
+    'history.last6h': 'Last 6 hours',
+    'history.last24h': 'Last 24 hours',
+    'history.last7d': 'Last 7 days',
+    'history.custom': 'Custom range',
+    'history.export': 'Export',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.format': 'Export format',
+    'history.showTrail': 'Show trail',
+    'history.points': { one: '{count} recorded point', other: '{count} recorded points' },
+    'history.needsPin': 'Register with a PIN to record location history',
+    'history.locked': 'Unlock to record and view location history',
+    'history.readFailed': 'Could not read the location history.',
+    'history.empty': 'No recorded locations in this period.',
+
+    'tiles.title': 'Offline Maps',
+    'tiles.hint': 'Download the area on screen to see the map without a connection. Downloaded maps expire after 30 days.',
+    'tiles.name': 'Area name',
+    'tiles.zoom': 'Zoom:',
+    'tiles.maxZoom': 'Maximum zoom',
+    'tiles.download': 'Download This Area',
+    'tiles.estimate': { one: '{tiles} tile, about {size}', other: '{tiles} tiles, about {size}' },
+    'tiles.zoomRange': 'zoom {min}–{max}',
+    'tiles.expires': 'expires {date}',
+    'tiles.stale': 'expired {date}, kept while offline',
+    'tiles.show': 'Show',
+    'tiles.update': 'Update',
+    'tiles.deleteConfirm': 'Delete the offline map "{name}"?',
+    'tiles.partial': { one: '"{name}" was saved, but {count} tile could not be downloaded.', other: '"{name}" was saved, but {count} tiles could not be downloaded.' },
+    'tiles.error.zoom': 'Choose a zoom range between 0 and 16.',
+    'tiles.error.too_many': 'Too large: at most {max} tiles. Zoom in or lower the maximum zoom.',
+    'tiles.error.quota': 'Not enough free storage for this area. Zoom in or lower the maximum zoom.',
+    'tiles.error.network': 'The map could not be downloaded. Check your connection and try again.',
+    'tiles.error.failed': 'Could not save the offline map. Please try again.',
+
+    'advisories.title': 'Safety Advisories',
+    'advisories.hint': 'Areas flagged by tourism or police authorities. Load a GeoJSON feed from a URL or a file. It stays available offline, and you are warned when you enter an area.',
+    'advisories.url': 'Feed URL (GeoJSON)',
+    'advisories.load': 'Load Feed',
+    'advisories.import': 'Import File',
+    'advisories.show': 'Show on map',
+    'advisories.severity.info': 'Information',
+    'advisories.severity.caution': 'Caution',
+    'advisories.severity.danger': 'Danger',
+    'advisories.areas': { one: '{count} area', other: '{count} areas' },
+    'advisories.updated': 'updated {date}',
+    'advisories.imported': 'imported file',
+    'advisories.until': 'until {date}',
+    'advisories.unnamed': 'Advisory area',
+    'advisories.showFeed': 'Show',
+    'advisories.refresh': 'Refresh',
+    'advisories.deleteConfirm': 'Delete the advisories from "{name}"?',
+    'advisories.entered': 'You have entered an advisory area: {name}',
+    'advisories.skipped': { one: '"{name}" was loaded, but {count} feature is not an area and was skipped.', other: '"{name}" was loaded, but {count} features are not areas and were skipped.' },
+    'advisories.error.url': 'Enter a valid web address for the feed.',
+    'advisories.error.invalid': 'This is not a GeoJSON advisory feed.',
+    'advisories.error.empty': 'The feed has no advisory areas (polygons).',
+    'advisories.error.network': 'The feed could not be downloaded. Check your connection and the address, and try again.',
+    'advisories.error.failed': 'Could not save the advisories. Please try again.',
+
+    'help.title': 'Nearest Help',
+    'help.typeLabel': 'Facility type',
+    'help.filter.all': 'All facilities',
+    'help.filter.police': 'Police stations',
+    'help.filter.hospital': 'Hospitals',
+    'help.filter.embassy': 'Embassies',
+    'help.type.police': 'Police station',
+    'help.type.hospital': 'Hospital',
+    'help.type.embassy': 'Embassy',
+    'help.away': '{distance} {direction}',
+    'help.compass.N': 'N',
+    'help.compass.NE': 'NE',
+    'help.compass.E': 'E',
+    'help.compass.SE': 'SE',
+    'help.compass.S': 'S',
+    'help.compass.SW': 'SW',
+    'help.compass.W': 'W',
+    'help.compass.NW': 'NW',
+    'help.showOnMap': 'Map',
+    'help.nearestLabel': 'Nearest help:',
+    'help.noLocation': 'Waiting for your location...',
+    'help.noneFound': 'No facilities of this type in the dataset.',
+    'help.sourceBundled': { one: '{count} facility from OpenStreetMap, available offline.', other: '{count} facilities from OpenStreetMap, available offline.' },
+    'help.sourceImported': { one: '{count} facility imported from {name} on {date}.', other: '{count} facilities imported from {name} on {date}.' },
+    'help.noData': 'No facilities are bundled with this version. Import an OpenStreetMap extract (GeoJSON) for your area.',
+    'help.unavailable': 'The facilities could not be loaded.',
+    'help.import': 'Import OSM Data',
+    'help.reset': 'Use Bundled Data',
+    'help.resetConfirm': 'Remove the imported facilities and go back to the bundled ones?',
+    'help.error.invalid': 'This is not a GeoJSON file.',
+    'help.error.empty': 'The file has no police stations, hospitals or embassies.',
+    'help.error.failed': 'Could not import the facilities. Please try again.',
+
+    'update.available': 'A new version of NavRaksha is ready.',
+    'update.reload': 'Reload',
+
+    'push.toggle': 'Safety alerts on this device',
+    'push.hint': 'Area advisories, SOS acknowledgements and check-in reminders, even when NavRaksha is closed.',
+    'push.enabled': 'Safety alerts are on.',
+    'push.disabled': 'Safety alerts are off.',
+    'push.unsupported': 'This browser cannot receive safety alerts.',
+    'push.denied': 'Notifications are blocked. Allow them in your browser settings to receive safety alerts.',
+    'push.failed': 'Could not change safety alerts. Check your connection and try again.',
+
+    'checkins.title': 'Check-ins',
+    'checkins.hint': "Confirm you're OK on a schedule. If a check-in goes unanswered for 5 minutes, an SOS is sent.",
+    'checkins.label': 'Label',
+    'checkins.schedule': 'Schedule',
+    'checkins.typeInterval': 'Repeat every...',
+    'checkins.typeDeadline': 'Check in by...',
+    'checkins.every': 'Every',
+    'checkins.every30m': '30 minutes',
+    'checkins.every1h': '1 hour',
+    'checkins.every2h': '2 hours',
+    'checkins.every4h': '4 hours',
+    'checkins.until': 'Until (optional)',
+    'checkins.by': 'By',
+    'checkins.submit': 'Schedule Check-in',
+    'checkins.labelPlaceholder': 'Walking home, night trek...',
+    'checkins.defaultLabel': 'Check-in',
+    'checkins.saveFailed': 'Could not save the check-in. Please try again.',
+    'checkins.cancelConfirm': 'Cancel check-in "{label}"?',
+    'checkins.next': 'next {time}',
+    'checkins.checkIn': 'Check In',
+    'checkins.describeDeadline': 'By {time}',
+    'checkins.describeInterval': 'Every {every}',
+    'checkins.describeIntervalUntil': 'Every {every} until {time}',
+
+    'voice.title': 'Voice SOS',
+    'voice.language': 'Language',
+    'voice.keywords': 'Extra keywords',
+    'voice.safePhrase': 'Secret safe phrase',
+    'voice.confidenceLenient': 'Lenient (noisy places)',
+    'voice.confidenceNormal': 'Normal',
+    'voice.confidenceStrict': 'Strict (fewer false triggers)',
+    'voice.save': 'Save Voice Settings',
+    'voice.keywordsPlaceholder': 'Comma-separated, e.g. police, bachao',
+    'voice.safePhrasePlaceholder': 'Sends SOS at once, without a countdown',
+    'voice.unsupportedLanguage': 'Voice SOS stopped: this language is not supported by your browser.',
+    'voice.microphoneDenied': 'Voice SOS stopped: microphone access was denied.',
+    'voice.listeningFor': 'Listening for: {keywords}',
+    'voice.notSupported': 'Voice recognition not supported in this browser',
+
+    'settings.title': 'Safety Settings',
+    'settings.fallSensitivity': 'Fall sensitivity',
+    'settings.sensitivityLow': 'Low (fewer false alarms)',
+    'settings.sensitivityMedium': 'Medium',
+    'settings.sensitivityHigh': 'High (catches softer falls)',
+    'settings.presetHint': 'Leave the three fall thresholds blank to use the sensitivity preset.',
+    'settings.impactThreshold': 'Impact threshold (m/s²)',
+    'settings.stillnessWindow': 'Stillness after impact (s)',
+    'settings.settleTime': 'Post-impact wait (s)',
+    'settings.safetyCheckCountdown': '"Are you safe?" countdown (s)',
+    'settings.sosGracePeriod': 'SOS countdown (s, 0 = send at once)',
+    'settings.safeZoneRadius': 'Safe zone radius (m)',
+    'settings.geolocationTimeout': 'GPS timeout (s)',
+    'settings.geolocationMaximumAge': 'Reuse GPS fixes up to (s old)',
+    'settings.alertAutoHide': 'Hide zone alerts after (s, 0 = until closed)',
+    'settings.geofenceDwellTime': 'Zone exit delay (s)',
+    'settings.geofenceHysteresis': 'Zone boundary margin (m)',
+    'settings.geofenceMaxAccuracy': 'Ignore GPS fixes less accurate than (m)',
+    'settings.checkInGracePeriod': 'Check-in grace period (s)',
+    'settings.voiceMinConfidence': 'Voice match confidence',
+    'settings.reset': 'Reset',
+    'settings.save': 'Save Settings',
+    'settings.export': 'Export',
+    'settings.import': 'Import',
+    'settings.preset': 'Preset',
+    'settings.resetConfirm': 'Reset all safety settings to their defaults?',
+    'settings.importUnreadable': 'That file could not be read as settings.',
+    'settings.imported': 'Settings imported.',
+
+    'setting.fallSensitivity': 'Fall sensitivity',
+    'setting.impactThreshold': 'Impact threshold',
+    'setting.stillnessWindow': 'Stillness after impact',
+    'setting.settleTime': 'Post-impact wait',
+    'setting.safetyCheckCountdown': '"Are you safe?" countdown',
+    'setting.sosGracePeriod': 'SOS countdown',
+    'setting.safeZoneRadius': 'Safe zone radius',
+    'setting.geolocationTimeout': 'GPS timeout',
+    'setting.geolocationMaximumAge': 'GPS fix reuse',
+    'setting.alertAutoHide': 'Zone alert hide delay',
+    'setting.geofenceDwellTime': 'Zone exit delay',
+    'setting.geofenceHysteresis': 'Zone boundary margin',
+    'setting.geofenceMaxAccuracy': 'GPS accuracy limit',
+    'setting.checkInGracePeriod': 'Check-in grace period',
+    'setting.voiceMinConfidence': 'Voice match confidence',
+    'setting.forwardGeofenceEvents': 'Share zone exits',
+    'setting.showAdvisories': 'Show advisories',
+    'setting.highContrast': 'High contrast',
+    'setting.language': 'Language',
+    'setting.error.unknown': 'Unknown setting "{key}"',
+    'setting.error.boolean': '{label} must be on or off',
+    'setting.error.enum': '{label} must be one of: {values}',
+    'setting.error.number': '{label} must be a number',
+    'setting.error.integer': '{label} must be a whole number',
+    'setting.error.range': '{label} must be between {min} and {max}',
+    'setting.error.invalid': 'Invalid settings',
+    'setting.error.notSettingsFile': 'This is not a NavRaksha settings file',
+    'setting.error.newerVersion': 'These settings come from a newer version of NavRaksha',
+
+    'session.title': '🔴 Emergency Session Active',
+    'session.sharing': 'Your location is being shared with responders.',
+    'session.idLabel': 'Session:',
+    'session.startedLabel': 'Started:',
+    'session.sentLabel': 'Updates Sent:',
+    'session.bufferedLabel': 'Waiting to Send:',
+    'session.end': 'End Session',
+
+    'chart.title': 'Safety Incidents',
+    'chart.day': 'Day',
+    'chart.week': 'Week',
+    'chart.month': 'Month',
+    'chart.range': 'Chart range',
+
+    'incident.sos': 'SOS alerts',
+    'incident.fall_detected': 'Falls detected',
+    'incident.check_in_missed': 'Missed check-ins',
+    'incident.geofence_exit': 'Zone exits',
+    'incident.safety_check_confirmed': 'Safety checks (safe)',
+    'incident.safety_check_unanswered': 'Safety checks (no answer)',
+    'incident.voice_trigger': 'Voice triggers',
+
+    'fab.sos': 'SOS',
+    'fab.voice': 'Voice',
+    'fab.sosLabel': 'Emergency SOS',
+    'fab.voiceLabel': 'Voice SOS Activation',
+
+    'safety.title': 'Safety Check',
+    'safety.motionMessage': 'We detected unusual motion. Are you safe?',
+    'safety.safe': "I'm Safe",
+    'safety.help': 'Send Help',
+    'safety.autoSosIn': 'Auto SOS in:',
+    'safety.checkInMessage': 'Check-in due: {label}. Are you OK?',
+
+    'sos.countdownTitle': 'Sending SOS',
+    'sos.countdownText': 'An emergency alert will be sent to your contacts and responders.',
+    'sos.sendNow': 'Send Now',
+    'sos.sentTitle': 'SOS Alert Sent',
+    'sos.sentText': 'Emergency services have been notified of your location.',
+    'sos.locationLabel': 'Location:',
+    'sos.gettingLocation': 'Getting location...',
+    'sos.timeLabel': 'Time:',
+    'sos.contactsLabel': 'Contacts:',
+    'sos.notNotified': 'Not notified',
+    'sos.retract': "I'm Safe: Cancel Alert",
+    'sos.sendingIn': 'Sending in: {seconds}s',
+    'sos.locationUnavailable': 'Location unavailable',
+    'sos.notifying': 'Notifying...',
+    'sos.noContacts': 'No emergency contacts saved',
+    'sos.retractFailed': 'Could not cancel the alert. Please try again.',
+    'sos.withdrawn': 'Alert withdrawn before it was sent',
+    'sos.retracting': 'Cancelling: responders will be told it was a false alarm',
+
+    'escalation.acknowledged': 'Acknowledged by {name}',
+    'escalation.exhausted': 'No contact has acknowledged yet. Please call them directly.',
+    'escalation.none': 'No emergency contacts on file',
+    'escalation.cancelled': 'Alert cancelled. Contacts were told it was a false alarm.',
+    'escalation.notifying': 'Tier {tier} notified ({names}), awaiting acknowledgement',
+
+    'notification.sosQueuedTitle': 'NavRaksha - SOS Queued',
+    'notification.sosQueuedBody': 'Emergency alert queued. Will be sent when connection is restored.',
+    'notification.viewDetails': 'View Details',
+    'notification.sosSentTitle': 'NavRaksha - SOS Sent',
+    'notification.sosSentBody': 'Emergency alert successfully transmitted to authorities.',
+    'notification.checkInDueTitle': 'NavRaksha - Check-in Due',
+    'notification.checkInDueBody': "{label}: confirm you're OK within {minutes} min or an SOS will be sent.",
+    'notification.imOk': "I'm OK",
+    'notification.pushDefaultBody': 'New safety alert',
+    'notification.advisoryTitle': 'NavRaksha - Safety Advisory',
+    'notification.advisoryBody': 'There is a safety advisory for your area.',
+    'notification.sosAckTitle': 'NavRaksha - Help Is Coming',
+    'notification.sosAckBody': '{name} has acknowledged your SOS.',
+    'notification.checkInReminderTitle': 'NavRaksha - Check-in Reminder',
+    'notification.checkInReminderBody': "Open NavRaksha to confirm you're OK.",
+
+    'responder.pageTitle': 'NavRaksha Responder - Scan a Tourist ID',
+    'responder.title': 'NavRaksha Responder',
+    'responder.scanTitle': 'Scan a Tourist ID',
+    'responder.intro': "Point the camera at the QR code on the tourist's NavRaksha ID. Verification works offline.",
+    'responder.startScan': '📷 Scan with Camera',
+    'responder.stopScan': 'Stop',
+    'responder.scanImage': '🖼️ Scan an Image',
+    'responder.pasteLabel': 'Or paste the ID text',
+    'responder.verify': 'Verify',
+    'responder.name': 'Name',
+    'responder.emergencyContact': 'Emergency Contact',
+    'responder.scanAgain': 'Scan Another',
+    'responder.back': 'Back to NavRaksha',
+    'responder.pointCamera': "Point the camera at the QR code on the tourist's NavRaksha ID.",
+    'responder.id': 'ID',
+    'responder.noCamera': 'This browser cannot use the camera. Scan an image or paste the ID text instead.',
+    'responder.cameraDenied': 'Camera access was denied or is unavailable. Scan an image or paste the ID text instead.',
+    'responder.looking': 'Looking for a QR code…',
+    'responder.cameraStopped': 'Camera stopped.',
+    'responder.readingImage': 'Reading image…',
+    'responder.noCodeInImage': 'No QR code found in that image. Try a sharper, closer photo.',
+    'responder.imageUnreadable': 'That image could not be read.',
+    'responder.verifyUnsupported': 'This browser could not verify the ID.',
+    'responder.notAnId': 'This QR code is not a NavRaksha ID.',
+    'responder.verified': '✅ Signature Matches',
+    'responder.verifiedDetail': "The details were signed with the key for the ID above and not altered since. The tourist's device issues its own ID, so check it matches the one on their card or booking.",
+    'responder.unsigned': '⚠️ Unsigned ID',
+    'responder.unsignedDetail': 'Made by an older app version, so it cannot be verified. Confirm identity another way.',
+    'responder.notVerified': '❌ Not Verified',
+    'responder.notVerifiedDetail': 'The signature does not match. These details may have been altered.',
+    'responder.expired': '⚠️ Expired ID',
+    'responder.expiredDetail': 'The ID expired on {expires}. The details were signed with the key for the ID above but may be out of date.',
+    'responder.notYetValid': '⚠️ ID Not Yet Valid',
+    'responder.notYetValidDetail': 'The ID is not valid until {issued}. The details were signed with the key for the ID above but may be out of date.',
+    'responder.notProvided': 'Not provided',
+    'responder.noneListed': 'None listed',
+    'responder.unknownId': 'unknown',
+    'responder.validUntil': 'Valid until {date}',
+    'responder.noExpiry': 'No expiry date'
+};
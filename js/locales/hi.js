@@ -0,0 +1,481 @@
+/**
+ * Hindi messages (हिन्दी)
+ */
+
+I18N_CATALOGS.hi = {
+    'app.title': 'नवरक्षा - आपका डिजिटल सुरक्षा साथी',
+
+    'header.gps': 'GPS',
+    'header.network': 'नेटवर्क',
+    'header.scanId': 'पर्यटक ID स्कैन करें (सहायकों के लिए)',
+    'header.lock': 'ऐप लॉक करें',
+    'header.contrast': 'हाई कंट्रास्ट चालू/बंद करें',
+    'header.language': 'भाषा',
+
+    'language.automatic': 'स्वचालित',
+
+    'common.bloodGroup': 'ब्लड ग्रुप',
+    'common.allergies': 'एलर्जी',
+    'common.cancel': 'रद्द करें',
+    'common.nameLabel': 'नाम:',
+    'common.emailLabel': 'ईमेल:',
+    'common.phoneLabel': 'फ़ोन:',
+    'common.bloodGroupLabel': 'ब्लड ग्रुप:',
+    'common.allergiesLabel': 'एलर्जी:',
+    'common.nameRequired': 'नाम *',
+    'common.phone': 'फ़ोन',
+    'common.email': 'ईमेल',
+    'common.ok': 'ठीक है',
+    'common.close': 'बंद करें',
+    'common.edit': 'बदलें',
+    'common.delete': 'हटाएँ',
+    'common.unknown': 'अज्ञात',
+    'common.none': 'कोई नहीं',
+    'common.noneRecorded': 'कुछ दर्ज नहीं',
+
+    'unit.metres': '{value} मी',
+    'unit.seconds': '{value} से',
+    'unit.minutes': '{value} मिनट',
+    'unit.hours': '{value} घंटे',
+    'unit.megabytes': '{value} MB',
+    'unit.kilometres': '{value} किमी',
+
+    'register.title': 'पर्यटक पंजीकरण और डिजिटल ID',
+    'register.fullName': 'पूरा नाम *',
+    'register.email': 'ईमेल *',
+    'register.phone': 'फ़ोन *',
+    'register.selectBloodGroup': 'ब्लड ग्रुप चुनें',
+    'register.pin': 'PIN *',
+    'register.confirmPin': 'PIN की पुष्टि करें *',
+    'register.pinHint': 'आपका PIN इस डिवाइस पर आपकी प्रोफ़ाइल और लोकेशन हिस्ट्री को एन्क्रिप्ट करता है। आपका नाम, फ़ोन, ब्लड ग्रुप और एलर्जी सहायकों के लिए लॉक स्क्रीन पर दिखाई देते रहते हैं।',
+    'register.submit': 'डिजिटल ID बनाएँ',
+    'register.allergiesPlaceholder': 'कोई ज्ञात एलर्जी',
+    'register.save': 'बदलाव सहेजें',
+
+    'profile.title': 'आपकी प्रोफ़ाइल',
+    'profile.edit': 'प्रोफ़ाइल बदलें',
+    'profile.export': 'मेरा डेटा डाउनलोड करें',
+    'profile.erase': 'सारा डेटा मिटाएँ',
+    'profile.hint': 'डाउनलोड एक JSON फ़ाइल है जिसमें आपकी प्रोफ़ाइल, संपर्क, लोकेशन हिस्ट्री, घटनाएँ और कतार में रखे अलर्ट बिना एन्क्रिप्शन के होते हैं। मिटाने से नवरक्षा द्वारा इस डिवाइस पर रखा सब कुछ हट जाता है, आपका PIN और ID कुंजियाँ भी। इसे वापस नहीं किया जा सकता।',
+    'profile.saveFailed': 'आपकी प्रोफ़ाइल सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+    'profile.exportFailed': 'आपका डेटा एक्सपोर्ट नहीं हो सका। कृपया फिर से कोशिश करें।',
+    'profile.eraseConfirm': 'इस डिवाइस से अपना सारा नवरक्षा डेटा मिटाएँ? आपकी प्रोफ़ाइल, PIN, ID, संपर्क, हिस्ट्री और कतार में रखे अलर्ट हट जाएँगे। इसे वापस नहीं किया जा सकता।',
+    'profile.eraseConfirmSession': 'एक आपातकालीन सत्र चल रहा है। मिटाने से वह रुक जाएगा और आपका सारा डेटा, कुंजियाँ और कतार में रखे अलर्ट हट जाएँगे। जारी रखें?',
+    'profile.eraseFailed': 'कुछ डेटा मिटाया नहीं जा सका। नवरक्षा के दूसरे टैब बंद करके फिर से कोशिश करें।',
+
+    'lock.title': 'नवरक्षा लॉक है',
+    'lock.medicalCard': 'मेडिकल कार्ड',
+    'lock.emergencyContactLabel': 'आपातकालीन संपर्क:',
+    'lock.enterPin': 'अपना PIN डालें',
+    'lock.unlock': 'अनलॉक करें',
+    'lock.setupHint': 'नवरक्षा अब आपकी प्रोफ़ाइल और लोकेशन हिस्ट्री को एन्क्रिप्ट करता है। उन्हें सुरक्षित रखने के लिए एक PIN चुनें।',
+    'lock.newPin': 'नया PIN',
+    'lock.confirmPin': 'PIN की पुष्टि करें',
+    'lock.setPin': 'PIN सेट करें',
+    'lock.sos': '🚨 SOS भेजें',
+    'lock.pinMismatch': 'दोनों PIN मेल नहीं खाते।',
+    'lock.unlockFailed': 'अनलॉक नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+    'vault.pinTooShort': 'PIN कम से कम {length} अक्षरों का होना चाहिए',
+    'vault.noPin': 'कोई PIN सेट नहीं है',
+    'vault.tooManyAttempts': 'बहुत ज़्यादा प्रयास। {seconds} सेकंड बाद फिर कोशिश करें',
+    'vault.incorrectPin': 'गलत PIN',
+
+    'contacts.title': 'आपातकालीन संपर्क',
+    'contacts.hint': 'SOS भेजने पर संपर्कों को स्तर के क्रम में सूचित किया जाता है। अगर किसी स्तर में कोई पुष्टि नहीं करता, तो अगले स्तर को सूचित किया जाता है।',
+    'contacts.relationship': 'संबंध',
+    'contacts.priority': 'प्राथमिकता',
+    'contacts.tier1': 'स्तर 1 (सबसे पहले सूचित)',
+    'contacts.tier2': 'स्तर 2',
+    'contacts.tier3': 'स्तर 3',
+    'contacts.tier4': 'स्तर 4',
+    'contacts.tier5': 'स्तर 5',
+    'contacts.add': 'संपर्क जोड़ें',
+    'contacts.relationshipPlaceholder': 'माता-पिता, दोस्त, टूर गाइड...',
+    'contacts.tierName': 'स्तर {tier}',
+    'contacts.needName': 'कृपया इस संपर्क का नाम डालें।',
+    'contacts.needPhoneOrEmail': 'कृपया इस संपर्क का फ़ोन नंबर या ईमेल डालें।',
+    'contacts.needPriority': 'कृपया इस संपर्क की प्राथमिकता चुनें।',
+    'contacts.save': 'संपर्क सहेजें',
+    'contacts.removeConfirm': '{name} को अपने आपातकालीन संपर्कों से हटाएँ?',
+
+    'id.title': 'आपकी नवरक्षा डिजिटल ID',
+    'id.idLabel': 'ID:',
+    'id.issuedLabel': 'जारी:',
+    'id.validUntilLabel': 'मान्य तिथि तक:',
+    'id.hint': 'QR कोड इस डिवाइस पर रखी एक कुंजी से हस्ताक्षरित है। सहायक जाँच सकते हैं कि इसमें कोई बदलाव नहीं हुआ है।',
+    'id.rotateKey': 'नई हस्ताक्षर कुंजी',
+    'id.reissue': 'ID फिर से जारी करें',
+    'id.qrUnavailable': 'QR कोड',
+    'id.reissueFailed': 'आपकी डिजिटल ID फिर से जारी नहीं हो सकी। कृपया फिर से कोशिश करें।',
+    'id.rotateConfirm': 'नई हस्ताक्षर कुंजी बनाएँ? आपकी ID बदल जाएगी। जो QR कोड आप पहले साझा कर चुके हैं, वे समाप्त होने तक मान्य रहेंगे।',
+    'id.rotateFailed': 'नई कुंजी नहीं बन सकी। कृपया फिर से कोशिश करें।',
+
+    'dashboard.title': 'सुरक्षा डैशबोर्ड',
+    'dashboard.locationStatus': 'लोकेशन स्थिति',
+    'dashboard.acquiringLocation': 'लोकेशन प्राप्त की जा रही है...',
+    'dashboard.safeZoneLabel': 'सुरक्षित क्षेत्र:',
+    'dashboard.systemStatus': 'सिस्टम स्थिति',
+    'dashboard.queuedEventsLabel': 'कतार में घटनाएँ:',
+    'dashboard.lastAlertLabel': 'पिछला अलर्ट:',
+    'dashboard.never': 'कभी नहीं',
+    'dashboard.weeklyIncidentsLabel': 'घटनाएँ (7 दिन):',
+    'dashboard.motionDetectionLabel': 'गति पहचान:',
+    'dashboard.motionActive': 'सक्रिय',
+    'dashboard.coordinates': 'अक्षांश: {latitude}, देशांतर: {longitude}',
+    'dashboard.locationError': 'त्रुटि: {message}',
+
+    'zones.notSet': 'सेट नहीं',
+    'zones.polygon': 'बहुभुज',
+    'zones.always': 'हमेशा',
+    'zones.schedule': '{start}–{end}',
+    'zones.inside': '{name} के अंदर',
+    'zones.uncertain': 'अनिश्चित (GPS ±{accuracy} मी)',
+    'zones.outside': 'सभी सक्रिय क्षेत्रों से बाहर',
+    'zones.saved': { one: '{count} क्षेत्र सहेजा गया', other: '{count} क्षेत्र सहेजे गए' },
+    'zones.noLocation': 'लोकेशन उपलब्ध नहीं है। कृपया GPS द्वारा आपकी स्थिति पता करने तक प्रतीक्षा करें।',
+    'zones.defaultName': 'क्षेत्र {number}',
+    'zones.polygonTooSmall': 'बहुभुज क्षेत्र के लिए कम से कम 3 बिंदु चाहिए।',
+    'zones.saveFailed': 'सुरक्षित क्षेत्र सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+    'zones.deleteConfirm': 'सुरक्षित क्षेत्र "{name}" हटाएँ?',
+    'zones.clearConfirm': 'सभी सुरक्षित क्षेत्र हटाएँ?',
+
+    'zone.title': 'सुरक्षित क्षेत्र',
+    'zone.radius': 'त्रिज्या (मी)',
+    'zone.from': 'से',
+    'zone.until': 'तक',
+    'zone.save': 'क्षेत्र सहेजें',
+    'zone.namePlaceholder': 'होटल, कार्यक्रम स्थल, दोस्त का घर...',
+    'zone.scheduled': 'केवल तय घंटों में सक्रिय',
+
+    'map.title': 'लाइव GPS ट्रैकिंग',
+    'map.addCircle': 'गोल क्षेत्र जोड़ें',
+    'map.drawPolygon': 'बहुभुज क्षेत्र बनाएँ',
+    'map.finishPolygon': 'बहुभुज पूरा करें',
+    'map.clearZones': 'सभी क्षेत्र हटाएँ',
+    'map.polygonHint': 'क्षेत्र के कोने रखने के लिए मानचित्र पर क्लिक करें, फिर "बहुभुज पूरा करें" दबाएँ।',
+    'map.radius': 'त्रिज्या:',
+    'map.forwardGeofence': 'क्षेत्र से बाहर जाने की जानकारी बैकएंड को भेजें',
+    'map.cancelDrawing': 'बनाना रद्द करें',
+
+    'alert.leftZone': 'आप अपने सुरक्षित क्षेत्र से बाहर चले गए हैं!',
+    'alert.leftNamedZone': 'आप अपने सुरक्षित क्षेत्र "{name}" से बाहर चले गए हैं!',
+
+    'history.label': 'हिस्ट्री:',
+    'history.lastHour': 'पिछला एक घंटा',
+    'history.last6h': 'पिछले 6 घंटे',
+    'history.last24h': 'पिछले 24 घंटे',
+    'history.last7d': 'पिछले 7 दिन',
+    'history.custom': 'अपनी अवधि',
+    'history.export': 'एक्सपोर्ट',
+    'history.from': 'से',
+    'history.to': 'तक',
+    'history.format': 'एक्सपोर्ट फ़ॉर्मेट',
+    'history.showTrail': 'रास्ता दिखाएँ',
+    'history.points': { one: '{count} बिंदु दर्ज', other: '{count} बिंदु दर्ज' },
+    'history.needsPin': 'लोकेशन हिस्ट्री दर्ज करने के लिए PIN के साथ पंजीकरण करें',
+    'history.locked': 'लोकेशन हिस्ट्री दर्ज करने और देखने के लिए अनलॉक करें',
+    'history.readFailed': 'लोकेशन हिस्ट्री पढ़ी नहीं जा सकी।',
+    'history.empty': 'इस अवधि में कोई लोकेशन दर्ज नहीं है।',
+
+    'tiles.title': 'ऑफ़लाइन मैप',
+    'tiles.hint': 'बिना कनेक्शन के मैप देखने के लिए स्क्रीन पर दिख रहा क्षेत्र डाउनलोड करें। डाउनलोड किए गए मैप 30 दिन बाद समाप्त हो जाते हैं।',
+    'tiles.name': 'क्षेत्र का नाम',
+    'tiles.zoom': 'ज़ूम:',
+    'tiles.maxZoom': 'अधिकतम ज़ूम',
+    'tiles.download': 'यह क्षेत्र डाउनलोड करें',
+    'tiles.estimate': { one: '{tiles} टाइल, लगभग {size}', other: '{tiles} टाइलें, लगभग {size}' },
+    'tiles.zoomRange': 'ज़ूम {min}–{max}',
+    'tiles.expires': '{date} को समाप्त',
+    'tiles.stale': '{date} को समाप्त, ऑफ़लाइन रहने तक रखा गया',
+    'tiles.show': 'दिखाएँ',
+    'tiles.update': 'अपडेट करें',
+    'tiles.deleteConfirm': 'ऑफ़लाइन मैप "{name}" हटाएँ?',
+    'tiles.partial': { one: '"{name}" सहेजा गया, लेकिन {count} टाइल डाउनलोड नहीं हो सकी।', other: '"{name}" सहेजा गया, लेकिन {count} टाइलें डाउनलोड नहीं हो सकीं।' },
+    'tiles.error.zoom': '0 और 16 के बीच ज़ूम चुनें।',
+    'tiles.error.too_many': 'बहुत बड़ा: अधिकतम {max} टाइलें। ज़ूम इन करें या अधिकतम ज़ूम कम करें।',
+    'tiles.error.quota': 'इस क्षेत्र के लिए पर्याप्त खाली स्टोरेज नहीं है। ज़ूम इन करें या अधिकतम ज़ूम कम करें।',
+    'tiles.error.network': 'मैप डाउनलोड नहीं हो सका। अपना कनेक्शन जाँचें और फिर से कोशिश करें।',
+    'tiles.error.failed': 'ऑफ़लाइन मैप सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+
+    'advisories.title': 'सुरक्षा सलाह',
+    'advisories.hint': 'पर्यटन या पुलिस अधिकारियों द्वारा चिह्नित क्षेत्र। किसी URL या फ़ाइल से GeoJSON फ़ीड लोड करें। यह ऑफ़लाइन भी उपलब्ध रहती है, और किसी क्षेत्र में प्रवेश करने पर आपको चेतावनी दी जाती है।',
+    'advisories.url': 'फ़ीड URL (GeoJSON)',
+    'advisories.load': 'फ़ीड लोड करें',
+    'advisories.import': 'फ़ाइल आयात करें',
+    'advisories.show': 'मैप पर दिखाएं',
+    'advisories.severity.info': 'जानकारी',
+    'advisories.severity.caution': 'सावधानी',
+    'advisories.severity.danger': 'खतरा',
+    'advisories.areas': { one: '{count} क्षेत्र', other: '{count} क्षेत्र' },
+    'advisories.updated': '{date} को अपडेट किया गया',
+    'advisories.imported': 'आयात की गई फ़ाइल',
+    'advisories.until': '{date} तक',
+    'advisories.unnamed': 'सलाह क्षेत्र',
+    'advisories.showFeed': 'दिखाएं',
+    'advisories.refresh': 'रीफ़्रेश करें',
+    'advisories.deleteConfirm': '"{name}" की सलाह हटाएं?',
+    'advisories.entered': 'आप एक सलाह क्षेत्र में प्रवेश कर चुके हैं: {name}',
+    'advisories.skipped': { one: '"{name}" लोड हो गया, लेकिन {count} फ़ीचर क्षेत्र नहीं है और छोड़ दिया गया।', other: '"{name}" लोड हो गया, लेकिन {count} फ़ीचर क्षेत्र नहीं हैं और छोड़ दिए गए।' },
+    'advisories.error.url': 'फ़ीड के लिए मान्य वेब पता दर्ज करें।',
+    'advisories.error.invalid': 'यह GeoJSON सलाह फ़ीड नहीं है।',
+    'advisories.error.empty': 'फ़ीड में कोई सलाह क्षेत्र (पॉलीगॉन) नहीं है।',
+    'advisories.error.network': 'फ़ीड डाउनलोड नहीं हो सकी। अपना कनेक्शन और पता जांचें, फिर से प्रयास करें।',
+    'advisories.error.failed': 'सलाह सहेजी नहीं जा सकी। कृपया फिर से प्रयास करें।',
+
+    'help.title': 'निकटतम सहायता',
+    'help.typeLabel': 'सुविधा का प्रकार',
+    'help.filter.all': 'सभी सुविधाएं',
+    'help.filter.police': 'पुलिस स्टेशन',
+    'help.filter.hospital': 'अस्पताल',
+    'help.filter.embassy': 'दूतावास',
+    'help.type.police': 'पुलिस स्टेशन',
+    'help.type.hospital': 'अस्पताल',
+    'help.type.embassy': 'दूतावास',
+    'help.away': '{direction} में {distance}',
+    'help.compass.N': 'उत्तर',
+    'help.compass.NE': 'उत्तर-पूर्व',
+    'help.compass.E': 'पूर्व',
+    'help.compass.SE': 'दक्षिण-पूर्व',
+    'help.compass.S': 'दक्षिण',
+    'help.compass.SW': 'दक्षिण-पश्चिम',
+    'help.compass.W': 'पश्चिम',
+    'help.compass.NW': 'उत्तर-पश्चिम',
+    'help.showOnMap': 'मैप',
+    'help.nearestLabel': 'निकटतम सहायता:',
+    'help.noLocation': 'आपके स्थान की प्रतीक्षा की जा रही है...',
+    'help.noneFound': 'डेटासेट में इस प्रकार की कोई सुविधा नहीं है।',
+    'help.sourceBundled': { one: 'OpenStreetMap से {count} सुविधा, ऑफ़लाइन उपलब्ध।', other: 'OpenStreetMap से {count} सुविधाएं, ऑफ़लाइन उपलब्ध।' },
+    'help.sourceImported': { one: '{date} को {name} से {count} सुविधा आयात की गई।', other: '{date} को {name} से {count} सुविधाएं आयात की गईं।' },
+    'help.noData': 'इस संस्करण के साथ कोई सुविधा शामिल नहीं है। अपने क्षेत्र के लिए OpenStreetMap एक्सट्रैक्ट (GeoJSON) आयात करें।',
+    'help.unavailable': 'सुविधाएं लोड नहीं हो सकीं।',
+    'help.import': 'OSM डेटा आयात करें',
+    'help.reset': 'शामिल डेटा का उपयोग करें',
+    'help.resetConfirm': 'आयात की गई सुविधाएं हटाकर शामिल सुविधाओं पर वापस जाएं?',
+    'help.error.invalid': 'यह GeoJSON फ़ाइल नहीं है।',
+    'help.error.empty': 'फ़ाइल में कोई पुलिस स्टेशन, अस्पताल या दूतावास नहीं है।',
+    'help.error.failed': 'सुविधाएं आयात नहीं हो सकीं। कृपया फिर से प्रयास करें।',
+
+    'update.available': 'NavRaksha का नया संस्करण तैयार है।',
+    'update.reload': 'फिर से लोड करें',
+
+    'push.toggle': 'इस डिवाइस पर सुरक्षा अलर्ट',
+    'push.hint': 'क्षेत्र की सलाह, SOS की पुष्टि और चेक-इन रिमाइंडर, NavRaksha बंद होने पर भी।',
+    'push.enabled': 'सुरक्षा अलर्ट चालू हैं।',
+    'push.disabled': 'सुरक्षा अलर्ट बंद हैं।',
+    'push.unsupported': 'यह ब्राउज़र सुरक्षा अलर्ट प्राप्त नहीं कर सकता।',
+    'push.denied': 'सूचनाएं अवरुद्ध हैं। सुरक्षा अलर्ट पाने के लिए ब्राउज़र सेटिंग्स में उन्हें अनुमति दें।',
+    'push.failed': 'सुरक्षा अलर्ट बदले नहीं जा सके। अपना कनेक्शन जांचें और फिर से प्रयास करें।',
+
+    'checkins.title': 'चेक-इन',
+    'checkins.hint': 'तय समय पर पुष्टि करें कि आप ठीक हैं। अगर किसी चेक-इन का 5 मिनट तक जवाब नहीं मिलता, तो SOS भेजा जाता है।',
+    'checkins.label': 'नाम',
+    'checkins.schedule': 'समय-सारणी',
+    'checkins.typeInterval': 'हर इतने समय पर...',
+    'checkins.typeDeadline': 'इस समय तक चेक-इन...',
+    'checkins.every': 'हर',
+    'checkins.every30m': '30 मिनट',
+    'checkins.every1h': '1 घंटा',
+    'checkins.every2h': '2 घंटे',
+    'checkins.every4h': '4 घंटे',
+    'checkins.until': 'तक (वैकल्पिक)',
+    'checkins.by': 'समय',
+    'checkins.submit': 'चेक-इन तय करें',
+    'checkins.labelPlaceholder': 'घर लौटना, रात की ट्रेकिंग...',
+    'checkins.defaultLabel': 'चेक-इन',
+    'checkins.saveFailed': 'चेक-इन सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+    'checkins.cancelConfirm': 'चेक-इन "{label}" रद्द करें?',
+    'checkins.next': 'अगला {time}',
+    'checkins.checkIn': 'चेक-इन करें',
+    'checkins.describeDeadline': '{time} तक',
+    'checkins.describeInterval': 'हर {every}',
+    'checkins.describeIntervalUntil': '{time} तक हर {every}',
+
+    'voice.title': 'आवाज़ से SOS',
+    'voice.language': 'भाषा',
+    'voice.keywords': 'अतिरिक्त शब्द',
+    'voice.safePhrase': 'गुप्त सुरक्षा वाक्य',
+    'voice.confidenceLenient': 'ढीली (शोर वाली जगहें)',
+    'voice.confidenceNormal': 'सामान्य',
+    'voice.confidenceStrict': 'सख़्त (कम गलत ट्रिगर)',
+    'voice.save': 'आवाज़ सेटिंग सहेजें',
+    'voice.keywordsPlaceholder': 'कॉमा से अलग करें, जैसे police, bachao',
+    'voice.safePhrasePlaceholder': 'बिना उलटी गिनती के तुरंत SOS भेजता है',
+    'voice.unsupportedLanguage': 'आवाज़ से SOS बंद हुआ: आपका ब्राउज़र यह भाषा समर्थित नहीं करता।',
+    'voice.microphoneDenied': 'आवाज़ से SOS बंद हुआ: माइक्रोफ़ोन की अनुमति नहीं मिली।',
+    'voice.listeningFor': 'इन शब्दों को सुन रहा है: {keywords}',
+    'voice.notSupported': 'इस ब्राउज़र में आवाज़ पहचान समर्थित नहीं है',
+
+    'settings.title': 'सुरक्षा सेटिंग',
+    'settings.fallSensitivity': 'गिरने की संवेदनशीलता',
+    'settings.sensitivityLow': 'कम (कम गलत अलार्म)',
+    'settings.sensitivityMedium': 'मध्यम',
+    'settings.sensitivityHigh': 'अधिक (हल्के गिरने को भी पकड़ता है)',
+    'settings.presetHint': 'प्रीसेट इस्तेमाल करने के लिए गिरने की तीनों सीमाएँ खाली छोड़ें।',
+    'settings.impactThreshold': 'टक्कर की सीमा (m/s²)',
+    'settings.stillnessWindow': 'टक्कर के बाद स्थिरता (से)',
+    'settings.settleTime': 'टक्कर के बाद प्रतीक्षा (से)',
+    'settings.safetyCheckCountdown': '"क्या आप सुरक्षित हैं?" उलटी गिनती (से)',
+    'settings.sosGracePeriod': 'SOS उलटी गिनती (से, 0 = तुरंत भेजें)',
+    'settings.safeZoneRadius': 'सुरक्षित क्षेत्र की त्रिज्या (मी)',
+    'settings.geolocationTimeout': 'GPS टाइमआउट (से)',
+    'settings.geolocationMaximumAge': 'इतनी पुरानी GPS लोकेशन दोबारा इस्तेमाल करें (से)',
+    'settings.alertAutoHide': 'क्षेत्र अलर्ट इतने समय बाद छिपाएँ (से, 0 = बंद करने तक)',
+    'settings.geofenceDwellTime': 'क्षेत्र से बाहर जाने की देरी (से)',
+    'settings.geofenceHysteresis': 'क्षेत्र सीमा का मार्जिन (मी)',
+    'settings.geofenceMaxAccuracy': 'इससे कम सटीक GPS लोकेशन अनदेखी करें (मी)',
+    'settings.checkInGracePeriod': 'चेक-इन की मोहलत (से)',
+    'settings.voiceMinConfidence': 'आवाज़ मिलान की सटीकता',
+    'settings.reset': 'रीसेट',
+    'settings.save': 'सेटिंग सहेजें',
+    'settings.export': 'एक्सपोर्ट',
+    'settings.import': 'इम्पोर्ट',
+    'settings.preset': 'प्रीसेट',
+    'settings.resetConfirm': 'सभी सुरक्षा सेटिंग डिफ़ॉल्ट पर रीसेट करें?',
+    'settings.importUnreadable': 'यह फ़ाइल सेटिंग के रूप में पढ़ी नहीं जा सकी।',
+    'settings.imported': 'सेटिंग इम्पोर्ट हो गईं।',
+
+    'setting.fallSensitivity': 'गिरने की संवेदनशीलता',
+    'setting.impactThreshold': 'टक्कर की सीमा',
+    'setting.stillnessWindow': 'टक्कर के बाद स्थिरता',
+    'setting.settleTime': 'टक्कर के बाद प्रतीक्षा',
+    'setting.safetyCheckCountdown': '"क्या आप सुरक्षित हैं?" उलटी गिनती',
+    'setting.sosGracePeriod': 'SOS उलटी गिनती',
+    'setting.safeZoneRadius': 'सुरक्षित क्षेत्र की त्रिज्या',
+    'setting.geolocationTimeout': 'GPS टाइमआउट',
+    'setting.geolocationMaximumAge': 'GPS लोकेशन का दोबारा इस्तेमाल',
+    'setting.alertAutoHide': 'क्षेत्र अलर्ट छिपाने का समय',
+    'setting.geofenceDwellTime': 'क्षेत्र से बाहर जाने की देरी',
+    'setting.geofenceHysteresis': 'क्षेत्र सीमा का मार्जिन',
+    'setting.geofenceMaxAccuracy': 'GPS सटीकता की सीमा',
+    'setting.checkInGracePeriod': 'चेक-इन की मोहलत',
+    'setting.voiceMinConfidence': 'आवाज़ मिलान की सटीकता',
+    'setting.forwardGeofenceEvents': 'क्षेत्र से बाहर जाने की जानकारी भेजना',
+    'setting.showAdvisories': 'सलाह दिखाना',
+    'setting.highContrast': 'हाई कंट्रास्ट',
+    'setting.language': 'भाषा',
+    'setting.error.unknown': 'अज्ञात सेटिंग "{key}"',
+    'setting.error.boolean': '{label} चालू या बंद होना चाहिए',
+    'setting.error.enum': '{label} इनमें से एक होना चाहिए: {values}',
+    'setting.error.number': '{label} एक संख्या होनी चाहिए',
+    'setting.error.integer': '{label} एक पूर्ण संख्या होनी चाहिए',
+    'setting.error.range': '{label} {min} और {max} के बीच होना चाहिए',
+    'setting.error.invalid': 'अमान्य सेटिंग',
+    'setting.error.notSettingsFile': 'यह नवरक्षा की सेटिंग फ़ाइल नहीं है',
+    'setting.error.newerVersion': 'ये सेटिंग नवरक्षा के नए संस्करण की हैं',
+
+    'session.title': '🔴 आपातकालीन सत्र सक्रिय',
+    'session.sharing': 'आपकी लोकेशन सहायकों के साथ साझा की जा रही है।',
+    'session.idLabel': 'सत्र:',
+    'session.startedLabel': 'शुरू हुआ:',
+    'session.sentLabel': 'भेजे गए अपडेट:',
+    'session.bufferedLabel': 'भेजने के लिए बाकी:',
+    'session.end': 'सत्र समाप्त करें',
+
+    'chart.title': 'सुरक्षा घटनाएँ',
+    'chart.day': 'दिन',
+    'chart.week': 'सप्ताह',
+    'chart.month': 'महीना',
+    'chart.range': 'चार्ट की अवधि',
+
+    'incident.sos': 'SOS अलर्ट',
+    'incident.fall_detected': 'गिरने की पहचान',
+    'incident.check_in_missed': 'छूटे चेक-इन',
+    'incident.geofence_exit': 'क्षेत्र से बाहर',
+    'incident.safety_check_confirmed': 'सुरक्षा जाँच (सुरक्षित)',
+    'incident.safety_check_unanswered': 'सुरक्षा जाँच (कोई जवाब नहीं)',
+    'incident.voice_trigger': 'आवाज़ ट्रिगर',
+
+    'fab.sos': 'SOS',
+    'fab.voice': 'आवाज़',
+    'fab.sosLabel': 'आपातकालीन SOS',
+    'fab.voiceLabel': 'आवाज़ से SOS चालू करें',
+
+    'safety.title': 'सुरक्षा जाँच',
+    'safety.motionMessage': 'हमें असामान्य हलचल का पता चला है। क्या आप सुरक्षित हैं?',
+    'safety.safe': 'मैं सुरक्षित हूँ',
+    'safety.help': 'मदद भेजें',
+    'safety.autoSosIn': 'स्वचालित SOS:',
+    'safety.checkInMessage': 'चेक-इन का समय: {label}। क्या आप ठीक हैं?',
+
+    'sos.countdownTitle': 'SOS भेजा जा रहा है',
+    'sos.countdownText': 'आपके संपर्कों और सहायकों को एक आपातकालीन अलर्ट भेजा जाएगा।',
+    'sos.sendNow': 'अभी भेजें',
+    'sos.sentTitle': 'SOS अलर्ट भेजा गया',
+    'sos.sentText': 'आपातकालीन सेवाओं को आपकी लोकेशन की सूचना दे दी गई है।',
+    'sos.locationLabel': 'लोकेशन:',
+    'sos.gettingLocation': 'लोकेशन प्राप्त की जा रही है...',
+    'sos.timeLabel': 'समय:',
+    'sos.contactsLabel': 'संपर्क:',
+    'sos.notNotified': 'सूचित नहीं किया गया',
+    'sos.retract': 'मैं सुरक्षित हूँ: अलर्ट रद्द करें',
+    'sos.sendingIn': '{seconds} सेकंड में भेजा जाएगा',
+    'sos.locationUnavailable': 'लोकेशन उपलब्ध नहीं',
+    'sos.notifying': 'सूचित किया जा रहा है...',
+    'sos.noContacts': 'कोई आपातकालीन संपर्क सहेजा नहीं गया',
+    'sos.retractFailed': 'अलर्ट रद्द नहीं हो सका। कृपया फिर से कोशिश करें।',
+    'sos.withdrawn': 'अलर्ट भेजे जाने से पहले वापस ले लिया गया',
+    'sos.retracting': 'रद्द किया जा रहा है: सहायकों को बताया जाएगा कि यह गलत अलार्म था',
+
+    'escalation.acknowledged': '{name} ने पुष्टि की',
+    'escalation.exhausted': 'अभी तक किसी संपर्क ने पुष्टि नहीं की है। कृपया उन्हें सीधे कॉल करें।',
+    'escalation.none': 'कोई आपातकालीन संपर्क दर्ज नहीं है',
+    'escalation.cancelled': 'अलर्ट रद्द किया गया। संपर्कों को बताया गया कि यह गलत अलार्म था।',
+    'escalation.notifying': 'स्तर {tier} को सूचित किया गया ({names}), पुष्टि की प्रतीक्षा है',
+
+    'notification.sosQueuedTitle': 'नवरक्षा - SOS कतार में',
+    'notification.sosQueuedBody': 'आपातकालीन अलर्ट कतार में है। कनेक्शन वापस आने पर भेजा जाएगा।',
+    'notification.viewDetails': 'विवरण देखें',
+    'notification.sosSentTitle': 'नवरक्षा - SOS भेजा गया',
+    'notification.sosSentBody': 'आपातकालीन अलर्ट अधिकारियों को सफलतापूर्वक भेज दिया गया।',
+    'notification.checkInDueTitle': 'नवरक्षा - चेक-इन का समय',
+    'notification.checkInDueBody': '{label}: {minutes} मिनट में पुष्टि करें कि आप ठीक हैं, नहीं तो SOS भेजा जाएगा।',
+    'notification.imOk': 'मैं ठीक हूँ',
+    'notification.pushDefaultBody': 'नया सुरक्षा अलर्ट',
+    'notification.advisoryTitle': 'NavRaksha - सुरक्षा सलाह',
+    'notification.advisoryBody': 'आपके क्षेत्र के लिए एक सुरक्षा सलाह है।',
+    'notification.sosAckTitle': 'NavRaksha - मदद आ रही है',
+    'notification.sosAckBody': '{name} ने आपके SOS की पुष्टि की है।',
+    'notification.checkInReminderTitle': 'NavRaksha - चेक-इन रिमाइंडर',
+    'notification.checkInReminderBody': 'यह पुष्टि करने के लिए NavRaksha खोलें कि आप ठीक हैं।',
+
+    'responder.pageTitle': 'नवरक्षा सहायक - पर्यटक ID स्कैन करें',
+    'responder.title': 'नवरक्षा सहायक',
+    'responder.scanTitle': 'पर्यटक ID स्कैन करें',
+    'responder.intro': 'कैमरे को पर्यटक की नवरक्षा ID के QR कोड की ओर करें। जाँच ऑफ़लाइन भी काम करती है।',
+    'responder.startScan': '📷 कैमरे से स्कैन करें',
+    'responder.stopScan': 'रोकें',
+    'responder.scanImage': '🖼️ तस्वीर से स्कैन करें',
+    'responder.pasteLabel': 'या ID का टेक्स्ट चिपकाएँ',
+    'responder.verify': 'जाँचें',
+    'responder.name': 'नाम',
+    'responder.emergencyContact': 'आपातकालीन संपर्क',
+    'responder.scanAgain': 'दूसरी ID स्कैन करें',
+    'responder.back': 'नवरक्षा पर वापस जाएँ',
+    'responder.pointCamera': 'कैमरे को पर्यटक की नवरक्षा ID के QR कोड की ओर करें।',
+    'responder.id': 'ID',
+    'responder.noCamera': 'यह ब्राउज़र कैमरा इस्तेमाल नहीं कर सकता। इसके बजाय तस्वीर स्कैन करें या ID का टेक्स्ट चिपकाएँ।',
+    'responder.cameraDenied': 'कैमरे की अनुमति नहीं मिली या कैमरा उपलब्ध नहीं है। इसके बजाय तस्वीर स्कैन करें या ID का टेक्स्ट चिपकाएँ।',
+    'responder.looking': 'QR कोड खोजा जा रहा है…',
+    'responder.cameraStopped': 'कैमरा रोक दिया गया।',
+    'responder.readingImage': 'तस्वीर पढ़ी जा रही है…',
+    'responder.noCodeInImage': 'इस तस्वीर में कोई QR कोड नहीं मिला। ज़्यादा साफ़ और पास से ली गई तस्वीर आज़माएँ।',
+    'responder.imageUnreadable': 'यह तस्वीर पढ़ी नहीं जा सकी।',
+    'responder.verifyUnsupported': 'यह ब्राउज़र ID की जाँच नहीं कर सका।',
+    'responder.notAnId': 'यह QR कोड नवरक्षा ID नहीं है।',
+    'responder.verified': '✅ हस्ताक्षर मेल खाता है',
+    'responder.verifiedDetail': 'विवरण ऊपर दी गई ID की कुंजी से हस्ताक्षरित हैं और तब से बदले नहीं गए। पर्यटक का डिवाइस अपनी ID खुद बनाता है, इसलिए जाँचें कि यह उनके कार्ड या बुकिंग पर दी गई ID से मेल खाती है।',
+    'responder.unsigned': '⚠️ बिना हस्ताक्षर की ID',
+    'responder.unsignedDetail': 'ऐप के पुराने संस्करण से बनी है, इसलिए इसकी जाँच नहीं हो सकती। पहचान की पुष्टि किसी और तरीके से करें।',
+    'responder.notVerified': '❌ प्रमाणित नहीं',
+    'responder.notVerifiedDetail': 'हस्ताक्षर मेल नहीं खाता। इन विवरणों में बदलाव किया गया हो सकता है।',
+    'responder.expired': '⚠️ समाप्त ID',
+    'responder.expiredDetail': 'यह ID {expires} को समाप्त हो गई। विवरण ऊपर दी गई ID की कुंजी से हस्ताक्षरित हैं, पर पुराने हो सकते हैं।',
+    'responder.notYetValid': '⚠️ ID अभी मान्य नहीं',
+    'responder.notYetValidDetail': 'यह ID {issued} से पहले मान्य नहीं है। विवरण ऊपर दी गई ID की कुंजी से हस्ताक्षरित हैं, पर पुराने हो सकते हैं।',
+    'responder.notProvided': 'नहीं दिया गया',
+    'responder.noneListed': 'कोई दर्ज नहीं',
+    'responder.unknownId': 'अज्ञात',
+    'responder.validUntil': '{date} तक मान्य',
+    'responder.noExpiry': 'कोई समाप्ति तिथि नहीं'
+};
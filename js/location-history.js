@@ -0,0 +1,122 @@
+/**
+ * NavRaksha Location History
+ * Rolling record of GPS fixes in IndexedDB, used for the map trail and track exports.
+ * Fixes are encrypted with the vault's append key, so they are recorded while locked but only
+ * read after an unlock; the timestamp stays in the clear for range queries and pruning. The
+ * last few minutes are also kept in memory for SOS breadcrumbs from the lock screen.
+ */
+
+const LOCATION_HISTORY_STORE = 'locations';
+
+const LOCATION_HISTORY_DEFAULTS = {
+    minInterval: 5000,                      // ms between stored fixes while stationary
+    minDistance: 5,                         // meters moved that always warrant a new fix
+    retention: 30 * 24 * 60 * 60 * 1000,    // fixes older than this are pruned
+    recentWindow: 10 * 60 * 1000            // fixes kept in memory this long
+};
+
+class LocationHistory {
+    constructor(vault, options = {}) {
+        this.vault = vault;
+        this.options = { ...LOCATION_HISTORY_DEFAULTS, ...options };
+        this.lastFix = null;
+        this.recent = [];
+    }
+
+    /**
+     * Store a fix unless it adds nothing over the previous one
+     */
+    async record(fix) {
+        if (!this.vault.canAppend()) {
+            return null;
+        }
+
+        if (this.lastFix) {
+            const elapsed = fix.timestamp - this.lastFix.timestamp;
+            const moved = Geo.distance(this.lastFix.latitude, this.lastFix.longitude, fix.latitude, fix.longitude);
+            if (elapsed < this.options.minInterval && moved < this.options.minDistance) {
+                return null;
+            }
+        }
+
+        this.lastFix = fix;
+        this.recent = this.recent.filter(recent => recent.timestamp >= fix.timestamp - this.options.recentWindow);
+        this.recent.push(fix);
+
+        try {
+            const payload = await this.vault.sealAppend(fix);
+            await NavRakshaDB.transaction(LOCATION_HISTORY_STORE, 'readwrite', (tx) => {
+                tx.objectStore(LOCATION_HISTORY_STORE).add({ timestamp: fix.timestamp, payload });
+            });
+        } catch (error) {
+            console.error('❌ Failed to record location history:', error);
+            return null;
+        }
+
+        return fix;
+    }
+
+    /**
+     * Fixes between two timestamps, oldest first; empty while locked
+     */
+    async getRange(from, to = Date.now()) {
+        if (!this.vault.isUnlocked()) {
+            return [];
+        }
+
+        const records = await NavRakshaDB.transaction(LOCATION_HISTORY_STORE, 'readonly', (tx) => {
+            return tx.objectStore(LOCATION_HISTORY_STORE).index('timestamp').getAll(IDBKeyRange.bound(from, to));
+        });
+        return Promise.all(records.map(record => this.vault.open(record.payload)));
+    }
+
+    /**
+     * Fixes recorded since this page loaded from the last few minutes, oldest first; works while locked
+     */
+    getRecent(from) {
+        return this.recent.filter(fix => fix.timestamp >= from);
+    }
+
+    /**
+     * Encrypt fixes stored in plain text by versions before encryption
+     */
+    async encryptLegacy() {
+        const records = await NavRakshaDB.transaction(LOCATION_HISTORY_STORE, 'readonly', (tx) => {
+            return tx.objectStore(LOCATION_HISTORY_STORE).getAll();
+        });
+        const legacy = records.filter(record => !record.payload);
+        if (legacy.length === 0) return 0;
+
+        const sealed = await Promise.all(legacy.map(async ({ id, ...fix }) => ({
+            id,
+            timestamp: fix.timestamp,
+            payload: await this.vault.seal(fix)
+        })));
+
+        await NavRakshaDB.transaction(LOCATION_HISTORY_STORE, 'readwrite', (tx) => {
+            const store = tx.objectStore(LOCATION_HISTORY_STORE);
+            sealed.forEach(record => store.put(record));
+        });
+        return sealed.length;
+    }
+
+    /**
+     * Drop fixes older than the retention period
+     */
+    prune() {
+        const cutoff = Date.now() - this.options.retention;
+
+        return NavRakshaDB.transaction(LOCATION_HISTORY_STORE, 'readwrite', (tx) => {
+            const range = IDBKeyRange.upperBound(cutoff, true);
+            const cursorRequest = tx.objectStore(LOCATION_HISTORY_STORE).index('timestamp').openCursor(range);
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * NavRaksha Event Outbox
+ * Durable IndexedDB queue shared by the page and the service worker.
+ * Every event carries an idempotency key, so queueing or delivering the same event twice is harmless.
+ * Payloads are encrypted with the device key, which both contexts can use without the PIN.
+ */
+
+const OUTBOX_STORE = 'outbox';
+
+// Endpoint each event type is delivered to
+const OUTBOX_ENDPOINTS = {
+    sos: '/api/emergency/sos',
+    location_update: '/api/location',
+    geofence_event: '/api/geofence/events',
+    sos_retraction: '/api/emergency/retractions',
+    tracking_update: '/api/tracking/updates',
+    tracking_close: '/api/tracking/close'
+};
+
+// Events the backend only accepts from the device that sent the SOS: its ID (`sosId`) goes
+// along as the bearer token
+const OUTBOX_OWNER_TYPES = ['tracking_update', 'tracking_close'];
+
+// Retry delays grow exponentially from baseDelay up to maxDelay
+const OUTBOX_BACKOFF = {
+    baseDelay: 5000,
+    maxDelay: 30 * 60 * 1000
+};
+
+// Background Sync tags: the one-off sync delivers the whole outbox, the periodic one buffered location fixes
+const OUTBOX_SYNC_TAG = 'sos-sync';
+const LOCATION_SYNC_TAG = 'location-sync';
+const LOCATION_SYNC_INTERVAL = 15 * 60 * 1000;
+
+// How often the page retries the outbox itself in browsers without Background Sync
+const OUTBOX_FALLBACK_RETRY = 60 * 1000;
+
+// Marks requests made by the outbox so the service worker does not queue them a second time
+const OUTBOX_DELIVERY_HEADER = 'X-NavRaksha-Outbox';
+
+class OutboxDeliveryError extends Error {
+    constructor(message, permanent = false) {
+        super(message);
+        this.name = 'OutboxDeliveryError';
+        this.permanent = permanent;
+    }
+}
+
+class EventOutbox {
+    /**
+     * Generate a random idempotency key
+     */
+    static generateKey() {
+        return NavRakshaDB.generateId();
+    }
+
+    /**
+     * Find the event type delivered to an API path
+     */
+    static typeForPath(pathname) {
+        return Object.keys(OUTBOX_ENDPOINTS).find(type => OUTBOX_ENDPOINTS[type] === pathname) || null;
+    }
+
+    /**
+     * Add an event; an event with the same idempotency key is only stored once
+     */
+    async enqueue(type, data, idempotencyKey = EventOutbox.generateKey()) {
+        const record = await this.createRecord(type, data, idempotencyKey);
+
+        const outcome = await NavRakshaDB.transaction(OUTBOX_STORE, 'readwrite', (tx) => {
+            const store = tx.objectStore(OUTBOX_STORE);
+            const result = { record, duplicate: false };
+            const existing = store.get(idempotencyKey);
+
+            existing.onsuccess = () => {
+                if (existing.result) {
+                    result.record = existing.result;
+                    result.duplicate = true;
+                } else {
+                    store.put(record);
+                }
+            };
+
+            return result;
+        });
+
+        console.log(outcome.duplicate ? '📦 Event already queued:' : '📦 Event queued:', type, idempotencyKey);
+        return outcome;
+    }
+
+    /**
+     * Withdraw an event that is still in the outbox, or, if it has already been delivered,
+     * queue a follow-up event (such as a retraction) in its place. Runs under the flush
+     * lock so the event cannot be in flight while this decides.
+     */
+    async withdrawOrFollowUp(targetId, type, data, idempotencyKey = EventOutbox.generateKey()) {
+        // Encrypt up front: the transaction can't wait on it
+        const followUp = await this.createRecord(type, data, idempotencyKey);
+
+        const outcome = await this.withFlushLock(() => {
+            return NavRakshaDB.transaction(OUTBOX_STORE, 'readwrite', (tx) => {
+                const store = tx.objectStore(OUTBOX_STORE);
+                const result = { withdrawn: false, record: null };
+                const target = store.get(targetId);
+
+                target.onsuccess = () => {
+                    if (target.result) {
+                        store.delete(targetId);
+                        result.withdrawn = true;
+                    } else {
+                        result.record = followUp;
+                        store.put(followUp);
+                    }
+                };
+
+                return result;
+            });
+        });
+
+        console.log(outcome.withdrawn ? '📦 Queued event withdrawn:' : '📦 Follow-up queued for:', targetId);
+        return outcome;
+    }
+
+    /**
+     * Build a new pending outbox record
+     */
+    async createRecord(type, data, idempotencyKey) {
+        const now = Date.now();
+        return {
+            id: idempotencyKey,
+            type,
+            payload: await DeviceKey.seal(data),
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastError: null
+        };
+    }
+
+    /**
+     * All events, oldest first
+     */
+    getAll() {
+        return NavRakshaDB.transaction(OUTBOX_STORE, 'readonly', (tx) => {
+            return tx.objectStore(OUTBOX_STORE).index('createdAt').getAll();
+        });
+    }
+
+    /**
+     * Number of events still waiting to be delivered
+     */
+    async count() {
+        const events = await this.getAll();
+        return events.filter(event => event.status === 'pending').length;
+    }
+
+    /**
+     * Store an updated event
+     */
+    put(record) {
+        return NavRakshaDB.transaction(OUTBOX_STORE, 'readwrite', (tx) => {
+            tx.objectStore(OUTBOX_STORE).put(record);
+        });
+    }
+
+    /**
+     * Remove an event
+     */
+    remove(id) {
+        return NavRakshaDB.transaction(OUTBOX_STORE, 'readwrite', (tx) => {
+            tx.objectStore(OUTBOX_STORE).delete(id);
+        });
+    }
+
+    /**
+     * Delay before the next attempt, with jitter so clients do not retry in lockstep
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(OUTBOX_BACKOFF.maxDelay, OUTBOX_BACKOFF.baseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Decrypt an event's payload; records queued before encryption carry plain `data`
+     */
+    async readData(event) {
+        if (!event.payload) {
+            return event.data;
+        }
+
+        try {
+            return await DeviceKey.open(event.payload);
+        } catch (error) {
+            throw new OutboxDeliveryError(`Cannot decrypt event: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * POST an event's data to its endpoint
+     */
+    async deliver(event, data) {
+        const endpoint = OUTBOX_ENDPOINTS[event.type];
+        if (!endpoint) {
+            throw new OutboxDeliveryError(`Unknown event type: ${event.type}`, true);
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': event.id,
+            [OUTBOX_DELIVERY_HEADER]: '1'
+        };
+        if (OUTBOX_OWNER_TYPES.includes(event.type) && data.sosId) {
+            headers.Authorization = `Bearer ${data.sosId}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(data) });
+        } catch (error) {
+            throw new OutboxDeliveryError(error.message);
+        }
+
+        if (!response.ok) {
+            // Client errors will fail the same way on every retry, except timeouts and rate limits
+            const permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+            throw new OutboxDeliveryError(`${endpoint} responded ${response.status}`, permanent);
+        }
+
+        return response.json().catch(() => null);
+    }
+
+    /**
+     * Deliver every due event, oldest first. Failed events are rescheduled (or marked failed
+     * when permanent) and the flush carries on with the rest.
+     * Pass force to ignore backoff, e.g. when the connection has just come back, and types
+     * to deliver only events of those types.
+     */
+    flush({ force = false, types = null } = {}) {
+        return this.withFlushLock(() => this.flushEvents(force, types));
+    }
+
+    /**
+     * Run a task while holding the flush lock, so only one context (page or worker)
+     * touches in-flight events at a time
+     */
+    withFlushLock(task) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request('navraksha-outbox-flush', task);
+        }
+        return task();
+    }
+
+    async flushEvents(force, types) {
+        const events = await this.getAll();
+        const summary = { delivered: [], failed: [], pending: 0, nextAttemptAt: null };
+        const now = Date.now();
+
+        for (const event of events) {
+            if (event.status !== 'pending' || (types && !types.includes(event.type))) continue;
+
+            if (!force && event.nextAttemptAt > now) {
+                summary.pending++;
+                summary.nextAttemptAt = Math.min(summary.nextAttemptAt || Infinity, event.nextAttemptAt);
+                continue;
+            }
+
+            try {
+                const data = await this.readData(event);
+                const response = await this.deliver(event, data);
+                await this.remove(event.id);
+                // Hand back the plain data for the caller; it is never written back
+                summary.delivered.push({ ...event, data, response });
+            } catch (error) {
+                event.attempts++;
+                event.lastError = error.message;
+
+                if (error.permanent) {
+                    event.status = 'failed';
+                    summary.failed.push(event);
+                    console.error('❌ Event failed permanently:', event.type, error.message);
+                } else {
+                    event.nextAttemptAt = Date.now() + this.getBackoffDelay(event.attempts);
+                    summary.pending++;
+                    summary.nextAttemptAt = Math.min(summary.nextAttemptAt || Infinity, event.nextAttemptAt);
+                    console.warn('⚠️ Event delivery failed, will retry:', event.type, error.message);
+                }
+
+                await this.put(event);
+            }
+        }
+
+        return summary;
+    }
+}
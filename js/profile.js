@@ -0,0 +1,83 @@
+/**
+ * NavRaksha Profile
+ * The registration profile is PIN-encrypted. The medical card is the subset responders
+ * need (name, phone, blood group, allergies). It is encrypted with the device key so the
+ * lock screen and an SOS sent while locked can still use it. The signed ID credential
+ * carries the same details, so it is sealed the same way.
+ */
+
+const PROFILE_STORAGE_KEY = 'navraksha_profile';
+const MEDICAL_CARD_STORAGE_KEY = 'navraksha_medical_card';
+const LEGACY_PROFILE_STORAGE_KEY = 'navraksha_user_data';
+
+const MEDICAL_CARD_FIELDS = ['name', 'phone', 'bloodGroup', 'allergies'];
+
+const Profile = {
+    /**
+     * Pick the emergency-critical fields out of a profile
+     */
+    toMedicalCard(userData) {
+        return MEDICAL_CARD_FIELDS.reduce((card, field) => {
+            card[field] = userData[field] || '';
+            return card;
+        }, {});
+    },
+
+    /**
+     * Encrypt and store the full profile, and refresh the medical card from it
+     */
+    async save(vault, userData) {
+        const envelope = await vault.seal(userData);
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(envelope));
+        await this.saveMedicalCard(this.toMedicalCard(userData));
+    },
+
+    /**
+     * Decrypt the stored profile; needs an unlocked vault
+     */
+    async load(vault) {
+        const stored = localStorage.getItem(PROFILE_STORAGE_KEY);
+        return stored ? vault.open(JSON.parse(stored)) : null;
+    },
+
+    async saveMedicalCard(card) {
+        const envelope = await DeviceKey.seal(card);
+        localStorage.setItem(MEDICAL_CARD_STORAGE_KEY, JSON.stringify(envelope));
+    },
+
+    async loadMedicalCard() {
+        const stored = localStorage.getItem(MEDICAL_CARD_STORAGE_KEY);
+        return stored ? DeviceKey.open(JSON.parse(stored)) : null;
+    },
+
+    async saveCredential(token) {
+        const envelope = await DeviceKey.seal(token);
+        localStorage.setItem(CREDENTIAL_STORAGE_KEY, JSON.stringify(envelope));
+    },
+
+    /**
+     * The stored credential token, or null; one stored in plain text by older versions is sealed
+     */
+    async loadCredential() {
+        const stored = localStorage.getItem(CREDENTIAL_STORAGE_KEY);
+        if (!stored) return null;
+
+        if (stored.startsWith(`${CREDENTIAL_PREFIX}.`)) {
+            await this.saveCredential(stored);
+            return stored;
+        }
+        return DeviceKey.open(JSON.parse(stored));
+    },
+
+    /**
+     * Plain-text profile left by versions before encryption, if any
+     */
+    loadLegacy() {
+        const stored = localStorage.getItem(LEGACY_PROFILE_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    },
+
+    removeLegacy() {
+        localStorage.removeItem(LEGACY_PROFILE_STORAGE_KEY);
+    }
+};
@@ -0,0 +1,185 @@
+/**
+ * NavRaksha Push Notifications
+ * The device's Web Push subscription, registered with the backend so it can send area
+ * advisories, SOS acknowledgements and check-in reminders while the app is closed.
+ * Shared by the page, which subscribes, and the service worker, which renews a subscription
+ * the browser has replaced.
+ *
+ * Every request carries a random device secret, so only the device that registered a
+ * subscription can replace or remove it, and a user ID is only linked with a signature from
+ * the ID's identity key, so nobody else can receive that user's acknowledgements.
+ */
+
+const PUSH_ENDPOINTS = {
+    key: '/api/push/key',
+    subscriptions: '/api/push/subscriptions'
+};
+const PUSH_SECRET_NAME = 'push-secret';
+const PUSH_PROOF_PREFIX = 'NRPUSH';
+
+class PushSubscriptionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PushSubscriptionError';
+        this.code = code;
+    }
+}
+
+const PushNotifications = {
+    isSupported() {
+        return typeof PushManager !== 'undefined' && typeof Notification !== 'undefined';
+    },
+
+    encodeKey(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decodeKey(base64Url) {
+        const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), c => c.charCodeAt(0));
+    },
+
+    sameKey(current, expected) {
+        if (!current) return false;
+        const bytes = new Uint8Array(current);
+        return bytes.length === expected.length && bytes.every((byte, i) => byte === expected[i]);
+    },
+
+    async getApplicationServerKey() {
+        const response = await fetch(PUSH_ENDPOINTS.key);
+        if (!response.ok) {
+            throw new PushSubscriptionError(`Push key unavailable (${response.status})`, 'server');
+        }
+        const { publicKey } = await response.json();
+        return this.decodeKey(publicKey);
+    },
+
+    async getSubscription(registration) {
+        return registration.pushManager.getSubscription();
+    },
+
+    /**
+     * This device's secret for the backend, created on first use. The page and the service
+     * worker may race to create it; whichever landed first is kept.
+     */
+    async getDeviceSecret() {
+        const secret = this.encodeKey(crypto.getRandomValues(new Uint8Array(32)));
+
+        const result = await NavRakshaDB.transaction(KEYS_STORE, 'readwrite', (tx) => {
+            const store = tx.objectStore(KEYS_STORE);
+            const outcome = { secret };
+            const existing = store.get(PUSH_SECRET_NAME);
+
+            existing.onsuccess = () => {
+                if (existing.result) {
+                    outcome.secret = existing.result.value;
+                } else {
+                    store.add({ name: PUSH_SECRET_NAME, value: secret });
+                }
+            };
+
+            return outcome;
+        });
+        return result.secret;
+    },
+
+    /**
+     * Signature over the endpoint with the identity key (see IdentityKey), which proves to the
+     * backend that the endpoint belongs to the holder of identity.id
+     */
+    async proveIdentity(identity, endpoint) {
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            identity.privateKey,
+            new TextEncoder().encode(`${PUSH_PROOF_PREFIX}.${endpoint}`)
+        );
+        return { publicKey: identity.publicKey, signature: this.encodeKey(signature) };
+    },
+
+    /**
+     * Subscribe this device, asking for permission if needed, and register it with the backend.
+     * Safe to repeat: an existing subscription is reused and registered again. With an
+     * identity key, the subscription is linked to its user ID.
+     */
+    async subscribe(registration, identity = null) {
+        if (await Notification.requestPermission() !== 'granted') {
+            throw new PushSubscriptionError('Notification permission denied', 'denied');
+        }
+
+        const key = await this.getApplicationServerKey();
+        let subscription = await registration.pushManager.getSubscription();
+
+        // A subscription made with another server key (the backend's keys were reset) gets nothing
+        if (subscription && !this.sameKey(subscription.options.applicationServerKey, key)) {
+            await subscription.unsubscribe();
+            subscription = null;
+        }
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+        }
+
+        await this.register(subscription, { identity });
+        return subscription;
+    },
+
+    async register(subscription, { identity = null, previousEndpoint = null } = {}) {
+        const body = { subscription: subscription.toJSON(), previousEndpoint };
+        if (identity) {
+            body.userId = identity.id;
+            body.proof = await this.proveIdentity(identity, subscription.endpoint);
+        }
+
+        const response = await fetch(PUSH_ENDPOINTS.subscriptions, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${await this.getDeviceSecret()}`
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new PushSubscriptionError(`Subscription not registered (${response.status})`, 'server');
+        }
+    },
+
+    /**
+     * Stop receiving pushes. The browser subscription goes first, so nothing more is shown even
+     * if the backend can't be told; it forgets the endpoint once the push service reports it gone.
+     */
+    async unsubscribe(registration) {
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return;
+
+        const { endpoint } = subscription;
+        await subscription.unsubscribe();
+
+        try {
+            await fetch(PUSH_ENDPOINTS.subscriptions, {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${await this.getDeviceSecret()}`
+                },
+                body: JSON.stringify({ endpoint })
+            });
+        } catch (error) {
+            console.warn('⚠️ Push subscription not removed from server:', error.message);
+        }
+    },
+
+    /**
+     * Replace a subscription the browser has expired or rotated, keeping the backend's user link
+     */
+    async renew(registration, oldSubscription) {
+        const key = (oldSubscription && oldSubscription.options.applicationServerKey)
+            || await this.getApplicationServerKey();
+        const subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+
+        await this.register(subscription, { previousEndpoint: oldSubscription ? oldSubscription.endpoint : null });
+        return subscription;
+    }
+};
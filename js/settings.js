@@ -0,0 +1,235 @@
+/**
+ * NavRaksha Settings
+ * Versioned, validated user settings with defaults. Settings stored by older versions
+ * are migrated on load, and every change is announced with a `change` event so running
+ * modules can apply it without a reload.
+ */
+
+const SETTINGS_STORAGE_KEY = 'navraksha_settings';
+const SETTINGS_EXPORT_FORMAT = 'navraksha-settings';
+
+// `number` settings have a range (and may be whole numbers only); `nullable` ones fall back to a
+// preset (or, for language, the browser's) when null. Labels are message keys (js/i18n.js).
+// Durations are in seconds, distances in metres, accelerations in m/s².
+const SETTINGS_SCHEMA = {
+    fallSensitivity: { label: 'setting.fallSensitivity', type: 'enum', values: Object.keys(FALL_SENSITIVITY), default: FALL_DEFAULT_SENSITIVITY },
+    impactThreshold: { label: 'setting.impactThreshold', type: 'number', min: 10, max: 60, nullable: true, default: null },
+    stillnessWindow: { label: 'setting.stillnessWindow', type: 'number', min: 0.5, max: 30, nullable: true, default: null },
+    settleTime: { label: 'setting.settleTime', type: 'number', min: 0.2, max: 10, nullable: true, default: null },
+    safetyCheckCountdown: { label: 'setting.safetyCheckCountdown', type: 'number', integer: true, min: 5, max: 300, default: 10 },
+    sosGracePeriod: { label: 'setting.sosGracePeriod', type: 'number', integer: true, min: 0, max: 60, default: 5 },
+    safeZoneRadius: { label: 'setting.safeZoneRadius', type: 'number', integer: true, min: 50, max: 1000, default: 200 },
+    geolocationTimeout: { label: 'setting.geolocationTimeout', type: 'number', min: 1, max: 120, default: 10 },
+    geolocationMaximumAge: { label: 'setting.geolocationMaximumAge', type: 'number', min: 0, max: 600, default: 60 },
+    alertAutoHide: { label: 'setting.alertAutoHide', type: 'number', integer: true, min: 0, max: 300, default: 10 },
+    geofenceDwellTime: { label: 'setting.geofenceDwellTime', type: 'number', min: 0, max: 600, default: GEOFENCE_DEFAULTS.dwellTime / 1000 },
+    geofenceHysteresis: { label: 'setting.geofenceHysteresis', type: 'number', integer: true, min: 0, max: 200, default: GEOFENCE_DEFAULTS.hysteresisMargin },
+    geofenceMaxAccuracy: { label: 'setting.geofenceMaxAccuracy', type: 'number', integer: true, min: 20, max: 500, default: GEOFENCE_DEFAULTS.maxAccuracy },
+    checkInGracePeriod: { label: 'setting.checkInGracePeriod', type: 'number', integer: true, min: 60, max: 3600, default: CHECK_IN_GRACE_PERIOD / 1000 },
+    voiceMinConfidence: { label: 'setting.voiceMinConfidence', type: 'number', min: 0, max: 0.95, default: VOICE_MIN_CONFIDENCE },
+    forwardGeofenceEvents: { label: 'setting.forwardGeofenceEvents', type: 'boolean', default: false },
+    showAdvisories: { label: 'setting.showAdvisories', type: 'boolean', default: true },
+    highContrast: { label: 'setting.highContrast', type: 'boolean', default: false },
+    language: { label: 'setting.language', type: 'enum', values: Object.keys(I18N_LANGUAGES), nullable: true, default: null }
+};
+
+// Applied in order to stored values; the settings version is the number of migrations
+const SETTINGS_MIGRATIONS = [
+    // Gather the preferences older versions kept under separate keys
+    (values, storage) => {
+        const migrated = { ...values };
+        const legacy = {
+            forwardGeofenceEvents: storage.getItem('navraksha_forward_geofence'),
+            sosGracePeriod: storage.getItem('navraksha_sos_grace_period'),
+            fallSensitivity: storage.getItem('navraksha_fall_sensitivity'),
+            highContrast: storage.getItem('navraksha_high_contrast')
+        };
+
+        if (legacy.forwardGeofenceEvents !== null) migrated.forwardGeofenceEvents = legacy.forwardGeofenceEvents === 'true';
+        if (legacy.sosGracePeriod !== null) migrated.sosGracePeriod = parseInt(legacy.sosGracePeriod);
+        if (legacy.fallSensitivity !== null) migrated.fallSensitivity = legacy.fallSensitivity;
+        if (legacy.highContrast !== null) migrated.highContrast = legacy.highContrast === 'true';
+
+        ['navraksha_forward_geofence', 'navraksha_sos_grace_period', 'navraksha_fall_sensitivity', 'navraksha_high_contrast']
+            .forEach(key => storage.removeItem(key));
+        return migrated;
+    },
+    // Take the voice match confidence out of the voice settings
+    (values, storage) => {
+        const migrated = { ...values };
+        let voice = null;
+        try {
+            voice = JSON.parse(storage.getItem(VOICE_SETTINGS_STORAGE_KEY));
+        } catch (error) {
+            // Unreadable voice settings fall back to their defaults (VoiceKeywords.load)
+        }
+
+        if (voice && voice.minConfidence !== undefined) {
+            const { minConfidence, ...rest } = voice;
+            migrated.voiceMinConfidence = minConfidence;
+            storage.setItem(VOICE_SETTINGS_STORAGE_KEY, JSON.stringify(rest));
+        }
+        return migrated;
+    }
+];
+
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.length;
+
+class SettingsError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n${errors.join('\n')}` : message);
+        this.name = 'SettingsError';
+        this.errors = errors;
+    }
+}
+
+class Settings extends EventTarget {
+    constructor(storage = localStorage) {
+        super();
+        this.storage = storage;
+        this.values = this.load();
+    }
+
+    static defaults() {
+        return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default]));
+    }
+
+    /**
+     * Problems with a set of values, one message each; empty when they are all valid
+     */
+    static validate(values) {
+        const errors = [];
+
+        Object.entries(values).forEach(([key, value]) => {
+            const rule = SETTINGS_SCHEMA[key];
+            if (!rule) {
+                errors.push(I18n.t('setting.error.unknown', { key }));
+                return;
+            }
+            if (value === null && rule.nullable) return;
+
+            const label = I18n.t(rule.label);
+            if (rule.type === 'boolean' && typeof value !== 'boolean') {
+                errors.push(I18n.t('setting.error.boolean', { label }));
+            } else if (rule.type === 'enum' && !rule.values.includes(value)) {
+                errors.push(I18n.t('setting.error.enum', { label, values: rule.values.join(', ') }));
+            } else if (rule.type === 'number') {
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(I18n.t('setting.error.number', { label }));
+                } else if (rule.integer && !Number.isInteger(value)) {
+                    errors.push(I18n.t('setting.error.integer', { label }));
+                } else if (value < rule.min || value > rule.max) {
+                    errors.push(I18n.t('setting.error.range', { label, min: rule.min, max: rule.max }));
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Bring values saved at `fromVersion` up to the current version
+     */
+    static migrate(values, fromVersion, storage) {
+        return SETTINGS_MIGRATIONS
+            .slice(fromVersion)
+            .reduce((migrated, migration) => migration(migrated, storage), values);
+    }
+
+    /**
+     * Stored settings, migrated and merged over the defaults. A value that no longer
+     * validates (a corrupted entry, a removed option) falls back to its default.
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(this.storage.getItem(SETTINGS_STORAGE_KEY));
+        } catch (error) {
+            console.error('❌ Stored settings are unreadable, using defaults:', error);
+        }
+
+        const version = stored ? stored.version : 0;
+        const migrated = Settings.migrate(stored ? stored.values : {}, version, this.storage);
+
+        const values = Settings.defaults();
+        Object.entries(migrated).forEach(([key, value]) => {
+            const errors = Settings.validate({ [key]: value });
+            if (errors.length > 0) {
+                console.warn('⚠️ Ignoring stored setting:', errors[0]);
+            } else {
+                values[key] = value;
+            }
+        });
+
+        if (version !== SETTINGS_VERSION) {
+            this.values = values;
+            this.save();
+            console.log(`⚙️ Settings migrated from version ${version} to ${SETTINGS_VERSION}`);
+        }
+        return values;
+    }
+
+    save() {
+        this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: this.values }));
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Validate and store some settings, then announce the ones that changed.
+     * Throws a SettingsError listing every problem, and changes nothing, if any value is invalid.
+     */
+    set(patch) {
+        const errors = Settings.validate(patch);
+        if (errors.length > 0) {
+            throw new SettingsError(I18n.t('setting.error.invalid'), errors);
+        }
+
+        const changed = {};
+        Object.entries(patch).forEach(([key, value]) => {
+            if (this.values[key] !== value) changed[key] = value;
+        });
+        if (Object.keys(changed).length === 0) return changed;
+
+        this.values = { ...this.values, ...changed };
+        this.save();
+        this.dispatchEvent(new CustomEvent('change', { detail: changed }));
+        return changed;
+    }
+
+    reset() {
+        return this.set(Settings.defaults());
+    }
+
+    export() {
+        return {
+            format: SETTINGS_EXPORT_FORMAT,
+            version: SETTINGS_VERSION,
+            exportedAt: new Date().toISOString(),
+            values: this.getAll()
+        };
+    }
+
+    /**
+     * Replace all settings with an exported file's, migrating it if it came from an older version.
+     * Settings missing from the file go back to their defaults.
+     */
+    import(data) {
+        if (!data || data.format !== SETTINGS_EXPORT_FORMAT || !Number.isInteger(data.version) ||
+            data.version < 1 || !data.values || typeof data.values !== 'object') {
+            throw new SettingsError(I18n.t('setting.error.notSettingsFile'));
+        }
+        if (data.version > SETTINGS_VERSION) {
+            throw new SettingsError(I18n.t('setting.error.newerVersion'));
+        }
+
+        const values = Settings.migrate(data.values, data.version, this.storage);
+        return this.set({ ...Settings.defaults(), ...values });
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * NavRaksha SOS Payload
+ * What an SOS tells responders: the position and how the user is moving, the device's battery
+ * and connection, what raised the alarm and the track leading up to it. The schema is
+ * versioned and server/validation.js checks the same rules on arrival. Everything beyond
+ * the position is best effort: a browser without one of the APIs still sends the SOS.
+ */
+
+const SOS_SCHEMA_VERSION = 2;
+
+// What raised the alarm: the SOS button (or the lock screen's), Ctrl+S, a voice keyword, the
+// voice safe phrase, an unanswered fall check, a check-in left to run out, or "Send Help" on a check-in
+const SOS_TRIGGERS = ['button', 'keyboard', 'voice', 'safe_phrase', 'fall', 'checkin_timeout', 'checkin_help'];
+
+// Triggers for when calling for help openly isn't safe: no siren, modal or notifications
+const SOS_SILENT_TRIGGERS = ['safe_phrase'];
+
+// Breadcrumbs cover this long before the SOS, thinned to at most this many fixes
+const SOS_BREADCRUMB_WINDOW = 5 * 60 * 1000;
+const SOS_MAX_BREADCRUMBS = 30;
+
+// How long to wait for the battery before sending without it (ms)
+const SOS_BATTERY_TIMEOUT = 1000;
+
+// Parts that are left out (null) rather than holding back an SOS when they don't validate
+const SOS_OPTIONAL_FIELDS = ['motion', 'device', 'breadcrumbs', 'appVersion'];
+
+const SosPayload = {
+    /**
+     * A finite number, or null for values the browser doesn't know (null, NaN)
+     */
+    number(value) {
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    },
+
+    /**
+     * Heading (degrees from north), speed (m/s) and altitude (meters) from a position's coords
+     */
+    motion(coords) {
+        if (!coords) return null;
+        return {
+            heading: this.number(coords.heading),
+            speed: this.number(coords.speed),
+            altitude: this.number(coords.altitude)
+        };
+    },
+
+    /**
+     * Battery level (0 to 1) and charging state, or null without the Battery Status API
+     */
+    async battery(timeout = SOS_BATTERY_TIMEOUT) {
+        if (typeof navigator.getBattery !== 'function') return null;
+
+        try {
+            const battery = await Promise.race([
+                navigator.getBattery(),
+                new Promise(resolve => setTimeout(() => resolve(null), timeout))
+            ]);
+            return battery ? { level: this.number(battery.level), charging: Boolean(battery.charging) } : null;
+        } catch (error) {
+            console.warn('⚠️ Battery status unavailable:', error.message);
+            return null;
+        }
+    },
+
+    /**
+     * Whether the browser thinks it is online, and the connection type where the Network
+     * Information API is available (`wifi`, `cellular`; `4g`, `3g` for effective type)
+     */
+    connection() {
+        const connection = navigator.connection || null;
+        return {
+            online: navigator.onLine,
+            type: connection && typeof connection.type === 'string' ? connection.type : null,
+            effectiveType: connection && typeof connection.effectiveType === 'string' ? connection.effectiveType : null
+        };
+    },
+
+    /**
+     * Recent fixes as breadcrumbs, oldest first, evenly thinned to the limit; the latest is always kept
+     */
+    breadcrumbs(fixes, limit = SOS_MAX_BREADCRUMBS) {
+        const step = Math.max(1, Math.ceil(fixes.length / limit));
+        return fixes
+            .filter((fix, index) => (fixes.length - 1 - index) % step === 0)
+            .map(fix => ({
+                latitude: fix.latitude,
+                longitude: fix.longitude,
+                accuracy: this.number(fix.accuracy),
+                timestamp: new Date(fix.timestamp).toISOString()
+            }));
+    },
+
+    /**
+     * The build running in this page, from the precache manifest; null if it didn't load
+     */
+    appVersion() {
+        return typeof PRECACHE_MANIFEST !== 'undefined' ? PRECACHE_MANIFEST.version : null;
+    },
+
+    /**
+     * Check whether an SOS must go out without anything the people around the user could notice
+     */
+    isSilent(payload) {
+        return Boolean(payload) && SOS_SILENT_TRIGGERS.includes(payload.trigger);
+    },
+
+    /**
+     * Build an SOS payload. `position` is the latest Geolocation position (or null) and
+     * `fixes` the location history of the last few minutes. Optional parts that fail
+     * validation are left out; anything still invalid is logged but the SOS is not held back.
+     */
+    async build({ trigger, position, fixes = [], userId, userData, emergencyContacts }) {
+        const coords = position ? position.coords : null;
+        const payload = {
+            schemaVersion: SOS_SCHEMA_VERSION,
+            userId,
+            timestamp: new Date().toISOString(),
+            trigger: SOS_TRIGGERS.includes(trigger) ? trigger : 'button',
+            location: coords ? {
+                latitude: coords.latitude,
+                longitude: coords.longitude,
+                accuracy: coords.accuracy
+            } : null,
+            motion: this.motion(coords),
+            device: {
+                battery: await this.battery(),
+                connection: this.connection()
+            },
+            breadcrumbs: this.breadcrumbs(fixes),
+            appVersion: this.appVersion(),
+            userData,
+            emergencyContacts
+        };
+
+        const errors = this.validate(payload);
+        SOS_OPTIONAL_FIELDS
+            .filter(field => errors.some(error => error.startsWith(field)))
+            .forEach((field) => {
+                console.warn(`⚠️ SOS ${field} left out:`, errors.filter(error => error.startsWith(field)));
+                payload[field] = null;
+            });
+
+        const remaining = this.validate(payload);
+        if (remaining.length > 0) {
+            console.error('❌ SOS payload does not match the schema:', remaining);
+        }
+        return payload;
+    },
+
+    /**
+     * Check a payload against the current schema; returns a list of error messages like
+     * server/validation.js does. Contacts and user data are checked where they are edited.
+     */
+    validate(payload) {
+        const errors = [];
+        const isNumber = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+        const isOptionalNumber = (value, min, max) => value === null || isNumber(value, min, max);
+        const isPosition = point => point && isNumber(point.latitude, -90, 90) && isNumber(point.longitude, -180, 180) &&
+            (point.accuracy === null || point.accuracy === undefined || isNumber(point.accuracy, 0, Infinity));
+
+        if (payload.schemaVersion !== SOS_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${SOS_SCHEMA_VERSION}`);
+        }
+        if (Number.isNaN(new Date(payload.timestamp).getTime())) {
+            errors.push('timestamp must be a valid date');
+        }
+        if (!SOS_TRIGGERS.includes(payload.trigger)) {
+            errors.push(`trigger must be one of ${SOS_TRIGGERS.join(', ')}`);
+        }
+        if (payload.location !== null && !isPosition(payload.location)) {
+            errors.push('location must have a valid latitude, longitude and accuracy');
+        }
+
+        const { motion, device, breadcrumbs } = payload;
+        if (motion !== null && (!motion || !isOptionalNumber(motion.heading, 0, 360) ||
+            !isOptionalNumber(motion.speed, 0, Infinity) || !isOptionalNumber(motion.altitude, -Infinity, Infinity))) {
+            errors.push('motion must have a heading from 0 to 360, a non-negative speed and an altitude, each or null');
+        }
+        if (device !== null) {
+            const { battery, connection } = device || {};
+            if (battery !== null && (!battery || !isNumber(battery.level, 0, 1) || typeof battery.charging !== 'boolean')) {
+                errors.push('device.battery must have a level from 0 to 1 and a charging flag, or be null');
+            }
+            if (connection !== null && (!connection || typeof connection.online !== 'boolean' ||
+                ![connection.type, connection.effectiveType].every(value => value === null || typeof value === 'string'))) {
+                errors.push('device.connection must have an online flag and a type and effective type, each or null');
+            }
+        }
+        if (breadcrumbs !== null && (!Array.isArray(breadcrumbs) || breadcrumbs.length > SOS_MAX_BREADCRUMBS ||
+            !breadcrumbs.every(point => isPosition(point) && !Number.isNaN(new Date(point.timestamp).getTime())))) {
+            errors.push(`breadcrumbs must be at most ${SOS_MAX_BREADCRUMBS} positions with timestamps`);
+        }
+        if (payload.appVersion !== null && (typeof payload.appVersion !== 'string' || payload.appVersion.length > 64)) {
+            errors.push('appVersion must be a string or null');
+        }
+
+        return errors;
+    }
+};
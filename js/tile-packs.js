@@ -0,0 +1,276 @@
+/**
+ * NavRaksha Offline Map Tiles
+ * Tile packs: the map tiles covering an area over a range of zoom levels, downloaded ahead
+ * of time into their own cache so the map still shows offline. Pack records live in
+ * IndexedDB; the service worker serves cached tiles before trying the network.
+ */
+
+const TILE_CACHE = 'navraksha-tiles';
+const TILE_PACKS_STORE = 'tilepacks';
+
+// Tiles are cached under one URL whichever subdomain Leaflet asked for
+const TILE_URL_TEMPLATE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_URL_PATTERN = /^https:\/\/(?:[abc]\.)?tile\.openstreetmap\.org\/(\d+)\/(\d+)\/(\d+)\.png$/;
+
+const TILE_PACK_OPTIONS = {
+    maxZoom: 16,                    // the tile usage policy forbids downloading beyond zoom 16 in bulk
+    maxTiles: 3000,                 // per pack; the OSM tile servers are volunteer-run, so no bulk downloads
+    averageTileSize: 20 * 1024,     // bytes, for estimates before anything is downloaded
+    maxAge: 30 * 24 * 60 * 60 * 1000,
+    concurrency: 2,
+    quotaHeadroom: 0.9              // share of the free storage a pack may use
+};
+
+class TilePackError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TilePackError';
+        this.code = code;
+    }
+}
+
+const TilePacks = {
+    tileUrl(z, x, y) {
+        return TILE_URL_TEMPLATE.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    },
+
+    /**
+     * The cache URL for a map tile request, or null if it isn't one
+     */
+    canonicalUrl(url) {
+        const match = TILE_URL_PATTERN.exec(url);
+        return match ? this.tileUrl(match[1], match[2], match[3]) : null;
+    },
+
+    /**
+     * Tile column/row range covering bounds ({ south, west, north, east }) at a zoom level
+     */
+    tileRange({ south, west, north, east }, zoom) {
+        const n = 2 ** zoom;
+        const clampLat = lat => Math.max(-85.0511, Math.min(85.0511, lat));
+        const column = lng => Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)));
+        const row = (lat) => {
+            const radians = clampLat(lat) * Math.PI / 180;
+            const y = (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * n;
+            return Math.min(n - 1, Math.max(0, Math.floor(y)));
+        };
+
+        return { minX: column(west), maxX: column(east), minY: row(north), maxY: row(south) };
+    },
+
+    /**
+     * Every tile of a pack, as { z, x, y }
+     */
+    * tiles({ bounds, minZoom, maxZoom }) {
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = this.tileRange(bounds, z);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    yield { z, x, y };
+                }
+            }
+        }
+    },
+
+    countTiles({ bounds, minZoom, maxZoom }) {
+        let count = 0;
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = this.tileRange(bounds, z);
+            count += (maxX - minX + 1) * (maxY - minY + 1);
+        }
+        return count;
+    },
+
+    /**
+     * Tile count and approximate size of a pack before it is downloaded
+     */
+    estimate(area) {
+        const tiles = this.countTiles(area);
+        return { tiles, bytes: tiles * TILE_PACK_OPTIONS.averageTileSize };
+    },
+
+    /**
+     * Whether this many bytes fit in the storage left to the app. Without the Storage API
+     * the answer is yes and `available` is null.
+     */
+    async checkQuota(bytes) {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return { fits: true, available: null };
+        }
+
+        const { quota, usage } = await navigator.storage.estimate();
+        const available = Math.max(0, quota * TILE_PACK_OPTIONS.quotaHeadroom - usage);
+        return { fits: bytes <= available, available };
+    },
+
+    /**
+     * Check a pack's zoom range and size; throws a TilePackError
+     */
+    validate(area) {
+        const { minZoom, maxZoom } = area;
+        if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom) ||
+            minZoom < 0 || maxZoom > TILE_PACK_OPTIONS.maxZoom || minZoom > maxZoom) {
+            throw new TilePackError('Invalid zoom range', 'zoom');
+        }
+        if (this.countTiles(area) > TILE_PACK_OPTIONS.maxTiles) {
+            throw new TilePackError('Too many tiles', 'too_many');
+        }
+    }
+};
+
+class TilePackStore {
+    /**
+     * All packs, newest first
+     */
+    async getAll() {
+        const packs = await NavRakshaDB.transaction(TILE_PACKS_STORE, 'readonly', (tx) => {
+            return tx.objectStore(TILE_PACKS_STORE).getAll();
+        });
+        return packs.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    save(pack) {
+        return NavRakshaDB.transaction(TILE_PACKS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(TILE_PACKS_STORE).put(pack);
+        });
+    }
+
+    /**
+     * Download a pack's tiles into the tile cache and record it. Passing an existing pack's
+     * id updates it. Tiles that fail are skipped and counted; aborting through `signal` removes
+     * what was downloaded (except tiles other packs hold). onProgress(done, total) is called
+     * after each tile.
+     */
+    async download({ id, name, bounds, minZoom, maxZoom }, { signal, onProgress } = {}) {
+        const area = { bounds, minZoom, maxZoom };
+        TilePacks.validate(area);
+
+        const { tiles, bytes: estimate } = TilePacks.estimate(area);
+        if (!(await TilePacks.checkQuota(estimate)).fits) {
+            throw new TilePackError('Not enough storage', 'quota');
+        }
+
+        const cache = await caches.open(TILE_CACHE);
+        const queue = TilePacks.tiles(area);
+        const downloaded = [];
+        let done = 0;
+        let failed = 0;
+        let bytes = 0;
+        let quotaExceeded = false;
+
+        // Stops every worker, when the caller aborts or as soon as one of them runs out of storage
+        const stop = new AbortController();
+        const abort = () => stop.abort();
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort);
+        }
+
+        const worker = async () => {
+            for (const { z, x, y } of queue) {
+                if (stop.signal.aborted) return;
+
+                const url = TilePacks.tileUrl(z, x, y);
+                try {
+                    const response = await fetch(url, { mode: 'cors', signal: stop.signal });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                    bytes += (await response.clone().blob()).size;
+                    await cache.put(url, response);
+                    downloaded.push(url);
+                } catch (error) {
+                    if (error.name === 'QuotaExceededError') {
+                        quotaExceeded = true;
+                        stop.abort();
+                        return;
+                    }
+                    if (!stop.signal.aborted) failed++;
+                }
+
+                done++;
+                if (onProgress) onProgress(done, tiles);
+            }
+        };
+
+        try {
+            // The workers share one generator, so each tile is fetched once. None of them throws,
+            // so all have stopped writing before anything is cleaned up.
+            await Promise.all(Array.from({ length: TILE_PACK_OPTIONS.concurrency }, worker));
+            if (quotaExceeded) {
+                throw new TilePackError('Not enough storage', 'quota');
+            }
+            if (signal && signal.aborted) {
+                throw new TilePackError('Download cancelled', 'aborted');
+            }
+            if (failed === tiles) {
+                throw new TilePackError('No tiles could be downloaded', 'network');
+            }
+        } catch (error) {
+            await this.removeTiles(downloaded);
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+
+        const now = Date.now();
+        const pack = {
+            id: id || NavRakshaDB.generateId(),
+            name,
+            bounds,
+            minZoom,
+            maxZoom,
+            tiles,
+            failed,
+            bytes,
+            createdAt: now,
+            expiresAt: now + TILE_PACK_OPTIONS.maxAge
+        };
+        await this.save(pack);
+        return pack;
+    }
+
+    /**
+     * Delete tiles from the cache unless a saved pack still needs them
+     */
+    async removeTiles(urls) {
+        const kept = new Set();
+        (await this.getAll()).forEach((pack) => {
+            for (const { z, x, y } of TilePacks.tiles(pack)) {
+                kept.add(TilePacks.tileUrl(z, x, y));
+            }
+        });
+
+        const cache = await caches.open(TILE_CACHE);
+        await Promise.all(urls.filter(url => !kept.has(url)).map(url => cache.delete(url)));
+    }
+
+    /**
+     * Delete a pack and the tiles only it uses
+     */
+    async remove(pack) {
+        await NavRakshaDB.transaction(TILE_PACKS_STORE, 'readwrite', (tx) => {
+            tx.objectStore(TILE_PACKS_STORE).delete(pack.id);
+        });
+
+        const urls = Array.from(TilePacks.tiles(pack), ({ z, x, y }) => TilePacks.tileUrl(z, x, y));
+        await this.removeTiles(urls);
+    }
+
+    /**
+     * Delete packs past their expiry, so stale maps don't linger; resolves to the packs removed.
+     * Offline, an expired map is still better than none: the packs are only marked stale, and
+     * deleted the next time this runs online.
+     */
+    async pruneExpired(now = Date.now(), online = navigator.onLine) {
+        const expired = (await this.getAll()).filter(pack => pack.expiresAt <= now);
+        if (!online) {
+            await Promise.all(expired.filter(pack => !pack.stale).map(pack => this.save({ ...pack, stale: true })));
+            return [];
+        }
+
+        for (const pack of expired) {
+            await this.remove(pack);
+        }
+        return expired;
+    }
+}
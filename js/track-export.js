@@ -0,0 +1,118 @@
+/**
+ * NavRaksha Track Export
+ * Serializes recorded fixes as GPX, GeoJSON or KML for incident reconstruction
+ */
+
+const TRACK_EXPORT_FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+const TrackExport = {
+    /**
+     * Escape text for inclusion in XML
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    /**
+     * GPX 1.1 track
+     */
+    toGPX(fixes, name) {
+        const points = fixes.map((fix) => {
+            const elevation = typeof fix.altitude === 'number' ? `<ele>${fix.altitude}</ele>` : '';
+            return `      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">${elevation}<time>${new Date(fix.timestamp).toISOString()}</time></trkpt>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="NavRaksha" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <trk>',
+            `    <name>${this.escapeXml(name)}</name>`,
+            '    <trkseg>',
+            ...points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * GeoJSON FeatureCollection: the track as a LineString plus one Point per fix
+     */
+    toGeoJSON(fixes, name) {
+        const coordinates = fixes.map(fix => [fix.longitude, fix.latitude]);
+
+        const features = [
+            {
+                type: 'Feature',
+                properties: {
+                    name,
+                    times: fixes.map(fix => new Date(fix.timestamp).toISOString())
+                },
+                geometry: { type: 'LineString', coordinates }
+            },
+            ...fixes.map(fix => ({
+                type: 'Feature',
+                properties: {
+                    time: new Date(fix.timestamp).toISOString(),
+                    accuracy: fix.accuracy,
+                    speed: fix.speed,
+                    heading: fix.heading
+                },
+                geometry: { type: 'Point', coordinates: [fix.longitude, fix.latitude] }
+            }))
+        ];
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    },
+
+    /**
+     * KML document with a timed gx:Track
+     */
+    toKML(fixes, name) {
+        const whens = fixes.map(fix => `        <when>${new Date(fix.timestamp).toISOString()}</when>`);
+        const coords = fixes.map(fix => `        <gx:coord>${fix.longitude} ${fix.latitude} ${fix.altitude || 0}</gx:coord>`);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+            '  <Document>',
+            `    <name>${this.escapeXml(name)}</name>`,
+            '    <Placemark>',
+            `      <name>${this.escapeXml(name)}</name>`,
+            '      <gx:Track>',
+            ...whens,
+            ...coords,
+            '      </gx:Track>',
+            '    </Placemark>',
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Serialize fixes in one of TRACK_EXPORT_FORMATS
+     */
+    serialize(format, fixes, name) {
+        switch (format) {
+            case 'gpx':
+                return this.toGPX(fixes, name);
+            case 'geojson':
+                return this.toGeoJSON(fixes, name);
+            case 'kml':
+                return this.toKML(fixes, name);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+};
@@ -0,0 +1,78 @@
+/**
+ * NavRaksha User Data
+ * Everything the app keeps about the user, as one JSON export, and a full erase
+ */
+
+const USER_DATA_EXPORT_FORMAT = 'navraksha-export';
+const USER_DATA_EXPORT_VERSION = 1;
+
+// Every key the app writes to localStorage starts with this
+const USER_DATA_STORAGE_PREFIX = 'navraksha_';
+
+// Plain-text preferences included in the export
+const USER_DATA_SETTINGS_KEYS = [SETTINGS_STORAGE_KEY, VOICE_SETTINGS_STORAGE_KEY];
+
+const UserData = {
+    /**
+     * Decrypt and gather all stored data. The profile and location history need an unlocked vault.
+     */
+    async collect({ vault, locationHistory, eventLog, outbox, zoneStore, checkInStore }) {
+        const queued = await outbox.getAll();
+        const settings = {};
+        USER_DATA_SETTINGS_KEYS.forEach((key) => {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = JSON.parse(value);
+        });
+
+        return {
+            format: USER_DATA_EXPORT_FORMAT,
+            version: USER_DATA_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            userId: localStorage.getItem('navraksha_user_id'),
+            profile: await Profile.load(vault),
+            medicalCard: await Profile.loadMedicalCard(),
+            credential: await Profile.loadCredential(),
+            emergencyContacts: await EmergencyContacts.load(),
+            emergencySession: JSON.parse(localStorage.getItem(EMERGENCY_SESSION_STORAGE_KEY)),
+            safeZones: await zoneStore.getAll(),
+            checkIns: await checkInStore.getAll(),
+            locationHistory: await locationHistory.getRange(0),
+            events: await eventLog.getSince(0),
+            outbox: await Promise.all(queued.map(async ({ payload, data, ...event }) => {
+                try {
+                    return { ...event, data: await outbox.readData({ payload, data }) };
+                } catch (error) {
+                    return { ...event, data: null, exportError: error.message };
+                }
+            })),
+            settings
+        };
+    },
+
+    /**
+     * Delete everything: localStorage, the IndexedDB database (including the device and
+     * signing keys), downloaded map tiles and the SOS queue
+     */
+    async erase() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(USER_DATA_STORAGE_PREFIX)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+
+        await NavRakshaDB.destroy();
+        DeviceKey.pending = null;
+        IdentityKey.pending = null;
+
+        if ('caches' in self) {
+            await caches.delete(TILE_CACHE);
+
+            const cacheNames = await caches.keys();
+            await Promise.all(cacheNames.map(async (name) => {
+                const cache = await caches.open(name);
+                await cache.delete('/sos-queue');
+            }));
+        }
+    }
+};
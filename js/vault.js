@@ -0,0 +1,235 @@
+/**
+ * NavRaksha Vault
+ * PIN-protected data key for the profile and location history. The data key is random
+ * and is stored wrapped by a key derived from the PIN (PBKDF2). An append key pair lets the
+ * location history be written while locked: its public key is stored in the clear, its
+ * private key encrypted with the data key.
+ */
+
+const VAULT_STORAGE_KEY = 'navraksha_vault';
+// Wrong PINs so far and the end of the cool-down, kept so a reload doesn't reset them
+const VAULT_ATTEMPTS_STORAGE_KEY = 'navraksha_vault_attempts';
+
+const VAULT_OPTIONS = {
+    iterations: 310000,
+    minPinLength: 4,
+    maxAttempts: 5,                 // wrong PINs before a cool-down
+    cooldown: 30 * 1000,
+    autoLockAfter: 5 * 60 * 1000,   // hidden this long → lock
+    appendKeyRotation: 60 * 60 * 1000   // a new ephemeral key for appended data this often
+};
+
+class VaultError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VaultError';
+    }
+}
+
+class Vault extends EventTarget {
+    constructor() {
+        super();
+        this.key = null;
+        this.appendPrivateKey = null;
+        this.appendWriter = null;
+        this.readerKeys = new Map();
+
+        const attempts = JSON.parse(localStorage.getItem(VAULT_ATTEMPTS_STORAGE_KEY)) || {};
+        this.failedAttempts = attempts.failedAttempts || 0;
+        this.retryAfter = attempts.retryAfter || 0;
+    }
+
+    static isConfigured() {
+        return localStorage.getItem(VAULT_STORAGE_KEY) !== null;
+    }
+
+    /**
+     * Check whether data can be appended while locked (the vault has an append key)
+     */
+    canAppend() {
+        const stored = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+        return Boolean(stored && stored.appendKey);
+    }
+
+    saveAttempts() {
+        localStorage.setItem(VAULT_ATTEMPTS_STORAGE_KEY, JSON.stringify({
+            failedAttempts: this.failedAttempts,
+            retryAfter: this.retryAfter
+        }));
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    async deriveWrappingKey(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * A new append key pair: the public key as JWK, the private key sealed with the data key
+     */
+    async createAppendKey(dataKey) {
+        const pair = await crypto.subtle.generateKey(AppendEnvelope.algorithm, true, ['deriveKey']);
+        return {
+            publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            privateKey: await CryptoEnvelope.seal(dataKey, await crypto.subtle.exportKey('jwk', pair.privateKey))
+        };
+    }
+
+    /**
+     * Load the append private key after an unlock, creating the pair for vaults made before it
+     */
+    async unlockAppendKey(stored) {
+        if (!stored.appendKey) {
+            stored.appendKey = await this.createAppendKey(this.key);
+            localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(stored));
+        }
+
+        const jwk = await CryptoEnvelope.open(this.key, stored.appendKey.privateKey);
+        this.appendPrivateKey = await crypto.subtle.importKey('jwk', jwk, AppendEnvelope.algorithm, false, ['deriveKey']);
+    }
+
+    async wrapDataKey(pin, dataKey, appendKey) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.deriveWrappingKey(pin, salt, VAULT_OPTIONS.iterations);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+            v: 1,
+            iterations: VAULT_OPTIONS.iterations,
+            salt: CryptoEnvelope.toBase64(salt),
+            iv: CryptoEnvelope.toBase64(iv),
+            wrappedKey: CryptoEnvelope.toBase64(wrapped),
+            appendKey
+        }));
+    }
+
+    /**
+     * Create the vault with a new PIN and leave it unlocked
+     */
+    async setup(pin) {
+        if (!pin || pin.length < VAULT_OPTIONS.minPinLength) {
+            throw new VaultError(I18n.t('vault.pinTooShort', { length: VAULT_OPTIONS.minPinLength }));
+        }
+
+        // Extractable only so it can be wrapped; it never leaves memory unwrapped
+        this.key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const appendKey = await this.createAppendKey(this.key);
+        await this.wrapDataKey(pin, this.key, appendKey);
+        await this.unlockAppendKey({ appendKey });
+        this.dispatchEvent(new Event('unlock'));
+    }
+
+    /**
+     * Unwrap the data key with the PIN. Wrong PINs count towards a cool-down.
+     */
+    async unlock(pin) {
+        const stored = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+        if (!stored) {
+            throw new VaultError(I18n.t('vault.noPin'));
+        }
+
+        if (Date.now() < this.retryAfter) {
+            const seconds = Math.ceil((this.retryAfter - Date.now()) / 1000);
+            throw new VaultError(I18n.t('vault.tooManyAttempts', { seconds }));
+        }
+
+        const wrappingKey = await this.deriveWrappingKey(
+            pin, CryptoEnvelope.fromBase64(stored.salt), stored.iterations
+        );
+
+        try {
+            this.key = await crypto.subtle.unwrapKey(
+                'raw',
+                CryptoEnvelope.fromBase64(stored.wrappedKey),
+                wrappingKey,
+                { name: 'AES-GCM', iv: CryptoEnvelope.fromBase64(stored.iv) },
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            this.failedAttempts++;
+            if (this.failedAttempts >= VAULT_OPTIONS.maxAttempts) {
+                this.failedAttempts = 0;
+                this.retryAfter = Date.now() + VAULT_OPTIONS.cooldown;
+            }
+            this.saveAttempts();
+            throw new VaultError(I18n.t('vault.incorrectPin'));
+        }
+
+        this.failedAttempts = 0;
+        this.retryAfter = 0;
+        this.saveAttempts();
+
+        await this.unlockAppendKey(stored);
+        this.dispatchEvent(new Event('unlock'));
+    }
+
+    /**
+     * Forget the data key until the next unlock
+     */
+    lock() {
+        if (!this.key) return;
+
+        this.key = null;
+        this.appendPrivateKey = null;
+        this.appendWriter = null;
+        this.readerKeys.clear();
+        this.dispatchEvent(new Event('lock'));
+    }
+
+    seal(value) {
+        if (!this.key) {
+            return Promise.reject(new VaultError('Vault is locked'));
+        }
+        return CryptoEnvelope.seal(this.key, value);
+    }
+
+    open(envelope) {
+        if (!this.key) {
+            return Promise.reject(new VaultError('Vault is locked'));
+        }
+        if (AppendEnvelope.isEnvelope(envelope)) {
+            return this.openAppended(envelope);
+        }
+        return CryptoEnvelope.open(this.key, envelope);
+    }
+
+    /**
+     * Encrypt a value so it can only be read after an unlock; works while locked
+     */
+    async sealAppend(value) {
+        const stored = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+        if (!stored || !stored.appendKey) {
+            throw new VaultError('Vault has no append key');
+        }
+
+        if (!this.appendWriter || Date.now() - this.appendWriter.createdAt >= VAULT_OPTIONS.appendKeyRotation) {
+            const publicKey = await crypto.subtle.importKey('jwk', stored.appendKey.publicKey, AppendEnvelope.algorithm, false, []);
+            this.appendWriter = await AppendEnvelope.createWriter(publicKey);
+        }
+        return AppendEnvelope.seal(this.appendWriter, value);
+    }
+
+    /**
+     * Decrypt an append envelope; each writer's key is derived once per unlock
+     */
+    async openAppended(envelope) {
+        if (!this.readerKeys.has(envelope.epk)) {
+            this.readerKeys.set(envelope.epk, AppendEnvelope.readerKey(this.appendPrivateKey, envelope.epk));
+        }
+        return CryptoEnvelope.open(await this.readerKeys.get(envelope.epk), envelope);
+    }
+}
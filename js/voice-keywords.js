@@ -0,0 +1,149 @@
+/**
+ * NavRaksha Voice Keywords
+ * Per-language SOS keywords and whole-word matching of speech recognition results
+ */
+
+const VOICE_SETTINGS_STORAGE_KEY = 'navraksha_voice_settings';
+
+// The safe phrase is kept apart from the other voice settings, sealed with the device key
+const VOICE_SAFE_PHRASE_STORAGE_KEY = 'navraksha_voice_safe_phrase';
+
+// Recognition languages with their built-in SOS keywords; English "help"/"sos" work everywhere
+const VOICE_LANGUAGES = {
+    'en-IN': { name: 'English (India)', keywords: ['help', 'help me', 'sos', 'emergency', 'save me'] },
+    'en-US': { name: 'English (US)', keywords: ['help', 'help me', 'sos', 'emergency', 'save me'] },
+    'hi-IN': { name: 'हिन्दी (Hindi)', keywords: ['बचाओ', 'मदद', 'मदद करो', 'सहायता', 'help', 'sos'] },
+    'bn-IN': { name: 'বাংলা (Bengali)', keywords: ['বাঁচাও', 'সাহায্য', 'সাহায্য করো', 'help', 'sos'] },
+    'ta-IN': { name: 'தமிழ் (Tamil)', keywords: ['காப்பாற்றுங்கள்', 'காப்பாத்துங்க', 'உதவி', 'help', 'sos'] },
+    'te-IN': { name: 'తెలుగు (Telugu)', keywords: ['కాపాడండి', 'సహాయం', 'help', 'sos'] },
+    'mr-IN': { name: 'मराठी (Marathi)', keywords: ['वाचवा', 'मदत', 'मदत करा', 'help', 'sos'] },
+    'kn-IN': { name: 'ಕನ್ನಡ (Kannada)', keywords: ['ಕಾಪಾಡಿ', 'ಸಹಾಯ', 'help', 'sos'] },
+    'ml-IN': { name: 'മലയാളം (Malayalam)', keywords: ['രക്ഷിക്കൂ', 'സഹായം', 'help', 'sos'] },
+    'gu-IN': { name: 'ગુજરાતી (Gujarati)', keywords: ['બચાવો', 'મદદ', 'help', 'sos'] }
+};
+
+const VOICE_DEFAULTS = {
+    language: 'en-IN',
+    customKeywords: [],
+    safePhrase: ''
+};
+
+// Default for the voiceMinConfidence setting (js/settings.js)
+const VOICE_MIN_CONFIDENCE = 0.7;
+
+const VoiceKeywords = {
+    /**
+     * Lower-case and strip punctuation, keeping letters, combining marks (Indic vowel signs) and digits
+     */
+    normalize(text, language) {
+        return text
+            .normalize('NFC')
+            .toLocaleLowerCase(language)
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    },
+
+    /**
+     * Whole-word (or whole-phrase) containment: "help" matches "please help me" but not "helpful"
+     */
+    containsPhrase(words, phrase, language) {
+        const target = this.normalize(phrase, language);
+        if (target.length === 0 || target.length > words.length) return false;
+
+        for (let start = 0; start <= words.length - target.length; start++) {
+            if (target.every((word, offset) => words[start + offset] === word)) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Keywords active for a language: built-ins plus the user's own
+     */
+    keywordsFor(settings) {
+        const language = VOICE_LANGUAGES[settings.language] || VOICE_LANGUAGES[VOICE_DEFAULTS.language];
+        return [...language.keywords, ...settings.customKeywords];
+    },
+
+    /**
+     * Match one transcript. The safe phrase wins over keywords. Returns `{type, phrase}` or null.
+     */
+    match(transcript, settings) {
+        const words = this.normalize(transcript, settings.language);
+
+        if (settings.safePhrase && this.containsPhrase(words, settings.safePhrase, settings.language)) {
+            return { type: 'safe_phrase', phrase: settings.safePhrase };
+        }
+
+        const keyword = this.keywordsFor(settings).find(candidate => this.containsPhrase(words, candidate, settings.language));
+        return keyword ? { type: 'keyword', phrase: keyword } : null;
+    },
+
+    /**
+     * Check the final results of a SpeechRecognition `result` event.
+     * Only alternatives at or above minConfidence are considered. WebKit reports a confidence
+     * of 0 for every result, so 0 counts as unknown and only the transcript is matched.
+     */
+    matchResults(event, settings, minConfidence = VOICE_MIN_CONFIDENCE) {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (!result.isFinal) continue;
+
+            for (let j = 0; j < result.length; j++) {
+                const alternative = result[j];
+                const confidence = alternative.confidence > 0 ? alternative.confidence : null;
+                if (confidence !== null && confidence < minConfidence) continue;
+
+                const match = this.match(alternative.transcript, settings);
+                if (match) {
+                    return { ...match, transcript: alternative.transcript, confidence };
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Stored settings merged over the defaults, without the safe phrase (see loadSafePhrase)
+     */
+    load() {
+        try {
+            const { safePhrase, ...stored } = JSON.parse(localStorage.getItem(VOICE_SETTINGS_STORAGE_KEY)) || {};
+            return { ...VOICE_DEFAULTS, ...stored };
+        } catch (error) {
+            console.error('❌ Failed to load voice settings:', error);
+            return { ...VOICE_DEFAULTS };
+        }
+    },
+
+    async save({ safePhrase, ...settings }) {
+        localStorage.setItem(VOICE_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        await this.saveSafePhrase(safePhrase);
+    },
+
+    /**
+     * Decrypt the safe phrase; one stored in plain text by older versions is sealed first
+     */
+    async loadSafePhrase() {
+        const settings = JSON.parse(localStorage.getItem(VOICE_SETTINGS_STORAGE_KEY)) || {};
+        if (typeof settings.safePhrase === 'string') {
+            await this.save({ ...this.load(), safePhrase: settings.safePhrase });
+            return settings.safePhrase;
+        }
+
+        const stored = localStorage.getItem(VOICE_SAFE_PHRASE_STORAGE_KEY);
+        return stored ? DeviceKey.open(JSON.parse(stored)) : '';
+    },
+
+    async saveSafePhrase(phrase) {
+        if (!phrase) {
+            localStorage.removeItem(VOICE_SAFE_PHRASE_STORAGE_KEY);
+            return;
+        }
+
+        const envelope = await DeviceKey.seal(phrase);
+        localStorage.setItem(VOICE_SAFE_PHRASE_STORAGE_KEY, JSON.stringify(envelope));
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * NavRaksha Safe Zones
+ * Named circle and polygon zones with optional active hours, persisted in IndexedDB with
+ * their geometry (center and polygon points) sealed with the device key
+ */
+
+const ZONES_STORE = 'zones';
+
+const SafeZones = {
+    /**
+     * Build a new zone record
+     */
+    create(fields) {
+        const now = Date.now();
+        return {
+            id: NavRakshaDB.generateId(),
+            name: 'Safe Zone',
+            type: 'circle',
+            center: null,
+            radius: 200,
+            points: [],
+            schedule: null, // { start: 'HH:MM', end: 'HH:MM' } or null for always active
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        };
+    },
+
+    /**
+     * Check whether a point lies inside a zone
+     */
+    contains(zone, lat, lng) {
+        if (zone.type === 'polygon') {
+            return Geo.pointInPolygon(lat, lng, zone.points);
+        }
+        return Geo.distance(lat, lng, zone.center[0], zone.center[1]) <= zone.radius;
+    },
+
+    /**
+     * Signed distance in meters from a point to a zone's boundary: negative inside, positive outside
+     */
+    boundaryDistance(zone, lat, lng) {
+        if (zone.type === 'polygon') {
+            const edgeDistance = Geo.distanceToPolygonEdge(lat, lng, zone.points);
+            return Geo.pointInPolygon(lat, lng, zone.points) ? -edgeDistance : edgeDistance;
+        }
+        return Geo.distance(lat, lng, zone.center[0], zone.center[1]) - zone.radius;
+    },
+
+    /**
+     * Check whether a zone's schedule covers the given time; overnight ranges (22:00-07:00) wrap
+     */
+    isActive(zone, date = new Date()) {
+        if (!zone.schedule) return true;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(zone.schedule.start);
+        const end = toMinutes(zone.schedule.end);
+
+        if (start === end) return true;
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    },
+
+    /**
+     * Human-readable schedule
+     */
+    describeSchedule(zone) {
+        return zone.schedule
+            ? I18n.t('zones.schedule', { start: zone.schedule.start, end: zone.schedule.end })
+            : I18n.t('zones.always');
+    }
+};
+
+class SafeZoneStore {
+    /**
+     * All zones, oldest first. Zones stored in plain text by older versions are sealed on the way.
+     */
+    async getAll() {
+        const records = await NavRakshaDB.transaction(ZONES_STORE, 'readonly', (tx) => {
+            return tx.objectStore(ZONES_STORE).getAll();
+        });
+
+        const zones = await Promise.all(records.map(async (record) => {
+            if (!record.geometry) {
+                await this.put(record);
+                return record;
+            }
+            const { geometry, ...zone } = record;
+            return { ...zone, ...await DeviceKey.open(geometry) };
+        }));
+        return zones.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Create or update a zone
+     */
+    save(zone) {
+        return this.put({ ...zone, updatedAt: Date.now() });
+    }
+
+    /**
+     * Store a zone record as it is, with its geometry sealed
+     */
+    async put({ center, points, ...zone }) {
+        const geometry = await DeviceKey.seal({ center, points });
+        return NavRakshaDB.transaction(ZONES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(ZONES_STORE).put({ ...zone, geometry });
+        });
+    }
+
+    /**
+     * Delete a zone
+     */
+    remove(id) {
+        return NavRakshaDB.transaction(ZONES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(ZONES_STORE).delete(id);
+        });
+    }
+
+    /**
+     * Delete every zone
+     */
+    clear() {
+        return NavRakshaDB.transaction(ZONES_STORE, 'readwrite', (tx) => {
+            tx.objectStore(ZONES_STORE).clear();
+        });
+    }
+}
@@ -0,0 +1,41 @@
+// Generated by tools/build-precache-manifest.js; do not edit
+const PRECACHE_MANIFEST = {
+    version: '55bfa12ed997dc02',
+    files: [
+        { url: '/', revision: '6935ee9f9b66c633' },
+        { url: '/app.js', revision: '49854fd83aa498fe' },
+        { url: '/datasets/help-points.geojson', revision: '6d18edfe75b31491' },
+        { url: '/index.html', revision: '6935ee9f9b66c633' },
+        { url: '/js/advisories.js', revision: 'a59d43f857927383' },
+        { url: '/js/check-ins.js', revision: '31fb873e271282ed' },
+        { url: '/js/contacts.js', revision: '1a3441bb1eb13221' },
+        { url: '/js/credential.js', revision: '0e7962d36ee690f9' },
+        { url: '/js/crypto.js', revision: 'eb7e70eef14fa7e6' },
+        { url: '/js/db.js', revision: '9d3a2689467e76de' },
+        { url: '/js/emergency-session.js', revision: 'ca9caacc987e09f2' },
+        { url: '/js/event-log.js', revision: 'a514ea362902ae8c' },
+        { url: '/js/fall-detector.js', revision: '6337ada52634209a' },
+        { url: '/js/geo.js', revision: '63b5b4ef24582c3f' },
+        { url: '/js/geofence.js', revision: '87bc32543520b20f' },
+        { url: '/js/help-points.js', revision: '69f4b0f61eec2206' },
+        { url: '/js/i18n.js', revision: '179e49d1210b742a' },
+        { url: '/js/locales/en.js', revision: '73a97ae689350b74' },
+        { url: '/js/locales/hi.js', revision: '6db41f00c9f7c1a9' },
+        { url: '/js/location-history.js', revision: '16b1763b02d0b466' },
+        { url: '/js/outbox.js', revision: '5acd11fe26322d6c' },
+        { url: '/js/profile.js', revision: 'c9f841f9b86f9330' },
+        { url: '/js/push.js', revision: '3e4ce19a7ea650fd' },
+        { url: '/js/settings.js', revision: 'de1972692fcc389f' },
+        { url: '/js/sos-payload.js', revision: '36e4c5e87d2d61f5' },
+        { url: '/js/tile-packs.js', revision: 'f422a2d437b2ab2e' },
+        { url: '/js/track-export.js', revision: 'e1860b0740f94772' },
+        { url: '/js/user-data.js', revision: '7f40e52dde67b24c' },
+        { url: '/js/vault.js', revision: 'dd44ca093ad8499a' },
+        { url: '/js/voice-keywords.js', revision: '71d16769af803bba' },
+        { url: '/js/zones.js', revision: '8e8ec64880f00cf9' },
+        { url: '/manifest.json', revision: '401d69d64011f7ce' },
+        { url: '/page2.html', revision: '340b8b544263ec7c' },
+        { url: '/script.js', revision: 'ba991bd56802e592' },
+        { url: '/styles.css', revision: '4a221d88ed269a3f' }
+    ]
+};
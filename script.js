@@ -1 +1,367 @@
-console.log('Hello!');
+/**
+ * NavRaksha Responder
+ * Scans a tourist's ID QR code and verifies its signature offline (js/credential.js)
+ */
+
+// How often a camera frame is checked for a QR code
+const SCAN_INTERVAL = 250;
+
+// Larger images are scaled down before the fallback decoder reads them
+const MAX_DECODE_SIZE = 1280;
+
+class ResponderScanner {
+    constructor() {
+        this.stream = null;
+        this.detector = null;
+        this.scanTimer = null;
+        this.canvas = document.createElement('canvas');
+        this.settings = new Settings();
+        this.result = null;
+
+        this.init();
+    }
+
+    async init() {
+        this.applyLanguage();
+        this.detector = await this.createDetector();
+
+        document.getElementById('start-scan').addEventListener('click', () => this.startCamera());
+        document.getElementById('stop-scan').addEventListener('click', () => this.stopCamera());
+        document.getElementById('scan-again').addEventListener('click', () => this.scanAgain());
+        document.getElementById('contrast-toggle').addEventListener('click', () => this.toggleHighContrast());
+        document.getElementById('language-select').addEventListener('change', (e) => {
+            this.settings.set({ language: e.target.value || null });
+        });
+        this.settings.addEventListener('change', (e) => {
+            if ('language' in e.detail) this.applyLanguage();
+        });
+
+        document.getElementById('scan-image').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.scanImage(file);
+        });
+
+        document.getElementById('manual-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const token = new FormData(e.target).get('token').trim();
+            if (token) this.handlePayload(token);
+        });
+
+        // Release the camera when the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.stopCamera();
+        });
+
+        document.body.classList.toggle('high-contrast', this.settings.get('highContrast'));
+
+        // The same service worker as the app, so this page also works offline
+        if ('serviceWorker' in navigator) {
+            try {
+                await navigator.serviceWorker.register('./service-worker.js');
+            } catch (error) {
+                console.error('❌ Service Worker registration failed:', error);
+            }
+        }
+
+        console.log('✅ Responder scanner ready', this.detector ? '(BarcodeDetector)' : '(jsQR)');
+    }
+
+    /**
+     * The native QR detector where supported; otherwise null and jsQR is used
+     */
+    async createDetector() {
+        if (!('BarcodeDetector' in window)) return null;
+
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            return formats.includes('qr_code') ? new BarcodeDetector({ formats: ['qr_code'] }) : null;
+        } catch (error) {
+            console.warn('⚠️ BarcodeDetector unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Decode a QR code from a video frame, image or bitmap; resolves to its text or null
+     */
+    async decode(source, width, height) {
+        if (this.detector) {
+            const codes = await this.detector.detect(source);
+            return codes.length > 0 ? codes[0].rawValue : null;
+        }
+
+        if (typeof jsQR === 'undefined') {
+            throw new Error('No QR decoder is available in this browser');
+        }
+
+        const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+
+        const context = this.canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        const image = context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'attemptBoth' });
+        return code ? code.data : null;
+    }
+
+    async startCamera() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.setStatus('responder.noCamera');
+            return;
+        }
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+        } catch (error) {
+            console.error('❌ Camera unavailable:', error);
+            this.setStatus('responder.cameraDenied');
+            return;
+        }
+
+        const video = document.getElementById('scanner-video');
+        video.srcObject = this.stream;
+        await video.play();
+
+        document.getElementById('scanner-viewport').style.display = 'block';
+        document.getElementById('start-scan').style.display = 'none';
+        document.getElementById('stop-scan').style.display = 'inline-flex';
+        this.setStatus('responder.looking');
+
+        this.scanTimer = setTimeout(() => this.scanFrame(video), SCAN_INTERVAL);
+    }
+
+    async scanFrame(video) {
+        if (!this.stream) return;
+
+        try {
+            if (video.readyState >= video.HAVE_CURRENT_DATA) {
+                const text = await this.decode(video, video.videoWidth, video.videoHeight);
+                if (text && this.stream) {
+                    this.stopCamera();
+                    if ('vibrate' in navigator) navigator.vibrate(100);
+                    await this.handlePayload(text);
+                    return;
+                }
+            }
+        } catch (error) {
+            console.error('❌ Frame scan failed:', error);
+        }
+
+        if (this.stream) {
+            this.scanTimer = setTimeout(() => this.scanFrame(video), SCAN_INTERVAL);
+        }
+    }
+
+    stopCamera() {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = null;
+
+        if (!this.stream) return;
+
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        document.getElementById('scanner-video').srcObject = null;
+        document.getElementById('scanner-viewport').style.display = 'none';
+        document.getElementById('start-scan').style.display = 'inline-flex';
+        document.getElementById('stop-scan').style.display = 'none';
+        this.setStatus('responder.cameraStopped');
+    }
+
+    /**
+     * Read a QR code from a photo or screenshot
+     */
+    async scanImage(file) {
+        this.stopCamera();
+        this.setStatus('responder.readingImage');
+
+        try {
+            const bitmap = await createImageBitmap(file);
+            const text = await this.decode(bitmap, bitmap.width, bitmap.height);
+            bitmap.close();
+
+            if (!text) {
+                this.setStatus('responder.noCodeInImage');
+                return;
+            }
+            await this.handlePayload(text);
+        } catch (error) {
+            console.error('❌ Image scan failed:', error);
+            this.setStatus('responder.imageUnreadable');
+        }
+    }
+
+    /**
+     * Verify a scanned payload and show the card. Details from an ID that fails
+     * verification are still shown, under a warning, since they may help with treatment.
+     */
+    async handlePayload(text) {
+        try {
+            const credential = await Credential.verify(text);
+            this.showResult(credential, { state: 'verified', title: 'responder.verified', detail: 'responder.verifiedDetail' });
+            return;
+        } catch (error) {
+            if (!(error instanceof CredentialError)) {
+                console.error('❌ Verification failed:', error);
+                this.setStatus('responder.verifyUnsupported');
+                return;
+            }
+
+            if (error.code !== 'malformed') {
+                await this.showUnverified(text, error);
+                return;
+            }
+        }
+
+        // QR codes from app versions before signed IDs: plain JSON
+        const legacy = this.parseLegacyPayload(text);
+        if (legacy) {
+            this.showResult(legacy, { state: 'warning', title: 'responder.unsigned', detail: 'responder.unsignedDetail' });
+            return;
+        }
+
+        this.setStatus('responder.notAnId');
+    }
+
+    /**
+     * Show a credential that decoded but failed the signature or validity check; only a
+     * good signature ties the details to the key, so only then is the ID shown
+     */
+    async showUnverified(text, error) {
+        const { publicKey, claims } = Credential.decode(text);
+
+        if (error.code === 'bad_signature' || error.code === 'invalid') {
+            this.showResult({ ...claims, id: null }, { state: 'invalid', title: 'responder.notVerified', detail: 'responder.notVerifiedDetail' });
+            return;
+        }
+
+        // Expired or not yet valid: the signature is good, so the ID can be trusted. The error
+        // carries the date that failed, which the detail message formats for the language.
+        const id = await Credential.fingerprint(Credential.decodeBase64Url(publicKey));
+        if (error.code === 'expired') {
+            this.showResult({ ...claims, id, expiresAt: error.expiresAt },
+                { state: 'warning', title: 'responder.expired', detail: 'responder.expiredDetail' });
+        } else {
+            this.showResult({ ...claims, id, issuedAt: error.issuedAt },
+                { state: 'warning', title: 'responder.notYetValid', detail: 'responder.notYetValidDetail' });
+        }
+    }
+
+    parseLegacyPayload(text) {
+        try {
+            const data = JSON.parse(text);
+            if (!data || typeof data.id !== 'string' || typeof data.name !== 'string') return null;
+
+            return {
+                id: data.id,
+                name: data.name,
+                bloodGroup: data.blood || '',
+                allergies: data.allergies || '',
+                emergency: data.emergency || '',
+                issuedAt: null,
+                expiresAt: null
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Show a scanned card under a verification banner; title and detail are message keys
+     */
+    showResult(card, { state, title, detail }) {
+        this.result = { card, state, title, detail };
+        this.renderResult();
+
+        document.getElementById('scan-section').style.display = 'none';
+        document.getElementById('result-section').style.display = 'block';
+        document.getElementById('verification-banner').focus({ preventScroll: true });
+        window.scrollTo({ top: 0 });
+
+        console.log('🪪 ID scanned:', state, card.id);
+    }
+
+    renderResult() {
+        const { card, state, title, detail } = this.result;
+        const dates = {
+            issued: card.issuedAt ? I18n.formatDate(card.issuedAt) : '',
+            expires: card.expiresAt ? I18n.formatDate(card.expiresAt) : ''
+        };
+
+        const banner = document.getElementById('verification-banner');
+        banner.className = `verification-banner ${state}`;
+        document.getElementById('verification-title').textContent = I18n.t(title);
+        document.getElementById('verification-detail').textContent = I18n.t(detail, dates);
+
+        // The credential is self-issued: the fingerprint is what the responder checks against
+        const fingerprint = document.getElementById('verification-id');
+        fingerprint.textContent = state !== 'invalid' && card.id ? card.id : '';
+        fingerprint.hidden = !fingerprint.textContent;
+
+        document.getElementById('responder-name').textContent = card.name || I18n.t('responder.notProvided');
+        document.getElementById('responder-blood').textContent = card.bloodGroup || I18n.t('responder.notProvided');
+        document.getElementById('responder-allergies').textContent = card.allergies || I18n.t('responder.noneListed');
+
+        const contact = document.getElementById('responder-contact');
+        if (card.emergency) {
+            contact.textContent = card.emergency;
+            contact.href = `tel:${card.emergency.replace(/[^\d+]/g, '')}`;
+        } else {
+            contact.textContent = I18n.t('responder.notProvided');
+            contact.removeAttribute('href');
+        }
+
+        document.getElementById('responder-id').textContent = card.id || I18n.t('responder.unknownId');
+        document.getElementById('responder-validity').textContent = card.expiresAt
+            ? I18n.t('responder.validUntil', { date: dates.expires })
+            : I18n.t('responder.noExpiry');
+    }
+
+    scanAgain() {
+        document.getElementById('result-section').style.display = 'none';
+        document.getElementById('scan-section').style.display = 'block';
+        document.getElementById('manual-token').value = '';
+        this.result = null;
+        this.setStatus('responder.pointCamera');
+    }
+
+    setStatus(key) {
+        I18n.localize(document.getElementById('scanner-status'), key);
+    }
+
+    /**
+     * Translate the page into the chosen (or the browser's) language, including a card on screen
+     */
+    applyLanguage() {
+        I18n.setLanguage(this.settings.get('language') || I18n.detect());
+        I18n.translate();
+
+        const select = document.getElementById('language-select');
+        const choices = [['', I18n.t('language.automatic')], ...Object.entries(I18N_LANGUAGES).map(([code, { name }]) => [code, name])];
+        select.replaceChildren(...choices.map(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            return option;
+        }));
+        select.value = this.settings.get('language') || '';
+
+        if (this.result) this.renderResult();
+    }
+
+    toggleHighContrast() {
+        const isHighContrast = !this.settings.get('highContrast');
+        this.settings.set({ highContrast: isHighContrast });
+        document.body.classList.toggle('high-contrast', isHighContrast);
+    }
+}
+
+// Initialize the scanner when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.responder = new ResponderScanner();
+});
@@ -0,0 +1,420 @@
+/**
+ * NavRaksha API
+ * Emergency intake and location ingestion endpoints
+ */
+
+const crypto = require('crypto');
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const EscalationManager = require('./escalation');
+const {
+    validateSOS,
+    sanitizeContacts,
+    validateLocationUpload,
+    validateGeofenceEvent,
+    validateRetraction,
+    validateTrackingUpdate,
+    validateTrackingClose,
+    validatePushSubscription,
+    validatePushUnsubscribe,
+    validatePushMessage
+} = require('./validation');
+const { PUSH_MESSAGE_TYPES } = require('./push-service');
+const { verifyIdentityProof } = require('./identity');
+
+// Prefix of the message a device signs with its identity key to link a push endpoint to its ID
+const PUSH_PROOF_PREFIX = 'NRPUSH';
+
+// Requests from the machine running the backend, which alone may send push messages
+// (tools/send-push.js) and read incidents without a token
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Check whether a request comes from the machine running the backend
+ */
+function isLoopback(req) {
+    return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+}
+
+/**
+ * Read a bearer token from the Authorization header, if any
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Compare secrets without leaking where they differ through timing
+ */
+function isSameSecret(candidate, secret) {
+    if (typeof candidate !== 'string' || typeof secret !== 'string') return false;
+    const a = Buffer.from(candidate);
+    const b = Buffer.from(secret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Hash of the device secret a push subscription request carries as its bearer token
+ */
+function getDeviceSecretHash(req) {
+    const secret = getBearerToken(req);
+    if (!secret) {
+        throw new HttpError(401, 'A device secret is required');
+    }
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Only the device that registered a subscription may replace or remove it. A subscription
+ * saved before device secrets existed is claimed by the next registration of its own
+ * endpoint, which only that browser knows.
+ */
+function assertOwnsSubscription(stored, secretHash, { claimable = false } = {}) {
+    if (!stored) return;
+    const owned = stored.secretHash ? isSameSecret(secretHash, stored.secretHash) : claimable;
+    if (!owned) {
+        throw new HttpError(403, 'Push subscription belongs to another device');
+    }
+}
+
+/**
+ * Throw a 400 if a validator reported errors
+ */
+function assertValid(errors) {
+    if (errors.length > 0) {
+        throw new HttpError(400, 'Invalid payload', errors);
+    }
+}
+
+/**
+ * Read the client's Idempotency-Key header, if any
+ */
+function getIdempotencyKey(req) {
+    const key = req.headers['idempotency-key'];
+    return typeof key === 'string' && key.length > 0 && key.length <= 128 ? key : null;
+}
+
+/**
+ * Incident as returned to clients, without acknowledgement tokens
+ */
+function publicIncident(incident) {
+    return { ...incident, escalation: EscalationManager.toPublic(incident.escalation) };
+}
+
+/**
+ * Read the acknowledgement token from the query string or a JSON body
+ */
+async function readAckToken(req) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token || req.method === 'GET') {
+        return token;
+    }
+    const body = await readJsonBody(req);
+    return body && body.token;
+}
+
+/**
+ * Build the API request handler around an incident store, escalation manager and push service.
+ * `responderToken` lets other machines read incidents and sessions.
+ */
+function createApiHandler(store, escalation, push, { responderToken = null } = {}) {
+    /**
+     * Incidents and sessions hold medical data, contact numbers and a live position. They can be
+     * read or changed from this machine, with the responder token, or by the device that sent
+     * the SOS with its idempotency key (`ownerKey`) as the bearer token.
+     */
+    const assertCanAccess = (req, ownerKey = null) => {
+        if (isLoopback(req)) return;
+
+        const token = getBearerToken(req);
+        if (!token) {
+            throw new HttpError(401, 'Authentication required');
+        }
+        if (!isSameSecret(token, responderToken) && !isSameSecret(token, ownerKey)) {
+            throw new HttpError(403, 'Not allowed to access this record');
+        }
+    };
+
+    /**
+     * Acknowledge an incident on behalf of an emergency contact
+     */
+    const acknowledgeIncident = async (req, res, [id]) => {
+        const incident = store.getIncident(id);
+        if (!incident) {
+            throw new HttpError(404, 'Incident not found');
+        }
+
+        const wasAcknowledged = Boolean(incident.escalation && incident.escalation.status === 'acknowledged');
+        const contact = await escalation.acknowledge(incident, await readAckToken(req));
+        if (!contact) {
+            throw new HttpError(403, 'Invalid acknowledgement token');
+        }
+
+        // Let the user know help is coming, once; a retracted SOS stays cancelled, and a silent
+        // one (the voice safe phrase) must not light up the phone
+        if (!wasAcknowledged && incident.escalation.status === 'acknowledged' && incident.trigger !== 'safe_phrase') {
+            push.notifyAcknowledged(incident).catch((error) => {
+                console.error('❌ Acknowledgement push failed:', error);
+            });
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            incidentId: incident.id,
+            status: incident.escalation.status,
+            acknowledgedBy: incident.escalation.acknowledgedBy
+        });
+    };
+
+    const routes = [
+        {
+            method: 'POST',
+            pattern: /^\/api\/emergency\/sos$/,
+            handler: async (req, res) => {
+                const sosData = await readJsonBody(req);
+                assertValid(validateSOS(sosData));
+
+                const { contacts, problems } = sanitizeContacts(sosData.emergencyContacts || []);
+                if (problems.length > 0) {
+                    console.warn('⚠️ SOS contacts with problems:', problems.flatMap(problem => problem.errors));
+                    sosData.contactProblems = problems;
+                }
+                sosData.emergencyContacts = contacts;
+
+                const { incident, duplicate } = await store.createIncident(sosData, getIdempotencyKey(req));
+                console.log(duplicate ? '🔁 Duplicate SOS ignored:' : '🆘 SOS incident recorded:', incident.id);
+
+                if (!duplicate) {
+                    escalation.start(incident).catch((error) => {
+                        console.error('❌ Escalation failed to start:', error);
+                    });
+                }
+
+                sendJson(res, duplicate ? 200 : 201, {
+                    success: true,
+                    incidentId: incident.id,
+                    receivedAt: incident.receivedAt
+                });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/emergency\/retractions$/,
+            handler: async (req, res) => {
+                const retraction = await readJsonBody(req);
+                assertValid(validateRetraction(retraction));
+
+                const incident = await store.retractIncident(retraction);
+                if (incident) {
+                    await escalation.cancel(incident);
+                    console.log('↩️ SOS retracted:', incident.id);
+                } else {
+                    console.log('↩️ Retraction stored for SOS not yet received:', retraction.sosId);
+                }
+
+                sendJson(res, 200, {
+                    success: true,
+                    incidentId: incident ? incident.id : null
+                });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/api\/emergency\/incidents$/,
+            handler: async (req, res) => {
+                assertCanAccess(req);
+                sendJson(res, 200, { incidents: store.listIncidents().map(publicIncident) });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/api\/emergency\/incidents\/([\w-]+)$/,
+            handler: async (req, res, [id]) => {
+                const incident = store.getIncident(id);
+                assertCanAccess(req, incident && incident.idempotencyKey);
+                if (!incident) {
+                    throw new HttpError(404, 'Incident not found');
+                }
+                sendJson(res, 200, publicIncident(incident));
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/api\/emergency\/incidents\/([\w-]+)\/ack$/,
+            handler: acknowledgeIncident
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/emergency\/incidents\/([\w-]+)\/ack$/,
+            handler: acknowledgeIncident
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/location$/,
+            handler: async (req, res) => {
+                const payload = await readJsonBody(req);
+                assertValid(validateLocationUpload(payload));
+
+                const fixes = Array.isArray(payload.fixes) ? payload.fixes : [payload];
+                const stored = await store.addLocations(fixes, getIdempotencyKey(req));
+                console.log(`📍 ${stored.length} location fix(es) recorded`);
+
+                sendJson(res, 201, { success: true, received: stored.length });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/geofence\/events$/,
+            handler: async (req, res) => {
+                const event = await readJsonBody(req);
+                assertValid(validateGeofenceEvent(event));
+
+                await store.addGeofenceEvent(event, getIdempotencyKey(req));
+                console.log(`🛡️ Geofence ${event.type} recorded:`, event.zoneName || event.zoneId);
+
+                sendJson(res, 201, { success: true });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/tracking\/updates$/,
+            handler: async (req, res) => {
+                const update = await readJsonBody(req);
+                assertValid(validateTrackingUpdate(update));
+
+                // A new session belongs to the SOS it names; later updates must come from that device
+                const existing = store.getTrackingSession(update.sessionId);
+                assertCanAccess(req, existing ? existing.sosId : update.sosId);
+
+                const session = await store.addTrackingPoint(update);
+
+                // active: false tells the device responders have closed the session
+                sendJson(res, 201, {
+                    success: true,
+                    sessionId: session.id,
+                    active: session.status === 'active',
+                    received: session.points.length
+                });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/tracking\/close$/,
+            handler: async (req, res) => {
+                const request = await readJsonBody(req);
+                assertValid(validateTrackingClose(request));
+
+                // The device can close its own session; only responders can close it as responders
+                const existing = store.getTrackingSession(request.sessionId);
+                assertCanAccess(req, existing && request.closedBy === 'user' ? existing.sosId : null);
+
+                const session = await store.closeTrackingSession(request.sessionId, request.closedBy, request.reason);
+                if (!session) {
+                    throw new HttpError(404, 'Session not found');
+                }
+                console.log(`📡 Emergency session ${session.id} closed by ${request.closedBy}`);
+
+                sendJson(res, 200, { success: true, sessionId: session.id, active: false });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/api\/tracking\/sessions\/([\w-]+)$/,
+            handler: async (req, res, [id]) => {
+                const session = store.getTrackingSession(id);
+                assertCanAccess(req, session && session.sosId);
+                if (!session) {
+                    throw new HttpError(404, 'Session not found');
+                }
+                sendJson(res, 200, session);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/api\/push\/key$/,
+            handler: async (req, res) => {
+                sendJson(res, 200, { publicKey: push.client.applicationServerKey });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/push\/subscriptions$/,
+            handler: async (req, res) => {
+                const secretHash = getDeviceSecretHash(req);
+                const registration = await readJsonBody(req);
+                assertValid(validatePushSubscription(registration));
+
+                const { subscription, userId, proof, previousEndpoint } = registration;
+                assertOwnsSubscription(store.findPushSubscription(subscription.endpoint), secretHash, { claimable: true });
+                if (previousEndpoint) {
+                    assertOwnsSubscription(store.findPushSubscription(previousEndpoint), secretHash);
+                }
+                if (userId && !await verifyIdentityProof(userId, proof, `${PUSH_PROOF_PREFIX}.${subscription.endpoint}`)) {
+                    throw new HttpError(403, 'userId is not signed by its identity key');
+                }
+
+                await store.savePushSubscription(registration, secretHash);
+                console.log('🔔 Push subscription registered for', registration.userId || 'an unregistered user');
+
+                sendJson(res, 201, { success: true });
+            }
+        },
+        {
+            method: 'DELETE',
+            pattern: /^\/api\/push\/subscriptions$/,
+            handler: async (req, res) => {
+                const secretHash = getDeviceSecretHash(req);
+                const request = await readJsonBody(req);
+                assertValid(validatePushUnsubscribe(request));
+
+                assertOwnsSubscription(store.findPushSubscription(request.endpoint), secretHash);
+                const removed = await store.removePushSubscription(request.endpoint);
+                sendJson(res, 200, { success: true, removed });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/api\/push\/messages$/,
+            handler: async (req, res) => {
+                if (!isLoopback(req)) {
+                    throw new HttpError(403, 'Push messages can only be sent from this machine');
+                }
+
+                const request = await readJsonBody(req);
+                assertValid(validatePushMessage(request, PUSH_MESSAGE_TYPES));
+
+                const { userId = null, ...message } = request;
+                const result = await push.send(message, userId);
+                sendJson(res, 200, { success: true, ...result });
+            }
+        }
+    ];
+
+    return async (req, res, pathname) => {
+        const matching = routes.filter(route => route.pattern.test(pathname));
+        const route = matching.find(candidate => candidate.method === req.method);
+
+        try {
+            if (!route) {
+                if (matching.length > 0) {
+                    res.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                throw new HttpError(404, 'Not found');
+            }
+
+            const params = pathname.match(route.pattern).slice(1);
+            await route.handler(req, res, params);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message, details: error.details });
+                return;
+            }
+
+            console.error('❌ API request failed:', error);
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = createApiHandler;
@@ -0,0 +1,200 @@
+/**
+ * NavRaksha Escalation Chain
+ * Notifies emergency contacts tier by tier (lowest priority number first) and moves on
+ * to the next tier when nobody in the current one acknowledges in time
+ */
+
+const crypto = require('crypto');
+
+class EscalationManager {
+    constructor(store, notifier, ackTimeout) {
+        this.store = store;
+        this.notifier = notifier;
+        this.ackTimeout = ackTimeout;
+        this.timers = new Map();
+    }
+
+    /**
+     * Group contacts into tiers by priority
+     */
+    buildTiers(contacts) {
+        const byPriority = new Map();
+
+        contacts.forEach((contact) => {
+            const priority = contact.priority || 1;
+            if (!byPriority.has(priority)) {
+                byPriority.set(priority, []);
+            }
+            byPriority.get(priority).push({
+                ...contact,
+                ackToken: crypto.randomBytes(16).toString('hex')
+            });
+        });
+
+        return [...byPriority.keys()]
+            .sort((a, b) => a - b)
+            .map(priority => ({ priority, contacts: byPriority.get(priority), notifiedAt: null }));
+    }
+
+    /**
+     * Start escalating a new incident
+     */
+    async start(incident) {
+        if (incident.status === 'retracted') {
+            incident.escalation = { status: 'cancelled', currentTier: null, tiers: [] };
+            await this.store.persist();
+            return;
+        }
+
+        const contacts = Array.isArray(incident.emergencyContacts) ? incident.emergencyContacts : [];
+
+        if (contacts.length === 0) {
+            incident.escalation = { status: 'none', currentTier: null, tiers: [] };
+            await this.store.persist();
+            return;
+        }
+
+        incident.escalation = {
+            status: 'notifying',
+            currentTier: 0,
+            tiers: this.buildTiers(contacts),
+            acknowledgedBy: null
+        };
+
+        await this.notifyCurrentTier(incident);
+    }
+
+    /**
+     * Notify every contact in the current tier and wait for an acknowledgement
+     */
+    async notifyCurrentTier(incident) {
+        const escalation = incident.escalation;
+        const tier = escalation.tiers[escalation.currentTier];
+
+        tier.notifiedAt = new Date().toISOString();
+        await this.store.persist();
+
+        console.log(`📣 Escalating ${incident.id} to tier ${escalation.currentTier + 1}/${escalation.tiers.length}`);
+        await Promise.all(tier.contacts.map(contact =>
+            this.notifier.notify(contact, incident, contact.ackToken).catch((error) => {
+                console.error(`❌ Failed to notify ${contact.name}:`, error);
+            })
+        ));
+
+        this.schedule(incident, this.ackTimeout);
+    }
+
+    /**
+     * Move on to the next tier once the acknowledgement window passes
+     */
+    schedule(incident, delay) {
+        clearTimeout(this.timers.get(incident.id));
+
+        this.timers.set(incident.id, setTimeout(async () => {
+            this.timers.delete(incident.id);
+            const escalation = incident.escalation;
+            if (escalation.status !== 'notifying') return;
+
+            // Nothing awaits the timer, so a failure here must not become an unhandled rejection
+            try {
+                if (escalation.currentTier + 1 < escalation.tiers.length) {
+                    escalation.currentTier++;
+                    await this.notifyCurrentTier(incident);
+                } else {
+                    escalation.status = 'exhausted';
+                    await this.store.persist();
+                    console.warn(`⚠️ No contact acknowledged incident ${incident.id}`);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to escalate incident ${incident.id}:`, error);
+            }
+        }, Math.max(0, delay)));
+    }
+
+    /**
+     * Record an acknowledgement; returns the acknowledging contact or null for an unknown token.
+     * Acknowledging a cancelled (retracted) incident changes nothing.
+     */
+    async acknowledge(incident, token) {
+        const escalation = incident.escalation;
+        if (!escalation || !token) return null;
+
+        const contact = escalation.tiers
+            .flatMap(tier => tier.contacts)
+            .find(candidate => candidate.ackToken === token);
+        if (!contact) return null;
+
+        if (escalation.status === 'cancelled') {
+            console.log(`↩️ Acknowledgement of retracted incident ${incident.id} by ${contact.name} ignored`);
+        } else if (escalation.status !== 'acknowledged') {
+            escalation.status = 'acknowledged';
+            escalation.acknowledgedBy = {
+                contactId: contact.id,
+                name: contact.name,
+                acknowledgedAt: new Date().toISOString()
+            };
+            clearTimeout(this.timers.get(incident.id));
+            this.timers.delete(incident.id);
+            await this.store.persist();
+
+            console.log(`✅ Incident ${incident.id} acknowledged by ${contact.name}`);
+        }
+
+        return contact;
+    }
+
+    /**
+     * Stop escalating a retracted incident and tell contacts already notified that it was a false alarm
+     */
+    async cancel(incident) {
+        const escalation = incident.escalation;
+        if (!escalation || escalation.status === 'cancelled') return;
+
+        clearTimeout(this.timers.get(incident.id));
+        this.timers.delete(incident.id);
+        escalation.status = 'cancelled';
+        await this.store.persist();
+
+        const notified = escalation.tiers
+            .filter(tier => tier.notifiedAt)
+            .flatMap(tier => tier.contacts);
+
+        await Promise.all(notified.map(contact =>
+            this.notifier.notifyRetraction(contact, incident).catch((error) => {
+                console.error(`❌ Failed to notify ${contact.name} of retraction:`, error);
+            })
+        ));
+
+        console.log(`↩️ Escalation cancelled for ${incident.id}`);
+    }
+
+    /**
+     * Resume escalations that were in progress when the server stopped
+     */
+    resume() {
+        this.store.listIncidents()
+            .filter(incident => incident.escalation && incident.escalation.status === 'notifying')
+            .forEach((incident) => {
+                const tier = incident.escalation.tiers[incident.escalation.currentTier];
+                const elapsed = Date.now() - new Date(tier.notifiedAt).getTime();
+                this.schedule(incident, this.ackTimeout - elapsed);
+            });
+    }
+
+    /**
+     * Incident escalation state without the acknowledgement tokens
+     */
+    static toPublic(escalation) {
+        if (!escalation) return null;
+
+        return {
+            ...escalation,
+            tiers: escalation.tiers.map(tier => ({
+                ...tier,
+                contacts: tier.contacts.map(({ ackToken, ...contact }) => contact)
+            }))
+        };
+    }
+}
+
+module.exports = EscalationManager;
@@ -0,0 +1,58 @@
+/**
+ * NavRaksha Identity Proofs
+ * Checks that a device holds the identity key behind a NavRaksha ID. As in the app's
+ * credential (js/credential.js), the ID is a fingerprint of the public key, so a valid
+ * signature from a key with that fingerprint can only come from the ID's owner.
+ */
+
+const crypto = require('crypto');
+
+const ECDSA_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Crockford base32, as in js/credential.js
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * ID derived from a raw public key: NR-XXXX-XXXX-XXXX-XXXX (80 bits of its SHA-256)
+ */
+function fingerprint(publicKeyBytes) {
+    const digest = crypto.createHash('sha256').update(publicKeyBytes).digest();
+
+    let bits = '';
+    digest.subarray(0, 10).forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    const chars = bits.match(/.{5}/g).map(chunk => ID_ALPHABET[parseInt(chunk, 2)]).join('');
+    return `NR-${chars.match(/.{4}/g).join('-')}`;
+}
+
+/**
+ * Check a proof ({ publicKey, signature }, base64url) that the holder of userId's identity key
+ * signed message
+ */
+async function verifyIdentityProof(userId, proof, message) {
+    if (!proof || typeof proof.publicKey !== 'string' || typeof proof.signature !== 'string') {
+        return false;
+    }
+
+    const publicKeyBytes = Buffer.from(proof.publicKey, 'base64url');
+    if (fingerprint(publicKeyBytes) !== userId) {
+        return false;
+    }
+
+    try {
+        const publicKey = await crypto.webcrypto.subtle.importKey(
+            'raw', publicKeyBytes, ECDSA_KEY_PARAMS, false, ['verify']
+        );
+        return await crypto.webcrypto.subtle.verify(
+            ECDSA_SIGN_PARAMS, publicKey, Buffer.from(proof.signature, 'base64url'), Buffer.from(message)
+        );
+    } catch (error) {
+        // Not a P-256 point
+        return false;
+    }
+}
+
+module.exports = { fingerprint, verifyIdentityProof };
@@ -0,0 +1,67 @@
+/**
+ * NavRaksha Local Backend
+ * Serves the PWA and receives SOS incidents and location uploads
+ *
+ * Usage: npm start  (PORT, HOST and NAVRAKSHA_DATA_FILE can be set in the environment)
+ */
+
+const http = require('http');
+const path = require('path');
+const IncidentStore = require('./store');
+const createApiHandler = require('./api');
+const createStaticHandler = require('./static');
+const EscalationManager = require('./escalation');
+const ConsoleNotifier = require('./notifier');
+const { WebPushClient } = require('./web-push');
+const { PushService } = require('./push-service');
+const { sendJson } = require('./http');
+
+const PORT = parseInt(process.env.PORT, 10) || 5501;
+// Only this machine can connect unless HOST opens it up (e.g. 0.0.0.0 to test from a phone)
+const HOST = process.env.HOST || '127.0.0.1';
+// Lets responders on other machines read incidents and sessions; unset, only this machine can
+const RESPONDER_TOKEN = process.env.NAVRAKSHA_RESPONDER_TOKEN || null;
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_FILE = process.env.NAVRAKSHA_DATA_FILE || path.join(ROOT_DIR, 'data', 'incidents.json');
+const ACK_TIMEOUT = parseInt(process.env.NAVRAKSHA_ACK_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+const VAPID_FILE = process.env.NAVRAKSHA_VAPID_FILE || path.join(path.dirname(DATA_FILE), 'vapid.json');
+// Push services use the VAPID subject to contact the sender about problems
+const VAPID_SUBJECT = process.env.NAVRAKSHA_VAPID_SUBJECT || 'mailto:admin@navraksha.local';
+
+async function main() {
+    const store = await new IncidentStore(DATA_FILE).load();
+    const escalation = new EscalationManager(store, new ConsoleNotifier(`http://localhost:${PORT}`), ACK_TIMEOUT);
+    escalation.resume();
+
+    const push = new PushService(store, await WebPushClient.load(VAPID_FILE, VAPID_SUBJECT));
+
+    const handleApi = createApiHandler(store, escalation, push, { responderToken: RESPONDER_TOKEN });
+    const handleStatic = createStaticHandler(ROOT_DIR);
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (pathname.startsWith('/api/')) {
+            handleApi(req, res, pathname);
+            return;
+        }
+
+        let decodedPath;
+        try {
+            decodedPath = decodeURIComponent(pathname);
+        } catch (error) {
+            sendJson(res, 400, { error: 'Malformed URL' });
+            return;
+        }
+        handleStatic(req, res, decodedPath);
+    });
+
+    server.listen(PORT, HOST, () => {
+        console.log(`🛡️ NavRaksha backend running at http://${HOST}:${PORT}`);
+    });
+}
+
+main().catch((error) => {
+    console.error('❌ Failed to start NavRaksha backend:', error);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * NavRaksha Contact Notifier
+ * Delivers escalation messages to emergency contacts. The local backend has no
+ * SMS or email provider, so messages (including the acknowledgement link) are logged.
+ */
+
+class ConsoleNotifier {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Notify one contact about an incident
+     */
+    async notify(contact, incident, ackToken) {
+        const ackUrl = `${this.baseUrl}/api/emergency/incidents/${incident.id}/ack?token=${ackToken}`;
+        const location = incident.location
+            ? `${incident.location.latitude.toFixed(6)}, ${incident.location.longitude.toFixed(6)}`
+            : 'unknown location';
+        const name = (incident.userData && incident.userData.name) || 'A NavRaksha user';
+
+        console.log(`📨 Notify ${contact.name} (${contact.relationship || 'contact'}) via ${[contact.phone, contact.email].filter(Boolean).join(' / ')}`);
+        console.log(`   ${name} triggered an SOS at ${location}. Acknowledge: ${ackUrl}`);
+
+        // Context sent since SOS schema 2
+        const details = [
+            incident.trigger && `raised by ${incident.trigger.replace('_', ' ')}`,
+            incident.motion && typeof incident.motion.speed === 'number' && `moving at ${Math.round(incident.motion.speed * 3.6)} km/h`,
+            incident.device && incident.device.battery && `battery ${Math.round(incident.device.battery.level * 100)}%`
+        ].filter(Boolean);
+        if (details.length > 0) {
+            console.log(`   ${details.join(', ')}`);
+        }
+    }
+
+    /**
+     * Tell a contact that an SOS was a false alarm
+     */
+    async notifyRetraction(contact, incident) {
+        const name = (incident.userData && incident.userData.name) || 'A NavRaksha user';
+
+        console.log(`📨 Notify ${contact.name} via ${[contact.phone, contact.email].filter(Boolean).join(' / ')}`);
+        console.log(`   ${name} is safe. The SOS sent at ${incident.timestamp} was a false alarm.`);
+    }
+}
+
+module.exports = ConsoleNotifier;
@@ -0,0 +1,69 @@
+/**
+ * NavRaksha Push Service
+ * Sends safety messages to the devices that subscribed to push notifications, and forgets
+ * subscriptions the browser's push service reports as gone or whose keys are invalid
+ */
+
+// Message types the app knows how to show; see the push handler in service-worker.js
+const PUSH_MESSAGE_TYPES = ['advisory', 'sos_ack', 'checkin_reminder'];
+
+// Advisories and acknowledgements are time-critical; a late check-in reminder is still useful
+const PUSH_URGENCY = {
+    advisory: 'high',
+    sos_ack: 'high',
+    checkin_reminder: 'normal'
+};
+
+class PushService {
+    constructor(store, client) {
+        this.store = store;
+        this.client = client;
+    }
+
+    /**
+     * Send a message to every subscription, or only a user's; resolves to delivery counts
+     */
+    async send(message, userId = null) {
+        const subscriptions = this.store.listPushSubscriptions(userId);
+        const result = { sent: 0, failed: 0, removed: 0 };
+
+        await Promise.all(subscriptions.map(async (subscription) => {
+            try {
+                await this.client.send(subscription, message, {
+                    urgency: PUSH_URGENCY[message.type],
+                    // Later acknowledgements and reminders replace ones still undelivered; advisories don't
+                    topic: message.type === 'advisory' ? null : message.type
+                });
+                result.sent++;
+            } catch (error) {
+                if (error.gone) {
+                    await this.store.removePushSubscription(subscription.endpoint);
+                    result.removed++;
+                } else {
+                    result.failed++;
+                    console.warn('⚠️ Push failed:', error.message);
+                }
+            }
+        }));
+
+        console.log(`📨 Push "${message.type}" to ${userId || 'everyone'}: ${result.sent} sent, ${result.failed} failed, ${result.removed} removed`);
+        return result;
+    }
+
+    /**
+     * Tell the user who raised an SOS that a contact has acknowledged it
+     */
+    notifyAcknowledged(incident) {
+        if (!incident.userId || !incident.escalation || !incident.escalation.acknowledgedBy) {
+            return Promise.resolve(null);
+        }
+
+        return this.send({
+            type: 'sos_ack',
+            params: { name: incident.escalation.acknowledgedBy.name },
+            url: '/#dashboard-section'
+        }, incident.userId);
+    }
+}
+
+module.exports = { PushService, PUSH_MESSAGE_TYPES };
@@ -0,0 +1,79 @@
+/**
+ * NavRaksha Static File Server
+ * Serves the PWA from the repository root
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sendJson } = require('./http');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.geojson': 'application/geo+json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.wav': 'audio/wav'
+};
+
+// Paths under the root that must never be served
+const PRIVATE_PREFIXES = ['/server/', '/data/', '/node_modules/', '/.'];
+
+// The service worker and the manifest it imports must always be revalidated so updates are picked up
+const NO_CACHE_PATHS = ['/service-worker.js', '/precache-manifest.js'];
+
+/**
+ * Build a static file handler rooted at a directory
+ */
+function createStaticHandler(rootDir) {
+    const root = path.resolve(rootDir);
+
+    return async (req, res, pathname) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const requestPath = pathname === '/' ? '/index.html' : pathname;
+        const filePath = path.resolve(root, `.${requestPath}`);
+
+        if (!filePath.startsWith(root + path.sep) ||
+            PRIVATE_PREFIXES.some(prefix => requestPath.startsWith(prefix))) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            const stat = await fs.promises.stat(filePath);
+            if (!stat.isFile()) {
+                throw Object.assign(new Error('Not a file'), { code: 'ENOENT' });
+            }
+
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                'Content-Length': stat.size,
+                'Cache-Control': NO_CACHE_PATHS.includes(requestPath) ? 'no-cache' : 'public, max-age=0'
+            });
+
+            if (req.method === 'HEAD') {
+                res.end();
+                return;
+            }
+
+            fs.createReadStream(filePath).pipe(res);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                sendJson(res, 404, { error: 'Not found' });
+                return;
+            }
+            console.error('❌ Static file error:', error);
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = createStaticHandler;
@@ -0,0 +1,296 @@
+/**
+ * NavRaksha Incident Store
+ * JSON file persistence for SOS incidents, location fixes and push subscriptions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMPTY_STORE = {
+    incidents: [],
+    locations: [],
+    geofenceEvents: [],
+    trackingSessions: [],
+    pushSubscriptions: [],
+    // Retractions that arrived before the SOS they refer to
+    pendingRetractions: []
+};
+
+class IncidentStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = null;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load the store from disk, creating it if missing
+     */
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = { ...EMPTY_STORE, ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.data = JSON.parse(JSON.stringify(EMPTY_STORE));
+            await this.persist();
+        }
+
+        console.log(`💾 Incident store loaded (${this.data.incidents.length} incidents)`);
+        return this;
+    }
+
+    /**
+     * Write the store atomically; writes are serialized so they never interleave
+     */
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+
+        this.writeChain = this.writeChain
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tmpPath = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tmpPath, snapshot);
+                await fs.promises.rename(tmpPath, this.filePath);
+            });
+
+        return this.writeChain;
+    }
+
+    /**
+     * Generate an incident ID in the same style as the client's digital IDs
+     */
+    generateIncidentId() {
+        const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+        return `INC-${random}-${Date.now().toString(36).toUpperCase()}`;
+    }
+
+    /**
+     * Record a new SOS incident. A retried request with the same idempotency key
+     * returns the incident created the first time.
+     */
+    async createIncident(sosData, idempotencyKey = null) {
+        const existing = idempotencyKey &&
+            this.data.incidents.find(incident => incident.idempotencyKey === idempotencyKey);
+        if (existing) {
+            return { incident: existing, duplicate: true };
+        }
+
+        const incident = {
+            ...sosData,
+            id: this.generateIncidentId(),
+            idempotencyKey,
+            status: 'open',
+            receivedAt: new Date().toISOString()
+        };
+
+        const retraction = idempotencyKey &&
+            this.data.pendingRetractions.find(pending => pending.sosId === idempotencyKey);
+        if (retraction) {
+            incident.status = 'retracted';
+            incident.retraction = retraction;
+            this.data.pendingRetractions = this.data.pendingRetractions.filter(pending => pending !== retraction);
+        }
+
+        this.data.incidents.push(incident);
+
+        // Link a live session whose first breadcrumbs arrived before the SOS itself
+        if (idempotencyKey) {
+            this.data.trackingSessions
+                .filter(session => session.sosId === idempotencyKey)
+                .forEach((session) => {
+                    session.incidentId = incident.id;
+                });
+        }
+
+        await this.persist();
+
+        return { incident, duplicate: false };
+    }
+
+    /**
+     * Mark the incident created for an SOS as a false alarm. If the SOS has not arrived yet,
+     * the retraction is kept and applied when it does.
+     */
+    async retractIncident(retraction) {
+        const record = { ...retraction, receivedAt: new Date().toISOString() };
+        const incident = this.data.incidents.find(candidate => candidate.idempotencyKey === retraction.sosId);
+
+        if (incident) {
+            if (incident.status !== 'retracted') {
+                incident.status = 'retracted';
+                incident.retraction = record;
+            }
+        } else if (!this.data.pendingRetractions.some(pending => pending.sosId === retraction.sosId)) {
+            this.data.pendingRetractions.push(record);
+        }
+
+        await this.persist();
+        return incident || null;
+    }
+
+    /**
+     * Look up an incident by ID
+     */
+    getIncident(id) {
+        return this.data.incidents.find(incident => incident.id === id) || null;
+    }
+
+    /**
+     * List incidents, newest first
+     */
+    listIncidents() {
+        return [...this.data.incidents].reverse();
+    }
+
+    /**
+     * Append location fixes; a batch already received under the same idempotency key is skipped
+     */
+    async addLocations(fixes, idempotencyKey = null) {
+        if (idempotencyKey && this.data.locations.some(fix => fix.idempotencyKey === idempotencyKey)) {
+            return [];
+        }
+
+        const receivedAt = new Date().toISOString();
+        const stored = fixes.map(fix => ({ ...fix, idempotencyKey, receivedAt }));
+
+        this.data.locations.push(...stored);
+        await this.persist();
+
+        return stored;
+    }
+
+    /**
+     * Add a breadcrumb to an emergency session, creating the session on its first update.
+     * Points are kept in sequence order whatever order they arrive in; a closed session takes no more.
+     */
+    async addTrackingPoint(update) {
+        let session = this.getTrackingSession(update.sessionId);
+
+        if (!session) {
+            const incident = update.sosId &&
+                this.data.incidents.find(candidate => candidate.idempotencyKey === update.sosId);
+
+            session = {
+                id: update.sessionId,
+                sosId: update.sosId || null,
+                incidentId: incident ? incident.id : null,
+                userId: update.userId || null,
+                status: 'active',
+                startedAt: new Date().toISOString(),
+                closedAt: null,
+                closedBy: null,
+                points: []
+            };
+            this.data.trackingSessions.push(session);
+        }
+
+        // Points held back by outbox retries can arrive after the session was closed; drop them
+        if (session.status !== 'closed' && !session.points.some(point => point.seq === update.seq)) {
+            const { sessionId, sosId, userId, ...point } = update;
+            session.points.push({ ...point, receivedAt: new Date().toISOString() });
+            session.points.sort((a, b) => a.seq - b.seq);
+            await this.persist();
+        }
+
+        return session;
+    }
+
+    /**
+     * Close an emergency session
+     */
+    async closeTrackingSession(sessionId, closedBy, reason = null) {
+        const session = this.getTrackingSession(sessionId);
+        if (!session || session.status === 'closed') {
+            return session;
+        }
+
+        session.status = 'closed';
+        session.closedAt = new Date().toISOString();
+        session.closedBy = closedBy;
+        session.closeReason = reason;
+        await this.persist();
+
+        return session;
+    }
+
+    /**
+     * Look up an emergency session by ID
+     */
+    getTrackingSession(id) {
+        return this.data.trackingSessions.find(session => session.id === id) || null;
+    }
+
+    /**
+     * Append a geofence enter/exit event, skipping retried deliveries
+     */
+    async addGeofenceEvent(event, idempotencyKey = null) {
+        if (idempotencyKey && this.data.geofenceEvents.some(stored => stored.idempotencyKey === idempotencyKey)) {
+            return null;
+        }
+
+        const stored = { ...event, idempotencyKey, receivedAt: new Date().toISOString() };
+        this.data.geofenceEvents.push(stored);
+        await this.persist();
+
+        return stored;
+    }
+
+    /**
+     * Save a push subscription, replacing any earlier one for the same endpoint. A renewed
+     * subscription can name the endpoint it replaces, which is then dropped. secretHash is
+     * the hash of the registering device's secret, which the API checks before any change.
+     */
+    async savePushSubscription({ subscription, userId = null, previousEndpoint = null }, secretHash) {
+        const replaced = this.data.pushSubscriptions.find(stored => (
+            stored.endpoint === subscription.endpoint || stored.endpoint === previousEndpoint
+        ));
+        this.data.pushSubscriptions = this.data.pushSubscriptions.filter(stored => (
+            stored.endpoint !== subscription.endpoint && stored.endpoint !== previousEndpoint
+        ));
+
+        const stored = {
+            endpoint: subscription.endpoint,
+            keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+            userId: userId || (replaced ? replaced.userId : null),
+            secretHash,
+            createdAt: replaced ? replaced.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.data.pushSubscriptions.push(stored);
+        await this.persist();
+
+        return stored;
+    }
+
+    findPushSubscription(endpoint) {
+        return this.data.pushSubscriptions.find(stored => stored.endpoint === endpoint) || null;
+    }
+
+    /**
+     * Forget a push subscription; returns whether it was known
+     */
+    async removePushSubscription(endpoint) {
+        const before = this.data.pushSubscriptions.length;
+        this.data.pushSubscriptions = this.data.pushSubscriptions.filter(stored => stored.endpoint !== endpoint);
+        if (this.data.pushSubscriptions.length === before) {
+            return false;
+        }
+
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Push subscriptions, optionally only a user's
+     */
+    listPushSubscriptions(userId = null) {
+        return this.data.pushSubscriptions.filter(stored => !userId || stored.userId === userId);
+    }
+}
+
+module.exports = IncidentStore;
@@ -0,0 +1,431 @@
+/**
+ * NavRaksha Payload Validation
+ * Checks incoming API payloads; each validator returns a list of error messages
+ */
+
+// SOS payload versions: 1 (no schemaVersion field) is still sent by SOS queued before version 2
+const SOS_SCHEMA_VERSIONS = [1, 2];
+const SOS_TRIGGERS = ['button', 'keyboard', 'voice', 'safe_phrase', 'fall', 'checkin_timeout', 'checkin_help'];
+const SOS_MAX_BREADCRUMBS = 30;
+
+/**
+ * Check that a value is a finite number within a range
+ */
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check that a value parses as a date
+ */
+function isTimestamp(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check that a value is an https URL, as push service endpoints are
+ */
+function isHttpsUrl(value) {
+    if (typeof value !== 'string' || value.length > 2048) return false;
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check that a value is a base64url string, such as a push subscription key
+ */
+function isBase64Url(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]+=*$/.test(value) && value.length <= 256;
+}
+
+/**
+ * Validate a latitude/longitude/accuracy location object
+ */
+function validateLocation(location, field = 'location') {
+    const errors = [];
+
+    if (!location || typeof location !== 'object') {
+        return [`${field} must be an object`];
+    }
+
+    if (!isNumberInRange(location.latitude, -90, 90)) {
+        errors.push(`${field}.latitude must be a number between -90 and 90`);
+    }
+    if (!isNumberInRange(location.longitude, -180, 180)) {
+        errors.push(`${field}.longitude must be a number between -180 and 180`);
+    }
+    if (location.accuracy !== undefined && location.accuracy !== null &&
+        !isNumberInRange(location.accuracy, 0, Infinity)) {
+        errors.push(`${field}.accuracy must be a non-negative number`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check the emergency contacts attached to an SOS. A bad contact must not cost the whole SOS:
+ * one that can be reached (a phone or email) is kept with a default name or priority, one
+ * that can't is dropped. Returns the usable contacts and, for each problem contact, its
+ * errors and whether it was dropped.
+ */
+function sanitizeContacts(contacts) {
+    const usable = [];
+    const problems = [];
+
+    contacts.forEach((contact, index) => {
+        const field = `emergencyContacts[${index}]`;
+        if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+            problems.push({ index, errors: [`${field} must be an object`], dropped: true });
+            return;
+        }
+
+        const isContactString = value => typeof value === 'string' && value.trim() !== '';
+        if (!isContactString(contact.phone) && !isContactString(contact.email)) {
+            problems.push({ index, errors: [`${field} must have a phone or email`], dropped: true });
+            return;
+        }
+
+        const errors = [];
+        const fixed = { ...contact };
+        if (!isContactString(contact.name)) {
+            errors.push(`${field}.name must be a non-empty string`);
+            fixed.name = 'Emergency contact';
+        }
+        if (!Number.isInteger(contact.priority) || contact.priority < 1) {
+            errors.push(`${field}.priority must be a positive integer`);
+            fixed.priority = 1;
+        }
+
+        if (errors.length > 0) {
+            problems.push({ index, errors, dropped: false });
+        }
+        usable.push(fixed);
+    });
+
+    return { contacts: usable, problems };
+}
+
+/**
+ * Check that a value is null or a finite number within a range
+ */
+function isOptionalNumber(value, min, max) {
+    return value === null || isNumberInRange(value, min, max);
+}
+
+/**
+ * Validate the motion, device, trigger, breadcrumb and version fields added in SOS schema 2
+ */
+function validateSOSContext(payload) {
+    const errors = [];
+
+    if (!SOS_TRIGGERS.includes(payload.trigger)) {
+        errors.push(`trigger must be one of ${SOS_TRIGGERS.join(', ')}`);
+    }
+
+    const { motion, device, breadcrumbs } = payload;
+    if (motion !== null && motion !== undefined) {
+        if (typeof motion !== 'object') {
+            errors.push('motion must be an object or null');
+        } else {
+            if (!isOptionalNumber(motion.heading, 0, 360)) {
+                errors.push('motion.heading must be a number between 0 and 360, or null');
+            }
+            if (!isOptionalNumber(motion.speed, 0, Infinity)) {
+                errors.push('motion.speed must be a non-negative number or null');
+            }
+            if (!isOptionalNumber(motion.altitude, -Infinity, Infinity)) {
+                errors.push('motion.altitude must be a number or null');
+            }
+        }
+    }
+
+    if (device !== null && device !== undefined) {
+        if (typeof device !== 'object') {
+            errors.push('device must be an object or null');
+        } else {
+            const { battery, connection } = device;
+            if (battery !== null && battery !== undefined &&
+                (typeof battery !== 'object' || !isNumberInRange(battery.level, 0, 1) || typeof battery.charging !== 'boolean')) {
+                errors.push('device.battery must have a level between 0 and 1 and a boolean charging, or be null');
+            }
+            if (connection !== null && connection !== undefined) {
+                if (typeof connection !== 'object' || typeof connection.online !== 'boolean') {
+                    errors.push('device.connection must have a boolean online, or be null');
+                } else if (![connection.type, connection.effectiveType].every(value => value === null || typeof value === 'string')) {
+                    errors.push('device.connection type and effectiveType must be strings or null');
+                }
+            }
+        }
+    }
+
+    if (breadcrumbs !== null && breadcrumbs !== undefined) {
+        if (!Array.isArray(breadcrumbs) || breadcrumbs.length > SOS_MAX_BREADCRUMBS) {
+            errors.push(`breadcrumbs must be an array of at most ${SOS_MAX_BREADCRUMBS} positions`);
+        } else {
+            breadcrumbs.forEach((point, index) => {
+                errors.push(...validateLocation(point, `breadcrumbs[${index}]`));
+                if (!isTimestamp(point && point.timestamp)) {
+                    errors.push(`breadcrumbs[${index}].timestamp must be a valid date`);
+                }
+            });
+        }
+    }
+
+    if (payload.appVersion !== null && payload.appVersion !== undefined &&
+        (typeof payload.appVersion !== 'string' || payload.appVersion.length > 64)) {
+        errors.push('appVersion must be a string of at most 64 characters, or null');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an SOS payload as sent by NavRaksha.sendSOS (js/sos-payload.js)
+ */
+function validateSOS(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+    const schemaVersion = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+
+    if (!SOS_SCHEMA_VERSIONS.includes(schemaVersion)) {
+        return [`schemaVersion must be one of ${SOS_SCHEMA_VERSIONS.join(', ')}`];
+    }
+    if (payload.userId !== null && payload.userId !== undefined && typeof payload.userId !== 'string') {
+        errors.push('userId must be a string or null');
+    }
+    if (!isTimestamp(payload.timestamp)) {
+        errors.push('timestamp must be a valid date');
+    }
+    if (payload.location !== null && payload.location !== undefined) {
+        errors.push(...validateLocation(payload.location));
+    }
+    if (payload.userData !== null && payload.userData !== undefined &&
+        (typeof payload.userData !== 'object' || Array.isArray(payload.userData))) {
+        errors.push('userData must be an object or null');
+    }
+    // Individual contacts are checked by sanitizeContacts, which drops rather than rejects
+    if (payload.emergencyContacts !== undefined && !Array.isArray(payload.emergencyContacts)) {
+        errors.push('emergencyContacts must be an array');
+    }
+    if (schemaVersion >= 2) {
+        errors.push(...validateSOSContext(payload));
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a location upload: a single fix or { fixes: [...] }
+ */
+function validateLocationUpload(payload) {
+    if (!payload || typeof payload !== 'object') {
+        return ['payload must be a JSON object'];
+    }
+
+    const fixes = Array.isArray(payload.fixes) ? payload.fixes : [payload];
+    if (fixes.length === 0) {
+        return ['fixes must not be empty'];
+    }
+
+    const errors = [];
+    fixes.forEach((fix, index) => {
+        const field = Array.isArray(payload.fixes) ? `fixes[${index}]` : 'location';
+        errors.push(...validateLocation(fix, field));
+        if (!isTimestamp(fix && fix.timestamp)) {
+            errors.push(`${field}.timestamp must be a valid date`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a geofence enter/exit event
+ */
+function validateGeofenceEvent(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (payload.type !== 'enter' && payload.type !== 'exit') {
+        errors.push('type must be "enter" or "exit"');
+    }
+    if (typeof payload.zoneId !== 'string' || payload.zoneId.length === 0) {
+        errors.push('zoneId must be a non-empty string');
+    }
+    if (!isTimestamp(payload.timestamp)) {
+        errors.push('timestamp must be a valid date');
+    }
+    errors.push(...validateLocation(payload.location));
+
+    return errors;
+}
+
+/**
+ * Validate an SOS retraction ("I'm safe" / false alarm)
+ */
+function validateRetraction(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (typeof payload.sosId !== 'string' || payload.sosId.length === 0) {
+        errors.push('sosId must be a non-empty string');
+    }
+    if (!isTimestamp(payload.timestamp)) {
+        errors.push('timestamp must be a valid date');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a breadcrumb streamed during an emergency session
+ */
+function validateTrackingUpdate(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = validateLocation(payload, 'update');
+
+    if (typeof payload.sessionId !== 'string' || payload.sessionId.length === 0) {
+        errors.push('sessionId must be a non-empty string');
+    }
+    if (!Number.isInteger(payload.seq) || payload.seq < 0) {
+        errors.push('seq must be a non-negative integer');
+    }
+    if (!isTimestamp(payload.timestamp)) {
+        errors.push('timestamp must be a valid date');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a request to close an emergency session
+ */
+function validateTrackingClose(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (typeof payload.sessionId !== 'string' || payload.sessionId.length === 0) {
+        errors.push('sessionId must be a non-empty string');
+    }
+    if (payload.closedBy !== 'user' && payload.closedBy !== 'responder') {
+        errors.push('closedBy must be "user" or "responder"');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a push subscription registration: the browser's PushSubscription JSON plus the user it belongs to
+ */
+function validatePushSubscription(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+    const { subscription } = payload;
+
+    if (!subscription || typeof subscription !== 'object') {
+        return ['subscription must be an object'];
+    }
+    if (!isHttpsUrl(subscription.endpoint)) {
+        errors.push('subscription.endpoint must be an https URL');
+    }
+    if (!subscription.keys || !isBase64Url(subscription.keys.p256dh) || !isBase64Url(subscription.keys.auth)) {
+        errors.push('subscription.keys must have base64url p256dh and auth keys');
+    }
+    if (payload.userId !== undefined && payload.userId !== null) {
+        const { proof } = payload;
+        if (typeof payload.userId !== 'string') {
+            errors.push('userId must be a string or null');
+        }
+        if (!proof || typeof proof !== 'object' || !isBase64Url(proof.publicKey) || !isBase64Url(proof.signature)) {
+            errors.push('proof must have the base64url publicKey and signature of the userId\'s identity key');
+        }
+    }
+    if (payload.previousEndpoint !== undefined && payload.previousEndpoint !== null && !isHttpsUrl(payload.previousEndpoint)) {
+        errors.push('previousEndpoint must be an https URL');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a request to forget a push subscription
+ */
+function validatePushUnsubscribe(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+    return isHttpsUrl(payload.endpoint) ? [] : ['endpoint must be an https URL'];
+}
+
+/**
+ * Validate a push message from the local sender
+ */
+function validatePushMessage(payload, types) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (!types.includes(payload.type)) {
+        errors.push(`type must be one of ${types.join(', ')}`);
+    }
+    ['title', 'body'].forEach((field) => {
+        if (payload[field] !== undefined && (typeof payload[field] !== 'string' || payload[field].length > 500)) {
+            errors.push(`${field} must be a string of at most 500 characters`);
+        }
+    });
+    if (payload.type === 'advisory' && (typeof payload.body !== 'string' || payload.body.trim() === '')) {
+        errors.push('an advisory needs a body');
+    }
+    if (payload.type === 'sos_ack' && payload.body === undefined && typeof (payload.params || {}).name !== 'string') {
+        errors.push('an SOS acknowledgement needs params.name or a body');
+    }
+    // Links stay inside the app
+    if (payload.url !== undefined && (typeof payload.url !== 'string' || !payload.url.startsWith('/') || payload.url.startsWith('//'))) {
+        errors.push('url must be a path within the app, such as /#map-section');
+    }
+    if (payload.userId !== undefined && payload.userId !== null && typeof payload.userId !== 'string') {
+        errors.push('userId must be a string or null');
+    }
+    if (payload.params !== undefined && (!payload.params || typeof payload.params !== 'object' || Array.isArray(payload.params))) {
+        errors.push('params must be an object');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateSOS,
+    sanitizeContacts,
+    validateLocationUpload,
+    validateGeofenceEvent,
+    validateRetraction,
+    validateTrackingUpdate,
+    validateTrackingClose,
+    validatePushSubscription,
+    validatePushUnsubscribe,
+    validatePushMessage
+};
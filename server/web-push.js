@@ -0,0 +1,174 @@
+/**
+ * NavRaksha Web Push Client
+ * Sends push messages to browser push services without third-party packages: VAPID
+ * authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291, RFC 8188).
+ * The VAPID key pair is generated on first use and kept in a JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const VAPID_TOKEN_LIFETIME = 12 * 60 * 60;
+const DEFAULT_TTL = 24 * 60 * 60;
+
+class PushError extends Error {
+    constructor(message, statusCode = null, { invalid = false } = {}) {
+        super(message);
+        this.name = 'PushError';
+        this.statusCode = statusCode;
+        // The push service has dropped the subscription, or its keys can't be used; either way
+        // it will never work again and should be forgotten
+        this.gone = invalid || statusCode === 404 || statusCode === 410;
+    }
+}
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * HMAC-based key derivation (RFC 5869), for outputs of one hash block or less
+ */
+function hkdf(salt, ikm, info, length) {
+    const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+    return crypto.createHmac('sha256', prk).update(Buffer.concat([info, Buffer.from([1])])).digest().subarray(0, length);
+}
+
+class WebPushClient {
+    constructor(keys, subject) {
+        this.privateKey = crypto.createPrivateKey({ key: keys.privateKey, format: 'jwk' });
+        this.publicKey = Buffer.concat([
+            Buffer.from([4]),
+            Buffer.from(keys.publicKey.x, 'base64url'),
+            Buffer.from(keys.publicKey.y, 'base64url')
+        ]);
+        this.subject = subject;
+    }
+
+    /**
+     * Load the VAPID keys from a file, generating and saving them on first use
+     */
+    static async load(filePath, subject) {
+        let keys;
+        try {
+            keys = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+
+            const pair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+            keys = {
+                publicKey: pair.publicKey.export({ format: 'jwk' }),
+                privateKey: pair.privateKey.export({ format: 'jwk' })
+            };
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+            console.log('🔑 VAPID keys generated');
+        }
+
+        return new WebPushClient(keys, subject);
+    }
+
+    /**
+     * The application server key browsers subscribe with (uncompressed P-256 point, base64url)
+     */
+    get applicationServerKey() {
+        return toBase64Url(this.publicKey);
+    }
+
+    /**
+     * Authorization header value: a signed JWT for the push service's origin
+     */
+    createVapidAuthorization(endpoint) {
+        const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+        const claims = toBase64Url(JSON.stringify({
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_LIFETIME,
+            sub: this.subject
+        }));
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+            key: this.privateKey,
+            dsaEncoding: 'ieee-p1363'
+        });
+
+        return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${this.applicationServerKey}`;
+    }
+
+    /**
+     * Encrypt a payload for one subscription as a single aes128gcm record
+     */
+    encrypt(subscription, payload) {
+        const userPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+        const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+        const ecdh = crypto.createECDH('prime256v1');
+        const serverPublicKey = ecdh.generateKeys();
+        const sharedSecret = ecdh.computeSecret(userPublicKey);
+
+        const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+        const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+        const salt = crypto.randomBytes(16);
+        const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+        const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+        // 0x02 marks the last (and only) record
+        const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+        if (plaintext.length + 16 > RECORD_SIZE) {
+            throw new PushError('Payload too large');
+        }
+
+        const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+        const header = Buffer.alloc(21);
+        salt.copy(header, 0);
+        header.writeUInt32BE(RECORD_SIZE, 16);
+        header.writeUInt8(serverPublicKey.length, 20);
+
+        return Buffer.concat([header, serverPublicKey, ciphertext]);
+    }
+
+    /**
+     * Send a JSON message to a subscription; throws a PushError if the push service refuses it
+     */
+    async send(subscription, message, { ttl = DEFAULT_TTL, urgency = 'normal', topic = null } = {}) {
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Encoding': 'aes128gcm',
+            Authorization: this.createVapidAuthorization(subscription.endpoint),
+            TTL: String(ttl),
+            Urgency: urgency
+        };
+        if (topic) {
+            headers.Topic = topic;
+        }
+
+        // Encrypt first, so a subscription with a bad key isn't mistaken for an unreachable service
+        let body;
+        try {
+            body = this.encrypt(subscription, JSON.stringify(message));
+        } catch (error) {
+            if (error instanceof PushError) {
+                throw error;
+            }
+            throw new PushError(`Invalid subscription keys: ${error.message}`, null, { invalid: true });
+        }
+
+        let response;
+        try {
+            response = await fetch(subscription.endpoint, { method: 'POST', headers, body });
+        } catch (error) {
+            throw new PushError(`Push service unreachable: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new PushError(`Push service responded ${response.status}`, response.status);
+        }
+    }
+}
+
+module.exports = { WebPushClient, PushError };
@@ -3,53 +3,134 @@
  * Handles offline functionality, caching, and background sync
  */
 
-const CACHE_NAME = 'navraksha-v1.0.0';
-const STATIC_CACHE = 'navraksha-static-v1.0.0';
-const DYNAMIC_CACHE = 'navraksha-dynamic-v1.0.0';
-
-// Files to cache for offline functionality
-const STATIC_FILES = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/app.js',
-    '/manifest.json',
+importScripts(
+    '/precache-manifest.js', '/js/db.js', '/js/i18n.js', '/js/locales/en.js', '/js/locales/hi.js',
+    '/js/crypto.js', '/js/outbox.js', '/js/check-ins.js', '/js/tile-packs.js', '/js/push.js',
+    '/js/sos-payload.js', '/js/event-log.js'
+);
+
+// Versioned by the generated precache manifest (tools/build-precache-manifest.js), so every
+// release gets fresh caches and the old ones are dropped when it activates
+const STATIC_CACHE = `navraksha-static-${PRECACHE_MANIFEST.version}`;
+const DYNAMIC_CACHE = `navraksha-dynamic-${PRECACHE_MANIFEST.version}`;
+const STATIC_CACHE_PREFIX = 'navraksha-static-';
+
+// Where releases before the manifest kept their runtime cache, and the legacy SOS queue
+const LEGACY_DYNAMIC_CACHE = 'navraksha-dynamic-v1.0.0';
+
+// Synthetic entry in the static cache recording the revision of each file in it
+const PRECACHE_REVISIONS_KEY = '/__precache-revisions';
+const PRECACHE_ATTEMPTS = 3;
+
+const outbox = new EventOutbox();
+const checkInStore = new CheckInStore();
+const eventLog = new EventLog();
+
+// Third-party libraries, cached alongside the app files in the manifest
+const CDN_FILES = [
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
     'https://cdn.jsdelivr.net/npm/chart.js',
-    'https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js'
+    'https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js',
+    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js'
 ];
 
-// Install event - cache static files
+// Install event - cache static files. The new version then waits until the page asks it to
+// take over (SKIP_WAITING), so a running app is never switched to new code mid-use.
 self.addEventListener('install', (event) => {
     console.log('🔧 Service Worker installing...');
-    
-    event.waitUntil(
-        caches.open(STATIC_CACHE)
-            .then((cache) => {
-                console.log('📦 Caching static files...');
-                return cache.addAll(STATIC_FILES);
-            })
-            .then(() => {
-                console.log('✅ Static files cached successfully');
-                return self.skipWaiting();
-            })
-            .catch((error) => {
-                console.error('❌ Failed to cache static files:', error);
-            })
-    );
+    event.waitUntil(precacheStaticFiles());
 });
 
+// Cache the manifest's files one by one. Files whose revision is unchanged are copied from
+// the previous version's cache instead of downloaded. Each download is retried; a library
+// that still fails is left to the runtime cache, but a missing app file fails the install,
+// so the current version keeps running and the browser tries again on a later visit.
+async function precacheStaticFiles() {
+    console.log('📦 Caching static files...');
+    const cache = await caches.open(STATIC_CACHE);
+    const precaches = await findPrecaches();
+    const revisions = {};
+
+    const appResults = await Promise.allSettled(PRECACHE_MANIFEST.files.map(async ({ url, revision }) => {
+        const cached = await matchRevision(precaches, url, revision);
+        if (cached) {
+            await cache.put(url, cached);
+        } else {
+            // Skip the HTTP cache, which may still hold the previous version of the file
+            await precacheFile(cache, new Request(url, { cache: 'reload' }));
+        }
+        revisions[url] = revision;
+    }));
+    const cdnResults = await Promise.allSettled(CDN_FILES.map(url => precacheFile(cache, new Request(url))));
+
+    await cache.put(PRECACHE_REVISIONS_KEY, new Response(JSON.stringify(revisions), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+
+    const urls = [...PRECACHE_MANIFEST.files.map(file => file.url), ...CDN_FILES];
+    [...appResults, ...cdnResults].forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.warn('⚠️ Could not cache', urls[index], result.reason);
+        }
+    });
+
+    const failed = appResults.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+        throw new Error(`${failed} app files could not be cached`);
+    }
+    console.log(`✅ Static files cached (version ${PRECACHE_MANIFEST.version})`);
+}
+
+async function precacheFile(cache, request) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await fetch(request);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            await cache.put(request.url, response);
+            return;
+        } catch (error) {
+            if (attempt >= PRECACHE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Static caches of this and earlier versions, with the revisions of the files they hold
+async function findPrecaches() {
+    const names = (await caches.keys()).filter(name => name.startsWith(STATIC_CACHE_PREFIX));
+    const precaches = await Promise.all(names.map(async (name) => {
+        const cache = await caches.open(name);
+        const response = await cache.match(PRECACHE_REVISIONS_KEY);
+        return response ? { cache, revisions: await response.json() } : null;
+    }));
+    return precaches.filter(Boolean);
+}
+
+async function matchRevision(precaches, url, revision) {
+    for (const { cache, revisions } of precaches) {
+        if (revisions[url] !== revision) continue;
+
+        const response = await cache.match(url);
+        if (response) return response;
+    }
+    return null;
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
     console.log('🚀 Service Worker activating...');
     
     event.waitUntil(
-        caches.keys()
+        migrateLegacySOSQueue()
+            .then(() => caches.keys())
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE && cacheName !== TILE_CACHE) {
                             console.log('🗑️ Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -74,9 +155,17 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Handle static file requests
+    // Map tiles: downloaded tile packs first (js/tile-packs.js), then the network
+    const tileUrl = TilePacks.canonicalUrl(request.url);
+    if (tileUrl) {
+        event.respondWith(handleTileRequest(request, tileUrl));
+        return;
+    }
+
+    // Handle static file requests, from this version's caches only: while an update waits,
+    // the newer version's cache already exists and must not leak into the running app
     event.respondWith(
-        caches.match(request)
+        matchOwnCaches(request)
             .then((cachedResponse) => {
                 if (cachedResponse) {
                     return cachedResponse;
@@ -104,38 +193,56 @@ self.addEventListener('fetch', (event) => {
                     .catch(() => {
                         // Return offline page or default response
                         if (request.destination === 'document') {
-                            return caches.match('/index.html');
+                            return caches.match('/index.html', { cacheName: STATIC_CACHE });
                         }
                     });
             })
     );
 });
 
+async function matchOwnCaches(request) {
+    const cached = await caches.match(request, { cacheName: STATIC_CACHE });
+    return cached || caches.match(request, { cacheName: DYNAMIC_CACHE });
+}
+
+// Serve a map tile from the tile cache, whichever tile subdomain was asked for
+async function handleTileRequest(request, tileUrl) {
+    const cached = await caches.match(tileUrl, { cacheName: TILE_CACHE });
+    return cached || fetch(request);
+}
+
 // Handle API requests with offline queueing
 async function handleApiRequest(request) {
+    // Keep a copy of the body in case the request has to be queued
+    const queueableRequest = request.clone();
+
     try {
         // Try to fetch from network first
         const response = await fetch(request);
         return response;
     } catch (error) {
+        // The outbox retries its own deliveries; queueing them here would double them up
+        if (request.headers.has(OUTBOX_DELIVERY_HEADER)) {
+            throw error;
+        }
+
         console.log('📡 API request failed, handling offline...');
         
-        // Handle different API endpoints
         const url = new URL(request.url);
+        const eventType = request.method === 'POST' ? EventOutbox.typeForPath(url.pathname) : null;
         
-        if (url.pathname === '/api/emergency/sos') {
-            return handleOfflineSOS(request);
+        if (eventType) {
+            return queueOfflineRequest(queueableRequest, eventType);
         }
         
         // Return generic offline response
         return new Response(
             JSON.stringify({
                 error: 'Offline',
-                message: 'Request queued for when connection is restored',
-                queued: true
+                message: 'This request needs a network connection'
             }),
             {
-                status: 202,
+                status: 503,
                 headers: {
                     'Content-Type': 'application/json'
                 }
@@ -144,44 +251,26 @@ async function handleApiRequest(request) {
     }
 }
 
-// Handle offline SOS requests
-async function handleOfflineSOS(request) {
+// Queue a failed API request in the shared outbox
+async function queueOfflineRequest(request, eventType) {
     try {
-        const sosData = await request.json();
-        
-        // Store SOS request for later sync
-        const sosQueue = await getSOSQueue();
-        sosQueue.push({
-            id: Date.now(),
-            data: sosData,
-            timestamp: Date.now()
-        });
+        const data = await request.json();
+        const idempotencyKey = request.headers.get('Idempotency-Key') || undefined;
         
-        await setSOSQueue(sosQueue);
+        const { record } = await outbox.enqueue(eventType, data, idempotencyKey);
+        await requestOutboxSync();
+        await broadcastOutboxChange();
         
-        // Show notification if possible
-        if (self.registration.showNotification) {
-            self.registration.showNotification('NavRaksha - SOS Queued', {
-                body: 'Emergency alert queued. Will be sent when connection is restored.',
-                icon: '/icon-192.png',
-                badge: '/icon-192.png',
-                tag: 'sos-queued',
-                requireInteraction: true,
-                actions: [
-                    {
-                        action: 'view',
-                        title: 'View Details'
-                    }
-                ]
-            });
+        if (eventType === 'sos' && !SosPayload.isSilent(data)) {
+            await showSOSQueuedNotification();
         }
         
         return new Response(
             JSON.stringify({
                 success: true,
-                message: 'SOS queued for transmission',
+                message: 'Request queued for transmission',
                 queued: true,
-                id: Date.now()
+                id: record.id
             }),
             {
                 status: 202,
@@ -191,11 +280,11 @@ async function handleOfflineSOS(request) {
             }
         );
     } catch (error) {
-        console.error('❌ Failed to handle offline SOS:', error);
+        console.error('❌ Failed to queue offline request:', error);
         
         return new Response(
             JSON.stringify({
-                error: 'Failed to queue SOS',
+                error: 'Failed to queue request',
                 message: error.message
             }),
             {
@@ -208,143 +297,353 @@ async function handleOfflineSOS(request) {
     }
 }
 
+// Tell the user an SOS is waiting for a connection; it stays until dismissed
+async function showSOSQueuedNotification() {
+    if (!self.registration.showNotification) return;
+
+    await I18n.restorePreference();
+    await self.registration.showNotification(I18n.t('notification.sosQueuedTitle'), {
+        body: I18n.t('notification.sosQueuedBody'),
+        icon: '/icon-192.png',
+        badge: '/icon-192.png',
+        tag: 'sos-queued',
+        requireInteraction: true,
+        actions: [
+            {
+                action: 'view',
+                title: I18n.t('notification.viewDetails')
+            }
+        ]
+    });
+}
+
+// Ask the browser to deliver the outbox once there is a connection, even with no page open.
+// Without Background Sync the page retries on a timer instead.
+async function requestOutboxSync() {
+    if (!self.registration.sync) return;
+
+    try {
+        await self.registration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (error) {
+        console.warn('⚠️ Background sync unavailable:', error.message);
+    }
+}
+
+// Keep open pages' queue counters in step, and hand them what was delivered
+async function broadcastOutboxChange(delivered = []) {
+    await broadcast({
+        type: 'OUTBOX_CHANGED',
+        pending: await outbox.count(),
+        delivered: delivered.map(({ id, type, data, response }) => ({ id, type, data, response }))
+    });
+}
+
 // Background sync for queued requests
 self.addEventListener('sync', (event) => {
     console.log('🔄 Background sync triggered:', event.tag);
     
-    if (event.tag === 'sos-sync') {
-        event.waitUntil(syncSOSQueue());
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(flushOutbox());
     }
 });
 
-// Sync queued SOS requests
-async function syncSOSQueue() {
+// Deliver everything waiting in the shared outbox
+async function flushOutbox() {
     try {
-        const sosQueue = await getSOSQueue();
+        const summary = await outbox.flush({ force: true });
         
-        if (sosQueue.length === 0) {
-            return;
-        }
-        
-        console.log(`🔄 Syncing ${sosQueue.length} SOS requests...`);
+        console.log(`🔄 Outbox flushed: ${summary.delivered.length} sent, ${summary.pending} pending`);
+        await broadcastOutboxChange(summary.delivered);
         
-        const syncedIds = [];
-        
-        for (const sosRequest of sosQueue) {
-            try {
-                const response = await fetch('/api/emergency/sos', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(sosRequest.data)
-                });
-                
-                if (response.ok) {
-                    syncedIds.push(sosRequest.id);
-                    console.log('✅ SOS request synced:', sosRequest.id);
-                    
-                    // Show success notification
-                    if (self.registration.showNotification) {
-                        self.registration.showNotification('NavRaksha - SOS Sent', {
-                            body: 'Emergency alert successfully transmitted to authorities.',
-                            icon: '/icon-192.png',
-                            tag: 'sos-sent'
-                        });
-                    }
-                }
-            } catch (error) {
-                console.error('❌ Failed to sync SOS request:', error);
-            }
+        const sentSOS = summary.delivered.filter(event => event.type === 'sos' && !SosPayload.isSilent(event.data));
+        if (sentSOS.length > 0 && self.registration.showNotification) {
+            const queued = await self.registration.getNotifications({ tag: 'sos-queued' });
+            queued.forEach(notification => notification.close());
+
+            await I18n.restorePreference();
+            self.registration.showNotification(I18n.t('notification.sosSentTitle'), {
+                body: I18n.t('notification.sosSentBody'),
+                icon: '/icon-192.png',
+                tag: 'sos-sent'
+            });
         }
         
-        // Remove synced requests from queue
-        if (syncedIds.length > 0) {
-            const remainingQueue = sosQueue.filter(req => !syncedIds.includes(req.id));
-            await setSOSQueue(remainingQueue);
+        // Let the browser retry the sync later if anything is still waiting
+        if (summary.pending > 0) {
+            throw new Error(`${summary.pending} events still pending`);
         }
-        
     } catch (error) {
-        console.error('❌ SOS sync failed:', error);
+        console.error('❌ Outbox sync failed:', error);
+        throw error;
     }
 }
 
-// Utility functions for SOS queue management
-async function getSOSQueue() {
+// Move SOS requests queued by older versions (stored as a fake /sos-queue response) into the outbox
+async function migrateLegacySOSQueue() {
     try {
-        const cache = await caches.open(DYNAMIC_CACHE);
+        if (!(await caches.has(LEGACY_DYNAMIC_CACHE))) {
+            return;
+        }
+
+        const cache = await caches.open(LEGACY_DYNAMIC_CACHE);
         const response = await cache.match('/sos-queue');
         
-        if (response) {
-            return await response.json();
+        if (!response) {
+            return;
+        }
+        
+        const sosQueue = await response.json();
+        for (const sosRequest of sosQueue) {
+            await outbox.enqueue('sos', sosRequest.data, `legacy-sw-${sosRequest.id}`);
         }
         
-        return [];
+        await cache.delete('/sos-queue');
+        console.log(`📦 Migrated ${sosQueue.length} legacy SOS requests`);
     } catch (error) {
-        console.error('❌ Failed to get SOS queue:', error);
-        return [];
+        console.error('❌ Failed to migrate legacy SOS queue:', error);
     }
 }
 
-async function setSOSQueue(queue) {
-    try {
-        const cache = await caches.open(DYNAMIC_CACHE);
-        const response = new Response(JSON.stringify(queue), {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        await cache.put('/sos-queue', response);
-    } catch (error) {
-        console.error('❌ Failed to set SOS queue:', error);
+// Remind the user about check-ins that have fallen due, once per occurrence
+async function remindDueCheckIns() {
+    const checkIns = await checkInStore.getAll();
+    const now = Date.now();
+
+    for (const checkIn of checkIns) {
+        if (CheckIns.status(checkIn, now) === CHECK_IN_STATUS.PENDING || checkIn.notifiedAt >= checkIn.dueAt) {
+            continue;
+        }
+
+        await showCheckInNotification(checkIn);
+        await checkInStore.save({ ...checkIn, notifiedAt: now });
     }
 }
 
+// Send the SOS for check-ins whose grace period ran out. A visible page escalates them itself;
+// otherwise the user may be unable to open the app, which is what the check-in is there for.
+async function escalateMissedCheckIns() {
+    const now = Date.now();
+    const missed = (await checkInStore.getAll()).filter(checkIn => CheckIns.status(checkIn, now) === CHECK_IN_STATUS.MISSED);
+    if (missed.length === 0) return;
+
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.some(client => client.visibilityState === 'visible')) return;
+
+    const context = await checkInStore.loadEscalation();
+    if (!context) {
+        console.warn('⚠️ Check-in missed, but no SOS details were saved by the app');
+        return;
+    }
+
+    // Move past the missed occurrences first, so a page opening now doesn't send them again
+    for (const checkIn of missed) {
+        await checkInStore.confirm(checkIn.id, now);
+        await eventLog.record('check_in_missed', { checkInId: checkIn.id, label: checkIn.label, dueAt: checkIn.dueAt });
+        console.log('🚨 Check-in missed:', checkIn.label);
+    }
+
+    // The last position the app saved stands in for the location, with its time as a breadcrumb
+    const fix = context.position;
+    const sosId = EventOutbox.generateKey();
+    const payload = await SosPayload.build({
+        trigger: 'checkin_timeout',
+        position: fix ? { coords: fix, timestamp: fix.timestamp } : null,
+        fixes: fix ? [fix] : [],
+        userId: context.userId,
+        userData: context.userData,
+        emergencyContacts: context.emergencyContacts
+    });
+
+    await outbox.enqueue('sos', payload, sosId);
+    await eventLog.record('sos', { sosId });
+    await requestOutboxSync();
+    await showSOSQueuedNotification();
+}
+
+async function showCheckInNotification(checkIn) {
+    const minutes = Math.round(checkIn.grace / 60000);
+
+    await I18n.restorePreference();
+    return self.registration.showNotification(I18n.t('notification.checkInDueTitle'), {
+        body: I18n.t('notification.checkInDueBody', { label: checkIn.label, minutes }),
+        icon: '/icon-192.png',
+        badge: '/icon-192.png',
+        tag: `checkin-${checkIn.id}`,
+        requireInteraction: true,
+        actions: [
+            { action: 'checkin-ok', title: I18n.t('notification.imOk') },
+            { action: 'checkin-help', title: I18n.t('safety.help') }
+        ],
+        data: { checkInId: checkIn.id }
+    });
+}
+
+// How each kind of backend push message is shown, and where tapping it opens the app
+const PUSH_MESSAGES = {
+    advisory: {
+        title: 'notification.advisoryTitle',
+        body: 'notification.advisoryBody',
+        url: '/#map-section',
+        requireInteraction: true
+    },
+    sos_ack: {
+        title: 'notification.sosAckTitle',
+        body: 'notification.sosAckBody',
+        url: '/#dashboard-section',
+        requireInteraction: true
+    },
+    checkin_reminder: {
+        title: 'notification.checkInReminderTitle',
+        body: 'notification.checkInReminderBody',
+        url: '/#checkins-widget',
+        requireInteraction: false
+    }
+};
+
+async function broadcast(message) {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage(message));
+    return windows;
+}
+
+// Answer a check-in notification; without an open page, open one to handle the request for help
+async function handleCheckInAction(action, checkInId) {
+    if (action === 'checkin-ok') {
+        await checkInStore.confirm(checkInId);
+        await broadcast({ type: 'CHECK_IN_CONFIRMED', id: checkInId });
+        return;
+    }
+
+    const windows = await broadcast({
+        type: action === 'checkin-help' ? 'CHECK_IN_HELP' : 'CHECK_IN_DUE',
+        id: checkInId
+    });
+
+    if (windows.length > 0) {
+        await windows[0].focus();
+    } else {
+        const query = action === 'checkin-help' ? `?checkin-help=${encodeURIComponent(checkInId)}` : '';
+        await clients.openWindow(`/${query}`);
+    }
+}
+
+// Periodic wake-ups (where supported) so reminders still go out while the page is backgrounded
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'navraksha-checkins') {
+        event.waitUntil(
+            escalateMissedCheckIns()
+                .catch(error => console.error('❌ Failed to escalate missed check-ins:', error))
+                .then(() => remindDueCheckIns())
+                .then(() => broadcast({ type: 'CHECK_IN_DUE' }))
+        );
+    }
+});
+
 // Handle notification clicks
 self.addEventListener('notificationclick', (event) => {
     console.log('🔔 Notification clicked:', event.notification.tag);
     
     event.notification.close();
-    
+
+    const { checkInId } = event.notification.data || {};
+    if (checkInId) {
+        event.waitUntil(handleCheckInAction(event.action, checkInId));
+        return;
+    }
+
+    const { url } = event.notification.data || {};
+    if (url) {
+        event.waitUntil(openApp(url));
+        return;
+    }
+
     // Handle different notification actions
     if (event.action === 'view' || event.notification.tag === 'sos-sent') {
-        event.waitUntil(
-            clients.openWindow('/')
-        );
+        event.waitUntil(openApp('/'));
     }
 });
 
-// Handle push messages (for future implementation)
+// Bring the app to a link: an open app window is focused and told to show it, otherwise a
+// new window opens there. Links outside the app are ignored.
+async function openApp(url) {
+    const target = new URL(url, self.location.origin);
+    if (target.origin !== self.location.origin) return;
+
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const appWindow = windows.find(client => ['/', '/index.html'].includes(new URL(client.url).pathname));
+
+    if (appWindow) {
+        await appWindow.focus();
+        appWindow.postMessage({ type: 'OPEN_LINK', url: target.pathname + target.search + target.hash });
+    } else {
+        await clients.openWindow(target.href);
+    }
+}
+
+// Messages from the backend (server/push-service.js)
 self.addEventListener('push', (event) => {
     console.log('📨 Push message received');
     
     if (event.data) {
-        const data = event.data.json();
-        
-        event.waitUntil(
-            self.registration.showNotification(data.title || 'NavRaksha', {
-                body: data.body || 'New safety alert',
-                icon: '/icon-192.png',
-                badge: '/icon-192.png',
-                tag: data.tag || 'general',
-                data: data.data || {}
-            })
-        );
+        let message;
+        try {
+            message = event.data.json();
+        } catch (error) {
+            message = { body: event.data.text() };
+        }
+
+        event.waitUntil(showPushNotification(message));
     }
 });
 
+async function showPushNotification(message) {
+    await I18n.restorePreference();
+
+    const kind = PUSH_MESSAGES[message.type];
+    const params = message.params || {};
+    const title = message.title || (kind ? I18n.t(kind.title, params) : 'NavRaksha');
+    const body = message.body || (kind ? I18n.t(kind.body, params) : I18n.t('notification.pushDefaultBody'));
+
+    await self.registration.showNotification(title, {
+        body,
+        icon: '/icon-192.png',
+        badge: '/icon-192.png',
+        tag: message.tag || message.type || 'general',
+        requireInteraction: kind ? kind.requireInteraction : false,
+        data: { url: message.url || (kind ? kind.url : '/') }
+    });
+}
+
+// The browser replaced the subscription (expiry or key rotation); register the new one
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(
+        PushNotifications.renew(self.registration, event.oldSubscription)
+            .catch(error => console.error('❌ Push subscription renewal failed:', error))
+    );
+});
+
 // Periodic background sync for location updates
 self.addEventListener('periodicsync', (event) => {
-    if (event.tag === 'location-sync') {
+    if (event.tag === LOCATION_SYNC_TAG) {
         event.waitUntil(syncLocationUpdates());
     }
 });
 
-// Sync location updates (placeholder for future implementation)
+// Upload the location fixes buffered in the outbox while offline. Other events wait for the
+// one-off sync, which the browser fires as soon as there is a connection.
 async function syncLocationUpdates() {
     console.log('📍 Syncing location updates...');
-    // Implementation would sync queued location data
+
+    try {
+        const summary = await outbox.flush({ force: true, types: ['location_update'] });
+        console.log(`📍 Location sync: ${summary.delivered.length} sent, ${summary.pending} pending`);
+
+        if (summary.delivered.length > 0 || summary.failed.length > 0) {
+            await broadcastOutboxChange(summary.delivered);
+        }
+    } catch (error) {
+        console.error('❌ Location sync failed:', error);
+    }
 }
 
 // Handle messages from main thread
@@ -356,9 +655,32 @@ self.addEventListener('message', (event) => {
     }
     
     if (event.data && event.data.type === 'QUEUE_SOS') {
-        // Queue SOS for background sync
-        self.registration.sync.register('sos-sync');
+        // The page has put an SOS in the outbox: make sure it goes out even if the page closes
+        event.waitUntil(requestOutboxSync().then(() => !event.data.silent && showSOSQueuedNotification()));
+    }
+
+    if (event.data && event.data.type === 'REMIND_CHECK_INS') {
+        event.waitUntil(remindDueCheckIns());
+    }
+
+    if (event.data && event.data.type === 'DATA_ERASED') {
+        event.waitUntil(forgetErasedData());
     }
 });
 
+// The page has deleted all user data: drop the cached device key and anything still on screen
+async function forgetErasedData() {
+    DeviceKey.pending = null;
+
+    const notifications = await self.registration.getNotifications();
+    notifications.forEach(notification => notification.close());
+
+    if (self.registration.periodicSync) {
+        await self.registration.periodicSync.unregister('navraksha-checkins');
+        await self.registration.periodicSync.unregister(LOCATION_SYNC_TAG);
+    }
+
+    console.log('🗑️ User data erased');
+}
+
 console.log('🛡️ NavRaksha Service Worker loaded');
\ No newline at end of file
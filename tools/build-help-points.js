@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Builds the bundled help points dataset (datasets/help-points.geojson) from OpenStreetMap
+ * extracts in GeoJSON, such as an Overpass turbo export or `osmium export`.
+ *
+ * Usage: node tools/build-help-points.js <extract.geojson>... [--out=datasets/help-points.geojson]
+ *
+ * Police stations, hospitals and embassies are kept, each as a point (building outlines
+ * become their centre) with its name and first phone number; everything else is dropped.
+ * Several extracts can be combined; a facility in more than one is kept once. Rebuild the
+ * precache manifest afterwards (npm run build) so installed apps pick up the new data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_OUTPUT = path.join(ROOT_DIR, 'datasets', 'help-points.geojson');
+const ATTRIBUTION = '© OpenStreetMap contributors, ODbL 1.0';
+
+// The parser is a classic browser script; evaluate it in its own context
+function loadHelpPoints() {
+    const source = fs.readFileSync(path.join(ROOT_DIR, 'js', 'help-points.js'), 'utf8');
+    const context = vm.createContext({});
+    vm.runInContext(source, context, { filename: 'js/help-points.js' });
+    return vm.runInContext('HelpPoints', context);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const outArg = args.find(arg => arg.startsWith('--out='));
+    const output = outArg ? path.resolve(outArg.slice('--out='.length)) : DEFAULT_OUTPUT;
+    const inputs = args.filter(arg => !arg.startsWith('--'));
+
+    if (inputs.length === 0) {
+        console.error('Usage: node tools/build-help-points.js <extract.geojson>... [--out=datasets/help-points.geojson]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const HelpPoints = loadHelpPoints();
+    const points = new Map();
+
+    inputs.forEach((input) => {
+        const { points: found, skipped } = HelpPoints.parse(JSON.parse(fs.readFileSync(input, 'utf8')));
+        found.forEach(point => points.set(point.id, point));
+        console.log(`📂 ${input}: ${found.length} help points, ${skipped} other features skipped`);
+    });
+
+    const sorted = Array.from(points.values()).sort((a, b) => a.type.localeCompare(b.type) || a.id.localeCompare(b.id));
+    const counts = sorted.reduce((totals, point) => ({ ...totals, [point.type]: (totals[point.type] || 0) + 1 }), {});
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, `${JSON.stringify(HelpPoints.toGeoJSON(sorted, { attribution: ATTRIBUTION }))}\n`);
+
+    console.log(`📦 Wrote ${sorted.length} help points to ${path.relative(process.cwd(), output)}:`,
+        Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ') || 'none');
+}
+
+main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Generates precache-manifest.js: the app files the service worker caches on install, each
+ * with a content hash, and a version covering them and the worker itself.
+ *
+ * Usage: node tools/build-precache-manifest.js [--check]
+ *
+ * Run it after changing any app file. A changed manifest changes the worker's imported
+ * script, so browsers install the new version and the app offers a reload. With --check
+ * nothing is written and the exit code is non-zero if the manifest is out of date.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MANIFEST_FILE = 'precache-manifest.js';
+const WORKER_FILE = 'service-worker.js';
+
+// Served app files, relative to the root; directories are included recursively
+const PRECACHE_SOURCES = ['index.html', 'page2.html', 'styles.css', 'app.js', 'script.js', 'manifest.json', 'js', 'datasets'];
+
+// The app shell is also requested as the bare root
+const ALIASES = { '/': '/index.html' };
+
+function listFiles(relativePath) {
+    const fullPath = path.join(ROOT_DIR, relativePath);
+    if (!fs.statSync(fullPath).isDirectory()) {
+        return [relativePath];
+    }
+
+    return fs.readdirSync(fullPath)
+        .sort()
+        .flatMap(name => listFiles(path.join(relativePath, name)));
+}
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+function buildManifest() {
+    const revisions = {};
+    PRECACHE_SOURCES.flatMap(listFiles).forEach((file) => {
+        revisions[`/${file.split(path.sep).join('/')}`] = hash(fs.readFileSync(path.join(ROOT_DIR, file)));
+    });
+    Object.entries(ALIASES).forEach(([alias, url]) => {
+        revisions[alias] = revisions[url];
+    });
+
+    const files = Object.keys(revisions).sort().map(url => ({ url, revision: revisions[url] }));
+    const worker = fs.readFileSync(path.join(ROOT_DIR, WORKER_FILE));
+    const version = hash(JSON.stringify(files) + hash(worker));
+    return { version, files };
+}
+
+function render(manifest) {
+    const files = manifest.files
+        .map(({ url, revision }) => `        { url: '${url}', revision: '${revision}' }`)
+        .join(',\n');
+
+    return `// Generated by tools/build-precache-manifest.js; do not edit
+const PRECACHE_MANIFEST = {
+    version: '${manifest.version}',
+    files: [
+${files}
+    ]
+};
+`;
+}
+
+function main() {
+    const output = render(buildManifest());
+    const manifestPath = path.join(ROOT_DIR, MANIFEST_FILE);
+    const current = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : null;
+
+    if (process.argv.includes('--check')) {
+        if (current !== output) {
+            console.error(`❌ ${MANIFEST_FILE} is out of date; run npm run build`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`✅ ${MANIFEST_FILE} is up to date`);
+        return;
+    }
+
+    if (current === output) {
+        console.log(`✅ ${MANIFEST_FILE} is up to date`);
+        return;
+    }
+    fs.writeFileSync(manifestPath, output);
+    console.log(`📦 Wrote ${MANIFEST_FILE}`);
+}
+
+main();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Replays accelerometer traces through the fall detector and reports
+ * false-positive and false-negative rates per sensitivity preset.
+ *
+ * Usage: node tools/evaluate-fall-detector.js [traceDir] [--sensitivity=medium] [--verbose]
+ *
+ * Each trace is a JSON file:
+ *   { "name", "label": "fall" | "no_fall", "description", "samples": [[t, x, y, z], ...] }
+ * with t in milliseconds and x/y/z the devicemotion accelerationIncludingGravity.
+ * Exits non-zero if the default preset misses any fall. False alarms are reported
+ * but not fatal: the safety check lets the user dismiss them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_TRACE_DIR = path.join(__dirname, 'fixtures', 'fall-traces');
+
+// The detector is a classic browser script; evaluate it in its own context
+function loadDetector() {
+    const source = fs.readFileSync(path.join(ROOT_DIR, 'js', 'fall-detector.js'), 'utf8');
+    const context = vm.createContext({});
+    vm.runInContext(source, context, { filename: 'js/fall-detector.js' });
+    return vm.runInContext('({ FallDetector, FALL_SENSITIVITY, FALL_DEFAULT_SENSITIVITY })', context);
+}
+
+function loadTraces(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map((file) => {
+            const trace = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            if (!['fall', 'no_fall'].includes(trace.label) || !Array.isArray(trace.samples)) {
+                throw new Error(`${file}: expected a label of "fall" or "no_fall" and a samples array`);
+            }
+            return {
+                name: trace.name || path.basename(file, '.json'),
+                label: trace.label,
+                samples: trace.samples.map(([t, x, y, z]) => ({ t, x, y, z }))
+            };
+        });
+}
+
+function evaluatePreset(FallDetector, sensitivity, traces) {
+    const results = traces.map((trace) => {
+        const detections = FallDetector.evaluate(trace.samples, { sensitivity });
+        const predicted = detections.length > 0 ? 'fall' : 'no_fall';
+        return { trace, detections, correct: predicted === trace.label };
+    });
+
+    const falls = results.filter(result => result.trace.label === 'fall');
+    const nonFalls = results.filter(result => result.trace.label === 'no_fall');
+    const missed = falls.filter(result => !result.correct);
+    const falseAlarms = nonFalls.filter(result => !result.correct);
+
+    return {
+        sensitivity,
+        results,
+        missed,
+        falseAlarms,
+        falseNegativeRate: falls.length ? missed.length / falls.length : 0,
+        falsePositiveRate: nonFalls.length ? falseAlarms.length / nonFalls.length : 0
+    };
+}
+
+function formatRate(rate) {
+    return `${(rate * 100).toFixed(0)}%`.padStart(5);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const verbose = args.includes('--verbose');
+    const presetArg = args.find(arg => arg.startsWith('--sensitivity='));
+    const traceDir = args.find(arg => !arg.startsWith('--')) || DEFAULT_TRACE_DIR;
+
+    const { FallDetector, FALL_SENSITIVITY, FALL_DEFAULT_SENSITIVITY } = loadDetector();
+    const presets = presetArg ? [presetArg.split('=')[1]] : Object.keys(FALL_SENSITIVITY);
+    const traces = loadTraces(traceDir);
+
+    console.log(`📂 ${traces.length} traces from ${path.relative(process.cwd(), traceDir) || '.'}\n`);
+    console.log('Preset    FNR    FPR   Missed / False alarms');
+
+    let defaultFailed = false;
+
+    presets.forEach((sensitivity) => {
+        const report = evaluatePreset(FallDetector, sensitivity, traces);
+        const misses = report.missed.map(result => result.trace.name).join(', ') || '-';
+        const alarms = report.falseAlarms.map(result => result.trace.name).join(', ') || '-';
+
+        console.log(`${sensitivity.padEnd(8)} ${formatRate(report.falseNegativeRate)}  ${formatRate(report.falsePositiveRate)}   ${misses} / ${alarms}`);
+
+        if (verbose) {
+            report.results.forEach(({ trace, detections, correct }) => {
+                const detail = detections.map(d => `impact ${d.impactPeak} m/s² at ${d.impactAt}ms, tilt ${d.orientationChange}°`).join('; ');
+                console.log(`    ${correct ? '✅' : '❌'} ${trace.name} (${trace.label}) ${detail}`);
+            });
+        }
+
+        if (sensitivity === FALL_DEFAULT_SENSITIVITY && report.missed.length) {
+            defaultFailed = true;
+        }
+    });
+
+    process.exitCode = defaultFailed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Sends a push message through the local backend to subscribed devices.
+ *
+ * Usage: node tools/send-push.js <type> [--body=text] [--title=text] [--user=ID] [--url=/path#section]
+ *
+ * Types:
+ *   advisory          a safety advisory for an area (needs --body)
+ *   sos_ack           tell a user their SOS was acknowledged (--name=contact)
+ *   checkin_reminder  remind a user to check in
+ *
+ * Without --user the message goes to every subscribed device. The backend must be running
+ * on this machine (PORT, default 5501); it only accepts push messages from localhost.
+ */
+
+const PORT = parseInt(process.env.PORT, 10) || 5501;
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    argv.forEach((arg) => {
+        const match = /^--([\w-]+)=(.*)$/s.exec(arg);
+        if (match) {
+            options[match[1]] = match[2];
+        } else {
+            positional.push(arg);
+        }
+    });
+
+    return { type: positional[0], options };
+}
+
+async function main() {
+    const { type, options } = parseArgs(process.argv.slice(2));
+    if (!type) {
+        console.error('Usage: node tools/send-push.js <advisory|sos_ack|checkin_reminder> [--body=text] [--title=text] [--user=ID] [--url=/path]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const message = { type };
+    if (options.title) message.title = options.title;
+    if (options.body) message.body = options.body;
+    if (options.url) message.url = options.url;
+    if (options.user) message.userId = options.user;
+    if (options.name) message.params = { name: options.name };
+
+    let response;
+    try {
+        response = await fetch(`http://localhost:${PORT}/api/push/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        });
+    } catch (error) {
+        console.error(`❌ Backend not reachable on port ${PORT}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await response.json();
+    if (!response.ok) {
+        console.error(`❌ ${result.error}${result.details ? `:\n  ${result.details.join('\n  ')}` : ''}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`📨 ${result.sent} sent, ${result.failed} failed, ${result.removed} expired or invalid subscriptions removed`);
+}
+
+main();